@@ -0,0 +1,90 @@
+const assert = require('assert');
+const User = require('./models/User');
+const AuditLog = require('./models/AuditLog');
+
+// Run the save hooks of a document without a database: the stored version is read through
+// User.find and audit entries are captured instead of written
+async function saveWithoutDatabase(doc, stored, entries) {
+  User.find = () => {
+    const query = {
+      setOptions: () => query,
+      lean: () => query,
+      limit: () => query,
+      then: (resolve, reject) => Promise.resolve([stored]).then(resolve, reject)
+    };
+    return query;
+  };
+  AuditLog.create = async (entry) => {
+    entries.push(entry);
+    return entry;
+  };
+
+  const hooks = User.schema.s.hooks;
+  await new Promise((resolve, reject) => hooks.execPre('save', doc, [{}], error => (error ? reject(error) : resolve())));
+  await new Promise((resolve, reject) => hooks.execPost('save', doc, [doc], error => (error ? reject(error) : resolve())));
+}
+
+// Stored version as the audit trail reads it: select: false fields are left out
+const stored = {
+  _id: '64b000000000000000000001',
+  name: 'Field Staff',
+  email: 'staff@example.com',
+  role: 'Marketing Staff',
+  loginAttempts: 1
+};
+
+// Document as login loads it, with +password and the two-factor secrets
+const loaded = () => User.hydrate({
+  ...stored,
+  password: '$2a$10$abcdefghijklmnopqrstuv',
+  twoFactorSecret: 'JBSWY3DPEHPK3PXP',
+  twoFactorRecoveryCodes: ['hash']
+});
+
+// A login-counter save records nothing
+async function testLoginCounterSave() {
+  const entries = [];
+  const user = loaded();
+  user.loginAttempts = 0;
+  user.lastLogin = new Date();
+  await saveWithoutDatabase(user, stored, entries);
+  assert.strictEqual(entries.length, 0, `expected no audit entry, got ${JSON.stringify(entries.map(entry => entry.changes))}`);
+  console.log('Login counter save: no audit entry');
+}
+
+// Real changes are still recorded, and only the changed fields
+async function testNameChange() {
+  const entries = [];
+  const user = loaded();
+  user.name = 'Renamed Staff';
+  await saveWithoutDatabase(user, stored, entries);
+  assert.strictEqual(entries.length, 1);
+  assert.deepStrictEqual(entries[0].changes, [{ field: 'name', before: 'Field Staff', after: 'Renamed Staff' }]);
+  console.log('Name change: recorded', JSON.stringify(entries[0].changes));
+}
+
+// A password change is recorded without its value
+async function testPasswordChange() {
+  const entries = [];
+  const user = loaded();
+  user.password = 'N3w-Password!';
+  await saveWithoutDatabase(user, stored, entries);
+  assert.strictEqual(entries.length, 1);
+  const change = entries[0].changes.find(entry => entry.field === 'password');
+  assert.ok(change, 'expected the password change to be recorded');
+  assert.strictEqual(change.after, '[REDACTED]');
+  console.log('Password change: recorded and redacted');
+}
+
+(async () => {
+  try {
+    await testLoginCounterSave();
+    await testNameChange();
+    await testPasswordChange();
+    console.log('All audit trail tests passed');
+    process.exit(0);
+  } catch (error) {
+    console.error('Audit trail test failed:', error);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,103 @@
+// Resources that API keys can be granted access to.
+// Each resource yields a `read:<key>` scope (GET requests) and, unless readOnly,
+// a `write:<key>` scope (all other methods) for the routes listed in `routes`.
+const API_KEY_RESOURCES = [
+  {
+    key: 'orders',
+    label: 'Orders',
+    routes: ['/api/orders']
+  },
+  {
+    key: 'damage-claims',
+    label: 'Damage Claims',
+    routes: ['/api/damage-claims']
+  },
+  {
+    key: 'sales-inquiries',
+    label: 'Sales Inquiries',
+    routes: ['/api/sales-inquiries']
+  },
+  {
+    key: 'supply-estimates',
+    label: 'Supply Estimates',
+    routes: ['/api/supply-estimates']
+  },
+  {
+    key: 'distributors',
+    label: 'Distributors and Shops',
+    routes: ['/api/distributors', '/api/shops']
+  },
+  {
+    key: 'products',
+    label: 'Products, Brands and Variants',
+    routes: ['/api/products', '/api/brands', '/api/variants']
+  },
+  {
+    key: 'tasks',
+    label: 'Tasks',
+    routes: ['/api/tasks']
+  },
+  {
+    key: 'staff',
+    label: 'Staff and Staff Activity',
+    routes: ['/api/staff', '/api/staff-activity']
+  },
+  {
+    key: 'marketing',
+    label: 'Marketing and Retailer Shop Activity',
+    routes: ['/api/marketing-activity', '/api/retailer-shop-activity']
+  },
+  {
+    key: 'attendance',
+    label: 'Attendance',
+    routes: ['/api/attendance'],
+    readOnly: true
+  },
+  {
+    key: 'territories',
+    label: 'Territories',
+    routes: ['/api/territories']
+  },
+  {
+    key: 'analytics',
+    label: 'Analytics',
+    routes: ['/api/analytics'],
+    readOnly: true
+  },
+  {
+    key: 'audit',
+    label: 'Audit Log',
+    routes: ['/api/audit-logs'],
+    readOnly: true
+  }
+];
+
+const API_KEY_SCOPES = API_KEY_RESOURCES.reduce((scopes, resource) => {
+  scopes.push(`read:${resource.key}`);
+  if (!resource.readOnly) {
+    scopes.push(`write:${resource.key}`);
+  }
+  return scopes;
+}, []);
+
+/**
+ * Get the scope a request needs
+ * @param {String} method - HTTP method
+ * @param {String} baseUrl - Path the router is mounted on (req.baseUrl)
+ * @returns {String|null} - Required scope, or null when API keys cannot access the route
+ */
+const getRequiredScope = (method, baseUrl) => {
+  const resource = API_KEY_RESOURCES.find(r => r.routes.includes(baseUrl));
+  if (!resource) return null;
+
+  const isRead = ['GET', 'HEAD'].includes(method.toUpperCase());
+  if (!isRead && resource.readOnly) return null;
+
+  return `${isRead ? 'read' : 'write'}:${resource.key}`;
+};
+
+module.exports = {
+  API_KEY_RESOURCES,
+  API_KEY_SCOPES,
+  getRequiredScope
+};
@@ -0,0 +1,77 @@
+// Catalogue of capabilities a role can hold.
+// Routes are guarded with authorize(<capability>); roles are documents in the
+// Role collection, so new roles can combine these without code changes.
+const CAPABILITIES = [
+  {
+    key: 'admin',
+    label: 'Administrator',
+    description: 'Full access to every route'
+  },
+  {
+    key: 'sub-admin',
+    label: 'Sub Admin',
+    description: 'Admin access to the route groups of the permissions granted to the user (see config/permissions)'
+  },
+  {
+    key: 'field-sales',
+    label: 'Field Sales',
+    description: 'Punch in and out, visit shops, place orders and raise damage claims and sales inquiries'
+  },
+  {
+    key: 'team-management',
+    label: 'Team Management',
+    description: 'Approve orders, review team activity, comment on claims and inquiries, and assign tasks to a team'
+  },
+  {
+    key: 'dispatch',
+    label: 'Dispatch',
+    description: 'Dispatch orders and process damage claims and supply estimates at the godown'
+  },
+  {
+    key: 'territory-scoped',
+    label: 'Territory Scoped',
+    description: 'Only see distributor data inside the territories assigned to the user'
+  }
+];
+
+const CAPABILITY_KEYS = CAPABILITIES.map(capability => capability.key);
+
+// Roles seeded on startup. They can be edited but not renamed or deleted.
+const DEFAULT_ROLES = [
+  {
+    name: 'Admin',
+    description: 'Company administrators',
+    capabilities: ['admin']
+  },
+  {
+    name: 'Sub Admin',
+    description: 'Administrators limited to granted permissions',
+    capabilities: ['sub-admin']
+  },
+  {
+    name: 'Marketing Staff',
+    description: 'Field sales staff using the mobile app',
+    capabilities: ['field-sales', 'territory-scoped']
+  },
+  {
+    name: 'Mid-Level Manager',
+    description: 'Managers of marketing staff',
+    capabilities: ['team-management', 'territory-scoped']
+  },
+  {
+    name: 'Godown Incharge',
+    description: 'Godown (warehouse) staff',
+    capabilities: ['dispatch']
+  },
+  {
+    name: 'App Developer',
+    description: 'Developers reporting app issues through tasks',
+    capabilities: []
+  }
+];
+
+module.exports = {
+  CAPABILITIES,
+  CAPABILITY_KEYS,
+  DEFAULT_ROLES
+};
@@ -7,5 +7,120 @@ module.exports = {
   mongoURI: dbConfig.getMongoURI(),
   jwtSecret: process.env.JWT_SECRET || 'sdkfjhs234kj23h4k2jh34kjh2fdsjkfds87238472384sdjfh',
   jwtExpiration: parseInt(process.env.JWT_EXPIRATION, 10) || 7 * 24 * 60 * 60, // 7 days in seconds
-  nodeEnv: process.env.NODE_ENV || 'development'
+  refreshTokenExpiration: parseInt(process.env.REFRESH_TOKEN_EXPIRATION, 10) || 60 * 24 * 60 * 60, // 60 days in seconds
+  nodeEnv: process.env.NODE_ENV || 'development',
+  // Outgoing mail: 'console' (log only), 'file' (write to mail.fileDir) or 'smtp'
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'no-reply@kallakuri.com',
+    fileDir: process.env.MAIL_FILE_DIR || 'logs/mail',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    }
+  },
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Kallakuri Admin',
+    // Lifetime of the pre-auth token exchanged for a JWT after the code is verified
+    preAuthExpiration: parseInt(process.env.TWO_FACTOR_PREAUTH_EXPIRATION, 10) || 5 * 60 // 5 minutes in seconds
+  },
+  territory: {
+    // When true, managers and field staff without any territory see no records instead of all records
+    strict: process.env.TERRITORY_SCOPING_STRICT === 'true'
+  },
+  roles: {
+    // How often each server reloads roles so changes made on another instance take effect
+    refreshSeconds: parseInt(process.env.ROLE_REFRESH_SECONDS, 10) || 60
+  },
+  geofence: {
+    // Punches further than this from the shop or distributor are outside the fence
+    radiusMeters: parseInt(process.env.GEOFENCE_RADIUS_METERS, 10) || 200,
+    // 'flag' saves punches outside the fence for manager review, 'reject' refuses them
+    mode: process.env.GEOFENCE_MODE === 'reject' ? 'reject' : 'flag',
+    // When true, punches without latitude/longitude are refused (older app versions do not send them)
+    requireLocation: process.env.GEOFENCE_REQUIRE_LOCATION === 'true'
+  },
+  attendance: {
+    // Field minutes (sum of punch-in durations) a day needs to count as present or half-day
+    fullDayMinutes: parseInt(process.env.ATTENDANCE_FULL_DAY_MINUTES, 10) || 240,
+    halfDayMinutes: parseInt(process.env.ATTENDANCE_HALF_DAY_MINUTES, 10) || 120
+  },
+  autoClose: {
+    enabled: process.env.AUTO_CLOSE_ENABLED !== 'false',
+    // How often the job looks for punch-ins nobody punched out of
+    intervalMinutes: parseInt(process.env.AUTO_CLOSE_INTERVAL_MINUTES, 10) || 15,
+    // Punch-ins from a previous day, or open longer than this, are closed by the system
+    maxOpenHours: parseInt(process.env.AUTO_CLOSE_MAX_OPEN_HOURS, 10) || 12,
+    // Duration given to a closed punch-in when the staff member has no recent punch-outs to average
+    defaultMinutes: parseInt(process.env.AUTO_CLOSE_DEFAULT_MINUTES, 10) || 30
+  },
+  sync: {
+    // Most operations accepted in one POST /api/mobile/sync request
+    maxBatchSize: parseInt(process.env.SYNC_MAX_BATCH_SIZE, 10) || 100,
+    // Body size limit of the sync endpoint (the rest of the API accepts 10kb)
+    bodyLimit: process.env.SYNC_BODY_LIMIT || '5mb',
+    // Oldest operation time accepted, and how long applied operations are remembered to ignore replays
+    maxAgeDays: parseInt(process.env.SYNC_MAX_AGE_DAYS, 10) || 7,
+    retentionDays: parseInt(process.env.SYNC_RETENTION_DAYS, 10) || 30,
+    // Operation times further ahead of the server clock than this are refused
+    maxClockSkewMinutes: parseInt(process.env.SYNC_MAX_CLOCK_SKEW_MINUTES, 10) || 5
+  },
+  selfie: {
+    // Punch-in selfies whose perceptual hashes differ in this many bits or fewer (out of 64) are near-duplicates
+    hashThreshold: parseInt(process.env.SELFIE_HASH_THRESHOLD, 10) || 5,
+    // How far back a new selfie is compared with the staff member's earlier selfies
+    lookbackDays: parseInt(process.env.SELFIE_LOOKBACK_DAYS, 10) || 30
+  },
+  travel: {
+    // Allowance per km used until admins set rates per mode of transport
+    defaultRatePerKm: parseFloat(process.env.TRAVEL_DEFAULT_RATE_PER_KM) || 0,
+    // Daily allowance (DA) per claimed day used until admins set one
+    dailyAllowance: parseFloat(process.env.TRAVEL_DAILY_ALLOWANCE) || 0,
+    // Positions reported less accurately than this are left out of the day's route
+    maxAccuracyMeters: parseInt(process.env.TRAVEL_MAX_ACCURACY_METERS, 10) || 500
+  },
+  coverage: {
+    // Active shops whose last visit is older than this (or never visited) are reported as not visited recently
+    notVisitedDays: parseInt(process.env.SHOP_NOT_VISITED_DAYS, 10) || 30
+  },
+  tracking: {
+    // Location pings accepted in one POST /api/mobile/locations request, and its body size limit
+    maxBatchSize: parseInt(process.env.LOCATION_MAX_BATCH_SIZE, 10) || 200,
+    bodyLimit: process.env.LOCATION_BODY_LIMIT || '256kb',
+    // Pings are deleted this many days after they were captured
+    retentionDays: parseInt(process.env.LOCATION_RETENTION_DAYS, 10) || 30,
+    // Pings reported less accurately than this are left out of paths
+    maxAccuracyMeters: parseInt(process.env.LOCATION_MAX_ACCURACY_METERS, 10) || 200,
+    // Latest positions older than this are marked stale on the manager map
+    staleMinutes: parseInt(process.env.LOCATION_STALE_MINUTES, 10) || 15
+  },
+  voiceNotes: {
+    // Largest voice note accepted, and the longest recording
+    maxSizeMb: parseFloat(process.env.VOICE_NOTE_MAX_SIZE_MB) || 10,
+    maxDurationSeconds: parseInt(process.env.VOICE_NOTE_MAX_DURATION_SECONDS, 10) || 300,
+    // Voice notes are deleted this many days after they were uploaded, checked every cleanupIntervalHours
+    cleanupEnabled: process.env.VOICE_NOTE_CLEANUP_ENABLED !== 'false',
+    retentionDays: parseInt(process.env.VOICE_NOTE_RETENTION_DAYS, 10) || 180,
+    cleanupIntervalHours: parseInt(process.env.VOICE_NOTE_CLEANUP_INTERVAL_HOURS, 10) || 24,
+    // Lifetime of the signed links the admin panel plays voice notes from
+    linkExpiration: parseInt(process.env.VOICE_NOTE_LINK_EXPIRATION, 10) || 15 * 60 // 15 minutes in seconds
+  },
+  apiKeys: {
+    // Requests allowed per key in each 15 minute window
+    rateLimit: parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 1000
+  },
+  loginMonitoring: {
+    // Login attempts for the same email inside this window are compared for suspicious patterns
+    windowMinutes: parseInt(process.env.LOGIN_MONITOR_WINDOW_MINUTES, 10) || 60,
+    // Flag when attempts come from this many different IP addresses
+    distinctIpThreshold: parseInt(process.env.LOGIN_MONITOR_IP_THRESHOLD, 10) || 3,
+    // Flag when this many attempts asked for a role the user does not have
+    roleMismatchThreshold: parseInt(process.env.LOGIN_MONITOR_ROLE_MISMATCH_THRESHOLD, 10) || 3,
+    retentionDays: parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 10) || 180
+  },
+  // Base URL of the admin panel page that accepts a reset token (token is appended)
+  passwordResetUrl: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password'
 };
\ No newline at end of file
@@ -0,0 +1,95 @@
+// Catalogue of permissions that can be granted to Sub Admins.
+// Each permission guards the admin route groups listed in `routes`.
+const PERMISSIONS = [
+  {
+    key: 'dashboard',
+    label: 'Dashboard',
+    description: 'View the dashboard overview',
+    routes: ['/api/analytics/overview']
+  },
+  {
+    key: 'staff',
+    label: 'Staff',
+    description: 'Manage staff accounts and view staff activity',
+    routes: ['/api/staff', '/api/staff-activity']
+  },
+  {
+    key: 'marketing',
+    label: 'Marketing',
+    description: 'View marketing staff punch-ins, retailer shop visits, attendance, beat plans, travel claims and locations',
+    routes: ['/api/marketing-activity', '/api/retailer-shop-activity', '/api/attendance', '/api/beat-plans', '/api/travel-claims', '/api/locations']
+  },
+  {
+    key: 'leave',
+    label: 'Leave',
+    description: 'Review leave requests and manage leave types, balances and holidays',
+    routes: ['/api/leaves']
+  },
+  {
+    key: 'orders',
+    label: 'Orders',
+    description: 'View, approve and dispatch orders',
+    routes: ['/api/orders']
+  },
+  {
+    key: 'damage',
+    label: 'Damage Claims',
+    description: 'Review and process damage claims',
+    routes: ['/api/damage-claims']
+  },
+  {
+    key: 'tasks',
+    label: 'Tasks',
+    description: 'Create and manage tasks',
+    routes: ['/api/tasks']
+  },
+  {
+    key: 'distributors',
+    label: 'Distributors',
+    description: 'Manage distributors and their shops',
+    routes: ['/api/distributors', '/api/shops']
+  },
+  {
+    key: 'territories',
+    label: 'Territories',
+    description: 'Manage regions and areas and assign staff to them',
+    routes: ['/api/territories']
+  },
+  {
+    key: 'godown',
+    label: 'Godown',
+    description: 'Review supply estimates',
+    routes: ['/api/supply-estimates']
+  },
+  {
+    key: 'sales',
+    label: 'Sales',
+    description: 'Manage sales inquiries',
+    routes: ['/api/sales-inquiries']
+  },
+  {
+    key: 'products',
+    label: 'Products',
+    description: 'Manage products, brands, variants and price lists',
+    routes: ['/api/products', '/api/brands', '/api/variants', '/api/price-lists']
+  },
+  {
+    key: 'reports',
+    label: 'Reports',
+    description: 'View analytics reports',
+    routes: ['/api/analytics/damage-claims', '/api/analytics/orders', '/api/analytics/staff-activity', '/api/analytics/competitors']
+  },
+  {
+    key: 'audit',
+    label: 'Audit Log',
+    description: 'View and export the audit trail of changes',
+    routes: ['/api/audit-logs']
+  }
+];
+
+const PERMISSION_KEYS = PERMISSIONS.map(permission => permission.key);
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_KEYS
+};
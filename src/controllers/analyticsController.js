@@ -5,6 +5,8 @@ const StaffActivity = require('../models/StaffActivity');
 const User = require('../models/User');
 const Distributor = require('../models/Distributor');
 const Product = require('../models/Product');
+const { scopeQuery } = require('../utils/territoryScope');
+const { roundAmount } = require('../utils/pricing');
 
 /**
  * Get analytics for damage claims
@@ -12,7 +14,8 @@ const Product = require('../models/Product');
 exports.getDamageClaimsAnalytics = async (req, res) => {
   try {
     const { timeRange } = req.query;
-    const dateFilter = getDateFilterFromTimeRange(timeRange);
+    // Managers only see figures for distributors in their territories
+    const dateFilter = await scopeQuery(req, getDateFilterFromTimeRange(timeRange));
 
     // Total claims count
     const totalClaims = await DamageClaim.countDocuments(dateFilter);
@@ -147,7 +150,8 @@ exports.getDamageClaimsAnalytics = async (req, res) => {
 exports.getOrderAnalytics = async (req, res) => {
   try {
     const { timeRange } = req.query;
-    const dateFilter = getDateFilterFromTimeRange(timeRange);
+    // Managers only see figures for distributors in their territories
+    const dateFilter = await scopeQuery(req, getDateFilterFromTimeRange(timeRange));
 
     // Total orders count
     const totalOrders = await Order.countDocuments(dateFilter);
@@ -180,6 +184,25 @@ exports.getOrderAnalytics = async (req, res) => {
       avgProcessingTime = parseFloat((totalProcessingTime / processedOrders.length).toFixed(1));
     }
     
+    // Rupee value of the orders, from the totals stamped when they were created
+    const [orderValue] = await Order.aggregate([
+      { $match: dateFilter },
+      {
+        $group: {
+          _id: null,
+          totalValue: { $sum: { $ifNull: ['$totalAmount', 0] } },
+          approvedValue: {
+            $sum: { $cond: [{ $in: ['$status', ['Approved', 'Dispatched']] }, { $ifNull: ['$totalAmount', 0] }, 0] }
+          },
+          unpricedItems: { $sum: { $ifNull: ['$unpricedItems', 0] } }
+        }
+      }
+    ]);
+    const totalOrderValue = orderValue ? roundAmount(orderValue.totalValue) : 0;
+    const approvedOrderValue = orderValue ? roundAmount(orderValue.approvedValue) : 0;
+    const unpricedOrderItems = orderValue ? orderValue.unpricedItems : 0;
+    const avgOrderValue = totalOrders > 0 ? roundAmount(totalOrderValue / totalOrders) : 0;
+
     // Orders by distributor
     const ordersByDistributor = await Order.aggregate([
       { $match: dateFilter },
@@ -192,8 +215,15 @@ exports.getOrderAnalytics = async (req, res) => {
         } 
       },
       { $unwind: '$distributorInfo' },
-      { $group: { _id: '$distributorId', name: { $first: '$distributorInfo.name' }, orders: { $sum: 1 } } },
-      { $project: { _id: 0, name: 1, orders: 1 } },
+      {
+        $group: {
+          _id: '$distributorId',
+          name: { $first: '$distributorInfo.name' },
+          orders: { $sum: 1 },
+          value: { $sum: { $ifNull: ['$totalAmount', 0] } }
+        }
+      },
+      { $project: { _id: 0, name: 1, orders: 1, value: { $round: ['$value', 2] } } },
       { $sort: { orders: -1 } },
       { $limit: 6 }
     ]);
@@ -215,7 +245,8 @@ exports.getOrderAnalytics = async (req, res) => {
           month: month.month,
           requested: month.total,
           approved: month.approved,
-          dispatched: month.dispatched || 0
+          dispatched: month.dispatched || 0,
+          value: month.value
         }));
       }
     );
@@ -244,14 +275,15 @@ exports.getOrderAnalytics = async (req, res) => {
       { $group: { 
         _id: '$items.productName', 
         orders: { $sum: 1 },
-        quantity: { $sum: '$items.quantity' }
+        quantity: { $sum: '$items.quantity' },
+        value: { $sum: { $ifNull: ['$items.lineTotal', 0] } }
       }},
       { $project: { 
         _id: 0, 
         name: '$_id', 
         orders: 1,
         quantity: 1,
-        value: { $multiply: ['$orders', '$quantity'] }
+        value: { $round: ['$value', 2] }
       }},
       { $sort: { orders: -1 } },
       { $limit: 5 }
@@ -265,6 +297,10 @@ exports.getOrderAnalytics = async (req, res) => {
       dispatchedOrders,
       fulfillmentRate,
       avgProcessingTime,
+      totalOrderValue,
+      approvedOrderValue,
+      avgOrderValue,
+      unpricedOrderItems,
       ordersByDistributor,
       orderStatusDistribution,
       orderTrend,
@@ -478,6 +514,7 @@ const getMonthlyTrendData = async (model, filter, transformer) => {
     let approvedCount = 0;
     let rejectedCount = 0;
     let dispatchedCount = 0;
+    let orderValue = 0;
     
     if (model.modelName === 'DamageClaim') {
       approvedCount = await model.countDocuments({
@@ -501,6 +538,12 @@ const getMonthlyTrendData = async (model, filter, transformer) => {
         ...monthlyFilter,
         status: 'Dispatched'
       });
+      // Rupee value of the month's orders (orders created before price lists count as 0)
+      const [valueResult] = await model.aggregate([
+        { $match: monthlyFilter },
+        { $group: { _id: null, value: { $sum: { $ifNull: ['$totalAmount', 0] } } } }
+      ]);
+      orderValue = valueResult ? roundAmount(valueResult.value) : 0;
     }
     
     monthlyData.push({
@@ -509,7 +552,8 @@ const getMonthlyTrendData = async (model, filter, transformer) => {
       total: totalCount,
       approved: approvedCount,
       rejected: rejectedCount,
-      dispatched: dispatchedCount
+      dispatched: dispatchedCount,
+      value: orderValue
     });
   }
   
@@ -649,15 +693,17 @@ exports.getOverviewAnalytics = async (req, res) => {
   try {
     const { timeRange } = req.query;
     const dateFilter = getDateFilterFromTimeRange(timeRange || 'last30days');
+    // Claims and orders belong to distributors, so managers only see those in their territories
+    const distributorFilter = await scopeQuery(req, { ...dateFilter });
 
     // Get counts
-    const damageClaimsCount = await DamageClaim.countDocuments(dateFilter);
-    const ordersCount = await Order.countDocuments(dateFilter);
+    const damageClaimsCount = await DamageClaim.countDocuments(distributorFilter);
+    const ordersCount = await Order.countDocuments(distributorFilter);
     const activitiesCount = await StaffActivity.countDocuments(dateFilter);
     
     // Get approval/fulfillment rates
     const approvedClaims = await DamageClaim.countDocuments({ 
-      ...dateFilter, 
+      ...distributorFilter, 
       status: { $in: ['Approved', 'Partially Approved'] } 
     });
     const claimsApprovalRate = damageClaimsCount > 0 
@@ -665,7 +711,7 @@ exports.getOverviewAnalytics = async (req, res) => {
       : 0;
     
     const approvedOrders = await Order.countDocuments({ 
-      ...dateFilter, 
+      ...distributorFilter, 
       status: { $in: ['Approved', 'Dispatched'] } 
     });
     const orderFulfillmentRate = ordersCount > 0 
@@ -683,7 +729,7 @@ exports.getOverviewAnalytics = async (req, res) => {
     // Get monthly trend data
     const monthlyData = await getMonthlyTrendData(
       DamageClaim,
-      dateFilter,
+      distributorFilter,
       (results) => {
         return results.map(month => ({
           month: month.month,
@@ -695,11 +741,12 @@ exports.getOverviewAnalytics = async (req, res) => {
     // Add orders data to monthly trend
     const orderMonthlyData = await getMonthlyTrendData(
       Order,
-      dateFilter,
+      distributorFilter,
       (results) => {
         return results.map(month => ({
           month: month.month,
-          orderCount: month.total
+          orderCount: month.total,
+          orderValue: month.value
         }));
       }
     );
@@ -708,7 +755,8 @@ exports.getOverviewAnalytics = async (req, res) => {
     const combinedMonthlyData = monthlyData.map((item, index) => {
       return {
         ...item,
-        orderCount: orderMonthlyData[index].orderCount
+        orderCount: orderMonthlyData[index].orderCount,
+        orderValue: orderMonthlyData[index].orderValue
       };
     });
     
@@ -0,0 +1,248 @@
+const { validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_RESOURCES, API_KEY_SCOPES } = require('../config/apiKeyScopes');
+const apiKeyManager = require('../utils/apiKeyManager');
+const logger = require('../utils/logger');
+
+/**
+ * Format an API key document for API responses
+ * @param {Object} apiKey - API key document
+ * @returns {Object} - API key data (never includes the key or its hash)
+ */
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  revokedBy: apiKey.revokedBy,
+  active: apiKey.isActive(),
+  usage: {
+    lastUsedAt: apiKey.lastUsedAt,
+    lastUsedIp: apiKey.lastUsedIp,
+    requestCount: apiKey.requestCount
+  }
+});
+
+/**
+ * @desc    Get the catalogue of API key scopes
+ * @route   GET /api/api-keys/scopes
+ * @access  Private (Admin)
+ */
+exports.getScopes = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: API_KEY_RESOURCES.map(resource => ({
+      resource: resource.key,
+      label: resource.label,
+      routes: resource.routes,
+      scopes: API_KEY_SCOPES.filter(scope => scope.endsWith(`:${resource.key}`))
+    }))
+  });
+};
+
+/**
+ * @desc    Create an API key
+ * @route   POST /api/api-keys
+ * @access  Private (Admin)
+ */
+exports.createApiKey = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    if (expiresAt && new Date(expiresAt) <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Expiry date must be in the future'
+      });
+    }
+
+    const { apiKey, key } = await apiKeyManager.createApiKey({ name, scopes, expiresAt }, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key securely; it will not be shown again.',
+      key,
+      data: formatApiKey(apiKey)
+    });
+
+    logger.info(`Admin ${req.user.id} created API key ${apiKey._id} (${apiKey.prefix}) with scopes ${apiKey.scopes.join(', ')}`);
+  } catch (error) {
+    logger.error(`Error in createApiKey controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all API keys
+ * @route   GET /api/api-keys
+ * @access  Private (Admin)
+ */
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Revoked keys are hidden unless asked for
+    if (req.query.includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys.map(formatApiKey)
+    });
+  } catch (error) {
+    logger.error(`Error in getApiKeys controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single API key
+ * @route   GET /api/api-keys/:id
+ * @access  Private (Admin)
+ */
+exports.getApiKey = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name');
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatApiKey(apiKey)
+    });
+  } catch (error) {
+    logger.error(`Error in getApiKey controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the name, scopes or expiry of an API key
+ * @route   PATCH /api/api-keys/:id
+ * @access  Private (Admin)
+ */
+exports.updateApiKey = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Revoked API keys cannot be changed'
+      });
+    }
+
+    const { name, scopes, expiresAt } = req.body;
+
+    if (name) apiKey.name = name;
+    if (scopes) apiKey.scopes = [...new Set(scopes)];
+    if (expiresAt !== undefined) apiKey.expiresAt = expiresAt || undefined;
+
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      data: formatApiKey(apiKey)
+    });
+
+    logger.info(`Admin ${req.user.id} updated API key ${apiKey._id}`);
+  } catch (error) {
+    logger.error(`Error in updateApiKey controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/api-keys/:id
+ * @access  Private (Admin)
+ */
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = Date.now();
+      apiKey.revokedBy = req.user.id;
+      await apiKey.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+    logger.info(`Admin ${req.user.id} revoked API key ${apiKey._id}`);
+  } catch (error) {
+    logger.error(`Error in revokeApiKey controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,177 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const { buildAttendance, listDays } = require('../utils/attendance');
+const { scopeQueryToTeam } = require('../utils/teamScope');
+const { getRoleNamesWith } = require('../utils/roleRegistry');
+const { generateExcel } = require('../utils/excelGenerator');
+const logger = require('../utils/logger');
+
+// Longest range GET /api/attendance returns in one request
+const MAX_RANGE_DAYS = 62;
+
+const STATUS_CODES = {
+  present: 'P',
+  'half-day': 'H',
+  absent: 'A',
+  leave: 'L',
+  holiday: 'HO'
+};
+
+/**
+ * Get the field staff whose attendance is requested
+ * @param {Object} req - Request object (staffId and team query parameters)
+ * @returns {Promise<Array>} - Users
+ */
+const getAttendanceStaff = async (req) => {
+  const query = { role: { $in: getRoleNamesWith('field-sales') } };
+
+  if (req.query.staffId) {
+    query._id = req.query.staffId;
+  }
+
+  // Managers can limit the register to their team with ?team=true
+  await scopeQueryToTeam(req, query, '_id');
+
+  return User.find(query)
+    // A single staff member's history stays available after they are deactivated
+    .setOptions({ includeInactive: !!req.query.staffId })
+    .select('name email role')
+    .sort({ name: 1 })
+    .lean();
+};
+
+/**
+ * @desc    Get daily attendance derived from punch-ins
+ * @route   GET /api/attendance
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getAttendance = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Defaults to the current month up to today
+    const today = new Date();
+    const from = req.query.fromDate ? new Date(req.query.fromDate) : new Date(today.getFullYear(), today.getMonth(), 1);
+    const to = req.query.toDate ? new Date(req.query.toDate) : today;
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'fromDate must be on or before toDate'
+      });
+    }
+
+    if (listDays(from, to).length > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `The date range cannot be longer than ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const staff = await getAttendanceStaff(req);
+    const attendance = await buildAttendance(staff, from, to);
+
+    res.status(200).json({
+      success: true,
+      count: attendance.length,
+      data: attendance
+    });
+  } catch (error) {
+    logger.error(`Error in getAttendance controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the monthly attendance register (one row per staff, one column per day)
+ * @route   GET /api/attendance/register
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.downloadRegister = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const today = new Date();
+    const [year, month] = req.query.month
+      ? req.query.month.split('-').map(Number)
+      : [today.getFullYear(), today.getMonth() + 1];
+
+    const from = new Date(year, month - 1, 1);
+    const to = new Date(year, month, 0);
+    const dateKeys = listDays(from, to);
+
+    const staff = await getAttendanceStaff(req);
+    const attendance = await buildAttendance(staff, from, to);
+
+    const headers = [
+      'Staff Name',
+      'Email',
+      ...dateKeys.map(date => String(Number(date.slice(8)))),
+      'Present',
+      'Half Day',
+      'Absent',
+      'Leave',
+      'Holiday',
+      'Field Hours',
+      'Visits',
+      'Auto-closed Punch-ins'
+    ];
+
+    // Days after today have no status and stay blank
+    const data = attendance.map(({ staff: member, days, summary }) => {
+      const statusByDate = new Map(days.map(day => [day.date, STATUS_CODES[day.status]]));
+
+      const row = {
+        name: member.name,
+        email: member.email
+      };
+      dateKeys.forEach(date => {
+        row[date] = statusByDate.get(date) || '';
+      });
+      row.present = summary.present;
+      row.halfDay = summary.halfDay;
+      row.absent = summary.absent;
+      row.leave = summary.leave;
+      row.holiday = summary.holiday;
+      row.fieldHours = (summary.fieldMinutes / 60).toFixed(1);
+      row.visits = summary.visits;
+      row.autoClosed = summary.autoClosed;
+
+      return row;
+    });
+
+    const period = `${year}-${String(month).padStart(2, '0')}`;
+    const wb = generateExcel({
+      filename: `Attendance_Register_${period}.xlsx`,
+      sheetName: `Attendance ${period}`,
+      headers,
+      data
+    });
+
+    // Set headers for Excel download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="Attendance_Register_${period}.xlsx"`);
+
+    // Write to response
+    wb.write(`Attendance_Register_${period}.xlsx`, res);
+
+    logger.info(`User ${req.user.id} downloaded the attendance register for ${period}`);
+  } catch (error) {
+    logger.error(`Error in downloadRegister controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,215 @@
+const { validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { generateExcel } = require('../utils/excelGenerator');
+const logger = require('../utils/logger');
+
+/**
+ * Build the audit log query from request filters
+ * @param {Object} filters - Query string parameters
+ * @returns {Object} - MongoDB query
+ */
+const buildQuery = (filters) => {
+  const { entityType, entityId, actor, action, fromDate, toDate } = filters;
+  const query = {};
+
+  if (entityType) {
+    query.entityType = entityType;
+  }
+
+  if (entityId) {
+    query.entityId = entityId;
+  }
+
+  if (actor) {
+    query.actor = actor;
+  }
+
+  if (action) {
+    query.action = action;
+  }
+
+  if (fromDate || toDate) {
+    query.createdAt = {};
+
+    if (fromDate) {
+      const startDate = new Date(fromDate);
+      startDate.setHours(0, 0, 0, 0);
+      query.createdAt.$gte = startDate;
+    }
+
+    if (toDate) {
+      const endDate = new Date(toDate);
+      endDate.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = endDate;
+    }
+  }
+
+  return query;
+};
+
+/**
+ * Format a recorded value for display
+ * @param {*} value - Recorded value
+ * @returns {String}
+ */
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * @desc    Get audit log entries
+ * @route   GET /api/audit-logs
+ * @access  Private (Admin)
+ */
+exports.getAuditLogs = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const query = buildQuery(req.query);
+
+    // Parse pagination parameters
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Get total count for pagination
+    const totalCount = await AuditLog.countDocuments(query);
+
+    const logs = await AuditLog.find(query)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    // Prepare pagination info
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      data: logs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        totalItems: totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getAuditLogs controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single audit log entry
+ * @route   GET /api/audit-logs/:id
+ * @access  Private (Admin)
+ */
+exports.getAuditLog = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const log = await AuditLog.findById(req.params.id)
+      .populate('actor', 'name email role');
+
+    if (!log) {
+      return res.status(404).json({
+        success: false,
+        error: 'Audit log entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    logger.error(`Error in getAuditLog controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download audit log entries as Excel
+ * @route   GET /api/audit-logs/export
+ * @access  Private (Admin)
+ */
+exports.exportAuditLogs = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const query = buildQuery(req.query);
+
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(10000);
+
+    // One row per changed field so the sheet can be filtered in Excel
+    const formattedData = [];
+    logs.forEach(log => {
+      const base = {
+        Date: new Date(log.createdAt).toLocaleDateString(),
+        Time: new Date(log.createdAt).toLocaleTimeString(),
+        Actor: log.actorName || 'System',
+        Role: log.actorRole,
+        'IP Address': log.ipAddress,
+        Entity: log.entityType,
+        'Entity ID': log.entityId,
+        Action: log.action
+      };
+
+      const changes = log.changes.length > 0 ? log.changes : [{}];
+      changes.forEach(change => {
+        formattedData.push({
+          ...base,
+          Field: change.field || '',
+          Before: change.field ? formatValue(change.before) : '',
+          After: change.field ? formatValue(change.after) : ''
+        });
+      });
+    });
+
+    const wb = generateExcel({
+      filename: 'Audit_Log',
+      sheetName: 'Audit Log',
+      headers: ['Date', 'Time', 'Actor', 'Role', 'IP Address', 'Entity', 'Entity ID', 'Action', 'Field', 'Before', 'After'],
+      data: formattedData
+    });
+
+    // Set headers for Excel download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="Audit_Log.xlsx"');
+
+    wb.write('Audit_Log.xlsx', res);
+  } catch (error) {
+    logger.error(`Error in exportAuditLogs controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -3,18 +3,30 @@ const { validationResult } = require('express-validator');
 const crypto = require('crypto');
 const config = require('../config/config');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const LoginEvent = require('../models/LoginEvent');
+const { PERMISSIONS, PERMISSION_KEYS } = require('../config/permissions');
+const sessionManager = require('../utils/sessionManager');
+const { sendMail } = require('../utils/mailer');
+const totp = require('../utils/totp');
+const { PURPOSES, signPreAuthToken, verifyPreAuthToken } = require('../utils/preAuthToken');
+const { recordLoginEvent } = require('../utils/loginMonitor');
+const { getRoleNamesWith } = require('../utils/roleRegistry');
 const logger = require('../utils/logger');
 
 /**
  * Generate JWT token
  * @param {Object} user - User object
+ * @param {String} sessionId - ID of the session the token belongs to
  * @returns {String} - JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   return jwt.sign(
     { 
       id: user._id, 
       role: user.role,
+      sid: sessionId,
       iat: Math.floor(Date.now() / 1000) // Issued at time
     },
     config.jwtSecret,
@@ -26,19 +38,11 @@ const generateToken = (user) => {
 };
 
 /**
- * Create and send JWT token with secure options
- * @param {Object} user - User object
- * @param {Number} statusCode - HTTP status code
+ * Set the JWT as an HTTP-Only secure cookie in production
  * @param {Object} res - Response object
+ * @param {String} token - JWT token
  */
-const createSendToken = async (user, statusCode, res) => {
-  // Generate token
-  const token = generateToken(user);
-  
-  // Remove password from output
-  user.password = undefined;
-  
-  // Set token as HTTP-Only secure cookie in production
+const setTokenCookie = (res, token) => {
   if (config.nodeEnv === 'production') {
     const cookieOptions = {
       expires: new Date(Date.now() + config.jwtExpiration * 1000),
@@ -49,6 +53,46 @@ const createSendToken = async (user, statusCode, res) => {
     
     res.cookie('jwt', token, cookieOptions);
   }
+};
+
+/**
+ * Format a session document for API responses
+ * @param {Object} session - Session document
+ * @param {Object} currentSession - Session of the current request (if any)
+ * @returns {Object} - Session data
+ */
+const formatSession = (session, currentSession) => ({
+  id: session._id,
+  deviceId: session.deviceId,
+  deviceName: session.deviceName,
+  platform: session.platform,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: !!currentSession && currentSession._id.toString() === session._id.toString()
+});
+
+/**
+ * Create a session, then send JWT and refresh token with secure options
+ * @param {Object} user - User object
+ * @param {Number} statusCode - HTTP status code
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} extra - Additional fields to include in the response
+ */
+const createSendToken = async (user, statusCode, req, res, extra = {}) => {
+  // Open a server-side session for this device
+  const { session, refreshToken } = await sessionManager.createSession(user, req);
+  
+  // Generate token
+  const token = generateToken(user, session._id);
+  
+  // Remove password from output
+  user.password = undefined;
+  
+  setTokenCookie(res, token);
   
   // Update user's last login time
   await User.findByIdAndUpdate(user._id, { 
@@ -59,6 +103,9 @@ const createSendToken = async (user, statusCode, res) => {
   res.status(statusCode).json({
     success: true,
     token,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+    sessionId: session._id,
     user: {
       id: user._id,
       name: user.name,
@@ -66,10 +113,53 @@ const createSendToken = async (user, statusCode, res) => {
       role: user.role,
       isSubAdmin: user.isSubAdmin || false,
       permissions: user.permissions || []
-    }
+    },
+    ...extra
   });
 };
 
+// Setting key that makes two-factor authentication mandatory for Admin and Sub Admin logins
+const TWO_FACTOR_REQUIRED_SETTING = 'twoFactorRequiredForAdmins';
+
+/**
+ * Check whether two-factor authentication is mandatory for a user
+ * @param {Object} user - User object
+ * @returns {Promise<Boolean>}
+ */
+const isTwoFactorMandatory = async (user) => {
+  if (!user.isTwoFactorRole()) return false;
+  return Setting.getValue(TWO_FACTOR_REQUIRED_SETTING, false);
+};
+
+/**
+ * Second step a user must complete after proving their password, if any: Admins and Sub Admins
+ * with two-factor enabled verify a code, and those who must use it but have not set it up enrol first
+ * @param {Object} user - User object
+ * @returns {Promise<Object|null>} - Response body with the pre-auth token, or null if a session can be issued
+ */
+const getTwoFactorChallenge = async (user) => {
+  if (user.isTwoFactorRole() && user.twoFactorEnabled) {
+    return {
+      success: true,
+      twoFactorRequired: true,
+      preAuthToken: signPreAuthToken(user, PURPOSES.VERIFY),
+      expiresIn: config.twoFactor.preAuthExpiration
+    };
+  }
+
+  // The pre-auth token can only be used to enrol
+  if (await isTwoFactorMandatory(user)) {
+    return {
+      success: true,
+      twoFactorSetupRequired: true,
+      preAuthToken: signPreAuthToken(user, PURPOSES.SETUP),
+      expiresIn: config.twoFactor.preAuthExpiration
+    };
+  }
+
+  return null;
+};
+
 /**
  * @desc    Register a new user
  * @route   POST /api/auth/register
@@ -123,7 +213,7 @@ exports.register = async (req, res, next) => {
     });
 
     // Send token
-    await createSendToken(user, 201, res);
+    await createSendToken(user, 201, req, res);
     
     // Log successful registration
     logger.info(`New user registered: ${user.email} with role ${user.role}`);
@@ -166,9 +256,9 @@ exports.login = async (req, res, next) => {
     const isAdminPanelLogin = req.headers['x-admin-panel'] === 'true';
     
     if (isAdminPanelLogin) {
-      // Only allow Admin or Sub Admin roles for admin panel login
+      // Only allow admin or sub-admin roles for admin panel login
       queryConditions.$or = [
-        { role: 'Admin' },
+        { role: { $in: getRoleNamesWith('admin', 'sub-admin') } },
         { isSubAdmin: true }
       ];
     } else if (role) {
@@ -183,18 +273,25 @@ exports.login = async (req, res, next) => {
     // If no user found, return generic error (to prevent user enumeration)
     if (!user) {
       let errorMessage = 'Invalid credentials';
+      let reason = 'unknown-user';
+      
+      // Check if user exists with that email but a different role
+      const userExists = await User.findOne({ email });
+      
       // Provide more specific message for role mismatch if role was specified
       if (role) {
-        // Check if user exists with that email but different role
-        const userExists = await User.findOne({ email });
         if (userExists) {
           errorMessage = `No user with role '${role}' found for this email`;
+          reason = 'role-mismatch';
         }
       } else if (isAdminPanelLogin) {
         // For admin panel logins that fail
         errorMessage = 'You do not have permission to access the admin panel';
+        if (userExists) reason = 'admin-panel-denied';
       }
       
+      await recordLoginEvent(req, { user: userExists, email, outcome: 'failure', reason });
+      
       logger.warn(`Failed login attempt for ${email}${role ? ' with role ' + role : ''}`);
       return res.status(401).json({
         success: false,
@@ -204,6 +301,8 @@ exports.login = async (req, res, next) => {
     
     // Check if account is locked
     if (user.accountLocked && user.lockUntil > Date.now()) {
+      await recordLoginEvent(req, { user, email, outcome: 'failure', reason: 'account-locked' });
+      
       const remainingTimeMinutes = Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
       return res.status(401).json({
         success: false,
@@ -223,6 +322,7 @@ exports.login = async (req, res, next) => {
     if (!isMatch) {
       // Handle failed login attempt
       await user.handleFailedLogin();
+      await recordLoginEvent(req, { user, email, outcome: 'failure', reason: 'invalid-credentials' });
       
       logger.warn(`Failed login attempt for user: ${email}`);
       return res.status(401).json({
@@ -231,11 +331,19 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    // Admins and Sub Admins with two-factor must verify a code (or enrol) before getting a token
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      logger.info(`Password verified for ${user.email}, ${challenge.twoFactorRequired ? 'awaiting two-factor code' : 'two-factor setup required'}`);
+      return res.status(200).json(challenge);
+    }
+    
     // Reset login attempts on successful login
     await user.resetLoginAttempts();
     
     // Send token
-    await createSendToken(user, 200, res);
+    await createSendToken(user, 200, req, res);
+    await recordLoginEvent(req, { user, outcome: 'success' });
     
     // Log successful login
     logger.info(`User logged in: ${user.email} with role ${user.role}`);
@@ -322,8 +430,11 @@ exports.updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
     
+    // Sign out every device; the caller gets a fresh session below
+    await sessionManager.revokeUserSessions(user._id, { reason: 'password-changed' });
+    
     // Send token
-    await createSendToken(user, 200, res);
+    await createSendToken(user, 200, req, res);
     
     logger.info(`Password updated for user: ${user.email}`);
   } catch (error) {
@@ -333,21 +444,187 @@ exports.updatePassword = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user
- * @route   GET /api/auth/logout
- * @access  Private
+ * @desc    Send a password reset token to the user's email
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
  */
-exports.logout = (req, res) => {
-  // Clear JWT cookie if it exists
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
-  
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+    
+    // Same response whether or not the email exists (to prevent user enumeration)
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+    
+    const user = await User.findOne({ email });
+    if (!user) {
+      logger.warn(`Password reset requested for unknown email: ${email}`);
+      return res.status(200).json(genericResponse);
+    }
+    
+    // Generate token (stored hashed on the user)
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+    
+    const resetURL = `${config.passwordResetUrl}/${resetToken}`;
+    
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Your password reset token (valid for 10 minutes)',
+        text: `Hello ${user.name},\n\n` +
+          `We received a request to reset your password. Open the link below to choose a new password:\n${resetURL}\n\n` +
+          `In the mobile app, enter this reset code instead:\n${resetToken}\n\n` +
+          'If you did not request this, you can ignore this email.'
+      });
+    } catch (mailError) {
+      // Do not leave a usable token behind if it could not be delivered
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      
+      return res.status(500).json({
+        success: false,
+        error: 'There was an error sending the email. Please try again later.'
+      });
+    }
+    
+    res.status(200).json(genericResponse);
+    
+    logger.info(`Password reset token sent to ${user.email}`);
+  } catch (error) {
+    logger.error(`Error in forgotPassword controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset password using the emailed token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+    
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a new password'
+      });
+    }
+    
+    // Password strength validation
+    if (password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 8 characters long'
+      });
+    }
+    
+    // Password complexity check
+    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
+    if (!passwordRegex.test(password)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must include at least one uppercase letter, one lowercase letter, one number, and one special character'
+      });
+    }
+    
+    // Consume the token in the same step as finding it, so two requests cannot both use it.
+    // The password is checked first so a weak one does not use up the token.
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+    
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: Date.now() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    ).select('+password');
+    
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password reset token is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+    
+    // Update password. Saving a new password also bumps passwordChangedAt, which invalidates old JWTs.
+    user.password = password;
+    user.loginAttempts = 0;
+    user.accountLocked = false;
+    user.lockUntil = undefined;
+    await user.save();
+    
+    // Sign out every device; the caller gets a fresh session below
+    await sessionManager.revokeUserSessions(user._id, { reason: 'password-changed' });
+    
+    // A reset link only proves access to the mailbox, so the second factor is still required
+    const challenge = await getTwoFactorChallenge(user);
+    if (challenge) {
+      logger.info(`Password reset completed for user: ${user.email}, two-factor still required`);
+      return res.status(200).json(challenge);
+    }
+    
+    // Send token
+    await createSendToken(user, 200, req, res);
+    
+    logger.info(`Password reset completed for user: ${user.email}`);
+  } catch (error) {
+    logger.error(`Error in resetPassword controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout user and revoke the current session
+ * @route   POST /api/auth/logout
+ * @access  Public (uses access token or refresh token if provided)
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    // Prefer the session of the access token, fall back to the refresh token
+    let session = req.authSession;
+    if (!session && req.body && req.body.refreshToken) {
+      session = await sessionManager.findSessionByToken(req.body.refreshToken);
+    }
+    
+    if (session) {
+      await sessionManager.revokeSession(session, 'logout', req.user ? req.user.id : undefined);
+      logger.info(`Session ${session._id} logged out for user ${session.user}`);
+    }
+    
+    // Clear JWT cookie if it exists
+    res.cookie('jwt', 'loggedout', {
+      expires: new Date(Date.now() + 10 * 1000),
+      httpOnly: true
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error(`Error in logout controller: ${error.message}`);
+    next(error);
+  }
 };
 
 /**
@@ -395,12 +672,7 @@ exports.createSubAdmin = async (req, res, next) => {
     }
 
     // Validate permissions
-    const validPermissions = [
-      'dashboard', 'staff', 'marketing', 'orders', 'damage', 
-      'tasks', 'distributors', 'godown', 'sales', 'reports'
-    ];
-    
-    if (permissions && !permissions.every(perm => validPermissions.includes(perm))) {
+    if (permissions && !permissions.every(perm => PERMISSION_KEYS.includes(perm))) {
       return res.status(400).json({
         success: false,
         error: 'Invalid permission(s) specified'
@@ -434,6 +706,19 @@ exports.createSubAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the catalogue of permissions that can be granted to sub-admins
+ * @route   GET /api/auth/permissions
+ * @access  Private
+ */
+exports.getPermissions = (req, res) => {
+  res.status(200).json({
+    success: true,
+    count: PERMISSIONS.length,
+    data: PERMISSIONS
+  });
+};
+
 /**
  * @desc    Get all sub-admins
  * @route   GET /api/auth/sub-admins
@@ -506,12 +791,7 @@ exports.updateSubAdmin = async (req, res, next) => {
     const { name, email, permissions } = req.body;
 
     // Validate permissions
-    const validPermissions = [
-      'dashboard', 'staff', 'marketing', 'orders', 'damage', 
-      'tasks', 'distributors', 'godown', 'sales', 'reports'
-    ];
-    
-    if (permissions && !permissions.every(perm => validPermissions.includes(perm))) {
+    if (permissions && !permissions.every(perm => PERMISSION_KEYS.includes(perm))) {
       return res.status(400).json({
         success: false,
         error: 'Invalid permission(s) specified'
@@ -602,44 +882,69 @@ exports.deleteSubAdmin = async (req, res, next) => {
 };
 
 /**
- * @desc    Refresh JWT token
+ * @desc    Exchange a refresh token for a new JWT and refresh token
  * @route   POST /api/auth/refresh-token
- * @access  Private
+ * @access  Public (requires a valid refresh token)
  */
 exports.refreshToken = async (req, res, next) => {
   try {
-    // Token validation is already done in protect middleware
-    // So if we reach here, the token was valid (but might be close to expiry)
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a refresh token',
+        code: 'NO_REFRESH_TOKEN'
+      });
+    }
+    
+    // Rotate the refresh token; a null result means it is unknown, expired, revoked or reused
+    const rotated = await sessionManager.rotateSession(refreshToken, req);
+    
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has expired or been revoked. Please log in again.',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+    
+    const { session } = rotated;
     
     // Get user from db to ensure it still exists and is active
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(session.user).select('+passwordChangedAt');
     
     if (!user) {
+      await sessionManager.revokeSession(session, 'admin');
       return res.status(401).json({
         success: false,
-        error: 'User not found'
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
       });
     }
     
-    // Generate a new token
-    const token = generateToken(user);
-    
-    // Set token as HTTP-Only secure cookie in production
-    if (config.nodeEnv === 'production') {
-      const cookieOptions = {
-        expires: new Date(Date.now() + config.jwtExpiration * 1000),
-        httpOnly: true,
-        secure: true,
-        sameSite: 'strict'
-      };
-      
-      res.cookie('jwt', token, cookieOptions);
+    // Sessions opened before a password change are no longer valid
+    if (user.passwordChangedAt && session.createdAt < user.passwordChangedAt) {
+      await sessionManager.revokeSession(session, 'password-changed');
+      return res.status(401).json({
+        success: false,
+        error: 'User recently changed password. Please log in again.',
+        code: 'PASSWORD_CHANGED'
+      });
     }
     
+    // Generate a new token
+    const token = generateToken(user, session._id);
+    
+    setTokenCookie(res, token);
+    
     res.status(200).json({
       success: true,
       message: 'Token refreshed successfully',
-      token
+      token,
+      refreshToken: rotated.refreshToken,
+      refreshTokenExpiresAt: session.expiresAt,
+      sessionId: session._id
     });
   } catch (error) {
     logger.error(`Error in refreshToken controller: ${error.message}`);
@@ -647,6 +952,693 @@ exports.refreshToken = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get active sessions (devices) of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getMySessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionManager.getActiveSessions(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => formatSession(session, req.authSession))
+    });
+  } catch (error) {
+    logger.error(`Error in getMySessions controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private
+ */
+exports.revokeMySession = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.user.id
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    await sessionManager.revokeSession(session, 'user', req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+    
+    logger.info(`User ${req.user.id} revoked session ${session._id}`);
+  } catch (error) {
+    logger.error(`Error in revokeMySession controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke all sessions of the current user
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ */
+exports.revokeAllMySessions = async (req, res, next) => {
+  try {
+    // ?keepCurrent=true signs out every other device only
+    const keepCurrent = req.query.keepCurrent === 'true' && req.authSession;
+    
+    const revokedCount = await sessionManager.revokeUserSessions(req.user.id, {
+      reason: 'user',
+      revokedBy: req.user.id,
+      exceptSessionId: keepCurrent ? req.authSession._id : undefined
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      revokedCount
+    });
+    
+    logger.info(`User ${req.user.id} revoked ${revokedCount} session(s)`);
+  } catch (error) {
+    logger.error(`Error in revokeAllMySessions controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get active sessions of a user
+ * @route   GET /api/auth/users/:userId/sessions
+ * @access  Private (Admin only)
+ */
+exports.getUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId).select('name email role');
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    const sessions = await sessionManager.getActiveSessions(user._id);
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      user,
+      data: sessions.map(session => formatSession(session, req.authSession))
+    });
+  } catch (error) {
+    logger.error(`Error in getUserSessions controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a single session of a user
+ * @route   DELETE /api/auth/users/:userId/sessions/:sessionId
+ * @access  Private (Admin only)
+ */
+exports.revokeUserSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      user: req.params.userId
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+    
+    await sessionManager.revokeSession(session, 'admin', req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+    
+    logger.info(`Admin ${req.user.id} revoked session ${session._id} of user ${req.params.userId}`);
+  } catch (error) {
+    logger.error(`Error in revokeUserSession controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke all sessions of a user
+ * @route   DELETE /api/auth/users/:userId/sessions
+ * @access  Private (Admin only)
+ */
+exports.revokeAllUserSessions = async (req, res, next) => {
+  try {
+    const revokedCount = await sessionManager.revokeUserSessions(req.params.userId, {
+      reason: 'admin',
+      revokedBy: req.user.id
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      revokedCount
+    });
+    
+    logger.info(`Admin ${req.user.id} revoked ${revokedCount} session(s) of user ${req.params.userId}`);
+  } catch (error) {
+    logger.error(`Error in revokeAllUserSessions controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get two-factor authentication status of the current user
+ * @route   GET /api/auth/2fa/status
+ * @access  Private
+ */
+exports.getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactorRecoveryCodes');
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        required: await isTwoFactorMandatory(user),
+        recoveryCodesRemaining: (user.twoFactorRecoveryCodes || []).length
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getTwoFactorStatus controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start two-factor enrolment by generating a secret
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (Admin/Sub Admin, or setup pre-auth token)
+ */
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user.isTwoFactorRole()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is only available for Admin and Sub Admin accounts'
+      });
+    }
+    
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    // Keep the secret pending until the user proves their app generates valid codes
+    const secret = totp.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpAuthUri(secret, user.email, config.twoFactor.issuer)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in setupTwoFactor controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm enrolment with a code from the authenticator app
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (Admin/Sub Admin, or setup pre-auth token)
+ */
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorPendingSecret +twoFactorLastUsedStep');
+    
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup before enabling it'
+      });
+    }
+    
+    if (!user.verifyTwoFactorCode(req.body.code, user.twoFactorPendingSecret)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+    
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = Date.now();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    
+    logger.info(`Two-factor authentication enabled for ${user.email}`);
+    
+    // Enrolment during a mandatory-setup login completes the login
+    if (req.preAuth) {
+      await user.resetLoginAttempts();
+      await createSendToken(user, 200, req, res, { recoveryCodes });
+      return recordLoginEvent(req, { user, outcome: 'success', method: 'two-factor' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they will not be shown again.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logger.error(`Error in enableTwoFactor controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete a login with a two-factor code or recovery code
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public (requires the pre-auth token returned by login)
+ */
+exports.verifyTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { preAuthToken, code, recoveryCode } = req.body;
+    
+    const decoded = await verifyPreAuthToken(preAuthToken, PURPOSES.VERIFY);
+    const user = decoded && await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep +accountLocked +lockUntil +loginAttempts');
+    
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Your login has expired. Please log in again.',
+        code: 'INVALID_PREAUTH_TOKEN'
+      });
+    }
+    
+    const method = recoveryCode ? 'recovery-code' : 'two-factor';
+    
+    // Check if account is locked
+    if (user.accountLocked && user.lockUntil > Date.now()) {
+      await recordLoginEvent(req, { user, outcome: 'failure', reason: 'account-locked', method });
+      
+      const remainingTimeMinutes = Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
+      return res.status(401).json({
+        success: false,
+        error: `Account is temporarily locked. Please try again in ${remainingTimeMinutes} minutes.`
+      });
+    }
+    
+    const isValid = recoveryCode
+      ? user.useRecoveryCode(recoveryCode)
+      : user.verifyTwoFactorCode(code);
+    
+    if (!isValid) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      await user.handleFailedLogin();
+      await recordLoginEvent(req, { user, outcome: 'failure', reason: 'invalid-two-factor-code', method });
+      
+      logger.warn(`Failed two-factor attempt for user: ${user.email}`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+    
+    // Saves the consumed recovery code / last used step as well
+    await user.resetLoginAttempts();
+    
+    const extra = {};
+    if (recoveryCode) {
+      extra.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length;
+      logger.warn(`User ${user.email} logged in with a recovery code (${extra.recoveryCodesRemaining} left)`);
+    }
+    
+    await createSendToken(user, 200, req, res, extra);
+    await recordLoginEvent(req, { user, outcome: 'success', method });
+    
+    logger.info(`User logged in: ${user.email} with role ${user.role} (two-factor)`);
+  } catch (error) {
+    logger.error(`Error in verifyTwoFactor controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disable two-factor authentication for the current user
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorLastUsedStep');
+    
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (await isTwoFactorMandatory(user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is mandatory for your role and cannot be disabled'
+      });
+    }
+    
+    if (!(await user.matchPassword(req.body.password)) || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password or verification code'
+      });
+    }
+    
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+    
+    logger.info(`Two-factor authentication disabled for ${user.email}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error(`Error in disableTwoFactor controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace the current user's recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorLastUsedStep');
+    
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code'
+      });
+    }
+    
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    
+    logger.info(`Recovery codes regenerated for ${user.email}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Previous recovery codes are no longer valid',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logger.error(`Error in regenerateRecoveryCodes controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get two-factor settings
+ * @route   GET /api/auth/2fa/settings
+ * @access  Private (Admin)
+ */
+exports.getTwoFactorSettings = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        requiredForAdmins: await Setting.getValue(TWO_FACTOR_REQUIRED_SETTING, false)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getTwoFactorSettings controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update two-factor settings
+ * @route   PUT /api/auth/2fa/settings
+ * @access  Private (Admin)
+ */
+exports.updateTwoFactorSettings = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const requiredForAdmins = req.body.requiredForAdmins === true || req.body.requiredForAdmins === 'true';
+    await Setting.setValue(TWO_FACTOR_REQUIRED_SETTING, requiredForAdmins, req.user.id);
+    
+    logger.info(`Admin ${req.user.id} set two-factor requirement for admins to ${requiredForAdmins}`);
+    
+    res.status(200).json({
+      success: true,
+      data: { requiredForAdmins }
+    });
+  } catch (error) {
+    logger.error(`Error in updateTwoFactorSettings controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset two-factor authentication of a user (e.g. lost device and recovery codes)
+ * @route   DELETE /api/auth/users/:userId/2fa
+ * @access  Private (Admin)
+ */
+exports.resetUserTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = undefined;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+    
+    // Sessions opened with the old second factor should not outlive the reset
+    await sessionManager.revokeUserSessions(user._id, { reason: 'admin', revokedBy: req.user.id });
+    
+    logger.info(`Admin ${req.user.id} reset two-factor authentication of user ${user._id}`);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication has been reset. The user will need to set it up again.'
+    });
+  } catch (error) {
+    logger.error(`Error in resetUserTwoFactor controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the login history of all users, or of one user
+ * @route   GET /api/auth/login-history
+ * @access  Private (Admin only)
+ */
+exports.getLoginHistory = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { user, email, outcome, client, suspicious, fromDate, toDate, page = 1, limit = 20 } = req.query;
+    
+    const query = {};
+    
+    if (user) {
+      query.user = user;
+    }
+    
+    if (email) {
+      query.email = email.toLowerCase();
+    }
+    
+    if (outcome) {
+      query.outcome = outcome;
+    }
+    
+    if (client) {
+      query.client = client;
+    }
+    
+    if (suspicious !== undefined) {
+      query.suspicious = suspicious === 'true';
+    }
+    
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      
+      if (fromDate) {
+        const startDate = new Date(fromDate);
+        startDate.setHours(0, 0, 0, 0);
+        query.createdAt.$gte = startDate;
+      }
+      
+      if (toDate) {
+        const endDate = new Date(toDate);
+        endDate.setHours(23, 59, 59, 999);
+        query.createdAt.$lte = endDate;
+      }
+    }
+    
+    // Parse pagination parameters
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+    
+    const [totalCount, events] = await Promise.all([
+      LoginEvent.countDocuments(query),
+      LoginEvent.find(query)
+        .populate('user', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+    ]);
+    
+    // Prepare pagination info
+    const totalPages = Math.ceil(totalCount / limitNum);
+    
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      data: events,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        totalItems: totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getLoginHistory controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get all users for tasks assignment
  * @route   GET /api/auth/all-users
@@ -0,0 +1,538 @@
+const { validationResult } = require('express-validator');
+const BeatPlan = require('../models/BeatPlan');
+const Shop = require('../models/Shop');
+const User = require('../models/User');
+const RetailerShopActivity = require('../models/RetailerShopActivity');
+const { resolvePlans, buildAdherence } = require('../utils/beatPlan');
+const { toDateKey, listDays } = require('../utils/attendance');
+const { getDayOff } = require('../utils/leave');
+const { isInTeam, scopeQueryToTeam } = require('../utils/teamScope');
+const { hasCapability, getRoleNamesWith } = require('../utils/roleRegistry');
+const logger = require('../utils/logger');
+
+// Longest range GET /api/beat-plans/adherence covers in one request
+const MAX_RANGE_DAYS = 62;
+
+/**
+ * Midnight (server time) of a date
+ * @param {Date|String} date - Date
+ * @returns {Date}
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Check that a staff member can be given a beat plan by the current user
+ * @param {Object} user - Current user
+ * @param {String} staffId - Staff member's user ID
+ * @returns {Promise<Object|null>} - { status, error }, or null when allowed
+ */
+const checkPlanStaff = async (user, staffId) => {
+  const staff = await User.findById(staffId).select('role');
+
+  if (!staff) {
+    return { status: 404, error: 'Staff member not found' };
+  }
+
+  if (!hasCapability(staff, 'field-sales')) {
+    return { status: 400, error: 'Beat plans can only be given to field sales staff' };
+  }
+
+  // Managers plan for their own team; admins for anyone
+  if (!hasCapability(user, 'admin') && !(await isInTeam(user._id, staff._id))) {
+    return { status: 403, error: 'You can only plan beats for staff in your team' };
+  }
+
+  return null;
+};
+
+/**
+ * Check the shops of a plan
+ * @param {Array} shops - Shop IDs in visiting order
+ * @returns {Promise<String|null>} - Error message, or null when valid
+ */
+const validateShops = async (shops) => {
+  const uniqueIds = new Set(shops.map(String));
+  if (uniqueIds.size !== shops.length) {
+    return 'A shop can only appear once in a beat plan';
+  }
+
+  const count = await Shop.countDocuments({ _id: { $in: shops }, isActive: true });
+  if (count !== uniqueIds.size) {
+    return 'One or more shops were not found';
+  }
+
+  return null;
+};
+
+/**
+ * Find a weekly plan of the same staff member and weekday whose period overlaps
+ * @param {Object} plan - { staff, dayOfWeek, effectiveFrom, effectiveTo }
+ * @param {String} excludeId - Plan being updated (if any)
+ * @returns {Promise<Object|null>} - Overlapping plan
+ */
+const findOverlappingWeeklyPlan = ({ staff, dayOfWeek, effectiveFrom, effectiveTo }, excludeId) => BeatPlan.findOne({
+  _id: { $ne: excludeId },
+  staff,
+  type: 'Weekly',
+  dayOfWeek,
+  $and: [
+    effectiveTo ? { $or: [{ effectiveFrom: null }, { effectiveFrom: { $lte: effectiveTo } }] } : {},
+    effectiveFrom ? { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: effectiveFrom } }] } : {}
+  ]
+});
+
+/**
+ * @desc    Create a beat plan
+ * @route   POST /api/beat-plans
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.createBeatPlan = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { staff, name, type, date, dayOfWeek, effectiveFrom, effectiveTo, shops, notes } = req.body;
+
+    const staffError = await checkPlanStaff(req.user, staff);
+    if (staffError) {
+      return res.status(staffError.status).json({
+        success: false,
+        error: staffError.error
+      });
+    }
+
+    const shopError = await validateShops(shops);
+    if (shopError) {
+      return res.status(400).json({
+        success: false,
+        error: shopError
+      });
+    }
+
+    const planData = {
+      staff,
+      name,
+      type,
+      shops,
+      notes,
+      createdBy: req.user.id
+    };
+
+    if (type === 'Dated') {
+      planData.date = startOfDay(date);
+
+      const existing = await BeatPlan.findOne({ staff, type: 'Dated', date: planData.date });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          error: 'This staff member already has a beat plan for that date'
+        });
+      }
+    } else {
+      planData.dayOfWeek = dayOfWeek;
+      planData.effectiveFrom = effectiveFrom ? startOfDay(effectiveFrom) : startOfDay(new Date());
+      planData.effectiveTo = effectiveTo ? startOfDay(effectiveTo) : undefined;
+
+      if (await findOverlappingWeeklyPlan(planData)) {
+        return res.status(400).json({
+          success: false,
+          error: 'This staff member already has a weekly beat plan for that day in the same period'
+        });
+      }
+    }
+
+    const beatPlan = await BeatPlan.create(planData);
+
+    res.status(201).json({
+      success: true,
+      data: beatPlan
+    });
+
+    logger.info(`User ${req.user.id} created beat plan ${beatPlan._id} for staff ${staff}`);
+  } catch (error) {
+    logger.error(`Error in createBeatPlan controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get beat plans
+ * @route   GET /api/beat-plans
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getBeatPlans = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { staffId, type, date, dayOfWeek, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+
+    if (staffId) {
+      query.staff = staffId;
+    }
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (date) {
+      query.date = startOfDay(date);
+    }
+
+    if (dayOfWeek !== undefined) {
+      query.dayOfWeek = parseInt(dayOfWeek, 10);
+    }
+
+    // Managers can limit the list to plans of their team with ?team=true
+    await scopeQueryToTeam(req, query, 'staff');
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const totalCount = await BeatPlan.countDocuments(query);
+
+    const beatPlans = await BeatPlan.find(query)
+      .populate('staff', 'name email')
+      .populate('shops', 'name address type')
+      .sort({ type: 1, date: -1, dayOfWeek: 1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      data: beatPlans,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        totalItems: totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getBeatPlans controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single beat plan
+ * @route   GET /api/beat-plans/:id
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getBeatPlan = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const beatPlan = await BeatPlan.findById(req.params.id)
+      .populate('staff', 'name email')
+      .populate('shops', 'name ownerName address type distributorId location')
+      .populate('createdBy', 'name');
+
+    if (!beatPlan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Beat plan not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: beatPlan
+    });
+  } catch (error) {
+    logger.error(`Error in getBeatPlan controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a beat plan (its staff member and type cannot change)
+ * @route   PUT /api/beat-plans/:id
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.updateBeatPlan = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const beatPlan = await BeatPlan.findById(req.params.id);
+
+    if (!beatPlan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Beat plan not found'
+      });
+    }
+
+    const staffError = await checkPlanStaff(req.user, beatPlan.staff);
+    if (staffError) {
+      return res.status(staffError.status).json({
+        success: false,
+        error: staffError.error
+      });
+    }
+
+    const { name, date, dayOfWeek, effectiveFrom, effectiveTo, shops, notes } = req.body;
+
+    if (shops) {
+      const shopError = await validateShops(shops);
+      if (shopError) {
+        return res.status(400).json({
+          success: false,
+          error: shopError
+        });
+      }
+      beatPlan.shops = shops;
+    }
+
+    if (name !== undefined) beatPlan.name = name;
+    if (notes !== undefined) beatPlan.notes = notes;
+
+    if (beatPlan.type === 'Dated' && date) {
+      beatPlan.date = startOfDay(date);
+
+      const existing = await BeatPlan.findOne({
+        _id: { $ne: beatPlan._id },
+        staff: beatPlan.staff,
+        type: 'Dated',
+        date: beatPlan.date
+      });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          error: 'This staff member already has a beat plan for that date'
+        });
+      }
+    }
+
+    if (beatPlan.type === 'Weekly') {
+      if (dayOfWeek !== undefined) beatPlan.dayOfWeek = dayOfWeek;
+      if (effectiveFrom) beatPlan.effectiveFrom = startOfDay(effectiveFrom);
+      // null clears the end of the period
+      if (effectiveTo !== undefined) beatPlan.effectiveTo = effectiveTo ? startOfDay(effectiveTo) : undefined;
+
+      if (await findOverlappingWeeklyPlan(beatPlan, beatPlan._id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'This staff member already has a weekly beat plan for that day in the same period'
+        });
+      }
+    }
+
+    const updatedPlan = await beatPlan.save();
+
+    res.status(200).json({
+      success: true,
+      data: updatedPlan
+    });
+
+    logger.info(`User ${req.user.id} updated beat plan ${updatedPlan._id}`);
+  } catch (error) {
+    logger.error(`Error in updateBeatPlan controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a beat plan
+ * @route   DELETE /api/beat-plans/:id
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.deleteBeatPlan = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const beatPlan = await BeatPlan.findById(req.params.id);
+
+    if (!beatPlan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Beat plan not found'
+      });
+    }
+
+    const staffError = await checkPlanStaff(req.user, beatPlan.staff);
+    if (staffError) {
+      return res.status(staffError.status).json({
+        success: false,
+        error: staffError.error
+      });
+    }
+
+    await beatPlan.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Beat plan deleted successfully'
+    });
+
+    logger.info(`User ${req.user.id} deleted beat plan ${beatPlan._id}`);
+  } catch (error) {
+    logger.error(`Error in deleteBeatPlan controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Compare planned shops with actual shop visits
+ * @route   GET /api/beat-plans/adherence
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getAdherence = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Defaults to the last 7 days
+    const to = req.query.toDate ? new Date(req.query.toDate) : new Date();
+    const from = req.query.fromDate ? new Date(req.query.fromDate) : new Date(to.getTime() - 6 * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'fromDate must be on or before toDate'
+      });
+    }
+
+    if (listDays(from, to).length > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `The date range cannot be longer than ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const staffQuery = { role: { $in: getRoleNamesWith('field-sales') } };
+    if (req.query.staffId) {
+      staffQuery._id = req.query.staffId;
+    }
+    await scopeQueryToTeam(req, staffQuery, '_id');
+
+    const staff = await User.find(staffQuery)
+      .setOptions({ includeInactive: !!req.query.staffId })
+      .select('name email')
+      .sort({ name: 1 })
+      .lean();
+
+    const adherence = await buildAdherence(staff, from, to);
+
+    res.status(200).json({
+      success: true,
+      count: adherence.length,
+      data: adherence
+    });
+  } catch (error) {
+    logger.error(`Error in getAdherence controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get today's beat plan of the logged in staff member with visit progress
+ * @route   GET /api/mobile/beat-plans/today
+ * @access  Private (Marketing Staff)
+ */
+exports.getMyTodayPlan = async (req, res, next) => {
+  try {
+    const today = new Date();
+    const plans = await resolvePlans([req.user._id], today, today);
+    const plan = plans.get(req.user._id.toString()).get(toDateKey(today));
+
+    if (!plan) {
+      const dayOff = await getDayOff(req.user._id, today);
+      let message = 'No beat plan for today';
+      if (dayOff && dayOff.reason === 'holiday') message = `Today is a holiday (${dayOff.holiday.name})`;
+      else if (dayOff) message = 'You are on leave today';
+
+      return res.status(200).json({
+        success: true,
+        data: null,
+        message
+      });
+    }
+
+    const visits = await RetailerShopActivity.find({
+      marketingStaffId: req.user._id,
+      punchInTime: { $gte: startOfDay(today) }
+    }).select('shopId isPunchedIn');
+    const visitByShop = new Map(visits.map(visit => [visit.shopId.toString(), visit]));
+
+    const shops = plan.shops.map((shop, index) => {
+      const visit = visitByShop.get(shop._id.toString());
+      return {
+        order: index + 1,
+        ...shop,
+        visited: !!visit,
+        activityId: visit ? visit._id : null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: plan._id,
+        name: plan.name,
+        type: plan.type,
+        notes: plan.notes,
+        date: toDateKey(today),
+        shops,
+        progress: {
+          planned: shops.length,
+          visited: shops.filter(shop => shop.visited).length
+        }
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getMyTodayPlan controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,223 @@
+const { validationResult } = require('express-validator');
+const { buildCompetitorInsights } = require('../utils/competitorInsights');
+const { getTerritoryDistributorIds, scopeQuery } = require('../utils/territoryScope');
+const { generateWorkbook } = require('../utils/excelGenerator');
+const { toDateKey } = require('../utils/attendance');
+const logger = require('../utils/logger');
+
+// Period covered when no dates are given
+const DEFAULT_PERIOD_DAYS = 90;
+
+/**
+ * Build the competitor report for the filters of a request
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} - { period, interval, ...report } or { status, error }
+ */
+const getInsightsForRequest = async (req) => {
+  const to = req.query.toDate ? new Date(req.query.toDate) : new Date();
+  to.setHours(23, 59, 59, 999);
+  const from = req.query.fromDate ? new Date(req.query.fromDate) : new Date(to);
+  if (!req.query.fromDate) from.setDate(from.getDate() - DEFAULT_PERIOD_DAYS + 1);
+  from.setHours(0, 0, 0, 0);
+
+  if (to < from) {
+    return { status: 400, error: 'To date cannot be before from date' };
+  }
+
+  const interval = req.query.interval || 'week';
+  const query = {};
+
+  if (req.query.distributorId) {
+    query.distributorId = req.query.distributorId;
+  }
+
+  // A region covers the distributors of all its areas
+  if (req.query.territoryId) {
+    const distributorIds = await getTerritoryDistributorIds([req.query.territoryId]);
+    query.$and = [{ distributorId: { $in: distributorIds } }];
+  }
+
+  // Managers only see visits to distributors in their territories
+  await scopeQuery(req, query);
+
+  const report = await buildCompetitorInsights(query, {
+    from,
+    to,
+    interval,
+    distributorId: req.query.distributorId
+  });
+
+  return {
+    period: { from, to },
+    interval,
+    ...report
+  };
+};
+
+/**
+ * @desc    Get competitor intelligence from the alternate providers found on shop visits
+ * @route   GET /api/analytics/competitors
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getCompetitorInsights = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const insights = await getInsightsForRequest(req);
+    if (insights.error) {
+      return res.status(insights.status).json({
+        success: false,
+        error: insights.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: insights
+    });
+  } catch (error) {
+    logger.error(`Error in getCompetitorInsights controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Rows of a share table: one per competitor brand of each group, or one without a brand if none were found
+ * @param {Array} groups - Groups of the report (byArea or byDistributor)
+ * @param {Function} label - Name of a group
+ * @returns {Array}
+ */
+const shareRows = (groups, label) => {
+  const rows = [];
+  groups.forEach(group => {
+    const figures = {
+      name: label(group),
+      visits: group.visits,
+      shops: group.shops,
+      shopsWithCompetitors: group.shopsWithCompetitors,
+      presence: group.presence
+    };
+    if (group.brands.length === 0) {
+      rows.push({ ...figures, brandName: '', mentions: '', brandShops: '', share: '' });
+      return;
+    }
+    group.brands.forEach(brand => {
+      rows.push({ ...figures, brandName: brand.brandName, mentions: brand.mentions, brandShops: brand.shops, share: brand.share });
+    });
+  });
+  return rows;
+};
+
+/**
+ * @desc    Download the competitor intelligence report as an Excel workbook
+ * @route   GET /api/analytics/competitors/export
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.downloadCompetitorInsights = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const insights = await getInsightsForRequest(req);
+    if (insights.error) {
+      return res.status(insights.status).json({
+        success: false,
+        error: insights.error
+      });
+    }
+
+    const shareHeaders = name => [
+      name, 'Visits', 'Shops Visited', 'Shops with Competitors', 'Competitor Presence %',
+      'Competitor Brand', 'Mentions', 'Shops', 'Share %'
+    ];
+
+    const rateRows = [];
+    insights.rates.forEach(product => {
+      product.competitors.forEach(competitor => {
+        rateRows.push({
+          variant: product.variant,
+          size: product.size,
+          ourBrands: product.ourPrices.map(entry => `${entry.brandName} (${entry.price})`).join(', '),
+          ourAveragePrice: product.ourAveragePrice,
+          brandName: competitor.brandName,
+          entries: competitor.entries,
+          minRate: competitor.minRate,
+          avgRate: competitor.avgRate,
+          maxRate: competitor.maxRate,
+          difference: competitor.difference,
+          differencePercent: competitor.differencePercent
+        });
+      });
+    });
+
+    const wb = generateWorkbook([
+      {
+        sheetName: 'By Area',
+        headers: shareHeaders('Area'),
+        data: shareRows(insights.byArea, group => (group.area ? group.area.name : 'Unassigned'))
+      },
+      {
+        sheetName: 'By Distributor',
+        headers: shareHeaders('Distributor'),
+        data: shareRows(insights.byDistributor, group => group.distributor.name || group.distributor._id)
+      },
+      {
+        sheetName: 'Rate Comparison',
+        headers: [
+          'Variant', 'Size', 'Our Prices', 'Our Average Price', 'Competitor Brand', 'Entries',
+          'Min Rate', 'Average Rate', 'Max Rate', 'Difference', 'Difference %'
+        ],
+        data: rateRows
+      },
+      {
+        sheetName: 'Trend',
+        headers: ['Period Starting', 'Visits', 'Visits with Competitors', 'Competitor Presence %', 'Mentions', 'Brands'],
+        data: insights.trend.map(bucket => ({
+          period: bucket.period,
+          visits: bucket.visits,
+          visitsWithCompetitors: bucket.visitsWithCompetitors,
+          presence: bucket.presence,
+          mentions: bucket.mentions,
+          brands: bucket.brands.map(brand => `${brand.brandName} (${brand.mentions})`).join(', ')
+        }))
+      },
+      {
+        sheetName: 'Competitors Gaining',
+        headers: [
+          'Shop', 'Distributor', 'Earlier Visits', 'Earlier Presence %', 'Recent Visits', 'Recent Presence %',
+          'Presence Change', 'New Brands', 'Recent Brands'
+        ],
+        data: insights.gainingShops.map(row => ({
+          shop: row.shop.name || row.shop._id,
+          distributor: row.distributor.name || row.distributor._id,
+          earlierVisits: row.earlier.visits,
+          earlierPresence: row.earlier.presence,
+          recentVisits: row.recent.visits,
+          recentPresence: row.recent.presence,
+          presenceChange: row.presenceChange,
+          newBrands: row.newBrands.join(', '),
+          recentBrands: row.recent.brands.join(', ')
+        }))
+      }
+    ]);
+
+    const filename = `Competitor_Intelligence_${toDateKey(insights.period.from)}_${toDateKey(insights.period.to)}.xlsx`;
+    wb.write(filename, res);
+  } catch (error) {
+    logger.error(`Error in downloadCompetitorInsights controller: ${error.message}`);
+    next(error);
+  }
+};
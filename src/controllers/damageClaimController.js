@@ -2,6 +2,8 @@ const { validationResult } = require('express-validator');
 const DamageClaim = require('../models/DamageClaim');
 const Distributor = require('../models/Distributor');
 const StaffActivity = require('../models/StaffActivity');
+const { scopeQuery, canAccessDistributor } = require('../utils/territoryScope');
+const { hasCapability } = require('../utils/roleRegistry');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
@@ -111,10 +113,13 @@ exports.getAllDamageClaims = async (req, res, next) => {
     }
     
     // For non-admin users, restrict to only the claims they created
-    if (req.user.role !== 'Administrator' && req.user.role !== 'Admin' && req.user.role !== 'Mid-Level Manager') {
+    if (!hasCapability(req.user, 'admin', 'team-management')) {
       query.createdBy = req.user.id;
     }
 
+    // Managers only see claims of distributors in their territories
+    await scopeQuery(req, query);
+
     // Get all damage claims with populated fields
     const damageClaims = await DamageClaim.find(query)
       .populate('distributorId', 'name contact address')
@@ -153,8 +158,8 @@ exports.getDamageClaim = async (req, res, next) => {
     }
 
     // Check if user is allowed to view this claim
-    const isAdmin = req.user.role === 'Administrator' || req.user.role === 'Admin';
-    const isMLM = req.user.role === 'Mid-Level Manager';
+    const isAdmin = hasCapability(req.user, 'admin');
+    const isMLM = hasCapability(req.user, 'team-management');
     const isCreator = damageClaim.createdBy._id.toString() === req.user.id;
     
     if (!isAdmin && !isMLM && !isCreator) {
@@ -164,6 +169,14 @@ exports.getDamageClaim = async (req, res, next) => {
       });
     }
 
+    // Managers can only view claims of distributors in their territories
+    if (!isCreator && !(await canAccessDistributor(req, damageClaim.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this damage claim'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: damageClaim
@@ -211,7 +224,15 @@ exports.updateDamageClaimStatus = async (req, res, next) => {
     }
     
     // Check if user is authorized to update status
-    if (req.user.role !== 'Administrator' && req.user.role !== 'Admin' && req.user.role !== 'Mid-Level Manager') {
+    if (!hasCapability(req.user, 'admin', 'team-management')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update damage claim status'
+      });
+    }
+    
+    // Managers can only process claims of distributors in their territories
+    if (!(await canAccessDistributor(req, damageClaim.distributorId))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update damage claim status'
@@ -384,6 +405,14 @@ exports.addMLMComment = async (req, res, next) => {
       });
     }
     
+    // Managers can only comment on claims of distributors in their territories
+    if (!(await canAccessDistributor(req, damageClaim.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to comment on this damage claim'
+      });
+    }
+    
     // Check if claim is in the correct state
     if (damageClaim.status !== 'Pending' && damageClaim.status !== 'Commented') {
       return res.status(400).json({
@@ -544,7 +573,7 @@ exports.getDamageClaimByTracking = async (req, res, next) => {
     const { trackingId } = req.params;
     
     // Verify user is Godown Incharge or Admin
-    if (req.user.role !== 'Godown Incharge' && req.user.role !== 'Administrator' && req.user.role !== 'Admin') {
+    if (!hasCapability(req.user, 'admin', 'dispatch')) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to access tracking information'
@@ -565,7 +594,7 @@ exports.getDamageClaimByTracking = async (req, res, next) => {
     }
     
     // If user is not admin, check if the claim is approved or partially approved
-    if (req.user.role === 'Godown Incharge' && 
+    if (hasCapability(req.user, 'dispatch') && 
         damageClaim.status !== 'Approved' && damageClaim.status !== 'Partially Approved') {
       return res.status(400).json({
         success: false,
@@ -601,7 +630,7 @@ exports.deleteDamageClaim = async (req, res, next) => {
     }
     
     // Check if user is authorized to delete (Admin only)
-    if (req.user.role !== 'Administrator' && req.user.role !== 'Admin') {
+    if (!hasCapability(req.user, 'admin')) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete damage claims'
@@ -642,7 +671,7 @@ exports.deleteDamageClaim = async (req, res, next) => {
 exports.getGodownAllDamageClaims = async (req, res, next) => {
   try {
     // Verify user is Godown Incharge
-    if (req.user.role !== 'Godown Incharge' && req.user.role !== 'Administrator' && req.user.role !== 'Admin') {
+    if (!hasCapability(req.user, 'admin', 'dispatch')) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to access this resource'
@@ -702,7 +731,7 @@ exports.getGodownAllDamageClaims = async (req, res, next) => {
 exports.getGodownApprovedClaims = async (req, res, next) => {
   try {
     // Verify user is Godown Incharge
-    if (req.user.role !== 'Godown Incharge' && req.user.role !== 'Administrator' && req.user.role !== 'Admin') {
+    if (!hasCapability(req.user, 'admin', 'dispatch')) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to access this resource'
@@ -740,7 +769,7 @@ exports.getGodownApprovedClaims = async (req, res, next) => {
 exports.getGodownDamageClaimById = async (req, res, next) => {
   try {
     // Verify user is Godown Incharge
-    if (req.user.role !== 'Godown Incharge' && req.user.role !== 'Administrator' && req.user.role !== 'Admin') {
+    if (!hasCapability(req.user, 'admin', 'dispatch')) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to access this resource'
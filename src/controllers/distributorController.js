@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const Distributor = require('../models/Distributor');
+const { toPoint, readCoordinates } = require('../utils/geofence');
 const logger = require('../utils/logger');
 
 /**
@@ -19,6 +20,7 @@ exports.createDistributor = async (req, res, next) => {
     }
 
     const { name, shopName, contact, address, phoneNumber } = req.body;
+    const coordinates = readCoordinates(req.body);
 
     // Create distributor
     const distributor = await Distributor.create({
@@ -27,6 +29,7 @@ exports.createDistributor = async (req, res, next) => {
       contact,
       address,
       phoneNumber,
+      location: coordinates ? toPoint(coordinates.latitude, coordinates.longitude) : undefined,
       retailShops: [],
       wholesaleShops: []
     });
@@ -243,9 +246,16 @@ exports.updateDistributor = async (req, res, next) => {
       });
     }
 
+    const update = { name, shopName, contact, address, phoneNumber };
+
+    const coordinates = readCoordinates(req.body);
+    if (coordinates) {
+      update.location = toPoint(coordinates.latitude, coordinates.longitude);
+    }
+
     distributor = await Distributor.findByIdAndUpdate(
       req.params.id,
-      { name, shopName, contact, address, phoneNumber },
+      update,
       { new: true, runValidators: true }
     );
 
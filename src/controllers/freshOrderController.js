@@ -2,6 +2,9 @@ const RetailerShopActivity = require('../models/RetailerShopActivity');
 const mongoose = require('mongoose');
 const Shop = require('../models/Shop');
 const Distributor = require('../models/Distributor');
+const { getActionTime } = require('../utils/actionTime');
+const { priceItems } = require('../utils/pricing');
+const { sameSalesOrders } = require('../utils/consolidation');
 
 /**
  * @desc    Create fresh sales orders for a shop by a marketing staff
@@ -26,18 +29,25 @@ exports.createFreshOrder = async (req, res, next) => {
       return res.status(401).json({ success: false, error: 'Unauthorized: No staff user found' });
     }
 
-    // Prepare sales order objects
-    const salesOrders = orders.map(order => ({
+    // Orders replayed by the sync endpoint keep the time they were taken offline
+    const orderTime = getActionTime(req);
+
+    // The shop type picks the channel price
+    const shop = await Shop.findById(shopId).select('name type');
+
+    // Prepare sales order objects, priced as of the time the order was taken
+    const priced = await priceItems(orders.map(order => ({
       brandName: order.brandName,
       quantity: order.quantity,
       size: order.size,
       variant: order.variant,
-      createdAt: new Date(),
+      createdAt: orderTime,
       createdBy: staffId
-    }));
+    })), { distributorId, channel: shop && shop.type, date: orderTime });
+    const salesOrders = priced.items;
 
     // Find or create RetailerShopActivity for today, staff, distributor, shop
-    const today = new Date();
+    const today = new Date(orderTime);
     today.setHours(0, 0, 0, 0);
     const tomorrow = new Date(today);
     tomorrow.setDate(today.getDate() + 1);
@@ -46,7 +56,7 @@ exports.createFreshOrder = async (req, res, next) => {
       marketingStaffId: staffId,
       distributorId: distributorId,
       shopId: shopId,
-      createdAt: { $gte: today, $lt: tomorrow }
+      punchInTime: { $gte: today, $lt: tomorrow }
     });
 
     if (!activity) {
@@ -55,29 +65,43 @@ exports.createFreshOrder = async (req, res, next) => {
         distributorId: distributorId,
         shopId: shopId,
         salesOrders: salesOrders,
-        punchInTime: new Date(),
+        orderTotal: priced.totalAmount,
+        unpricedItems: priced.unpricedItems,
+        punchInTime: orderTime,
         isPunchedIn: true
       });
     } else {
+      // Sales orders already rolled up into a replenishment order can no longer change
+      if (activity.consolidatedOrder && !sameSalesOrders(activity.salesOrders, salesOrders)) {
+        return res.status(400).json({
+          success: false,
+          error: 'The sales orders of this visit have already been sent to the distributor and cannot be changed',
+          code: 'SALES_ORDERS_CONSOLIDATED'
+        });
+      }
       activity.salesOrders = salesOrders; // Only keep the new fresh orders
+      activity.orderTotal = priced.totalAmount;
+      activity.unpricedItems = priced.unpricedItems;
     }
 
     await activity.save();
 
-    // Fetch shop and distributor names
-    const shop = await Shop.findById(activity.shopId).select('name');
+    // Fetch distributor name
     const distributor = await Distributor.findById(activity.distributorId).select('name');
 
     // Respond with only the new sales order details, plus shopId, distributorId, marketingStaffId
     return res.status(201).json({
       success: true,
       data: {
+        activityId: activity._id,
         shopId: activity.shopId,
         shopName: shop ? shop.name : '',
         distributorId: activity.distributorId,
         distributorName: distributor ? distributor.name : '',
         marketingStaffId: activity.marketingStaffId,
-        salesOrders: activity.salesOrders
+        salesOrders: activity.salesOrders,
+        orderTotal: activity.orderTotal,
+        unpricedItems: activity.unpricedItems
       }
     });
   } catch (error) {
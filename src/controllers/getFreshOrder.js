@@ -40,7 +40,9 @@ module.exports = async (req, res, next) => {
         distributorId: activity.distributorId,
         distributorName: distributor ? distributor.name : '',
         marketingStaffId: activity.marketingStaffId,
-        salesOrders: activity.salesOrders
+        salesOrders: activity.salesOrders,
+        orderTotal: activity.orderTotal,
+        unpricedItems: activity.unpricedItems
       };
     }));
 
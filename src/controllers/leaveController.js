@@ -0,0 +1,844 @@
+const { validationResult } = require('express-validator');
+const Holiday = require('../models/Holiday');
+const LeaveBalance = require('../models/LeaveBalance');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveType = require('../models/LeaveType');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const {
+  getYearRange,
+  getHolidays,
+  countLeaveDays,
+  getBalances
+} = require('../utils/leave');
+const { isInTeam, scopeQueryToTeam } = require('../utils/teamScope');
+const { hasCapability } = require('../utils/roleRegistry');
+const logger = require('../utils/logger');
+
+/**
+ * Midnight (server time) of a date
+ * @param {Date|String} date - Date
+ * @returns {Date}
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Check that the current user can act on a staff member's leave: admins for anyone,
+ * managers for staff reporting to them (directly or indirectly)
+ * @param {Object} user - Current user
+ * @param {String} staffId - Staff member's user ID
+ * @returns {Promise<Boolean>}
+ */
+const canManageLeave = async (user, staffId) => hasCapability(user, 'admin') || isInTeam(user._id, staffId);
+
+/**
+ * @desc    Get leave types
+ * @route   GET /api/leaves/types
+ * @route   GET /api/mobile/leaves/types
+ * @access  Private
+ */
+exports.getLeaveTypes = async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Inactive types cannot be applied for, so they are only listed on request
+    if (String(req.query.includeInactive) !== 'true') {
+      query.isActive = true;
+    }
+
+    const leaveTypes = await LeaveType.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: leaveTypes.length,
+      data: leaveTypes
+    });
+  } catch (error) {
+    logger.error(`Error in getLeaveTypes controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a leave type
+ * @route   POST /api/leaves/types
+ * @access  Private (Admin)
+ */
+exports.createLeaveType = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, annualQuota, isPaid, allowHalfDay } = req.body;
+
+    // Names are compared ignoring case
+    const existing = await LeaveType.findOne({ name }).collation({ locale: 'en', strength: 2 });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'A leave type with this name already exists'
+      });
+    }
+
+    const leaveType = await LeaveType.create({
+      name,
+      description,
+      annualQuota: annualQuota === undefined ? null : annualQuota,
+      isPaid,
+      allowHalfDay,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: leaveType
+    });
+
+    logger.info(`Admin ${req.user.id} created leave type ${leaveType._id} (${leaveType.name})`);
+  } catch (error) {
+    logger.error(`Error in createLeaveType controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a leave type
+ * @route   PUT /api/leaves/types/:id
+ * @access  Private (Admin)
+ */
+exports.updateLeaveType = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const leaveType = await LeaveType.findById(req.params.id);
+
+    if (!leaveType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave type not found'
+      });
+    }
+
+    ['name', 'description', 'annualQuota', 'isPaid', 'allowHalfDay', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        leaveType[field] = req.body[field];
+      }
+    });
+
+    await leaveType.save();
+
+    res.status(200).json({
+      success: true,
+      data: leaveType
+    });
+
+    logger.info(`Admin ${req.user.id} updated leave type ${leaveType._id}`);
+  } catch (error) {
+    logger.error(`Error in updateLeaveType controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the holiday calendar of a year
+ * @route   GET /api/leaves/holidays
+ * @route   GET /api/mobile/leaves/holidays
+ * @access  Private
+ */
+exports.getHolidayList = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getFullYear();
+    const { from, to } = getYearRange(year);
+
+    const holidays = await Holiday.find({ date: { $gte: from, $lte: to } }).sort({ date: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: holidays.length,
+      data: holidays
+    });
+  } catch (error) {
+    logger.error(`Error in getHolidayList controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a holiday to the calendar
+ * @route   POST /api/leaves/holidays
+ * @access  Private (Admin)
+ */
+exports.createHoliday = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const date = startOfDay(req.body.date);
+
+    const existing = await Holiday.findOne({ date });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: `${existing.name} is already a holiday on that date`
+      });
+    }
+
+    const holiday = await Holiday.create({
+      date,
+      name: req.body.name,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: holiday
+    });
+
+    logger.info(`Admin ${req.user.id} added holiday ${holiday.name} on ${date.toDateString()}`);
+  } catch (error) {
+    logger.error(`Error in createHoliday controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a holiday from the calendar
+ * @route   DELETE /api/leaves/holidays/:id
+ * @access  Private (Admin)
+ */
+exports.deleteHoliday = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const holiday = await Holiday.findById(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        error: 'Holiday not found'
+      });
+    }
+
+    await holiday.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+
+    logger.info(`Admin ${req.user.id} removed holiday ${holiday.name} on ${holiday.date.toDateString()}`);
+  } catch (error) {
+    logger.error(`Error in deleteHoliday controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the logged in user's leave balances
+ * @route   GET /api/mobile/leaves/balances
+ * @access  Private
+ */
+exports.getMyBalances = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getFullYear();
+
+    res.status(200).json({
+      success: true,
+      year,
+      data: await getBalances(req.user._id, year)
+    });
+  } catch (error) {
+    logger.error(`Error in getMyBalances controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a staff member's leave balances
+ * @route   GET /api/leaves/balances/:staffId
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getStaffBalances = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const staff = await User.findById(req.params.staffId)
+      .setOptions({ includeInactive: true })
+      .select('name email role');
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found'
+      });
+    }
+
+    if (!(await canManageLeave(req.user, staff._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view leave balances of staff in your team'
+      });
+    }
+
+    const year = req.query.year ? parseInt(req.query.year, 10) : new Date().getFullYear();
+
+    res.status(200).json({
+      success: true,
+      staff,
+      year,
+      data: await getBalances(staff._id, year)
+    });
+  } catch (error) {
+    logger.error(`Error in getStaffBalances controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the days of a leave type allocated to a staff member for a year
+ * @route   PUT /api/leaves/balances/:staffId
+ * @access  Private (Admin)
+ */
+exports.setLeaveAllocation = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { leaveType: leaveTypeId, allocated } = req.body;
+    const year = req.body.year || new Date().getFullYear();
+
+    const [staff, leaveType] = await Promise.all([
+      User.findById(req.params.staffId).select('name'),
+      LeaveType.findById(leaveTypeId)
+    ]);
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found'
+      });
+    }
+
+    if (!leaveType) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave type not found'
+      });
+    }
+
+    let balance = await LeaveBalance.findOne({ staff: staff._id, leaveType: leaveType._id, year });
+    if (balance) {
+      balance.allocated = allocated;
+      balance.updatedBy = req.user.id;
+      await balance.save();
+    } else {
+      balance = await LeaveBalance.create({
+        staff: staff._id,
+        leaveType: leaveType._id,
+        year,
+        allocated,
+        updatedBy: req.user.id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      year,
+      data: await getBalances(staff._id, year)
+    });
+
+    logger.info(`Admin ${req.user.id} allocated ${allocated} day(s) of ${leaveType.name} to staff ${staff._id} for ${year}`);
+  } catch (error) {
+    logger.error(`Error in setLeaveAllocation controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Apply for leave
+ * @route   POST /api/mobile/leaves
+ * @access  Private
+ */
+exports.applyLeave = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { leaveType: leaveTypeId, reason } = req.body;
+    const fromDate = startOfDay(req.body.fromDate);
+    const toDate = startOfDay(req.body.toDate || req.body.fromDate);
+    const halfDay = !!req.body.halfDay;
+
+    if (fromDate > toDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'fromDate must be on or before toDate'
+      });
+    }
+
+    // Balances are per calendar year
+    if (fromDate.getFullYear() !== toDate.getFullYear()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Leave cannot span two calendar years; apply for each year separately'
+      });
+    }
+
+    const leaveType = await LeaveType.findById(leaveTypeId);
+    if (!leaveType || !leaveType.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Leave type not found'
+      });
+    }
+
+    if (halfDay && (!leaveType.allowHalfDay || fromDate.getTime() !== toDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: leaveType.allowHalfDay
+          ? 'Half-day leave can only be taken for a single day'
+          : `${leaveType.name} cannot be taken as half a day`
+      });
+    }
+
+    const overlapping = await LeaveRequest.findOne({
+      staff: req.user._id,
+      status: { $in: ['Pending', 'Approved'] },
+      fromDate: { $lte: toDate },
+      toDate: { $gte: fromDate }
+    });
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        error: `You already have ${overlapping.status.toLowerCase()} leave on some of these days`
+      });
+    }
+
+    const holidays = await getHolidays(fromDate, toDate);
+    const days = countLeaveDays(fromDate, toDate, halfDay, holidays);
+    if (days === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'These days are all holidays'
+      });
+    }
+
+    const balance = (await getBalances(req.user._id, fromDate.getFullYear()))
+      .find(item => item.leaveType._id.toString() === leaveType._id.toString());
+    if (balance.available !== null && days > balance.available) {
+      return res.status(400).json({
+        success: false,
+        error: `Not enough ${leaveType.name} left: ${balance.available} day(s) available, ${days} requested`,
+        code: 'INSUFFICIENT_BALANCE'
+      });
+    }
+
+    const leaveRequest = await LeaveRequest.create({
+      staff: req.user._id,
+      leaveType: leaveType._id,
+      fromDate,
+      toDate,
+      halfDay,
+      days,
+      reason,
+      approver: req.user.reportsTo || undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await leaveRequest.populate('leaveType', 'name isPaid')
+    });
+
+    logger.info(`User ${req.user.id} applied for ${days} day(s) of ${leaveType.name} from ${fromDate.toDateString()}`);
+  } catch (error) {
+    logger.error(`Error in applyLeave controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the logged in user's leave requests
+ * @route   GET /api/mobile/leaves
+ * @access  Private
+ */
+exports.getMyLeaves = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const query = { staff: req.user._id };
+
+    if (req.query.year) {
+      const { from, to } = getYearRange(parseInt(req.query.year, 10));
+      query.fromDate = { $gte: from, $lte: to };
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const leaveRequests = await LeaveRequest.find(query)
+      .populate('leaveType', 'name isPaid')
+      .populate('approver', 'name')
+      .populate('reviewedBy', 'name')
+      .sort({ fromDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: leaveRequests.length,
+      data: leaveRequests
+    });
+  } catch (error) {
+    logger.error(`Error in getMyLeaves controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a pending leave request, or approved leave that has not started
+ * @route   PATCH /api/mobile/leaves/:id/cancel
+ * @access  Private
+ */
+exports.cancelLeave = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const leaveRequest = await LeaveRequest.findOne({ _id: req.params.id, staff: req.user._id });
+
+    if (!leaveRequest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave request not found'
+      });
+    }
+
+    if (!['Pending', 'Approved'].includes(leaveRequest.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `This leave request has already been ${leaveRequest.status.toLowerCase()}`
+      });
+    }
+
+    if (leaveRequest.status === 'Approved' && leaveRequest.fromDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Approved leave cannot be cancelled once it has started'
+      });
+    }
+
+    leaveRequest.status = 'Cancelled';
+    leaveRequest.cancelledAt = new Date();
+    await leaveRequest.save();
+
+    res.status(200).json({
+      success: true,
+      data: leaveRequest
+    });
+
+    logger.info(`User ${req.user.id} cancelled leave request ${leaveRequest._id}`);
+  } catch (error) {
+    logger.error(`Error in cancelLeave controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get leave requests
+ * @route   GET /api/leaves
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getLeaveRequests = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { staffId, status, leaveType, fromDate, toDate, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+
+    if (staffId) {
+      query.staff = staffId;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (leaveType) {
+      query.leaveType = leaveType;
+    }
+
+    // Requests with leave on any day of the range
+    if (fromDate) {
+      query.toDate = { $gte: startOfDay(fromDate) };
+    }
+    if (toDate) {
+      const endDate = new Date(toDate);
+      endDate.setHours(23, 59, 59, 999);
+      query.fromDate = { $lte: endDate };
+    }
+
+    // Managers only see requests of their team; admins see all, or their team with ?team=true
+    await scopeQueryToTeam(req, query, 'staff', { always: !hasCapability(req.user, 'admin') });
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const totalCount = await LeaveRequest.countDocuments(query);
+
+    const leaveRequests = await LeaveRequest.find(query)
+      .populate('staff', 'name email role')
+      .populate('leaveType', 'name isPaid')
+      .populate('approver', 'name')
+      .populate('reviewedBy', 'name')
+      .sort({ fromDate: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      data: leaveRequests,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        totalItems: totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getLeaveRequests controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single leave request
+ * @route   GET /api/leaves/:id
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getLeaveRequest = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const leaveRequest = await LeaveRequest.findById(req.params.id)
+      .populate('staff', 'name email role')
+      .populate('leaveType', 'name isPaid')
+      .populate('approver', 'name')
+      .populate('reviewedBy', 'name');
+
+    if (!leaveRequest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave request not found'
+      });
+    }
+
+    if (!(await canManageLeave(req.user, leaveRequest.populated('staff') || leaveRequest.staff))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view leave of staff reporting to you'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: leaveRequest
+    });
+  } catch (error) {
+    logger.error(`Error in getLeaveRequest controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve or reject a leave request
+ * @route   PATCH /api/leaves/:id/review
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.reviewLeave = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const leaveRequest = await LeaveRequest.findById(req.params.id).populate('leaveType', 'name');
+
+    if (!leaveRequest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Leave request not found'
+      });
+    }
+
+    if (leaveRequest.staff.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot review your own leave request'
+      });
+    }
+
+    // Leave is approved up the reporting chain; admins can review any request
+    if (!(await canManageLeave(req.user, leaveRequest.staff))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only review leave of staff reporting to you'
+      });
+    }
+
+    if (leaveRequest.status !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        error: `This leave request has already been ${leaveRequest.status.toLowerCase()}`
+      });
+    }
+
+    const { status, comment } = req.body;
+
+    // The allocation may have changed since the request was made
+    if (status === 'Approved') {
+      const balance = (await getBalances(leaveRequest.staff, leaveRequest.fromDate.getFullYear()))
+        .find(item => item.leaveType._id.toString() === leaveRequest.leaveType._id.toString());
+      if (balance && balance.allocated !== null && balance.used + leaveRequest.days > balance.allocated) {
+        return res.status(400).json({
+          success: false,
+          error: `Not enough ${leaveRequest.leaveType.name} left: ${balance.allocated - balance.used} day(s) available, ${leaveRequest.days} requested`,
+          code: 'INSUFFICIENT_BALANCE'
+        });
+      }
+    }
+
+    leaveRequest.status = status;
+    leaveRequest.reviewComment = comment;
+    leaveRequest.reviewedBy = req.user._id;
+    leaveRequest.reviewedAt = new Date();
+
+    await leaveRequest.save();
+
+    // Open tasks due while the staff member is away may need a new deadline or assignee
+    let tasksDueDuringLeave = [];
+    if (status === 'Approved') {
+      const lastDay = new Date(leaveRequest.toDate);
+      lastDay.setHours(23, 59, 59, 999);
+      tasksDueDuringLeave = await Task.find({
+        assignedTo: leaveRequest.staff,
+        status: { $ne: 'Completed' },
+        deadline: { $gte: leaveRequest.fromDate, $lte: lastDay }
+      }).select('title status deadline');
+    }
+
+    res.status(200).json({
+      success: true,
+      data: leaveRequest,
+      tasksDueDuringLeave
+    });
+
+    logger.info(`User ${req.user.id} ${status.toLowerCase()} leave request ${leaveRequest._id}`);
+  } catch (error) {
+    logger.error(`Error in reviewLeave controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,268 @@
+const { validationResult } = require('express-validator');
+const config = require('../config/config');
+const LocationPing = require('../models/LocationPing');
+const MarketingStaffActivity = require('../models/MarketingStaffActivity');
+const User = require('../models/User');
+const { buildDayPath, toGeoJSON, toGPX } = require('../utils/locationTrack');
+const { isInTeam, scopeQueryToTeam } = require('../utils/teamScope');
+const { hasCapability, getRoleNamesWith } = require('../utils/roleRegistry');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Record location pings captured while punched in
+ * @route   POST /api/mobile/locations
+ * @access  Private (Marketing Staff)
+ */
+exports.recordPings = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const pings = req.body.pings.map(ping => ({ ...ping, capturedAt: new Date(ping.capturedAt) }));
+    const times = pings.map(ping => ping.capturedAt.getTime());
+
+    // Punch-ins open at some point between the first and last ping
+    const punchIns = await MarketingStaffActivity.find({
+      marketingStaffId: req.user._id,
+      meetingStartTime: { $lte: new Date(Math.max(...times)) },
+      $or: [{ meetingEndTime: null }, { meetingEndTime: { $gte: new Date(Math.min(...times)) } }]
+    })
+      .select('meetingStartTime meetingEndTime')
+      .lean();
+
+    const latestAllowed = Date.now() + config.sync.maxClockSkewMinutes * 60 * 1000;
+    const earliestAllowed = Date.now() - config.tracking.retentionDays * 24 * 60 * 60 * 1000;
+
+    const accepted = [];
+    const rejected = [];
+    pings.forEach((ping, index) => {
+      const time = ping.capturedAt.getTime();
+
+      if (time > latestAllowed) {
+        rejected.push({ index, error: 'Ping time is in the future' });
+        return;
+      }
+      if (time < earliestAllowed) {
+        rejected.push({ index, error: `Pings older than ${config.tracking.retentionDays} days are not kept` });
+        return;
+      }
+
+      // Pings are only kept during working hours
+      const punchIn = punchIns.find(activity => activity.meetingStartTime.getTime() <= time &&
+        (!activity.meetingEndTime || activity.meetingEndTime.getTime() >= time));
+      if (!punchIn) {
+        rejected.push({ index, error: 'Not punched in at this time' });
+        return;
+      }
+
+      accepted.push({
+        staff: req.user._id,
+        activity: punchIn._id,
+        latitude: ping.latitude,
+        longitude: ping.longitude,
+        accuracy: ping.accuracy,
+        speed: ping.speed,
+        batteryLevel: ping.batteryLevel,
+        capturedAt: ping.capturedAt
+      });
+    });
+
+    // Upsert on (staff, capturedAt) so that a batch sent again is not stored twice
+    let stored = 0;
+    if (accepted.length > 0) {
+      const result = await LocationPing.bulkWrite(accepted.map(ping => ({
+        updateOne: {
+          filter: { staff: ping.staff, capturedAt: ping.capturedAt },
+          update: { $setOnInsert: ping },
+          upsert: true
+        }
+      })), { ordered: false });
+      stored = result.upsertedCount;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        received: pings.length,
+        stored,
+        duplicate: accepted.length - stored,
+        rejected
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in recordPings controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the latest position of each field staff member
+ * @route   GET /api/locations/latest
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getLatestPositions = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const query = { role: { $in: getRoleNamesWith('field-sales') } };
+
+    if (req.query.staffId) {
+      query._id = req.query.staffId;
+    }
+
+    // Managers only see their own team; admins see everyone, or their team with ?team=true
+    await scopeQueryToTeam(req, query, '_id', { always: !hasCapability(req.user, 'admin') });
+
+    const staff = await User.find(query)
+      .select('name email phone')
+      .sort({ name: 1 })
+      .lean();
+    const staffIds = staff.map(member => member._id);
+
+    const [positions, openPunchIns] = await Promise.all([
+      LocationPing.aggregate([
+        { $match: { staff: { $in: staffIds } } },
+        { $sort: { staff: 1, capturedAt: -1 } },
+        {
+          $group: {
+            _id: '$staff',
+            latitude: { $first: '$latitude' },
+            longitude: { $first: '$longitude' },
+            accuracy: { $first: '$accuracy' },
+            speed: { $first: '$speed' },
+            batteryLevel: { $first: '$batteryLevel' },
+            capturedAt: { $first: '$capturedAt' }
+          }
+        }
+      ]),
+      MarketingStaffActivity.find({
+        marketingStaffId: { $in: staffIds },
+        status: 'Punched In'
+      })
+        .select('marketingStaffId retailShop distributor meetingStartTime')
+        .lean()
+    ]);
+
+    const positionByStaff = new Map(positions.map(position => [position._id.toString(), position]));
+    const punchInByStaff = new Map(openPunchIns.map(activity => [activity.marketingStaffId.toString(), activity]));
+
+    const data = staff.map(member => {
+      const position = positionByStaff.get(member._id.toString());
+      const punchIn = punchInByStaff.get(member._id.toString());
+      const minutesAgo = position ? Math.floor((Date.now() - position.capturedAt) / 60000) : null;
+
+      return {
+        staff: member,
+        position: position
+          ? {
+            latitude: position.latitude,
+            longitude: position.longitude,
+            accuracy: position.accuracy,
+            speed: position.speed,
+            batteryLevel: position.batteryLevel,
+            capturedAt: position.capturedAt,
+            minutesAgo,
+            stale: minutesAgo > config.tracking.staleMinutes
+          }
+          : null,
+        punchedIn: !!punchIn,
+        punchIn: punchIn
+          ? {
+            _id: punchIn._id,
+            retailShop: punchIn.retailShop,
+            distributor: punchIn.distributor,
+            meetingStartTime: punchIn.meetingStartTime
+          }
+          : null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    logger.error(`Error in getLatestPositions controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a staff member's path on a day as JSON, GeoJSON or GPX
+ * @route   GET /api/locations/:staffId/path
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getDayPath = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const staff = await User.findById(req.params.staffId)
+      .setOptions({ includeInactive: true })
+      .select('name email');
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found'
+      });
+    }
+
+    // Managers see the paths of their own team; admins of anyone
+    if (!hasCapability(req.user, 'admin') && !(await isInTeam(req.user._id, staff._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view the location of staff in your team'
+      });
+    }
+
+    const path = await buildDayPath(staff._id, req.query.date ? new Date(req.query.date) : new Date());
+    const format = req.query.format || 'json';
+    const filename = `Location_Path_${staff._id}_${path.date}`;
+
+    logger.info(`User ${req.user.id} viewed the ${path.date} path of staff ${staff._id} (${format})`);
+
+    if (format === 'geojson') {
+      res.setHeader('Content-Type', 'application/geo+json');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.geojson"`);
+      return res.status(200).send(JSON.stringify(toGeoJSON(path, staff)));
+    }
+
+    if (format === 'gpx') {
+      res.setHeader('Content-Type', 'application/gpx+xml');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.gpx"`);
+      return res.status(200).send(toGPX(path, staff));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        staff,
+        ...path
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getDayPath controller: ${error.message}`);
+    next(error);
+  }
+};
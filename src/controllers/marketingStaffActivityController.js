@@ -1,6 +1,13 @@
 const { validationResult } = require('express-validator');
 const MarketingStaffActivity = require('../models/MarketingStaffActivity');
+const Distributor = require('../models/Distributor');
 const User = require('../models/User');
+const { scopeQueryToTeam } = require('../utils/teamScope');
+const { hasCapability } = require('../utils/roleRegistry');
+const { evaluatePunchLocation, describeFlag } = require('../utils/geofence');
+const { closeAbandonedPunches } = require('../utils/punchAutoClose');
+const { getActionTime } = require('../utils/actionTime');
+const { decodeSelfie, computeHash, findSimilarSelfie } = require('../utils/selfieCheck');
 const logger = require('../utils/logger');
 const path = require('path');
 const fs = require('fs');
@@ -22,6 +29,12 @@ exports.punchIn = async (req, res, next) => {
       });
     }
 
+    // Punch-ins replayed by the sync endpoint keep the time they were made offline
+    const punchInTime = getActionTime(req);
+
+    // Close a punch-in left open from an earlier day instead of blocking the new one
+    await closeAbandonedPunches({ staffId: req.user.id });
+
     // Check if user already has an active punch-in
     const existingActivity = await MarketingStaffActivity.findOne({
       marketingStaffId: req.user.id,
@@ -39,6 +52,7 @@ exports.punchIn = async (req, res, next) => {
     const {
       retailShop,
       distributor,
+      distributorId,
       areaName,
       tripCompanion,
       modeOfTransport,
@@ -49,30 +63,58 @@ exports.punchIn = async (req, res, next) => {
       salesOrders
     } = req.body;
 
-    // Store the selfie image
-    let selfieImagePath = '';
-    if (selfieImage) {
-      // Extract base64 data
-      const base64Data = selfieImage.replace(/^data:image\/\w+;base64,/, '');
-      const buffer = Buffer.from(base64Data, 'base64');
-      
-      // Create uploads directory if it doesn't exist
-      const uploadsDir = path.join(__dirname, '../../uploads/selfies');
-      if (!fs.existsSync(uploadsDir)) {
-        fs.mkdirSync(uploadsDir, { recursive: true });
+    // The distributor's coordinates are the geofence for the punch-in
+    let distributorDoc = null;
+    if (distributorId) {
+      distributorDoc = await Distributor.findById(distributorId).select('location');
+      if (!distributorDoc) {
+        return res.status(404).json({
+          success: false,
+          error: 'Distributor not found'
+        });
       }
-      
-      // Create unique filename
-      const filename = `selfie_${req.user.id}_${Date.now()}.jpg`;
-      const filePath = path.join(uploadsDir, filename);
-      
-      // Write file
-      fs.writeFileSync(filePath, buffer);
-      
-      // Store relative path
-      selfieImagePath = `/uploads/selfies/${filename}`;
+    } else if (distributor) {
+      // Older app versions only send the distributor's name
+      distributorDoc = await Distributor.findOne({ name: String(distributor).trim() })
+        .collation({ locale: 'en', strength: 2 })
+        .select('location');
+    }
+
+    const punchLocation = evaluatePunchLocation(req.body, distributorDoc && distributorDoc.location, punchInTime);
+    if (punchLocation.error) {
+      return res.status(400).json({
+        success: false,
+        error: punchLocation.error,
+        code: punchLocation.code,
+        distanceMeters: punchLocation.location && punchLocation.location.distanceMeters
+      });
+    }
+
+    // The selfie must be a real JPEG or PNG image
+    const selfie = await decodeSelfie(selfieImage);
+    if (selfie.error) {
+      return res.status(400).json({
+        success: false,
+        error: selfie.error,
+        code: 'INVALID_SELFIE'
+      });
+    }
+
+    // Compare with the staff member's recent selfies to catch a photo that is submitted again
+    const selfieHash = await computeHash(selfie.buffer);
+    const selfieMatch = await findSimilarSelfie(req.user.id, selfieHash);
+
+    // Create uploads directory if it doesn't exist
+    const uploadsDir = path.join(__dirname, '../../uploads/selfies');
+    if (!fs.existsSync(uploadsDir)) {
+      fs.mkdirSync(uploadsDir, { recursive: true });
     }
 
+    // Store the selfie image
+    const filename = `selfie_${req.user.id}_${Date.now()}.${selfie.type === 'png' ? 'png' : 'jpg'}`;
+    fs.writeFileSync(path.join(uploadsDir, filename), selfie.buffer);
+    const selfieImagePath = `/uploads/selfies/${filename}`;
+
     // Create marketing staff activity
     const activityData = {
       marketingStaffId: req.user.id,
@@ -81,14 +123,36 @@ exports.punchIn = async (req, res, next) => {
       areaName,
       tripCompanion,
       modeOfTransport,
-      meetingStartTime: new Date(),
-      selfieImage: selfieImagePath || selfieImage,
+      meetingStartTime: punchInTime,
+      selfieImage: selfieImagePath,
+      selfieHash,
       shopTypes,
       shops: shops || [],
       status: 'Punched In',
       salesOrders: salesOrders || []
     };
 
+    if (distributorDoc) {
+      activityData.distributorId = distributorDoc._id;
+    }
+
+    if (punchLocation.location) {
+      activityData.punchInLocation = punchLocation.location;
+    }
+
+    if (punchLocation.flagged) {
+      activityData.geofenceFlagged = true;
+      activityData.geofenceUnverified = punchLocation.unverified;
+      activityData.geofenceReview = { status: 'Pending' };
+    }
+
+    if (selfieMatch) {
+      activityData.selfieFlagged = true;
+      activityData.selfieMatch = selfieMatch;
+      activityData.selfieReview = { status: 'Pending' };
+      logger.warn(`Selfie of staff ${req.user.id} is a near-duplicate of activity ${selfieMatch.activity} (distance ${selfieMatch.distance})`);
+    }
+
     // Process and clean up the brand supply estimates
     if (brandSupplyEstimates && brandSupplyEstimates.length > 0) {
       const processedBrandEstimates = brandSupplyEstimates.map(brand => {
@@ -146,6 +210,10 @@ exports.punchIn = async (req, res, next) => {
 
     const activity = await MarketingStaffActivity.create(activityData);
 
+    if (activity.geofenceFlagged) {
+      logger.warn(`Punch-in ${activity._id} by ${req.user.id} was ${describeFlag(punchLocation)} distributor ${distributorDoc ? distributorDoc._id : distributor}`);
+    }
+
     res.status(201).json({
       success: true,
       data: activity
@@ -167,6 +235,15 @@ exports.punchIn = async (req, res, next) => {
  */
 exports.punchOut = async (req, res, next) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { distributorId } = req.body;
 
     if (!distributorId) {
@@ -199,8 +276,46 @@ exports.punchOut = async (req, res, next) => {
       });
     }
 
+    const distributorDoc = await Distributor.findById(distributorId).select('location');
+    if (!distributorDoc) {
+      return res.status(404).json({
+        success: false,
+        error: 'Distributor not found'
+      });
+    }
+
+    const punchOutTime = getActionTime(req);
+    if (punchOutTime < activity.meetingStartTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'Punch-out time cannot be before the punch-in time'
+      });
+    }
+
+    const punchLocation = evaluatePunchLocation(req.body, distributorDoc.location, punchOutTime);
+    if (punchLocation.error) {
+      return res.status(400).json({
+        success: false,
+        error: punchLocation.error,
+        code: punchLocation.code,
+        distanceMeters: punchLocation.location && punchLocation.location.distanceMeters
+      });
+    }
+
+    if (punchLocation.location) {
+      activity.punchOutLocation = punchLocation.location;
+    }
+
+    // A flagged punch-in stays flagged; a punch-out outside the fence reopens the review
+    if (punchLocation.flagged) {
+      activity.geofenceFlagged = true;
+      activity.geofenceUnverified = activity.geofenceUnverified || punchLocation.unverified;
+      activity.geofenceReview = { status: 'Pending' };
+      logger.warn(`Punch-out ${activity._id} by ${req.user.id} was ${describeFlag(punchLocation)} distributor ${distributorId}`);
+    }
+
     // Update with punch out time and additional data
-    activity.meetingEndTime = new Date();
+    activity.meetingEndTime = punchOutTime;
     activity.status = 'Punched Out';
     activity.distributorId = distributorId;
 
@@ -227,7 +342,27 @@ exports.punchOut = async (req, res, next) => {
  */
 exports.getMarketingActivities = async (req, res, next) => {
   try {
-    const { staffId, fromDate, toDate, status, distributor, page = 1, limit = 10 } = req.query;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const {
+      staffId,
+      fromDate,
+      toDate,
+      status,
+      distributor,
+      geofenceFlagged,
+      reviewStatus,
+      closedBySystem,
+      page = 1,
+      limit = 10
+    } = req.query;
     
     // Build query
     const query = {};
@@ -260,6 +395,21 @@ exports.getMarketingActivities = async (req, res, next) => {
       query.distributor = { $regex: new RegExp(distributor, 'i') };
     }
     
+    if (geofenceFlagged !== undefined) {
+      query.geofenceFlagged = geofenceFlagged === 'true';
+    }
+    
+    if (reviewStatus) {
+      query['geofenceReview.status'] = reviewStatus;
+    }
+    
+    if (closedBySystem !== undefined) {
+      query.closedBySystem = closedBySystem === 'true';
+    }
+    
+    // Managers can limit the list to punch-ins of their team with ?team=true
+    await scopeQueryToTeam(req, query, 'marketingStaffId');
+    
     // Parse pagination parameters
     const pageNum = parseInt(page, 10);
     const limitNum = parseInt(limit, 10);
@@ -327,7 +477,7 @@ exports.getMarketingActivity = async (req, res, next) => {
     }
 
     // For Marketing Staff, only allow viewing own activities
-    if (req.user.role === 'Marketing Staff' && 
+    if (hasCapability(req.user, 'field-sales') && 
         activity.marketingStaffId._id.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
@@ -384,6 +534,179 @@ exports.getMarketingActivity = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Approve or reject a punch made outside the geofence
+ * @route   PATCH /api/marketing-activity/:id/geofence-review
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.reviewGeofence = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const activity = await MarketingStaffActivity.findById(req.params.id);
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
+
+    if (!activity.geofenceFlagged) {
+      return res.status(400).json({
+        success: false,
+        error: 'This activity was not flagged for review'
+      });
+    }
+
+    activity.geofenceReview = {
+      status: req.body.status,
+      comment: req.body.comment,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date()
+    };
+
+    await activity.save();
+
+    res.status(200).json({
+      success: true,
+      data: activity
+    });
+
+    logger.info(`User ${req.user.id} marked geofence review of activity ${activity._id} as ${req.body.status}`);
+  } catch (error) {
+    logger.error(`Error in reviewGeofence controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get punch-ins whose selfie is a near-duplicate of an earlier one
+ * @route   GET /api/marketing-activity/selfie-review
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getSelfieReviewQueue = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { staffId, status = 'Pending', page = 1, limit = 10 } = req.query;
+
+    const query = {
+      selfieFlagged: true,
+      'selfieReview.status': status
+    };
+
+    if (staffId) {
+      query.marketingStaffId = staffId;
+    }
+
+    // Managers can limit the queue to their team with ?team=true
+    await scopeQueryToTeam(req, query, 'marketingStaffId');
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const totalCount = await MarketingStaffActivity.countDocuments(query);
+
+    // The earlier punch-in's selfie is included so both photos can be compared
+    const activities = await MarketingStaffActivity.find(query)
+      .select('marketingStaffId retailShop distributor areaName meetingStartTime selfieImage selfieMatch selfieReview')
+      .populate('marketingStaffId', 'name email')
+      .populate('selfieMatch.activity', 'selfieImage meetingStartTime retailShop distributor')
+      .populate('selfieReview.reviewedBy', 'name')
+      .sort({ meetingStartTime: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      data: activities,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        totalItems: totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getSelfieReviewQueue controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve or reject a punch-in flagged for a reused selfie
+ * @route   PATCH /api/marketing-activity/:id/selfie-review
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.reviewSelfie = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const activity = await MarketingStaffActivity.findById(req.params.id);
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
+
+    if (!activity.selfieFlagged) {
+      return res.status(400).json({
+        success: false,
+        error: 'This activity was not flagged for review'
+      });
+    }
+
+    activity.selfieReview = {
+      status: req.body.status,
+      comment: req.body.comment,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date()
+    };
+
+    await activity.save();
+
+    res.status(200).json({
+      success: true,
+      data: activity
+    });
+
+    logger.info(`User ${req.user.id} marked selfie review of activity ${activity._id} as ${req.body.status}`);
+  } catch (error) {
+    logger.error(`Error in reviewSelfie controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get marketing staff activities by staff ID
  * @route   GET /api/mobile/marketing-activity/my-activities
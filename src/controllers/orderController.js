@@ -1,7 +1,13 @@
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Distributor = require('../models/Distributor');
+const RetailerShopActivity = require('../models/RetailerShopActivity');
 const StaffActivity = require('../models/StaffActivity');
+const { scopeQuery, canAccessDistributor } = require('../utils/territoryScope');
+const { hasCapability } = require('../utils/roleRegistry');
+const { priceKey, priceItems, roundAmount } = require('../utils/pricing');
+const { getPeriod, buildConsolidation } = require('../utils/consolidation');
 const logger = require('../utils/logger');
 
 /**
@@ -31,10 +37,15 @@ exports.createOrder = async (req, res, next) => {
       });
     }
 
+    // Price the lines from the distributor's price list; the product name is the brand
+    const priced = await priceItems(items, { distributorId, brandField: 'productName' });
+
     // Create order
     const order = await Order.create({
       distributorId,
-      items,
+      items: priced.items,
+      totalAmount: priced.totalAmount,
+      unpricedItems: priced.unpricedItems,
       status: 'Requested',
       createdBy: req.user.id
     });
@@ -81,10 +92,11 @@ exports.getOrders = async (req, res, next) => {
     
     // For Marketing Staff, only show their own orders
     // For Admin or Mid-Level Manager, show all orders
-    if (req.user.role === 'Marketing Staff') {
+    if (hasCapability(req.user, 'field-sales')) {
       query.createdBy = req.user.id;
     }
-    // No additional filter for Admin or Mid-Level Manager, they see all orders
+    // Managers and field staff only see orders of distributors in their territories
+    await scopeQuery(req, query);
 
     // Get orders with distributor details
     const orders = await Order.find(query)
@@ -100,6 +112,7 @@ exports.getOrders = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: orders.length,
+      totalAmount: roundAmount(orders.reduce((sum, order) => sum + (order.totalAmount || 0), 0)),
       data: orders
     });
   } catch (error) {
@@ -119,7 +132,8 @@ exports.getOrder = async (req, res, next) => {
       .populate('distributorId', 'name contact address')
       .populate('createdBy', 'name')
       .populate('approvedBy', 'name')
-      .populate('dispatchedBy', 'name');
+      .populate('dispatchedBy', 'name')
+      .populate('items.sources.shop', 'name type');
 
     if (!order) {
       return res.status(404).json({
@@ -129,7 +143,15 @@ exports.getOrder = async (req, res, next) => {
     }
 
     // For Marketing Staff, only allow viewing their own orders
-    if (req.user.role === 'Marketing Staff' && order.createdBy._id.toString() !== req.user.id) {
+    if (hasCapability(req.user, 'field-sales') && order.createdBy._id.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this order'
+      });
+    }
+
+    // Check that the order's distributor is in the user's territories
+    if (!(await canAccessDistributor(req, order.distributorId))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to access this order'
@@ -146,6 +168,227 @@ exports.getOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * Check the distributor and period of a consolidation request
+ * @param {Object} req - Request
+ * @param {Object} source - req.query or req.body
+ * @returns {Promise<Object>} - { distributor, period } or { status, error }
+ */
+const resolveConsolidation = async (req, source) => {
+  const distributor = await Distributor.findById(source.distributorId).select('name');
+  if (!distributor) {
+    return { status: 404, error: 'Distributor not found' };
+  }
+
+  // Managers can only consolidate orders of distributors in their territories
+  if (!(await canAccessDistributor(req, distributor._id))) {
+    return { status: 403, error: 'Not authorized to access orders of this distributor' };
+  }
+
+  const period = getPeriod(source.fromDate, source.toDate);
+  if (period.to < period.from) {
+    return { status: 400, error: 'To date cannot be before from date' };
+  }
+
+  return { distributor, period };
+};
+
+/**
+ * @desc    Preview a distributor's retailer sales orders of a period rolled up by brand, variant and size
+ * @route   GET /api/orders/consolidation
+ * @access  Private (Mid-Level Manager)
+ */
+exports.getConsolidationPreview = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const resolved = await resolveConsolidation(req, req.query);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        success: false,
+        error: resolved.error
+      });
+    }
+
+    const { distributor, period } = resolved;
+    const { activityIds, items } = await buildConsolidation(distributor._id, period);
+    const priced = await priceItems(items, { distributorId: distributor._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        distributor,
+        period,
+        activities: activityIds.length,
+        items: priced.items,
+        totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        totalAmount: priced.totalAmount,
+        unpricedItems: priced.unpricedItems
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getConsolidationPreview controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a replenishment order from a distributor's retailer sales orders of a period
+ * @route   POST /api/orders/consolidation
+ * @access  Private (Mid-Level Manager)
+ */
+exports.createConsolidatedOrder = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const resolved = await resolveConsolidation(req, req.body);
+    if (resolved.error) {
+      return res.status(resolved.status).json({
+        success: false,
+        error: resolved.error
+      });
+    }
+
+    const { distributor, period } = resolved;
+    const { activityIds, items: consolidated } = await buildConsolidation(distributor._id, period);
+
+    if (activityIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'There are no retailer sales orders left to consolidate for this distributor and period',
+        code: 'NOTHING_TO_CONSOLIDATE'
+      });
+    }
+
+    const toOrderItem = (line, quantity, unit) => ({
+      productName: line.brandName,
+      variant: line.variant,
+      size: line.size,
+      quantity,
+      unit: unit || 'Units',
+      retailerQuantity: line.quantity,
+      sources: line.sources.map(source => ({
+        activity: source.activity,
+        shop: source.shop && source.shop._id ? source.shop._id : source.shop,
+        quantity: source.quantity
+      }))
+    });
+
+    // Without adjustments the order is the rolled-up quantities. With adjustments, the items sent are the
+    // order: lines left out or set to 0 are dropped and lines not ordered by any retailer are added.
+    let items;
+    if (Array.isArray(req.body.items)) {
+      const linesByKey = new Map(consolidated.map(line => [priceKey(line.brandName, line.variant, line.size), line]));
+      const keys = req.body.items.map(item => priceKey(item.brandName, item.variant, item.size));
+
+      if (new Set(keys).size !== keys.length) {
+        return res.status(400).json({
+          success: false,
+          error: 'Each brand, variant and size can only be listed once'
+        });
+      }
+
+      items = req.body.items
+        .filter(item => item.quantity > 0)
+        .map((item, index) => {
+          const line = linesByKey.get(keys[index]);
+          if (line) {
+            return toOrderItem(line, item.quantity, item.unit);
+          }
+          return {
+            productName: item.brandName,
+            variant: item.variant,
+            size: item.size,
+            quantity: item.quantity,
+            unit: item.unit || 'Units',
+            retailerQuantity: 0
+          };
+        });
+    } else {
+      items = consolidated.map(line => toOrderItem(line, line.quantity));
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide at least one item'
+      });
+    }
+
+    // Claim the shop visits first so that two managers cannot roll up the same sales orders
+    const orderId = new mongoose.Types.ObjectId();
+    const claimed = await RetailerShopActivity.updateMany(
+      { _id: { $in: activityIds }, consolidatedOrder: null },
+      { consolidatedOrder: orderId }
+    );
+
+    if (claimed.modifiedCount < activityIds.length) {
+      await RetailerShopActivity.updateMany({ consolidatedOrder: orderId }, { consolidatedOrder: null });
+      return res.status(400).json({
+        success: false,
+        error: 'Some of these sales orders were consolidated meanwhile, please review them again',
+        code: 'ALREADY_CONSOLIDATED'
+      });
+    }
+
+    let order;
+    try {
+      const priced = await priceItems(items, { distributorId: distributor._id, brandField: 'productName' });
+
+      order = await Order.create({
+        _id: orderId,
+        distributorId: distributor._id,
+        items: priced.items,
+        totalAmount: priced.totalAmount,
+        unpricedItems: priced.unpricedItems,
+        source: 'Consolidation',
+        period,
+        sourceActivities: activityIds,
+        status: 'Requested',
+        comments: req.body.comments,
+        createdBy: req.user.id
+      });
+    } catch (error) {
+      await RetailerShopActivity.updateMany({ consolidatedOrder: orderId }, { consolidatedOrder: null });
+      throw error;
+    }
+
+    // Log staff activity
+    await StaffActivity.create({
+      staffId: req.user.id,
+      activityType: 'Order',
+      details: `Consolidated ${activityIds.length} retailer sales order(s) into an order for ${distributor.name}`,
+      status: 'Completed',
+      relatedId: order._id,
+      onModel: 'Order'
+    });
+
+    res.status(201).json({
+      success: true,
+      data: order
+    });
+
+    logger.info(`User ${req.user.id} consolidated ${activityIds.length} shop visit(s) of distributor ${distributor._id} into order ${order._id}`);
+  } catch (error) {
+    logger.error(`Error in createConsolidatedOrder controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Approve or reject an order
  * @route   PATCH /api/orders/:orderId/approve
@@ -182,6 +425,14 @@ exports.approveOrder = async (req, res, next) => {
       });
     }
     
+    // Managers can only approve orders of distributors in their territories
+    if (!(await canAccessDistributor(req, order.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this order'
+      });
+    }
+    
     // Check if order is already approved or rejected
     if (order.status !== 'Requested') {
       return res.status(400).json({
@@ -204,6 +455,11 @@ exports.approveOrder = async (req, res, next) => {
       .populate('createdBy', 'name')
       .populate('approvedBy', 'name');
 
+    // Retailer sales orders of a rejected consolidated order can be rolled up again
+    if (status === 'Rejected' && order.source === 'Consolidation') {
+      await RetailerShopActivity.updateMany({ consolidatedOrder: order._id }, { consolidatedOrder: null });
+    }
+
     // Log staff activity
     await StaffActivity.create({
       staffId: req.user.id,
@@ -303,6 +559,14 @@ exports.trackOrder = async (req, res, next) => {
       });
     }
 
+    // Check that the order's distributor is in the user's territories
+    if (!(await canAccessDistributor(req, order.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this order'
+      });
+    }
+
     // Get order timeline from staff activities
     const activities = await StaffActivity.find({
       relatedId: order._id,
@@ -0,0 +1,448 @@
+const { validationResult } = require('express-validator');
+const PriceList = require('../models/PriceList');
+const Product = require('../models/Product');
+const Distributor = require('../models/Distributor');
+const Shop = require('../models/Shop');
+const { getPriceScope, getEffectivePrices } = require('../utils/pricing');
+const logger = require('../utils/logger');
+
+/**
+ * Midnight (server time) of a date
+ * @param {Date|String} date - Date
+ * @returns {Date}
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Last moment (server time) of a date
+ * @param {Date|String} date - Date
+ * @returns {Date}
+ */
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+/**
+ * Add the scope of a price list entry for responses
+ * @param {Object} entry - PriceList entry (document or plain object)
+ * @returns {Object}
+ */
+const withScope = (entry) => {
+  const data = typeof entry.toObject === 'function' ? entry.toObject() : entry;
+  return { ...data, scope: getPriceScope(data) };
+};
+
+/**
+ * Check that a product size is in the catalogue. Names are compared ignoring case.
+ * @param {String} brandName - Brand
+ * @param {String} variant - Variant
+ * @param {String} size - Size
+ * @returns {Promise<String|null>} - Error message, or null if the size exists
+ */
+const checkCatalogue = async (brandName, variant, size) => {
+  const product = await Product.findOne({ brandName }).collation({ locale: 'en', strength: 2 });
+  if (!product) {
+    return `Product ${brandName} not found`;
+  }
+
+  const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+  const productVariant = product.variants.find(v => sameName(v.name, variant));
+  if (!productVariant) {
+    return `Variant ${variant} not found for ${product.brandName}`;
+  }
+
+  if (!productVariant.sizes.some(s => sameName(s.name, size))) {
+    return `Size ${size} not found for ${product.brandName} ${productVariant.name}`;
+  }
+
+  return null;
+};
+
+/**
+ * Find an entry for the same product size and scope whose dates overlap the given ones
+ * @param {Object} entry - { brandName, variant, size, distributor, channel, effectiveFrom, effectiveTo }
+ * @param {String} [excludeId] - Entry being updated
+ * @returns {Promise<Object|null>}
+ */
+const findOverlap = async (entry, excludeId) => {
+  const query = {
+    brandName: entry.brandName,
+    variant: entry.variant,
+    size: entry.size,
+    distributor: entry.distributor || null,
+    channel: entry.channel || null,
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: entry.effectiveFrom } }]
+  };
+
+  if (entry.effectiveTo) {
+    query.effectiveFrom = { $lte: entry.effectiveTo };
+  }
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  return PriceList.findOne(query).collation({ locale: 'en', strength: 2 });
+};
+
+/**
+ * @desc    Get price list entries
+ * @route   GET /api/price-lists
+ * @access  Private
+ */
+exports.getPriceLists = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { brandName, variant, size, distributorId, channel, scope, activeOn, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+
+    if (brandName) query.brandName = brandName;
+    if (variant) query.variant = variant;
+    if (size) query.size = size;
+    if (distributorId) query.distributor = distributorId;
+    if (channel) query.channel = channel;
+
+    if (scope === 'base') {
+      query.distributor = null;
+      query.channel = null;
+    } else if (scope === 'distributor') {
+      query.distributor = distributorId || { $ne: null };
+    } else if (scope === 'channel') {
+      query.distributor = null;
+      query.channel = channel || { $ne: null };
+    }
+
+    // Entries in effect on a day
+    if (activeOn) {
+      const day = new Date(activeOn);
+      query.effectiveFrom = { $lte: endOfDay(day) };
+      query.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: startOfDay(day) } }];
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const totalCount = await PriceList.countDocuments(query).collation({ locale: 'en', strength: 2 });
+
+    const entries = await PriceList.find(query)
+      .collation({ locale: 'en', strength: 2 })
+      .populate('distributor', 'name')
+      .populate('createdBy', 'name')
+      .sort({ brandName: 1, variant: 1, size: 1, effectiveFrom: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean();
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      data: entries.map(withScope),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        totalItems: totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getPriceLists controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the prices in effect for a distributor, shop or channel on a day
+ * @route   GET /api/price-lists/effective
+ * @access  Private
+ */
+exports.getEffectivePriceList = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let { distributorId, channel } = req.query;
+
+    // A shop gives both its distributor and its channel
+    if (req.query.shopId) {
+      const shop = await Shop.findById(req.query.shopId).select('name type distributorId');
+      if (!shop) {
+        return res.status(404).json({
+          success: false,
+          error: 'Shop not found'
+        });
+      }
+      distributorId = shop.distributorId;
+      channel = shop.type;
+    }
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const prices = await getEffectivePrices({ distributorId, channel, date });
+
+    const data = [...prices.values()]
+      .map(withScope)
+      .sort((a, b) => a.brandName.localeCompare(b.brandName) ||
+        a.variant.localeCompare(b.variant) ||
+        a.size.localeCompare(b.size));
+
+    res.status(200).json({
+      success: true,
+      distributorId: distributorId || null,
+      channel: channel || null,
+      date,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    logger.error(`Error in getEffectivePriceList controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a price list entry
+ * @route   GET /api/price-lists/:id
+ * @access  Private
+ */
+exports.getPriceList = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const entry = await PriceList.findById(req.params.id)
+      .populate('distributor', 'name')
+      .populate('createdBy', 'name')
+      .populate('updatedBy', 'name');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Price list entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: withScope(entry)
+    });
+  } catch (error) {
+    logger.error(`Error in getPriceList controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a price to the price list
+ * @route   POST /api/price-lists
+ * @access  Private (Admin)
+ */
+exports.createPriceList = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { brandName, variant, size, price, distributorId, channel, effectiveFrom, effectiveTo, notes } = req.body;
+
+    const catalogueError = await checkCatalogue(brandName, variant, size);
+    if (catalogueError) {
+      return res.status(404).json({
+        success: false,
+        error: catalogueError
+      });
+    }
+
+    if (distributorId) {
+      const distributor = await Distributor.findById(distributorId);
+      if (!distributor) {
+        return res.status(404).json({
+          success: false,
+          error: 'Distributor not found'
+        });
+      }
+    }
+
+    const entry = new PriceList({
+      brandName,
+      variant,
+      size,
+      price,
+      distributor: distributorId || null,
+      channel: channel || null,
+      effectiveFrom: startOfDay(effectiveFrom || new Date()),
+      effectiveTo: effectiveTo ? endOfDay(effectiveTo) : null,
+      notes,
+      createdBy: req.user.id
+    });
+
+    if (entry.effectiveTo && entry.effectiveTo < entry.effectiveFrom) {
+      return res.status(400).json({
+        success: false,
+        error: 'Effective to date cannot be before the effective from date'
+      });
+    }
+
+    // Only one price of a scope can apply on a day
+    const overlap = await findOverlap(entry);
+    if (overlap) {
+      return res.status(400).json({
+        success: false,
+        error: 'A price for this product and scope already applies during these dates',
+        code: 'PRICE_OVERLAP',
+        conflictingId: overlap._id
+      });
+    }
+
+    await entry.save();
+
+    res.status(201).json({
+      success: true,
+      data: withScope(entry)
+    });
+
+    logger.info(`Admin ${req.user.id} added ${getPriceScope(entry)} price ${entry._id} for ${brandName} ${variant} ${size}`);
+  } catch (error) {
+    logger.error(`Error in createPriceList controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a price list entry. Orders already booked keep the price they were stamped with.
+ * @route   PUT /api/price-lists/:id
+ * @access  Private (Admin)
+ */
+exports.updatePriceList = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const entry = await PriceList.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Price list entry not found'
+      });
+    }
+
+    const { price, effectiveFrom, effectiveTo, notes } = req.body;
+
+    if (price !== undefined) entry.price = price;
+    if (effectiveFrom !== undefined) entry.effectiveFrom = startOfDay(effectiveFrom);
+    // null makes the price open-ended
+    if (effectiveTo !== undefined) entry.effectiveTo = effectiveTo ? endOfDay(effectiveTo) : null;
+    if (notes !== undefined) entry.notes = notes;
+    entry.updatedBy = req.user.id;
+
+    if (entry.effectiveTo && entry.effectiveTo < entry.effectiveFrom) {
+      return res.status(400).json({
+        success: false,
+        error: 'Effective to date cannot be before the effective from date'
+      });
+    }
+
+    const overlap = await findOverlap(entry, entry._id);
+    if (overlap) {
+      return res.status(400).json({
+        success: false,
+        error: 'A price for this product and scope already applies during these dates',
+        code: 'PRICE_OVERLAP',
+        conflictingId: overlap._id
+      });
+    }
+
+    await entry.save();
+
+    res.status(200).json({
+      success: true,
+      data: withScope(entry)
+    });
+
+    logger.info(`Admin ${req.user.id} updated price ${entry._id}`);
+  } catch (error) {
+    logger.error(`Error in updatePriceList controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a price list entry
+ * @route   DELETE /api/price-lists/:id
+ * @access  Private (Admin)
+ */
+exports.deletePriceList = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const entry = await PriceList.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Price list entry not found'
+      });
+    }
+
+    await entry.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+
+    logger.info(`Admin ${req.user.id} deleted price ${entry._id}`);
+  } catch (error) {
+    logger.error(`Error in deletePriceList controller: ${error.message}`);
+    next(error);
+  }
+};
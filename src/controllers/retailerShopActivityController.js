@@ -3,9 +3,27 @@ const RetailerShopActivity = require('../models/RetailerShopActivity');
 const Shop = require('../models/Shop');
 const Distributor = require('../models/Distributor');
 const User = require('../models/User');
+const { scopeQuery, canAccessDistributor } = require('../utils/territoryScope');
+const { scopeQueryToTeam } = require('../utils/teamScope');
+const { hasCapability } = require('../utils/roleRegistry');
+const { evaluatePunchLocation, describeFlag } = require('../utils/geofence');
+const { getActionTime } = require('../utils/actionTime');
+const { COVERAGE_WINDOWS, buildCoverage } = require('../utils/shopCoverage');
+const { generateExcel } = require('../utils/excelGenerator');
+const { priceItems, roundAmount } = require('../utils/pricing');
+const { sameSalesOrders } = require('../utils/consolidation');
+const {
+  inspectVoiceNote,
+  storeVoiceNote,
+  getVoiceNoteUrl,
+  getVoiceNotePath,
+  getVoiceNoteFile,
+  removeVoiceNoteFile,
+  signPlaybackToken,
+  verifyPlaybackToken
+} = require('../utils/voiceNote');
+const config = require('../config/config');
 const logger = require('../utils/logger');
-const path = require('path');
-const fs = require('fs');
 const mongoose = require('mongoose');
 
 /**
@@ -31,7 +49,6 @@ exports.createOrUpdateActivity = async (req, res, next) => {
       alternateProviders,
       complaint,
       marketInsight,
-      voiceNote,
       mobileNumber,
       status
     } = req.body;
@@ -65,7 +82,33 @@ exports.createOrUpdateActivity = async (req, res, next) => {
       }
     }
 
-    const today = new Date();
+    // Older app versions send the recording inline; it is checked like an upload to POST /:id/voice-note
+    let voiceNoteAudio = null;
+    let voiceNoteBuffer = null;
+    if (req.body.voiceNoteBase64) {
+      voiceNoteBuffer = Buffer.from(req.body.voiceNoteBase64, 'base64');
+      voiceNoteAudio = await inspectVoiceNote(voiceNoteBuffer);
+      if (voiceNoteAudio.error) {
+        return res.status(400).json({
+          success: false,
+          error: voiceNoteAudio.error,
+          code: voiceNoteAudio.code
+        });
+      }
+    }
+
+    // Visits replayed by the sync endpoint keep the time they were made offline
+    const actionTime = getActionTime(req);
+
+    // Price the sales orders with the shop's channel price; legacy shops are typed by the list they are kept in
+    let pricedOrders = null;
+    if (salesOrders && Array.isArray(salesOrders)) {
+      const channel = shop
+        ? shop.type
+        : (distributor.wholesaleShops.some(s => s._id.toString() === shopId) ? 'Whole Seller' : 'Retailer');
+      pricedOrders = await priceItems(salesOrders, { distributorId, channel, date: actionTime });
+    }
+    const today = new Date(actionTime);
     today.setHours(0, 0, 0, 0);
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
@@ -73,27 +116,55 @@ exports.createOrUpdateActivity = async (req, res, next) => {
     let activity = await RetailerShopActivity.findOne({
       shopId,
       marketingStaffId: req.user.id,
-      createdAt: { $gte: today, $lt: tomorrow }
+      punchInTime: { $gte: today, $lt: tomorrow }
     });
 
+    // Check the position sent with the punch-in (first save of the day) and the punch-out
+    // against the shop's coordinates. Legacy shops kept on the distributor have none.
+    const isPunchIn = !activity;
+    const isPunchOut = !!activity && isPunchedIn === false;
+    let punchLocation = {};
+
+    if (isPunchIn || isPunchOut) {
+      punchLocation = evaluatePunchLocation(req.body, shop && shop.location, actionTime);
+      if (punchLocation.error) {
+        return res.status(400).json({
+          success: false,
+          error: punchLocation.error,
+          code: punchLocation.code,
+          distanceMeters: punchLocation.location && punchLocation.location.distanceMeters
+        });
+      }
+    }
+
     if (activity) {
+      // Sales orders already rolled up into a replenishment order can no longer change
+      if (pricedOrders && activity.consolidatedOrder && !sameSalesOrders(activity.salesOrders, salesOrders)) {
+        return res.status(400).json({
+          success: false,
+          error: 'The sales orders of this visit have already been sent to the distributor and cannot be changed',
+          code: 'SALES_ORDERS_CONSOLIDATED'
+        });
+      }
+
       if (isPunchedIn !== undefined) {
         activity.isPunchedIn = isPunchedIn;
         if (!isPunchedIn) {
-          activity.punchOutTime = new Date();
+          activity.punchOutTime = actionTime;
           activity.status = 'Completed';
         }
       }
 
-      if (salesOrders && Array.isArray(salesOrders)) {
-        activity.salesOrders = salesOrders;
+      if (pricedOrders) {
+        activity.salesOrders = pricedOrders.items;
+        activity.orderTotal = pricedOrders.totalAmount;
+        activity.unpricedItems = pricedOrders.unpricedItems;
       }
       if (alternateProviders && Array.isArray(alternateProviders)) {
         activity.alternateProviders = alternateProviders;
       }
       if (complaint !== undefined) activity.complaint = complaint;
       if (marketInsight !== undefined) activity.marketInsight = marketInsight;
-      if (voiceNote) activity.voiceNote = voiceNote;
       if (mobileNumber) activity.mobileNumber = mobileNumber;
       if (status) activity.status = status;
     } else {
@@ -102,31 +173,36 @@ exports.createOrUpdateActivity = async (req, res, next) => {
         distributorId,
         shopId,
         isPunchedIn: isPunchedIn !== undefined ? isPunchedIn : true,
-        punchInTime: new Date(),
-        salesOrders: salesOrders || [],
+        punchInTime: actionTime,
+        salesOrders: pricedOrders ? pricedOrders.items : [],
+        orderTotal: pricedOrders ? pricedOrders.totalAmount : 0,
+        unpricedItems: pricedOrders ? pricedOrders.unpricedItems : 0,
         alternateProviders: alternateProviders || [],
         complaint,
         marketInsight,
-        voiceNote,
         mobileNumber,
         status: status || 'In Progress'
       });
     }
 
-    if (req.body.voiceNoteBase64) {
-      const voiceNoteDir = path.join(__dirname, '../../uploads/voice-notes');
-      if (!fs.existsSync(voiceNoteDir)) {
-        fs.mkdirSync(voiceNoteDir, { recursive: true });
-      }
+    if (punchLocation.location) {
+      activity[isPunchIn ? 'punchInLocation' : 'punchOutLocation'] = punchLocation.location;
+    }
 
-      const voiceNoteFile = `voice_${activity._id}_${Date.now()}.wav`;
-      const voiceNotePath = path.join(voiceNoteDir, voiceNoteFile);
+    if (punchLocation.flagged) {
+      activity.geofenceFlagged = true;
+      activity.geofenceUnverified = activity.geofenceUnverified || punchLocation.unverified;
+      activity.geofenceReview = { status: 'Pending' };
+      logger.warn(`Punch at shop ${shopId} by ${req.user.id} was ${describeFlag(punchLocation)} the shop`);
+    }
 
-      fs.writeFileSync(voiceNotePath, Buffer.from(req.body.voiceNoteBase64, 'base64'));
-      activity.voiceNote = `/uploads/voice-notes/${voiceNoteFile}`;
+    let replacedVoiceNote = null;
+    if (voiceNoteAudio) {
+      replacedVoiceNote = await storeVoiceNote(activity, voiceNoteBuffer, voiceNoteAudio);
     }
 
     await activity.save();
+    await removeVoiceNoteFile(replacedVoiceNote);
 
     const populatedActivity = await RetailerShopActivity.findById(activity._id)
       .populate('shopId', 'name ownerName address type')
@@ -207,7 +283,7 @@ exports.getActivity = async (req, res, next) => {
       });
     }
 
-    if (req.user.role === 'Marketing Staff' &&
+    if (hasCapability(req.user, 'field-sales') &&
         activity.marketingStaffId._id.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
@@ -215,6 +291,14 @@ exports.getActivity = async (req, res, next) => {
       });
     }
 
+    // Check that the activity's distributor is in the user's territories
+    if (!hasCapability(req.user, 'field-sales') && !(await canAccessDistributor(req, activity.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this activity'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: activity
@@ -232,7 +316,15 @@ exports.getActivity = async (req, res, next) => {
  */
 exports.getAllActivities = async (req, res, next) => {
   try {
-    const { staffId, distributorId, shopId, date, status } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { staffId, distributorId, shopId, date, status, geofenceFlagged, reviewStatus, closedBySystem } = req.query;
 
     const query = {};
 
@@ -260,6 +352,24 @@ exports.getAllActivities = async (req, res, next) => {
       query.status = status;
     }
 
+    if (geofenceFlagged !== undefined) {
+      query.geofenceFlagged = geofenceFlagged === 'true';
+    }
+
+    if (reviewStatus) {
+      query['geofenceReview.status'] = reviewStatus;
+    }
+
+    if (closedBySystem !== undefined) {
+      query.closedBySystem = closedBySystem === 'true';
+    }
+
+    // Managers only see activities of distributors in their territories
+    await scopeQuery(req, query);
+
+    // Managers can limit the list to visits of their team with ?team=true
+    await scopeQueryToTeam(req, query, 'marketingStaffId');
+
     const activities = await RetailerShopActivity.find(query)
       .populate('shopId', 'name ownerName address type')
       .populate('distributorId', 'name shopName address')
@@ -295,9 +405,17 @@ exports.getActivitiesByDistributor = async (req, res, next) => {
       });
     }
 
+    // Check that the distributor is in the user's territories
+    if (!(await canAccessDistributor(req, distributor._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this distributor'
+      });
+    }
+
     const query = { distributorId };
 
-    if (req.user.role === 'Marketing Staff') {
+    if (hasCapability(req.user, 'field-sales')) {
       query.marketingStaffId = req.user.id;
     }
 
@@ -336,9 +454,17 @@ exports.getActivitiesByShop = async (req, res, next) => {
       });
     }
 
+    // Check that the shop's distributor is in the user's territories
+    if (!(await canAccessDistributor(req, shop.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this shop'
+      });
+    }
+
     const query = { shopId };
 
-    if (req.user.role === 'Marketing Staff') {
+    if (hasCapability(req.user, 'field-sales')) {
       query.marketingStaffId = req.user.id;
     }
 
@@ -360,6 +486,305 @@ exports.getActivitiesByShop = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the visit timeline of a shop: visits with their orders, complaints,
+ *          alternate providers and staff, plus totals
+ * @route   GET /api/retailer-shop-activity/shop/:shopId/timeline
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getShopTimeline = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const shop = await Shop.findById(req.params.shopId)
+      .select('name ownerName address type distributorId isActive')
+      .populate('distributorId', 'name shopName');
+
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        error: 'Shop not found'
+      });
+    }
+
+    // Check that the shop's distributor is in the user's territories
+    if (!(await canAccessDistributor(req, shop.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this shop'
+      });
+    }
+
+    const { fromDate, toDate, page = 1, limit = 20 } = req.query;
+
+    const query = { shopId: shop._id };
+
+    if (fromDate || toDate) {
+      query.punchInTime = {};
+      if (fromDate) {
+        const startDate = new Date(fromDate);
+        startDate.setHours(0, 0, 0, 0);
+        query.punchInTime.$gte = startDate;
+      }
+      if (toDate) {
+        const endDate = new Date(toDate);
+        endDate.setHours(23, 59, 59, 999);
+        query.punchInTime.$lte = endDate;
+      }
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const [activities, staffTotals] = await Promise.all([
+      RetailerShopActivity.find(query)
+        .populate('marketingStaffId', 'name email')
+        .populate('alternateProviders.mlmId', 'name')
+        .sort({ punchInTime: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
+      // Totals of the whole period, per staff member
+      RetailerShopActivity.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: '$marketingStaffId',
+            visits: { $sum: 1 },
+            firstVisit: { $min: '$punchInTime' },
+            lastVisit: { $max: '$punchInTime' },
+            orders: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$salesOrders', []] } }, 0] }, 1, 0] } },
+            orderedQuantity: { $sum: { $sum: '$salesOrders.quantity' } },
+            orderTotal: { $sum: { $ifNull: ['$orderTotal', 0] } },
+            complaints: { $sum: { $cond: [{ $gt: [{ $strLenCP: { $ifNull: ['$complaint', ''] } }, 0] }, 1, 0] } },
+            alternateProviders: { $sum: { $size: { $ifNull: ['$alternateProviders', []] } } }
+          }
+        },
+        { $sort: { visits: -1 } }
+      ])
+    ]);
+
+    const staffMembers = await User.find({ _id: { $in: staffTotals.map(total => total._id) } })
+      .setOptions({ includeInactive: true })
+      .select('name email')
+      .lean();
+    const staffById = new Map(staffMembers.map(member => [member._id.toString(), member]));
+
+    const summary = {
+      visits: 0,
+      firstVisit: null,
+      lastVisit: null,
+      orders: 0,
+      orderedQuantity: 0,
+      orderTotal: 0,
+      complaints: 0,
+      alternateProviders: 0,
+      staff: staffTotals.map(total => ({
+        staff: staffById.get(total._id.toString()) || { _id: total._id },
+        visits: total.visits,
+        lastVisit: total.lastVisit
+      }))
+    };
+    staffTotals.forEach(total => {
+      summary.visits += total.visits;
+      summary.orders += total.orders;
+      summary.orderedQuantity += total.orderedQuantity;
+      summary.orderTotal = roundAmount(summary.orderTotal + total.orderTotal);
+      summary.complaints += total.complaints;
+      summary.alternateProviders += total.alternateProviders;
+      if (!summary.firstVisit || total.firstVisit < summary.firstVisit) summary.firstVisit = total.firstVisit;
+      if (!summary.lastVisit || total.lastVisit > summary.lastVisit) summary.lastVisit = total.lastVisit;
+    });
+
+    const timeline = activities.map(activity => ({
+      _id: activity._id,
+      punchInTime: activity.punchInTime,
+      punchOutTime: activity.punchOutTime,
+      durationMinutes: activity.punchOutTime
+        ? Math.max(0, Math.floor((new Date(activity.punchOutTime) - new Date(activity.punchInTime)) / 60000))
+        : null,
+      status: activity.status,
+      staff: activity.marketingStaffId,
+      salesOrders: activity.salesOrders || [],
+      orderedQuantity: (activity.salesOrders || []).reduce((sum, item) => sum + item.quantity, 0),
+      orderTotal: activity.orderTotal || 0,
+      complaint: activity.complaint || null,
+      marketInsight: activity.marketInsight || null,
+      alternateProviders: activity.alternateProviders || [],
+      voiceNote: getVoiceNotePath(activity) ? getVoiceNoteUrl(activity) : (activity.voiceNote || null),
+      voiceNoteFile: activity.voiceNoteFile || null,
+      closedBySystem: activity.closedBySystem,
+      geofenceFlagged: activity.geofenceFlagged,
+      geofenceUnverified: activity.geofenceUnverified
+    }));
+
+    const totalPages = Math.ceil(summary.visits / limitNum);
+
+    res.status(200).json({
+      success: true,
+      shop,
+      summary,
+      count: summary.visits,
+      data: timeline,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        totalItems: summary.visits,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getShopTimeline controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Build the coverage report requested by the query (distributorId, type, thresholdDays, notVisitedOnly)
+ * @param {Object} req - Request object
+ * @returns {Promise<Object>} - { thresholdDays, distributors, summary }
+ */
+const getCoverageForRequest = async (req) => {
+  const thresholdDays = req.query.thresholdDays
+    ? parseInt(req.query.thresholdDays, 10)
+    : config.coverage.notVisitedDays;
+
+  const shopQuery = {};
+
+  if (req.query.distributorId) {
+    shopQuery.distributorId = req.query.distributorId;
+  }
+
+  if (req.query.type) {
+    shopQuery.type = req.query.type;
+  }
+
+  // Managers only see shops of distributors in their territories
+  await scopeQuery(req, shopQuery);
+
+  const coverage = await buildCoverage(shopQuery, thresholdDays);
+
+  if (String(req.query.notVisitedOnly) === 'true') {
+    coverage.distributors = coverage.distributors
+      .map(group => ({ ...group, shops: group.shops.filter(row => row.notVisited) }))
+      .filter(group => group.shops.length > 0);
+  }
+
+  return { thresholdDays, ...coverage };
+};
+
+/**
+ * @desc    Get the visit coverage of each distributor's active shops
+ * @route   GET /api/retailer-shop-activity/coverage
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getCoverageReport = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { thresholdDays, distributors, summary } = await getCoverageForRequest(req);
+
+    res.status(200).json({
+      success: true,
+      thresholdDays,
+      summary,
+      count: distributors.length,
+      data: distributors
+    });
+  } catch (error) {
+    logger.error(`Error in getCoverageReport controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the shop coverage report as Excel
+ * @route   GET /api/retailer-shop-activity/coverage/export
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.downloadCoverageReport = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { thresholdDays, distributors } = await getCoverageForRequest(req);
+
+    const headers = [
+      'Distributor',
+      'Shop Name',
+      'Owner Name',
+      'Type',
+      'Address',
+      'Last Visit',
+      'Days Since Last Visit',
+      'Last Visited By',
+      ...COVERAGE_WINDOWS.map(days => `Visits (${days} days)`),
+      `Not Visited in ${thresholdDays} Days`
+    ];
+
+    const data = [];
+    distributors.forEach(group => {
+      group.shops.forEach(row => {
+        data.push({
+          distributor: group.distributor ? group.distributor.name : 'N/A',
+          name: row.shop.name,
+          ownerName: row.shop.ownerName,
+          type: row.shop.type,
+          address: row.shop.address,
+          lastVisit: row.lastVisit ? new Date(row.lastVisit).toLocaleDateString() : 'Never',
+          daysSinceLastVisit: row.daysSinceLastVisit,
+          lastVisitedBy: row.lastVisitedBy ? row.lastVisitedBy.name : '',
+          ...Object.fromEntries(COVERAGE_WINDOWS.map(days => [`last${days}Days`, row.visits[`last${days}Days`]])),
+          notVisited: row.notVisited ? 'Yes' : 'No'
+        });
+      });
+    });
+
+    const date = new Date().toISOString().split('T')[0];
+    const wb = generateExcel({
+      filename: `Shop_Coverage_${date}.xlsx`,
+      sheetName: 'Shop Coverage',
+      headers,
+      data
+    });
+
+    // Set headers for Excel download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="Shop_Coverage_${date}.xlsx"`);
+
+    // Write to response
+    wb.write(`Shop_Coverage_${date}.xlsx`, res);
+
+    logger.info(`User ${req.user.id} downloaded the shop coverage report`);
+  } catch (error) {
+    logger.error(`Error in downloadCoverageReport controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get alternate providers with insights
  * @route   GET /api/retailer-shop-activity/alternate-providers
@@ -393,6 +818,9 @@ exports.getAlternateProviders = async (req, res, next) => {
       }
     }
 
+    // Managers only see insights from distributors in their territories
+    await scopeQuery(req, matchQuery);
+
     const pipeline = [
       { $match: matchQuery },
       { $unwind: '$alternateProviders' },
@@ -493,6 +921,14 @@ exports.addAlternateProviderComment = async (req, res, next) => {
       });
     }
 
+    // Managers can only comment on activities of distributors in their territories
+    if (!(await canAccessDistributor(req, activity.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to comment on this activity'
+      });
+    }
+
     const providerIndex = activity.alternateProviders.findIndex(
       p => p._id.toString() === providerId
     );
@@ -526,6 +962,66 @@ exports.addAlternateProviderComment = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Approve or reject a shop visit punched outside the geofence
+ * @route   PATCH /api/retailer-shop-activity/:id/geofence-review
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.reviewGeofence = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const activity = await RetailerShopActivity.findById(req.params.id);
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
+
+    // Managers can only review activities of distributors in their territories
+    if (!(await canAccessDistributor(req, activity.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to review this activity'
+      });
+    }
+
+    if (!activity.geofenceFlagged) {
+      return res.status(400).json({
+        success: false,
+        error: 'This activity was not flagged for review'
+      });
+    }
+
+    activity.geofenceReview = {
+      status: req.body.status,
+      comment: req.body.comment,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date()
+    };
+
+    await activity.save();
+
+    res.status(200).json({
+      success: true,
+      data: activity
+    });
+
+    logger.info(`User ${req.user.id} marked geofence review of shop activity ${activity._id} as ${req.body.status}`);
+  } catch (error) {
+    logger.error(`Error in reviewGeofence controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get all sales order activities with details
  * @route   GET /api/mobile/retailer-shop-activity/sales-orders
@@ -539,7 +1035,9 @@ exports.getSalesOrderActivities = async (req, res, next) => {
     const query = {};
     if (distributorId) query.distributorId = distributorId;
     if (staffId) query.marketingStaffId = staffId;
-    if (req.user.role === 'Marketing Staff') query.marketingStaffId = req.user.id;
+    if (hasCapability(req.user, 'field-sales')) query.marketingStaffId = req.user.id;
+    await scopeQuery(req, query);
+    await scopeQueryToTeam(req, query, 'marketingStaffId');
 
     let activities = await RetailerShopActivity.find(query)
       .populate('shopId', 'name ownerName address type')
@@ -578,7 +1076,9 @@ exports.getSalesOrderActivities = async (req, res, next) => {
       punchOutTime: activity.punchOutTime,
       status: activity.status,
       salesOrders: activity.salesOrders,
-      totalOrderItems: activity.salesOrders.length
+      totalOrderItems: activity.salesOrders.length,
+      orderTotal: activity.orderTotal || 0,
+      unpricedItems: activity.unpricedItems || 0
     }));
 
     if (salesOrderData.length === 0) {
@@ -602,3 +1102,243 @@ exports.getSalesOrderActivities = async (req, res, next) => {
     });
   }
 };
+
+/**
+ * Check whether the user may listen to the voice note of a shop visit: field staff their own visits,
+ * managers visits to distributors in their territories
+ * @param {Object} req - Request
+ * @param {Object} activity - Retailer shop activity
+ * @returns {Promise<Boolean>}
+ */
+const canAccessVoiceNote = async (req, activity) => {
+  if (hasCapability(req.user, 'field-sales')) {
+    return activity.marketingStaffId.toString() === req.user.id;
+  }
+  return canAccessDistributor(req, activity.distributorId);
+};
+
+/**
+ * Stream the voice note of a shop visit. Range requests are answered with 206 so players can seek.
+ * @param {Object} activity - Retailer shop activity
+ * @param {Object} res - Response
+ * @param {Function} next - Next middleware
+ * @returns {Promise<void>}
+ */
+const sendVoiceNote = async (activity, res, next) => {
+  const file = await getVoiceNoteFile(activity);
+  if (!file) {
+    return res.status(404).json({
+      success: false,
+      error: activity.voiceNoteDeletedAt
+        ? 'The voice note was deleted after the retention period'
+        : 'This activity has no voice note'
+    });
+  }
+
+  res.type(file.mimeType);
+  res.sendFile(file.filePath, {
+    acceptRanges: true,
+    headers: { 'Cache-Control': 'private, no-cache' }
+  }, (error) => {
+    // Players abort requests when they seek; only report errors before anything was sent
+    if (error && !res.headersSent) next(error);
+  });
+};
+
+/**
+ * @desc    Upload the voice note of a shop visit
+ * @route   POST /api/mobile/retailer-shop-activity/:id/voice-note
+ * @access  Private (Marketing Staff)
+ */
+exports.uploadVoiceNote = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please attach the recording as the voiceNote field'
+      });
+    }
+
+    const activity = await RetailerShopActivity.findById(req.params.id);
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
+
+    if (activity.marketingStaffId.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update this activity'
+      });
+    }
+
+    const audio = await inspectVoiceNote(req.file.buffer);
+    if (audio.error) {
+      return res.status(400).json({
+        success: false,
+        error: audio.error,
+        code: audio.code
+      });
+    }
+
+    const replacedVoiceNote = await storeVoiceNote(activity, req.file.buffer, audio);
+    await activity.save();
+    await removeVoiceNoteFile(replacedVoiceNote);
+
+    logger.info(`User ${req.user.id} uploaded a ${audio.format} voice note (${audio.sizeBytes} bytes) for shop activity ${activity._id}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: activity._id,
+        voiceNote: activity.voiceNote,
+        voiceNoteFile: activity.voiceNoteFile
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in uploadVoiceNote controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Play the voice note of a shop visit
+ * @route   GET /api/retailer-shop-activity/:id/voice-note and /api/mobile/retailer-shop-activity/:id/voice-note
+ * @access  Private (Marketing Staff, Admin, Mid-Level Manager)
+ */
+exports.streamVoiceNote = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const activity = await RetailerShopActivity.findById(req.params.id)
+      .select('marketingStaffId distributorId voiceNote voiceNoteFile voiceNoteDeletedAt');
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
+
+    if (!(await canAccessVoiceNote(req, activity))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this activity'
+      });
+    }
+
+    await sendVoiceNote(activity, res, next);
+  } catch (error) {
+    logger.error(`Error in streamVoiceNote controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a short-lived link to play the voice note of a shop visit without an Authorization header
+ * @route   GET /api/retailer-shop-activity/:id/voice-note/link
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getVoiceNoteLink = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const activity = await RetailerShopActivity.findById(req.params.id)
+      .select('marketingStaffId distributorId voiceNote voiceNoteFile voiceNoteDeletedAt');
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
+
+    if (!(await canAccessVoiceNote(req, activity))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view this activity'
+      });
+    }
+
+    if (!getVoiceNotePath(activity)) {
+      return res.status(404).json({
+        success: false,
+        error: activity.voiceNoteDeletedAt
+          ? 'The voice note was deleted after the retention period'
+          : 'This activity has no voice note'
+      });
+    }
+
+    const { token, expiresAt } = signPlaybackToken(activity, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        url: `/api/voice-notes/${token}`,
+        expiresAt,
+        voiceNoteFile: activity.voiceNoteFile || null
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getVoiceNoteLink controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Play a voice note from a link issued by GET /api/retailer-shop-activity/:id/voice-note/link
+ * @route   GET /api/voice-notes/:token
+ * @access  Public (signed link)
+ */
+exports.playVoiceNote = async (req, res, next) => {
+  try {
+    const decoded = await verifyPlaybackToken(req.params.token);
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        error: 'This link is invalid or has expired'
+      });
+    }
+
+    const activity = await RetailerShopActivity.findById(decoded.activity)
+      .select('voiceNote voiceNoteFile voiceNoteDeletedAt');
+
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
+
+    await sendVoiceNote(activity, res, next);
+  } catch (error) {
+    logger.error(`Error in playVoiceNote controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,263 @@
+const { validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const { CAPABILITIES } = require('../config/capabilities');
+const roleRegistry = require('../utils/roleRegistry');
+const logger = require('../utils/logger');
+
+/**
+ * @desc    Get the catalogue of capabilities roles can hold
+ * @route   GET /api/roles/capabilities
+ * @access  Private (Admin)
+ */
+exports.getCapabilities = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: CAPABILITIES
+  });
+};
+
+/**
+ * @desc    Get all roles with the number of users holding them
+ * @route   GET /api/roles
+ * @access  Private (Admin)
+ */
+exports.getRoles = async (req, res, next) => {
+  try {
+    const [roles, userCounts] = await Promise.all([
+      Role.find().sort({ isSystem: -1, name: 1 }).lean(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+
+    const countByRole = new Map(userCounts.map(item => [item._id, item.count]));
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles.map(role => ({ ...role, userCount: countByRole.get(role.name) || 0 }))
+    });
+  } catch (error) {
+    logger.error(`Error in getRoles controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single role
+ * @route   GET /api/roles/:id
+ * @access  Private (Admin)
+ */
+exports.getRole = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findById(req.params.id).lean();
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+
+    res.status(200).json({
+      success: true,
+      data: { ...role, userCount }
+    });
+  } catch (error) {
+    logger.error(`Error in getRole controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a role
+ * @route   POST /api/roles
+ * @access  Private (Admin)
+ */
+exports.createRole = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, capabilities = [] } = req.body;
+
+    const roleExists = await Role.findOne({ name });
+    if (roleExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Role with this name already exists'
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      capabilities: [...new Set(capabilities)],
+      createdBy: req.user.id
+    });
+
+    await roleRegistry.refresh();
+
+    res.status(201).json({
+      success: true,
+      data: role
+    });
+
+    logger.info(`Admin ${req.user.id} created role ${role.name} with capabilities ${role.capabilities.join(', ') || 'none'}`);
+  } catch (error) {
+    logger.error(`Error in createRole controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a role. Renaming a role also renames it on its users and tasks.
+ * @route   PUT /api/roles/:id
+ * @access  Private (Admin)
+ */
+exports.updateRole = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    const { name, description, capabilities } = req.body;
+    const previousName = role.name;
+
+    if (name && name !== role.name) {
+      if (role.isSystem) {
+        return res.status(400).json({
+          success: false,
+          error: 'Default roles cannot be renamed'
+        });
+      }
+
+      const nameTaken = await Role.findOne({ name });
+      if (nameTaken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Role with this name already exists'
+        });
+      }
+    }
+
+    // Keep the built-in Admin role able to administer the system
+    if (capabilities && role.isSystem && role.capabilities.includes('admin') && !capabilities.includes('admin')) {
+      return res.status(400).json({
+        success: false,
+        error: `The ${role.name} role must keep the admin capability`
+      });
+    }
+
+    // Update fields
+    if (name) role.name = name;
+    if (description !== undefined) role.description = description;
+    if (capabilities) role.capabilities = [...new Set(capabilities)];
+
+    const updatedRole = await role.save();
+
+    // Load the new name before users are moved to it, since User.role is checked against it
+    await roleRegistry.refresh();
+
+    if (updatedRole.name !== previousName) {
+      await User.updateMany({ role: previousName }, { role: updatedRole.name });
+      await Task.updateMany({ staffRole: previousName }, { staffRole: updatedRole.name });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: updatedRole
+    });
+
+    logger.info(`Admin ${req.user.id} updated role ${updatedRole._id} (${updatedRole.name})`);
+  } catch (error) {
+    logger.error(`Error in updateRole controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a role that no user holds
+ * @route   DELETE /api/roles/:id
+ * @access  Private (Admin)
+ */
+exports.deleteRole = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        error: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        error: 'Default roles cannot be deleted'
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Move the ${userCount} user(s) with this role to another role first`
+      });
+    }
+
+    await role.deleteOne();
+    await roleRegistry.refresh();
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+    logger.info(`Admin ${req.user.id} deleted role ${role.name}`);
+  } catch (error) {
+    logger.error(`Error in deleteRole controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -2,6 +2,9 @@ const { validationResult } = require('express-validator');
 const SalesInquiry = require('../models/SalesInquiry');
 const Distributor = require('../models/Distributor');
 const StaffActivity = require('../models/StaffActivity');
+const { scopeQuery, canAccessDistributor } = require('../utils/territoryScope');
+const { hasCapability } = require('../utils/roleRegistry');
+const { priceItems, roundAmount } = require('../utils/pricing');
 const logger = require('../utils/logger');
 
 /**
@@ -42,12 +45,17 @@ exports.createSalesInquiry = async (req, res, next) => {
     // Get shop name from distributor
     const shopName = distributor.shopName || '';
 
+    // Price the products from the distributor's price list
+    const priced = await priceItems(products, { distributorId, brandField: 'brand' });
+
     // Create sales inquiry
     const salesInquiry = await SalesInquiry.create({
       distributorId,
       distributorName: distributorName || distributor.name,
       shopName,
-      products,
+      products: priced.items,
+      totalAmount: priced.totalAmount,
+      unpricedItems: priced.unpricedItems,
       createdBy: req.user.id
     });
 
@@ -96,6 +104,9 @@ exports.getAllSalesInquiries = async (req, res, next) => {
       query.distributorId = distributorId;
     }
     
+    // Managers and field staff only see inquiries of distributors in their territories
+    await scopeQuery(req, query);
+    
     // Get all sales inquiries with populated fields
     const salesInquiries = await SalesInquiry.find(query)
       .populate('distributorId', 'name contact address shopName')
@@ -107,6 +118,7 @@ exports.getAllSalesInquiries = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: salesInquiries.length,
+      totalAmount: roundAmount(salesInquiries.reduce((sum, inquiry) => sum + (inquiry.totalAmount || 0), 0)),
       data: salesInquiries
     });
   } catch (error) {
@@ -135,6 +147,14 @@ exports.getSalesInquiry = async (req, res, next) => {
       });
     }
 
+    // Check that the inquiry's distributor is in the user's territories
+    if (!(await canAccessDistributor(req, salesInquiry.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this sales inquiry'
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: salesInquiry
@@ -182,7 +202,15 @@ exports.updateSalesInquiryStatus = async (req, res, next) => {
     }
     
     // Check if user is authorized to update status
-    if (req.user.role !== 'Administrator' && req.user.role !== 'Admin' && req.user.role !== 'Mid-Level Manager') {
+    if (!hasCapability(req.user, 'admin', 'team-management')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to update sales inquiry status'
+      });
+    }
+    
+    // Managers can only process inquiries of distributors in their territories
+    if (!(await canAccessDistributor(req, salesInquiry.distributorId))) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update sales inquiry status'
@@ -251,6 +279,7 @@ exports.getUserSalesInquiries = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: salesInquiries.length,
+      totalAmount: roundAmount(salesInquiries.reduce((sum, inquiry) => sum + (inquiry.totalAmount || 0), 0)),
       data: salesInquiries
     });
   } catch (error) {
@@ -277,7 +306,7 @@ exports.deleteSalesInquiry = async (req, res, next) => {
     }
     
     // Check if user is authorized to delete (Admin only)
-    if (req.user.role !== 'Administrator' && req.user.role !== 'Admin') {
+    if (!hasCapability(req.user, 'admin')) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete sales inquiries'
@@ -335,6 +364,14 @@ exports.addManagerComment = async (req, res, next) => {
       });
     }
 
+    // Managers can only comment on inquiries of distributors in their territories
+    if (!(await canAccessDistributor(req, salesInquiry.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to comment on this sales inquiry'
+      });
+    }
+
     // Update the sales inquiry with the manager comment
     salesInquiry = await SalesInquiry.findByIdAndUpdate(
       req.params.id,
@@ -2,6 +2,8 @@ const { validationResult } = require('express-validator');
 const Shop = require('../models/Shop');
 const Distributor = require('../models/Distributor');
 const mongoose = require('mongoose');
+const { hasCapability } = require('../utils/roleRegistry');
+const { toPoint, readCoordinates } = require('../utils/geofence');
 const logger = require('../utils/logger');
 
 /**
@@ -234,6 +236,9 @@ exports.addShop = async (req, res, next) => {
       });
     }
 
+    // Staff add shops while standing in them, so the position sent is the shop's location
+    const coordinates = readCoordinates(req.body);
+
     // Create the shop in the Shop collection
     const shop = await Shop.create({
       name,
@@ -241,6 +246,7 @@ exports.addShop = async (req, res, next) => {
       address,
       type,
       distributorId,
+      location: coordinates ? toPoint(coordinates.latitude, coordinates.longitude) : undefined,
       createdBy: req.user.id
     });
 
@@ -347,6 +353,15 @@ exports.updateShop = async (req, res, next) => {
       });
     }
 
+    // Once set, only admins and managers can move a shop, since it is the geofence for visits
+    const coordinates = readCoordinates(req.body);
+    if (coordinates && shop.location && !hasCapability(req.user, 'admin', 'team-management')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins and managers can change the location of a shop'
+      });
+    }
+
     const originalType = shop.type;
     const originalDistributorId = shop.distributorId.toString();
     const newType = type || originalType;
@@ -364,16 +379,22 @@ exports.updateShop = async (req, res, next) => {
       }
     }
 
+    const shopUpdate = {
+      name: name || shop.name,
+      ownerName: ownerName || shop.ownerName,
+      address: address || shop.address,
+      type: newType,
+      distributorId: newDistributorId
+    };
+
+    if (coordinates) {
+      shopUpdate.location = toPoint(coordinates.latitude, coordinates.longitude);
+    }
+
     // Update shop in Shop collection
     shop = await Shop.findByIdAndUpdate(
       req.params.id,
-      {
-        name: name || shop.name,
-        ownerName: ownerName || shop.ownerName,
-        address: address || shop.address,
-        type: newType,
-        distributorId: newDistributorId
-      },
+      shopUpdate,
       {
         new: true,
         runValidators: true
@@ -1,7 +1,54 @@
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
+const Territory = require('../models/Territory');
+const sessionManager = require('../utils/sessionManager');
+const { getTeamMemberIds, isInTeam } = require('../utils/teamScope');
+const { hasCapability, roleExists, getRoleAssignmentError, getRoleNamesWith } = require('../utils/roleRegistry');
+const { parseStaffFile, validateStaffRows, generateTemporaryPassword } = require('../utils/staffImport');
+const { generateExcel } = require('../utils/excelGenerator');
 const logger = require('../utils/logger');
 
+/**
+ * Check that all territory IDs exist
+ * @param {Array} territories - Territory IDs
+ * @returns {Promise<Boolean>}
+ */
+const territoriesExist = async (territories) => {
+  const count = await Territory.countDocuments({ _id: { $in: territories } });
+  return count === new Set(territories.map(String)).size;
+};
+
+/**
+ * Check that a staff member may report to a manager
+ * @param {String} staffId - Staff member's ID (undefined for new staff)
+ * @param {String} managerId - Proposed manager's ID
+ * @returns {Promise<String|null>} - Error message, or null when valid
+ */
+const validateReportsTo = async (staffId, managerId) => {
+  if (!managerId) return null;
+
+  if (staffId && managerId.toString() === staffId.toString()) {
+    return 'A staff member cannot report to themselves';
+  }
+
+  const manager = await User.findById(managerId);
+  if (!manager) {
+    return 'Manager not found';
+  }
+
+  // Only admins and managers can have staff reporting to them
+  if (!hasCapability(manager, 'admin', 'team-management')) {
+    return `Staff can only report to: ${getRoleNamesWith('admin', 'team-management').join(', ')}`;
+  }
+
+  // The manager must not already be somewhere below the staff member
+  if (staffId && await isInTeam(staffId, managerId)) {
+    return 'This would create a reporting loop';
+  }
+
+  return null;
+};
+
 /**
  * @desc    Get all staff members with filtering, sorting, and pagination
  * @route   GET /api/staff
@@ -23,6 +70,16 @@ exports.getAllStaff = async (req, res, next) => {
       query.active = req.query.active === 'true';
     }
     
+    // Filter by assigned territory if provided
+    if (req.query.territory) {
+      query.territories = req.query.territory;
+    }
+    
+    // Filter by manager if provided
+    if (req.query.reportsTo) {
+      query.reportsTo = req.query.reportsTo;
+    }
+    
     // Pagination
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
@@ -135,7 +192,24 @@ exports.createStaff = async (req, res, next) => {
       });
     }
     
-    const { name, email, password, role } = req.body;
+    const { name, email, phone, password, role, territories = [], reportsTo } = req.body;
+    
+    // Territories and the reporting line decide what managers can see and approve
+    if ((req.body.territories !== undefined || reportsTo !== undefined) && !hasCapability(req.user, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can set territories or who a staff member reports to'
+      });
+    }
+    
+    // The role must exist, and sub-admins cannot grant an admin role
+    const roleError = role && getRoleAssignmentError(role, req.user);
+    if (roleError) {
+      return res.status(roleExists(role) ? 403 : 400).json({
+        success: false,
+        error: roleError
+      });
+    }
     
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -163,12 +237,30 @@ exports.createStaff = async (req, res, next) => {
       });
     }
     
+    if (territories.length > 0 && !(await territoriesExist(territories))) {
+      return res.status(400).json({
+        success: false,
+        error: 'One or more territories were not found'
+      });
+    }
+    
+    const reportsToError = await validateReportsTo(undefined, reportsTo);
+    if (reportsToError) {
+      return res.status(400).json({
+        success: false,
+        error: reportsToError
+      });
+    }
+    
     // Create new staff member
     const staff = await User.create({
       name,
       email,
+      phone,
       password,
-      role
+      role,
+      territories,
+      reportsTo: reportsTo || null
     });
     
     // Remove password from response
@@ -187,6 +279,120 @@ exports.createStaff = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Bulk import staff from an .xlsx or .csv file. Without `confirm` only a
+ *          dry-run report is returned; with `confirm=true` all rows are created and a
+ *          sheet with the temporary passwords is downloaded.
+ * @route   POST /api/staff/import
+ * @access  Private/Admin
+ */
+exports.importStaff = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please upload an .xlsx or .csv file'
+      });
+    }
+    
+    let rows;
+    try {
+      rows = await parseStaffFile(req.file.buffer, req.file.originalname);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: parseError.message
+      });
+    }
+    
+    const results = await validateStaffRows(rows, req.user);
+    const invalidRows = results.filter(row => row.errors.length > 0);
+    
+    const report = {
+      totalRows: results.length,
+      validRows: results.length - invalidRows.length,
+      invalidRows: invalidRows.length,
+      rows: results.map(({ row, name, email, role, manager, phone, errors }) => ({
+        row, name, email, role, manager, phone, errors
+      }))
+    };
+    
+    const confirm = req.body.confirm === true || req.body.confirm === 'true';
+    
+    if (!confirm || invalidRows.length > 0) {
+      return res.status(confirm ? 400 : 200).json({
+        success: !confirm,
+        dryRun: true,
+        error: confirm ? 'Fix the errors in the file before importing' : undefined,
+        data: report
+      });
+    }
+    
+    // Create everyone first, then link managers that were created by this import
+    const created = [];
+    for (const row of results) {
+      const temporaryPassword = generateTemporaryPassword();
+      try {
+        const staff = await User.create({
+          name: row.name,
+          email: row.email,
+          phone: row.phone || undefined,
+          password: temporaryPassword,
+          role: row.role,
+          reportsTo: row.managerId || null,
+          createdBy: req.user.id
+        });
+        created.push({ row, staff, temporaryPassword });
+      } catch (createError) {
+        logger.error(`Staff import row ${row.row} (${row.email}) failed: ${createError.message}`);
+        created.push({ row, error: createError.message });
+      }
+    }
+    
+    const createdByEmail = new Map(
+      created.filter(entry => entry.staff).map(entry => [entry.staff.email, entry.staff])
+    );
+    for (const entry of created) {
+      if (!entry.staff || !entry.row.manager || entry.row.managerId) continue;
+      
+      const manager = createdByEmail.get(entry.row.manager);
+      if (manager) {
+        await User.updateOne({ _id: entry.staff._id }, { reportsTo: manager._id });
+      } else {
+        entry.error = 'Created without a manager because the manager row failed';
+      }
+    }
+    
+    const createdCount = created.filter(entry => entry.staff).length;
+    logger.info(`Admin ${req.user.id} imported ${createdCount} of ${results.length} staff member(s) from ${req.file.originalname}`);
+    
+    const wb = generateExcel({
+      filename: 'Staff_Import',
+      sheetName: 'Temporary Passwords',
+      headers: ['Row', 'Name', 'Email', 'Role', 'Manager', 'Phone', 'Temporary Password', 'Status'],
+      data: created.map(entry => ({
+        Row: entry.row.row,
+        Name: entry.row.name,
+        Email: entry.row.email,
+        Role: entry.row.role,
+        Manager: entry.row.manager,
+        Phone: entry.row.phone,
+        'Temporary Password': entry.staff ? entry.temporaryPassword : '',
+        Status: entry.error ? `${entry.staff ? 'Created' : 'Failed'}: ${entry.error}` : 'Created'
+      }))
+    });
+    
+    // Set headers for Excel download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="Staff_Import.xlsx"');
+    
+    wb.write('Staff_Import.xlsx', res);
+  } catch (error) {
+    logger.error(`Error in importStaff controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Update a staff member
  * @route   PUT /api/staff/:id
@@ -204,7 +410,24 @@ exports.updateStaff = async (req, res, next) => {
     }
     
     // Destructure fields from request body
-    const { name, email, role, active } = req.body;
+    const { name, email, phone, role, active, territories, reportsTo } = req.body;
+    
+    // Territories and the reporting line decide what managers can see and approve
+    if ((territories !== undefined || reportsTo !== undefined) && !hasCapability(req.user, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can change territories or who a staff member reports to'
+      });
+    }
+    
+    // The role must exist, and sub-admins cannot grant an admin role
+    const roleError = role && getRoleAssignmentError(role, req.user);
+    if (roleError) {
+      return res.status(roleExists(role) ? 403 : 400).json({
+        success: false,
+        error: roleError
+      });
+    }
     
     // Check if staff member exists
     const staff = await User.findById(req.params.id);
@@ -228,15 +451,43 @@ exports.updateStaff = async (req, res, next) => {
       }
     }
     
+    if (territories && territories.length > 0 && !(await territoriesExist(territories))) {
+      return res.status(400).json({
+        success: false,
+        error: 'One or more territories were not found'
+      });
+    }
+    
+    if (reportsTo !== undefined) {
+      const reportsToError = await validateReportsTo(staff._id, reportsTo);
+      if (reportsToError) {
+        return res.status(400).json({
+          success: false,
+          error: reportsToError
+        });
+      }
+    }
+    
     // Update fields
     if (name) staff.name = name;
     if (email) staff.email = email;
+    if (phone !== undefined) staff.phone = phone || undefined;
     if (role) staff.role = role;
     if (active !== undefined) staff.active = active;
+    if (territories !== undefined) staff.territories = territories;
+    if (reportsTo !== undefined) staff.reportsTo = reportsTo || null;
     
     // Save updated staff member
     const updatedStaff = await staff.save();
     
+    // Deactivated staff lose all their sessions
+    if (active !== undefined && String(active) === 'false') {
+      await sessionManager.revokeUserSessions(staff._id, {
+        reason: 'admin',
+        revokedBy: req.user.id
+      });
+    }
+    
     res.status(200).json({
       success: true,
       data: updatedStaff
@@ -250,6 +501,127 @@ exports.updateStaff = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Set the manager a staff member reports to
+ * @route   PUT /api/staff/:id/reports-to
+ * @access  Private/Admin
+ */
+exports.setReportsTo = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const { reportsTo } = req.body;
+    
+    const staff = await User.findById(req.params.id);
+    
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found'
+      });
+    }
+    
+    const reportsToError = await validateReportsTo(staff._id, reportsTo);
+    if (reportsToError) {
+      return res.status(400).json({
+        success: false,
+        error: reportsToError
+      });
+    }
+    
+    staff.reportsTo = reportsTo || null;
+    await staff.save();
+    await staff.populate('reportsTo', 'name email role');
+    
+    res.status(200).json({
+      success: true,
+      data: staff
+    });
+    
+    // Log successful operation
+    logger.info(`Admin ${req.user.id} set manager of staff member ${req.params.id} to ${reportsTo || 'none'}`);
+  } catch (error) {
+    logger.error(`Error in setReportsTo controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the staff reporting to a staff member
+ * @route   GET /api/staff/:id/reports
+ * @access  Private/Admin
+ */
+exports.getStaffReports = async (req, res, next) => {
+  try {
+    const manager = await User.findById(req.params.id);
+    
+    if (!manager) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staff member not found'
+      });
+    }
+    
+    const memberIds = await getTeamMemberIds(manager._id, {
+      recursive: req.query.recursive === 'true'
+    });
+    
+    const reports = await User.find({ _id: { $in: memberIds } })
+      .select('name email role reportsTo lastLogin')
+      .populate('reportsTo', 'name')
+      .sort({ name: 1 });
+    
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      data: reports
+    });
+  } catch (error) {
+    logger.error(`Error in getStaffReports controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's team (everyone reporting to them, directly or indirectly)
+ * @route   GET /api/staff/my-team
+ * @access  Private (Mid-Level Manager, Admin)
+ */
+exports.getMyTeam = async (req, res, next) => {
+  try {
+    const memberIds = await getTeamMemberIds(req.user._id, {
+      recursive: req.query.recursive !== 'false'
+    });
+    
+    const query = { _id: { $in: memberIds } };
+    
+    if (req.query.role) {
+      query.role = req.query.role;
+    }
+    
+    const team = await User.find(query)
+      .select('name email role reportsTo lastLogin')
+      .populate('reportsTo', 'name')
+      .sort({ name: 1 });
+    
+    res.status(200).json({
+      success: true,
+      count: team.length,
+      data: team
+    });
+  } catch (error) {
+    logger.error(`Error in getMyTeam controller: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Reset a staff member's password
  * @route   POST /api/staff/:id/reset-password
@@ -297,6 +669,12 @@ exports.resetStaffPassword = async (req, res, next) => {
     
     await staff.save();
     
+    // Sign the staff member out of every device
+    await sessionManager.revokeUserSessions(staff._id, {
+      reason: 'password-changed',
+      revokedBy: req.user.id
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Password reset successfully'
@@ -333,6 +711,14 @@ exports.toggleStaffStatus = async (req, res, next) => {
     // Save updated staff member
     const updatedStaff = await staff.save();
     
+    // Deactivated staff lose all their sessions
+    if (!staff.active) {
+      await sessionManager.revokeUserSessions(staff._id, {
+        reason: 'admin',
+        revokedBy: req.user.id
+      });
+    }
+    
     // Provide appropriate message
     const statusMessage = staff.active 
       ? 'Staff member has been activated' 
@@ -370,8 +756,8 @@ exports.deleteStaff = async (req, res, next) => {
     }
     
     // Prevent deletion of the last admin
-    if (staff.role === 'Admin') {
-      const adminCount = await User.countDocuments({ role: 'Admin' });
+    if (hasCapability(staff, 'admin')) {
+      const adminCount = await User.countDocuments({ role: { $in: getRoleNamesWith('admin') } });
       
       if (adminCount <= 1) {
         return res.status(400).json({
@@ -384,6 +770,14 @@ exports.deleteStaff = async (req, res, next) => {
     // Delete staff member
     await staff.deleteOne();
     
+    // Their reports no longer have a manager
+    await User.updateMany({ reportsTo: staff._id }, { reportsTo: null });
+    
+    await sessionManager.revokeUserSessions(staff._id, {
+      reason: 'admin',
+      revokedBy: req.user.id
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Staff member deleted successfully'
@@ -461,8 +855,7 @@ exports.getStaffByRole = async (req, res, next) => {
     const { role } = req.params;
     
     // Validate role
-    const validRoles = ['Admin', 'Marketing Staff', 'Mid-Level Manager', 'Godown Incharge', 'App Developer'];
-    if (!validRoles.includes(role)) {
+    if (!roleExists(role)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid role specified'
@@ -3,6 +3,8 @@ const SupplyEstimate = require('../models/SupplyEstimate');
 const Distributor = require('../models/Distributor');
 const User = require('../models/User');
 const StaffActivity = require('../models/StaffActivity');
+const { scopeQuery, canAccessDistributor } = require('../utils/territoryScope');
+const { hasCapability } = require('../utils/roleRegistry');
 const logger = require('../utils/logger');
 
 /**
@@ -100,10 +102,13 @@ exports.getAllSupplyEstimates = async (req, res, next) => {
     }
     
     // For marketing staff and godown incharge, only show their own submissions
-    if (['Marketing Staff', 'Godown Incharge'].includes(req.user.role)) {
+    if (hasCapability(req.user, 'field-sales', 'dispatch')) {
       query.submittedBy = req.user.id;
     }
     
+    // Managers and field staff only see estimates of distributors in their territories
+    await scopeQuery(req, query);
+    
     // Pagination
     const page = parseInt(req.query.page, 10) || 1;
     const limit = parseInt(req.query.limit, 10) || 10;
@@ -174,7 +179,7 @@ exports.getSupplyEstimateById = async (req, res, next) => {
     
     // Check if user is allowed to view this estimate
     if (
-      ['Marketing Staff', 'Godown Incharge'].includes(req.user.role) && 
+      hasCapability(req.user, 'field-sales', 'dispatch') && 
       supplyEstimate.submittedBy._id.toString() !== req.user.id
     ) {
       return res.status(403).json({
@@ -183,6 +188,14 @@ exports.getSupplyEstimateById = async (req, res, next) => {
       });
     }
     
+    // Check that the estimate's distributor is in the user's territories
+    if (!(await canAccessDistributor(req, supplyEstimate.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this supply estimate'
+      });
+    }
+    
     res.status(200).json({
       success: true,
       data: supplyEstimate
@@ -214,6 +227,14 @@ exports.approveSupplyEstimate = async (req, res, next) => {
       });
     }
     
+    // Managers can only review estimates of distributors in their territories
+    if (!(await canAccessDistributor(req, supplyEstimate.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this supply estimate'
+      });
+    }
+    
     // Only allow approving pending estimates
     if (supplyEstimate.status !== 'Pending') {
       return res.status(400).json({
@@ -290,6 +311,14 @@ exports.rejectSupplyEstimate = async (req, res, next) => {
       });
     }
     
+    // Managers can only review estimates of distributors in their territories
+    if (!(await canAccessDistributor(req, supplyEstimate.distributorId))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this supply estimate'
+      });
+    }
+    
     // Only allow rejecting pending estimates
     if (supplyEstimate.status !== 'Pending') {
       return res.status(400).json({
@@ -351,6 +380,14 @@ exports.getEstimatesByDistributorId = async (req, res, next) => {
       });
     }
     
+    // Check that the distributor is in the user's territories
+    if (!(await canAccessDistributor(req, distributor._id))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to access this distributor'
+      });
+    }
+    
     // Build query
     const query = { distributorId: req.params.distributorId };
     
@@ -360,7 +397,7 @@ exports.getEstimatesByDistributorId = async (req, res, next) => {
     }
     
     // For marketing staff and godown incharge, only show their own submissions
-    if (['Marketing Staff', 'Godown Incharge'].includes(req.user.role)) {
+    if (hasCapability(req.user, 'field-sales', 'dispatch')) {
       query.submittedBy = req.user.id;
     }
     
@@ -407,6 +444,9 @@ exports.getEstimatesByStaffId = async (req, res, next) => {
       query.status = req.query.status;
     }
     
+    // Managers only see estimates of distributors in their territories
+    await scopeQuery(req, query);
+    
     // Get estimates
     const estimates = await SupplyEstimate.find(query)
       .populate('distributorId', 'name')
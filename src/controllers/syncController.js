@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const config = require('../config/config');
+const SyncOperation = require('../models/SyncOperation');
+const MarketingStaffActivity = require('../models/MarketingStaffActivity');
+const marketingStaffActivityController = require('./marketingStaffActivityController');
+const retailerShopActivityController = require('./retailerShopActivityController');
+const freshOrderController = require('./freshOrderController');
+const { punchInValidators, punchOutValidators } = require('../routes/marketingStaffActivityRoutes');
+const { shopActivityValidators } = require('../routes/retailerShopActivityRoutes');
+const errorHandler = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Operations the app can queue offline, applied with the same validation and handler as the live endpoint
+const OPERATIONS = {
+  'punch-in': [...punchInValidators, marketingStaffActivityController.punchIn],
+  'punch-out': [...punchOutValidators, marketingStaffActivityController.punchOut],
+  'shop-activity': [...shopActivityValidators, retailerShopActivityController.createOrUpdateActivity],
+  'fresh-order': [freshOrderController.createFreshOrder]
+};
+
+exports.OPERATION_TYPES = Object.keys(OPERATIONS);
+
+/**
+ * Run a chain of route handlers on a request built for one operation and capture the response
+ * @param {Array} handlers - Validators and controller
+ * @param {Object} req - Request for the operation
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+const runHandlers = (handlers, req) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+      return this;
+    }
+  };
+
+  let index = 0;
+  const next = (error) => {
+    if (error) {
+      return errorHandler(error, req, res, () => {});
+    }
+    const handler = handlers[index++];
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+
+  next();
+});
+
+/**
+ * Find a punch-in of the staff member that a replayed punch would overlap. A punch-in made
+ * offline runs from its time onwards, so any punch-in closed after that time overlaps it;
+ * a punch-out closes [start of its punch-in, its time], which must not cover another punch-in.
+ * @param {Object} req - Sync request
+ * @param {String} type - 'punch-in' or 'punch-out'
+ * @param {Date} clientTime - Time the punch was made
+ * @param {String} [activityId] - Punch-in closed by a punch-out
+ * @returns {Promise<Object|null>} - The overlapping activity, if any
+ */
+const findOverlappingPunch = async (req, type, clientTime, activityId) => {
+  if (type === 'punch-in') {
+    return MarketingStaffActivity.findOne({
+      marketingStaffId: req.user._id,
+      meetingEndTime: { $gt: clientTime }
+    }).select('meetingStartTime meetingEndTime');
+  }
+
+  // Unknown punch-ins are reported by the punch-out handler
+  if (!mongoose.Types.ObjectId.isValid(activityId)) return null;
+
+  const activity = await MarketingStaffActivity.findOne({ _id: activityId, marketingStaffId: req.user._id })
+    .select('meetingStartTime');
+  if (!activity) return null;
+
+  return MarketingStaffActivity.findOne({
+    _id: { $ne: activity._id },
+    marketingStaffId: req.user._id,
+    meetingStartTime: { $lt: clientTime },
+    meetingEndTime: { $gt: activity.meetingStartTime }
+  }).select('meetingStartTime meetingEndTime');
+};
+
+/**
+ * Apply one queued operation unless it was applied before
+ * @param {Object} req - Sync request
+ * @param {Object} operation - { clientId, type, timestamp, data }
+ * @returns {Promise<Object>} - Result of the operation
+ */
+const applyOperation = async (req, { clientId, type, timestamp, data = {} }) => {
+  const clientTime = new Date(timestamp);
+  const result = { clientId, type };
+
+  if (clientTime.getTime() > Date.now() + config.sync.maxClockSkewMinutes * 60 * 1000) {
+    return { ...result, status: 'failed', statusCode: 400, error: 'Operation time is in the future' };
+  }
+
+  if (clientTime.getTime() < Date.now() - config.sync.maxAgeDays * 24 * 60 * 60 * 1000) {
+    return { ...result, status: 'failed', statusCode: 400, error: `Operations older than ${config.sync.maxAgeDays} days cannot be synced` };
+  }
+
+  // Claim the client id first so a replay (or a parallel request) finds the earlier record
+  let record;
+  try {
+    record = await SyncOperation.create({
+      staff: req.user._id,
+      clientId,
+      type,
+      clientTimestamp: clientTime
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await SyncOperation.findOne({ staff: req.user._id, clientId });
+    if (existing && existing.status === 'Applied') {
+      return {
+        clientId,
+        type: existing.type,
+        status: 'duplicate',
+        statusCode: existing.statusCode,
+        serverId: existing.serverId,
+        data: existing.response
+      };
+    }
+    return { ...result, status: 'failed', statusCode: 409, error: 'This operation is already being applied' };
+  }
+
+  try {
+    const params = {};
+
+    // A punch-out can point at a punch-in made offline by the id of its operation
+    if (type === 'punch-out') {
+      params.id = data.activityId;
+      if (!params.id && data.punchInOperationId) {
+        const punchIn = await SyncOperation.findOne({
+          staff: req.user._id,
+          clientId: data.punchInOperationId,
+          status: 'Applied'
+        });
+        params.id = punchIn && punchIn.serverId;
+      }
+      if (!params.id) {
+        await record.deleteOne();
+        return { ...result, status: 'failed', statusCode: 400, error: 'activityId or the punchInOperationId of an applied punch-in is required' };
+      }
+    }
+
+    // Backdated punches must not overlap punch-ins already recorded, or field minutes are counted twice
+    if (type === 'punch-in' || type === 'punch-out') {
+      const overlapping = await findOverlappingPunch(req, type, clientTime, params.id);
+      if (overlapping) {
+        await record.deleteOne();
+        return {
+          ...result,
+          status: 'failed',
+          statusCode: 409,
+          error: `This ${type} overlaps the punch-in recorded from ${overlapping.meetingStartTime.toISOString()} to ${overlapping.meetingEndTime.toISOString()}`,
+          code: 'OVERLAPPING_PUNCH',
+          activityId: overlapping._id
+        };
+      }
+    }
+
+    const { statusCode, body } = await runHandlers(OPERATIONS[type], {
+      user: req.user,
+      headers: req.headers,
+      ip: req.ip,
+      params,
+      query: {},
+      body: data,
+      clientTime
+    });
+
+    if (statusCode >= 300 || !body.success) {
+      // Forget failed operations so they can be retried
+      await record.deleteOne();
+      return {
+        ...result,
+        status: 'failed',
+        statusCode,
+        error: body.error,
+        errors: body.errors,
+        code: body.code
+      };
+    }
+
+    const response = JSON.parse(JSON.stringify(body.data));
+    record.status = 'Applied';
+    record.statusCode = statusCode;
+    record.serverId = response._id || response.activityId;
+    record.response = response;
+    await record.save();
+
+    return {
+      ...result,
+      status: 'applied',
+      statusCode,
+      serverId: record.serverId,
+      data: response
+    };
+  } catch (error) {
+    await SyncOperation.deleteOne({ _id: record._id });
+    throw error;
+  }
+};
+
+/**
+ * @desc    Apply operations queued by the mobile app while offline
+ * @route   POST /api/mobile/sync
+ * @access  Private (Marketing Staff)
+ */
+exports.syncOperations = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // In order: later operations may depend on earlier ones (e.g. punch-out after punch-in)
+    const results = [];
+    for (const operation of req.body.operations) {
+      results.push(await applyOperation(req, operation));
+    }
+
+    const summary = {
+      applied: results.filter(result => result.status === 'applied').length,
+      duplicate: results.filter(result => result.status === 'duplicate').length,
+      failed: results.filter(result => result.status === 'failed').length
+    };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        results,
+        summary
+      }
+    });
+
+    logger.info(`Staff ${req.user.id} synced ${results.length} operation(s): ${summary.applied} applied, ${summary.duplicate} duplicate, ${summary.failed} failed`);
+  } catch (error) {
+    logger.error(`Error in syncOperations controller: ${error.message}`);
+    next(error);
+  }
+};
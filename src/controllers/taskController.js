@@ -1,8 +1,51 @@
 const { validationResult } = require('express-validator');
 const Task = require('../models/Task');
 const StaffActivity = require('../models/StaffActivity');
+const { hasCapability } = require('../utils/roleRegistry');
 const logger = require('../utils/logger');
 const User = require('../models/User');
+const { isInTeam, scopeQueryToTeam } = require('../utils/teamScope');
+const { getDayOff } = require('../utils/leave');
+
+/**
+ * Check that Mid-Level Managers only assign tasks to Marketing Staff in their own team
+ * @param {Object} user - User creating the task
+ * @param {String} assigneeId - ID of the user the task is assigned to
+ * @returns {Promise<Boolean>}
+ */
+const canAssignTask = async (user, assigneeId) => {
+  if (hasCapability(user, 'admin') || !hasCapability(user, 'team-management') ||
+    !assigneeId || assigneeId.toString() === user.id) {
+    return true;
+  }
+
+  const assignee = await User.findById(assigneeId).select('role');
+  if (!assignee || !hasCapability(assignee, 'field-sales')) {
+    return true;
+  }
+
+  return isInTeam(user._id, assignee._id);
+};
+
+/**
+ * Check that the assignee is working on the task's deadline: not a holiday or a day of approved leave
+ * @param {Object} taskData - Task being created
+ * @returns {Promise<String|null>} - Error message, or null when the deadline can be kept
+ */
+const checkDeadline = async (taskData) => {
+  if (!taskData.deadline || !taskData.assignedTo) {
+    return null;
+  }
+
+  const dayOff = await getDayOff(taskData.assignedTo, new Date(taskData.deadline));
+  if (!dayOff) {
+    return null;
+  }
+
+  return dayOff.reason === 'holiday'
+    ? `The deadline falls on a holiday (${dayOff.holiday.name})`
+    : 'The assignee is on approved leave on the deadline';
+};
 
 /**
  * @desc    Create a new task
@@ -60,6 +103,13 @@ exports.createTask = async (req, res, next) => {
       taskData.assignedTo = assignedTo || req.user.id; // Default to self if not specified
     }
 
+    if (!(await canAssignTask(req.user, taskData.assignedTo))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only assign tasks to marketing staff in your team'
+      });
+    }
+
     // Add role-specific fields
     if (staffRole === 'Marketing Staff') {
       if (distributorId) {
@@ -90,6 +140,15 @@ exports.createTask = async (req, res, next) => {
       }
     }
 
+    const deadlineError = await checkDeadline(taskData);
+    if (deadlineError) {
+      return res.status(400).json({
+        success: false,
+        error: deadlineError,
+        code: 'ASSIGNEE_UNAVAILABLE'
+      });
+    }
+
     // Create task
     const task = await Task.create(taskData);
 
@@ -205,6 +264,9 @@ exports.getTasks = async (req, res, next) => {
       query.createdBy = { $in: userIds };
     }
     
+    // Managers can limit the list to tasks of their team with ?team=true
+    await scopeQueryToTeam(req, query, 'assignedTo');
+    
     console.log("Final query:", JSON.stringify(query));
 
     // Get tasks with populated fields
@@ -276,7 +338,7 @@ exports.getTask = async (req, res, next) => {
     }
 
     // For Marketing Staff, only allow viewing tasks they created or are assigned to
-    if (req.user.role === 'Marketing Staff' && 
+    if (hasCapability(req.user, 'field-sales') && 
         task.createdBy._id.toString() !== req.user.id && 
         task.assignedTo._id.toString() !== req.user.id) {
       return res.status(403).json({
@@ -332,7 +394,7 @@ exports.updateTaskStatus = async (req, res, next) => {
     }
     
     // For Marketing Staff, only allow updating tasks they are assigned to
-    if (req.user.role === 'Marketing Staff' && task.assignedTo.toString() !== req.user.id) {
+    if (hasCapability(req.user, 'field-sales') && task.assignedTo.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to update this task'
@@ -437,6 +499,13 @@ exports.createMobileAppTask = async (req, res, next) => {
       taskData.assignedTo = assignedTo;
     }
 
+    if (!(await canAssignTask(req.user, taskData.assignedTo))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only assign tasks to marketing staff in your team'
+      });
+    }
+
     // Add role-specific fields
     if (staffRole === 'Marketing Staff') {
       if (distributorId) {
@@ -467,6 +536,15 @@ exports.createMobileAppTask = async (req, res, next) => {
       }
     }
 
+    const deadlineError = await checkDeadline(taskData);
+    if (deadlineError) {
+      return res.status(400).json({
+        success: false,
+        error: deadlineError,
+        code: 'ASSIGNEE_UNAVAILABLE'
+      });
+    }
+
     // Create task
     const task = await Task.create(taskData);
 
@@ -516,7 +594,8 @@ exports.createInternalTask = async (req, res, next) => {
       taskDetail, 
       assignTo,
       isOtherUser,
-      otherUserName
+      otherUserName,
+      deadline
     } = req.body;
 
     // Get the full user object to ensure we have the correct role
@@ -542,6 +621,10 @@ exports.createInternalTask = async (req, res, next) => {
       taskType: 'internal' // Explicitly set task type to internal
     };
 
+    if (deadline) {
+      taskData.deadline = deadline;
+    }
+
     // Handle assignment based on whether it's an external user or not
     if (isOtherUser) {
       if (!otherUserName) {
@@ -566,6 +649,22 @@ exports.createInternalTask = async (req, res, next) => {
       taskData.assignedTo = assignTo;
     }
 
+    if (!(await canAssignTask(req.user, taskData.assignedTo))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only assign tasks to marketing staff in your team'
+      });
+    }
+
+    const deadlineError = await checkDeadline(taskData);
+    if (deadlineError) {
+      return res.status(400).json({
+        success: false,
+        error: deadlineError,
+        code: 'ASSIGNEE_UNAVAILABLE'
+      });
+    }
+
     // Create the task
     const task = await Task.create(taskData);
 
@@ -614,7 +713,7 @@ exports.deleteTask = async (req, res, next) => {
     }
 
     // Authorization check - only allow task creator or admin to delete
-    if (req.user.role !== 'Administrator' && task.createdBy.toString() !== req.user.id) {
+    if (!hasCapability(req.user, 'admin') && task.createdBy.toString() !== req.user.id) {
       return res.status(403).json({
         success: false,
         error: 'Not authorized to delete this task'
@@ -0,0 +1,399 @@
+const { validationResult } = require('express-validator');
+const Territory = require('../models/Territory');
+const Distributor = require('../models/Distributor');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+/**
+ * Check the parent and distributors of a region or area
+ * @param {Object} data - { type, parent, distributors }
+ * @param {String} territoryId - ID of the territory being updated (if any)
+ * @returns {Promise<String|null>} - Error message, or null when valid
+ */
+const validateHierarchy = async ({ type, parent, distributors }, territoryId) => {
+  if (type === 'Region') {
+    if (parent) return 'A region cannot have a parent territory';
+    if (distributors && distributors.length > 0) return 'Distributors must be assigned to an area, not a region';
+    return null;
+  }
+
+  if (!parent) return 'An area must belong to a region';
+
+  const region = await Territory.findById(parent);
+  if (!region || region.type !== 'Region') return 'Parent territory must be a region';
+
+  if (distributors && distributors.length > 0) {
+    const count = await Distributor.countDocuments({ _id: { $in: distributors } });
+    if (count !== new Set(distributors.map(String)).size) return 'One or more distributors were not found';
+
+    // A distributor belongs to a single area
+    const conflicts = await Territory.find({
+      _id: { $ne: territoryId },
+      distributors: { $in: distributors }
+    }).select('name');
+    if (conflicts.length > 0) {
+      return `Distributors are already assigned to: ${conflicts.map(t => t.name).join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Create a territory
+ * @route   POST /api/territories
+ * @access  Private (Admin)
+ */
+exports.createTerritory = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, code, type, parent, distributors = [], description } = req.body;
+
+    const hierarchyError = await validateHierarchy({ type, parent, distributors });
+    if (hierarchyError) {
+      return res.status(400).json({
+        success: false,
+        error: hierarchyError
+      });
+    }
+
+    const codeExists = await Territory.findOne({ code: code.toUpperCase() });
+    if (codeExists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Territory with this code already exists'
+      });
+    }
+
+    const territory = await Territory.create({
+      name,
+      code,
+      type,
+      parent: type === 'Area' ? parent : null,
+      distributors,
+      description,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: territory
+    });
+
+    logger.info(`Admin ${req.user.id} created territory ${territory._id}`);
+  } catch (error) {
+    logger.error(`Error in createTerritory controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get territories
+ * @route   GET /api/territories
+ * @access  Private (Admin)
+ */
+exports.getTerritories = async (req, res, next) => {
+  try {
+    const { type, parent, active } = req.query;
+
+    const query = {};
+
+    if (type) {
+      query.type = type;
+    }
+
+    if (parent) {
+      query.parent = parent;
+    }
+
+    if (active !== undefined) {
+      query.active = active === 'true';
+    }
+
+    const territories = await Territory.find(query)
+      .populate('parent', 'name code')
+      .populate('distributors', 'name shopName')
+      .sort({ type: -1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: territories.length,
+      data: territories
+    });
+  } catch (error) {
+    logger.error(`Error in getTerritories controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get regions with their areas nested
+ * @route   GET /api/territories/tree
+ * @access  Private (Admin)
+ */
+exports.getTerritoryTree = async (req, res, next) => {
+  try {
+    const territories = await Territory.find()
+      .populate('distributors', 'name shopName')
+      .sort({ name: 1 })
+      .lean();
+
+    const tree = territories
+      .filter(territory => territory.type === 'Region')
+      .map(region => ({
+        ...region,
+        areas: territories.filter(area =>
+          area.parent && area.parent.toString() === region._id.toString()
+        )
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: tree.length,
+      data: tree
+    });
+  } catch (error) {
+    logger.error(`Error in getTerritoryTree controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a territory with its assigned users
+ * @route   GET /api/territories/:id
+ * @access  Private (Admin)
+ */
+exports.getTerritory = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const territory = await Territory.findById(req.params.id)
+      .populate('parent', 'name code')
+      .populate('distributors', 'name shopName contact address');
+
+    if (!territory) {
+      return res.status(404).json({
+        success: false,
+        error: 'Territory not found'
+      });
+    }
+
+    const [areas, users] = await Promise.all([
+      territory.type === 'Region'
+        ? Territory.find({ parent: territory._id }).select('name code active distributors')
+        : [],
+      User.find({ territories: territory._id }).select('name email role')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...territory.toObject(),
+        areas,
+        users
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getTerritory controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a territory
+ * @route   PUT /api/territories/:id
+ * @access  Private (Admin)
+ */
+exports.updateTerritory = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const territory = await Territory.findById(req.params.id);
+
+    if (!territory) {
+      return res.status(404).json({
+        success: false,
+        error: 'Territory not found'
+      });
+    }
+
+    const { name, code, parent, distributors, description, active } = req.body;
+
+    const hierarchyError = await validateHierarchy({
+      type: territory.type,
+      parent: parent !== undefined ? parent : territory.parent,
+      distributors
+    }, territory._id);
+    if (hierarchyError) {
+      return res.status(400).json({
+        success: false,
+        error: hierarchyError
+      });
+    }
+
+    if (code && code.toUpperCase() !== territory.code) {
+      const codeExists = await Territory.findOne({ code: code.toUpperCase() });
+      if (codeExists) {
+        return res.status(400).json({
+          success: false,
+          error: 'Territory with this code already exists'
+        });
+      }
+    }
+
+    // Update fields
+    if (name) territory.name = name;
+    if (code) territory.code = code;
+    if (parent !== undefined && territory.type === 'Area') territory.parent = parent;
+    if (distributors !== undefined) territory.distributors = distributors;
+    if (description !== undefined) territory.description = description;
+    if (active !== undefined) territory.active = active;
+
+    const updatedTerritory = await territory.save();
+
+    res.status(200).json({
+      success: true,
+      data: updatedTerritory
+    });
+
+    logger.info(`Admin ${req.user.id} updated territory ${territory._id}`);
+  } catch (error) {
+    logger.error(`Error in updateTerritory controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a territory
+ * @route   DELETE /api/territories/:id
+ * @access  Private (Admin)
+ */
+exports.deleteTerritory = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const territory = await Territory.findById(req.params.id);
+
+    if (!territory) {
+      return res.status(404).json({
+        success: false,
+        error: 'Territory not found'
+      });
+    }
+
+    const areaCount = await Territory.countDocuments({ parent: territory._id });
+    if (areaCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Delete or move the areas of this region first'
+      });
+    }
+
+    await Territory.findByIdAndDelete(territory._id);
+
+    // Unassign users from the deleted territory
+    await User.updateMany(
+      { territories: territory._id },
+      { $pull: { territories: territory._id } }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Territory deleted successfully'
+    });
+
+    logger.info(`Admin ${req.user.id} deleted territory ${territory._id}`);
+  } catch (error) {
+    logger.error(`Error in deleteTerritory controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace the users assigned to a territory
+ * @route   PUT /api/territories/:id/users
+ * @access  Private (Admin)
+ */
+exports.setTerritoryUsers = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const territory = await Territory.findById(req.params.id);
+
+    if (!territory) {
+      return res.status(404).json({
+        success: false,
+        error: 'Territory not found'
+      });
+    }
+
+    const { userIds } = req.body;
+
+    const userCount = await User.countDocuments({ _id: { $in: userIds } });
+    if (userCount !== new Set(userIds.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        error: 'One or more users were not found'
+      });
+    }
+
+    await User.updateMany(
+      { territories: territory._id, _id: { $nin: userIds } },
+      { $pull: { territories: territory._id } }
+    );
+
+    await User.updateMany(
+      { _id: { $in: userIds } },
+      { $addToSet: { territories: territory._id } }
+    );
+
+    const users = await User.find({ territories: territory._id }).select('name email role');
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+
+    logger.info(`Admin ${req.user.id} assigned ${users.length} user(s) to territory ${territory._id}`);
+  } catch (error) {
+    logger.error(`Error in setTerritoryUsers controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,624 @@
+const { validationResult } = require('express-validator');
+const TravelClaim = require('../models/TravelClaim');
+const Setting = require('../models/Setting');
+const {
+  TRAVEL_RATES_SETTING,
+  getRates,
+  buildDayRoute,
+  calculateClaimAmounts
+} = require('../utils/travel');
+const { isInTeam, scopeQueryToTeam } = require('../utils/teamScope');
+const { hasCapability } = require('../utils/roleRegistry');
+const { uploadImage } = require('../utils/imageUpload');
+const { generateExcel } = require('../utils/excelGenerator');
+const logger = require('../utils/logger');
+
+/**
+ * Midnight (server time) of a date
+ * @param {Date|String} date - Date
+ * @returns {Date}
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Get the first and last moment of a YYYY-MM month
+ * @param {String} month - Month in YYYY-MM format
+ * @returns {Object} - { from, to }
+ */
+const getMonthRange = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {
+    from: new Date(year, monthNumber - 1, 1),
+    to: new Date(year, monthNumber, 0, 23, 59, 59, 999)
+  };
+};
+
+/**
+ * Work out the mode of transport a claim is priced with. The mode recorded on the day's
+ * punch-ins wins; a different mode asked for by the staff member is only kept for the reviewer,
+ * and used for pricing only when no mode was recorded.
+ * @param {Object} route - Result of buildDayRoute
+ * @param {String} [claimedMode] - Mode sent by the staff member
+ * @returns {Object} - { modeOfTransport, claimedModeOfTransport, modeOfTransportMismatch }
+ */
+const resolveModeOfTransport = (route, claimedMode) => {
+  const claimed = claimedMode ? String(claimedMode).trim() : '';
+  const recorded = route.modeOfTransport;
+  const mismatch = Boolean(claimed) && (!recorded || claimed.toLowerCase() !== recorded.toLowerCase());
+
+  return {
+    modeOfTransport: recorded || claimed || null,
+    claimedModeOfTransport: mismatch ? claimed : undefined,
+    modeOfTransportMismatch: mismatch
+  };
+};
+
+/**
+ * @desc    Preview the distance and amounts of a day's travel claim
+ * @route   GET /api/mobile/travel-claims/preview
+ * @access  Private (Marketing Staff)
+ */
+exports.previewTravelClaim = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const date = startOfDay(req.query.date || new Date());
+
+    const [route, rates, existingClaim] = await Promise.all([
+      buildDayRoute(req.user._id, date),
+      getRates(),
+      TravelClaim.findOne({ staff: req.user._id, date }).select('status totalAmount approvedAmount')
+    ]);
+
+    const { modeOfTransport, claimedModeOfTransport, modeOfTransportMismatch } = resolveModeOfTransport(route, req.query.modeOfTransport);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        date,
+        modeOfTransport,
+        claimedModeOfTransport,
+        modeOfTransportMismatch,
+        modes: route.modes,
+        distanceKm: route.distanceKm,
+        route: route.points,
+        companions: route.companions,
+        punchIns: route.punchIns,
+        shopVisits: route.shopVisits,
+        ...calculateClaimAmounts(rates, {
+          distanceKm: route.distanceKm,
+          modeOfTransport,
+          otherExpenses: 0
+        }),
+        existingClaim
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in previewTravelClaim controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Submit a day's travel claim with bills
+ * @route   POST /api/mobile/travel-claims
+ * @access  Private (Marketing Staff)
+ */
+exports.submitTravelClaim = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const date = startOfDay(req.body.date);
+
+    if (date > new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Travel can only be claimed for today or earlier'
+      });
+    }
+
+    // A rejected claim can be submitted again; other claims cannot be replaced
+    let travelClaim = await TravelClaim.findOne({ staff: req.user._id, date });
+    if (travelClaim && travelClaim.status !== 'Rejected') {
+      return res.status(400).json({
+        success: false,
+        error: `A travel claim for this date has already been submitted (${travelClaim.status})`
+      });
+    }
+
+    const route = await buildDayRoute(req.user._id, date);
+    if (route.punchIns === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No punch-ins were recorded on this date'
+      });
+    }
+
+    const { modeOfTransport, claimedModeOfTransport, modeOfTransportMismatch } = resolveModeOfTransport(route, req.body.modeOfTransport);
+    if (!modeOfTransport) {
+      return res.status(400).json({
+        success: false,
+        error: 'Mode of transport is required'
+      });
+    }
+
+    const rates = await getRates();
+    const amounts = calculateClaimAmounts(rates, {
+      distanceKm: route.distanceKm,
+      modeOfTransport,
+      otherExpenses: parseFloat(req.body.otherExpenses) || 0
+    });
+
+    const bills = [];
+    if (req.files && req.files.length > 0) {
+      for (const file of req.files) {
+        bills.push(await uploadImage(file, 'travel-claims'));
+      }
+    }
+
+    const claimData = {
+      staff: req.user._id,
+      date,
+      modeOfTransport,
+      claimedModeOfTransport,
+      modeOfTransportMismatch,
+      route: route.points,
+      distanceKm: route.distanceKm,
+      companions: route.companions,
+      ...amounts,
+      bills,
+      remarks: req.body.remarks,
+      status: 'Pending',
+      approvedAmount: undefined,
+      reviewComment: undefined,
+      reviewedBy: undefined,
+      reviewedAt: undefined
+    };
+
+    if (travelClaim) {
+      travelClaim.set(claimData);
+      await travelClaim.save();
+    } else {
+      travelClaim = await TravelClaim.create(claimData);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: travelClaim
+    });
+
+    logger.info(`Staff ${req.user.id} submitted travel claim ${travelClaim._id} for ${date.toDateString()}`);
+  } catch (error) {
+    logger.error(`Error in submitTravelClaim controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the logged in staff member's travel claims
+ * @route   GET /api/mobile/travel-claims
+ * @access  Private (Marketing Staff)
+ */
+exports.getMyTravelClaims = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const query = { staff: req.user._id };
+
+    if (req.query.month) {
+      const { from, to } = getMonthRange(req.query.month);
+      query.date = { $gte: from, $lte: to };
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const travelClaims = await TravelClaim.find(query)
+      .select('-route')
+      .populate('reviewedBy', 'name')
+      .sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: travelClaims.length,
+      data: travelClaims
+    });
+  } catch (error) {
+    logger.error(`Error in getMyTravelClaims controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get travel claims of field staff
+ * @route   GET /api/travel-claims
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getTravelClaims = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { staffId, status, fromDate, toDate, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+
+    if (staffId) {
+      query.staff = staffId;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (fromDate || toDate) {
+      query.date = {};
+      if (fromDate) {
+        query.date.$gte = startOfDay(fromDate);
+      }
+      if (toDate) {
+        const endDate = new Date(toDate);
+        endDate.setHours(23, 59, 59, 999);
+        query.date.$lte = endDate;
+      }
+    }
+
+    // Managers can limit the list to claims of their team with ?team=true
+    await scopeQueryToTeam(req, query, 'staff');
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const totalCount = await TravelClaim.countDocuments(query);
+
+    const travelClaims = await TravelClaim.find(query)
+      .select('-route')
+      .populate('staff', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      count: totalCount,
+      data: travelClaims,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        totalPages,
+        totalItems: totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    });
+  } catch (error) {
+    logger.error(`Error in getTravelClaims controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single travel claim with its route
+ * @route   GET /api/travel-claims/:id
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getTravelClaim = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const travelClaim = await TravelClaim.findById(req.params.id)
+      .populate('staff', 'name email')
+      .populate('reviewedBy', 'name');
+
+    if (!travelClaim) {
+      return res.status(404).json({
+        success: false,
+        error: 'Travel claim not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: travelClaim
+    });
+  } catch (error) {
+    logger.error(`Error in getTravelClaim controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve or reject a travel claim
+ * @route   PATCH /api/travel-claims/:id/review
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.reviewTravelClaim = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const travelClaim = await TravelClaim.findById(req.params.id);
+
+    if (!travelClaim) {
+      return res.status(404).json({
+        success: false,
+        error: 'Travel claim not found'
+      });
+    }
+
+    if (travelClaim.staff.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot review your own travel claim'
+      });
+    }
+
+    // Managers review claims of their own team; admins review any claim
+    if (!hasCapability(req.user, 'admin') && !(await isInTeam(req.user._id, travelClaim.staff))) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only review travel claims of staff in your team'
+      });
+    }
+
+    if (travelClaim.status !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        error: `This travel claim has already been ${travelClaim.status.toLowerCase()}`
+      });
+    }
+
+    const { status, approvedAmount, comment } = req.body;
+
+    // The staff member claimed a mode other than the one recorded on their punch-ins
+    if (status === 'Approved' && travelClaim.modeOfTransportMismatch && !comment) {
+      return res.status(400).json({
+        success: false,
+        error: `The claimed mode of transport (${travelClaim.claimedModeOfTransport}) differs from the mode recorded on the punch-ins (${travelClaim.modeOfTransport}); add a comment to approve it`,
+        code: 'MODE_OF_TRANSPORT_MISMATCH'
+      });
+    }
+
+    if (status === 'Approved') {
+      const amount = approvedAmount !== undefined ? parseFloat(approvedAmount) : travelClaim.totalAmount;
+      if (amount > travelClaim.totalAmount) {
+        return res.status(400).json({
+          success: false,
+          error: 'Approved amount cannot be more than the claimed amount'
+        });
+      }
+      travelClaim.approvedAmount = amount;
+    } else {
+      travelClaim.approvedAmount = 0;
+    }
+
+    travelClaim.status = status;
+    travelClaim.reviewComment = comment;
+    travelClaim.reviewedBy = req.user._id;
+    travelClaim.reviewedAt = new Date();
+
+    await travelClaim.save();
+
+    res.status(200).json({
+      success: true,
+      data: travelClaim
+    });
+
+    logger.info(`User ${req.user.id} ${status.toLowerCase()} travel claim ${travelClaim._id}`);
+  } catch (error) {
+    logger.error(`Error in reviewTravelClaim controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Download the monthly expense statement as Excel
+ * @route   GET /api/travel-claims/statement
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.downloadStatement = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const today = new Date();
+    const month = req.query.month || `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+    const { from, to } = getMonthRange(month);
+
+    const query = { date: { $gte: from, $lte: to } };
+
+    if (req.query.staffId) {
+      query.staff = req.query.staffId;
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    await scopeQueryToTeam(req, query, 'staff');
+
+    const travelClaims = await TravelClaim.find(query)
+      .select('-route')
+      .populate('staff', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ date: 1 })
+      .lean();
+
+    // One row per claim, grouped by staff member
+    travelClaims.sort((a, b) => {
+      const nameA = a.staff ? a.staff.name : '';
+      const nameB = b.staff ? b.staff.name : '';
+      return nameA.localeCompare(nameB) || new Date(a.date) - new Date(b.date);
+    });
+
+    const headers = [
+      'Staff Name',
+      'Email',
+      'Date',
+      'Mode of Transport',
+      'Claimed Mode',
+      'Distance (km)',
+      'Rate per km',
+      'Travel Allowance',
+      'Daily Allowance',
+      'Other Expenses',
+      'Claimed Amount',
+      'Status',
+      'Approved Amount',
+      'Reviewed By',
+      'Bills'
+    ];
+
+    const data = travelClaims.map(claim => ({
+      name: claim.staff ? claim.staff.name : 'N/A',
+      email: claim.staff ? claim.staff.email : 'N/A',
+      date: new Date(claim.date).toLocaleDateString(),
+      modeOfTransport: claim.modeOfTransport,
+      claimedModeOfTransport: claim.modeOfTransportMismatch ? claim.claimedModeOfTransport : '',
+      distanceKm: claim.distanceKm,
+      ratePerKm: claim.ratePerKm,
+      travelAllowance: claim.travelAllowance,
+      dailyAllowance: claim.dailyAllowance,
+      otherExpenses: claim.otherExpenses,
+      totalAmount: claim.totalAmount,
+      status: claim.status,
+      approvedAmount: claim.status === 'Approved' ? claim.approvedAmount : '',
+      reviewedBy: claim.reviewedBy ? claim.reviewedBy.name : '',
+      bills: claim.bills.length
+    }));
+
+    const wb = generateExcel({
+      filename: `Travel_Expenses_${month}.xlsx`,
+      sheetName: `Travel Expenses ${month}`,
+      headers,
+      data
+    });
+
+    // Set headers for Excel download
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="Travel_Expenses_${month}.xlsx"`);
+
+    // Write to response
+    wb.write(`Travel_Expenses_${month}.xlsx`, res);
+
+    logger.info(`User ${req.user.id} downloaded the travel expense statement for ${month}`);
+  } catch (error) {
+    logger.error(`Error in downloadStatement controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get travel allowance rates
+ * @route   GET /api/travel-claims/rates
+ * @access  Private (Admin, Mid-Level Manager)
+ */
+exports.getTravelRates = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await getRates()
+    });
+  } catch (error) {
+    logger.error(`Error in getTravelRates controller: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update travel allowance rates (applies to claims submitted afterwards)
+ * @route   PUT /api/travel-claims/rates
+ * @access  Private (Admin)
+ */
+exports.updateTravelRates = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const current = await getRates();
+    const ratesPerKm = req.body.ratesPerKm || current.ratesPerKm;
+
+    const invalidMode = Object.keys(ratesPerKm).find(mode => typeof ratesPerKm[mode] !== 'number' || ratesPerKm[mode] < 0);
+    if (invalidMode) {
+      return res.status(400).json({
+        success: false,
+        error: `Rate for ${invalidMode} must be a number of 0 or more`
+      });
+    }
+
+    const dailyAllowance = req.body.dailyAllowance !== undefined ? req.body.dailyAllowance : current.dailyAllowance;
+
+    await Setting.setValue(TRAVEL_RATES_SETTING, { ratesPerKm, dailyAllowance }, req.user.id);
+
+    logger.info(`Admin ${req.user.id} updated travel allowance rates`);
+
+    res.status(200).json({
+      success: true,
+      data: await getRates()
+    });
+  } catch (error) {
+    logger.error(`Error in updateTravelRates controller: ${error.message}`);
+    next(error);
+  }
+};
@@ -1,14 +1,99 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { promisify } = require('util');
 const config = require('../config/config');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { PERMISSION_KEYS } = require('../config/permissions');
+const { CAPABILITY_KEYS } = require('../config/capabilities');
+const { hasCapability } = require('../utils/roleRegistry');
+const { PURPOSES, verifyPreAuthToken } = require('../utils/preAuthToken');
+const { getRequiredScope } = require('../config/apiKeyScopes');
+const apiKeyManager = require('../utils/apiKeyManager');
 const logger = require('../utils/logger');
 
+/**
+ * Look up the X-API-Key of a request before the rate limiters run, so requests made with a
+ * valid key are limited per key instead of per IP. An invalid key is left for protect to refuse.
+ */
+exports.identifyApiKey = async (req, res, next) => {
+  try {
+    if (req.headers['x-api-key']) {
+      req.apiKey = (await apiKeyManager.findActiveKey(req.headers['x-api-key'])) || undefined;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Requests made with a valid API key (see identifyApiKey) are limited per key
+exports.apiKeyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: config.apiKeys.rateLimit,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => !req.apiKey,
+  keyGenerator: (req) => req.apiKey._id.toString(),
+  message: {
+    success: false,
+    error: 'Too many requests for this API key, please try again after 15 minutes'
+  }
+});
+
+/**
+ * Authenticate a machine-to-machine request made with an X-API-Key header.
+ * The key must hold the scope for the route group, and acts on behalf of the admin who created it.
+ */
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = req.apiKey || await apiKeyManager.findActiveKey(req.headers['x-api-key']);
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid, expired or revoked API key.',
+      code: 'INVALID_API_KEY'
+    });
+  }
+  
+  req.apiKey = apiKey;
+  
+  const scope = getRequiredScope(req.method, req.baseUrl);
+  if (!scope || !apiKey.scopes.includes(scope)) {
+    logger.warn(`API key ${apiKey.prefix} without scope ${scope || 'n/a'} tried to access ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({
+      success: false,
+      error: scope
+        ? `This API key does not have the '${scope}' scope`
+        : 'This resource cannot be accessed with an API key',
+      code: 'API_KEY_SCOPE'
+    });
+  }
+  
+  const user = await User.findById(apiKey.createdBy);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'The user who created this API key no longer exists.',
+      code: 'USER_NOT_FOUND'
+    });
+  }
+  
+  await apiKeyManager.recordUsage(apiKey, req);
+  
+  req.user = user;
+  next();
+};
+
 /**
  * Middleware to protect routes that require authentication
  */
 exports.protect = async (req, res, next) => {
   try {
+    // Integrations authenticate with an API key instead of a JWT
+    if (req.headers['x-api-key']) {
+      return await authenticateApiKey(req, res, next);
+    }
+    
     let token;
     
     // Get token from Authorization header
@@ -34,6 +119,15 @@ exports.protect = async (req, res, next) => {
         algorithms: ['HS256']
       });
       
+      // Pre-auth tokens (two-factor login) are not access tokens
+      if (decoded.purpose) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid token. Please log in again.',
+          code: 'INVALID_TOKEN'
+        });
+      }
+      
       // Check if user still exists
       const user = await User.findById(decoded.id).select('+passwordChangedAt');
       if (!user) {
@@ -53,6 +147,19 @@ exports.protect = async (req, res, next) => {
         });
       }
       
+      // Check that the session the token was issued for has not been revoked
+      let session;
+      if (decoded.sid) {
+        session = await Session.findById(decoded.sid);
+        if (!session || !session.isActive()) {
+          return res.status(401).json({
+            success: false,
+            error: 'Your session has been revoked. Please log in again.',
+            code: 'SESSION_REVOKED'
+          });
+        }
+      }
+      
       // Check token expiration time
       const currentTime = Math.floor(Date.now() / 1000);
       const tokenExpiresIn = decoded.exp - currentTime;
@@ -75,6 +182,7 @@ exports.protect = async (req, res, next) => {
       
       // Grant access to protected route
       req.user = user;
+      req.authSession = session;
       next();
     } catch (error) {
       // Handle specific JWT errors
@@ -107,29 +215,117 @@ exports.protect = async (req, res, next) => {
 };
 
 /**
- * Middleware to restrict access based on user roles
- * @param  {...String} roles - Roles that are allowed to access the route
+ * Middleware for two-factor enrolment endpoints. Accepts either a normal access token
+ * or, when two-factor is mandatory and not yet set up, the setup pre-auth token from login.
  */
-exports.restrictTo = (...roles) => {
+exports.protectTwoFactorSetup = async (req, res, next) => {
+  const { preAuthToken } = req.body || {};
+  if (!preAuthToken) {
+    return exports.protect(req, res, next);
+  }
+  
+  try {
+    const decoded = await verifyPreAuthToken(preAuthToken, PURPOSES.SETUP);
+    const user = decoded && await User.findById(decoded.id);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Your login has expired. Please log in again.',
+        code: 'INVALID_PREAUTH_TOKEN'
+      });
+    }
+    
+    req.user = user;
+    req.preAuth = true;
+    next();
+  } catch (error) {
+    logger.error(`Auth middleware error: ${error.message}`);
+    res.status(401).json({
+      success: false,
+      error: 'Not authorized to access this resource',
+      code: 'AUTH_ERROR'
+    });
+  }
+};
+
+/**
+ * Check whether a user is a sub-admin
+ * @param {Object} user - User document
+ * @returns {Boolean}
+ */
+const isSubAdmin = (user) => user.isSubAdmin === true || hasCapability(user, 'sub-admin');
+
+/**
+ * Middleware to require a named permission from sub-admins.
+ * Other roles are not affected; their access is controlled by authorize.
+ * @param {String} permission - Permission key from config/permissions
+ */
+exports.requirePermission = (permission) => {
+  if (!PERMISSION_KEYS.includes(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      logger.error('User is undefined in requirePermission middleware');
+      return res.status(401).json({
+        success: false,
+        error: 'User not authenticated'
+      });
+    }
+
+    if (!isSubAdmin(req.user)) {
+      return next();
+    }
+
+    if (!(req.user.permissions || []).includes(permission)) {
+      logger.warn(`Unauthorized access attempt: Sub-admin ${req.user.id} without '${permission}' permission tried to access ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({
+        success: false,
+        error: `You do not have the '${permission}' permission required for this action`,
+        code: 'PERMISSION_DENIED'
+      });
+    }
+
+    req.permissionGranted = true;
+    next();
+  };
+};
+
+/**
+ * Middleware to restrict access to roles holding one of the capabilities.
+ * Roles with the 'admin' capability can access everything.
+ * @param  {...String} capabilities - Capability keys from config/capabilities
+ */
+exports.authorize = (...capabilities) => {
+  capabilities.forEach(capability => {
+    if (!CAPABILITY_KEYS.includes(capability)) {
+      throw new Error(`Unknown capability: ${capability}`);
+    }
+  });
+
   return (req, res, next) => {
     // Check if req.user exists and has a role
     if (!req.user || !req.user.role) {
-      logger.error('User or user role is undefined in restrictTo middleware');
+      logger.error('User or user role is undefined in authorize middleware');
       return res.status(401).json({
         success: false,
         error: 'User not authenticated or role not defined'
       });
     }
 
-    // Case-insensitive check for 'admin' role
-    if (req.user.role.toLowerCase() === 'admin') {
-      // Admin users can access everything
+    // Admin users can access everything
+    if (hasCapability(req.user, 'admin')) {
+      return next();
+    }
+    
+    // Sub-admins act as admins within route groups they have been granted (see requirePermission)
+    if (req.permissionGranted && isSubAdmin(req.user)) {
       return next();
     }
     
-    // For other roles, check if user role is in the allowed roles (case-sensitive)
-    if (!roles.includes(req.user.role)) {
-      logger.warn(`Unauthorized access attempt: User ${req.user.id} with role ${req.user.role} tried to access a route restricted to ${roles.join(', ')}`);
+    if (!hasCapability(req.user, ...capabilities)) {
+      logger.warn(`Unauthorized access attempt: User ${req.user.id} with role ${req.user.role} tried to access a route requiring ${capabilities.join(', ')}`);
       return res.status(403).json({
         success: false,
         error: 'You do not have permission to perform this action'
@@ -164,12 +360,26 @@ exports.isLoggedIn = async (req, res, next) => {
       algorithms: ['HS256']
     });
     
+    // Pre-auth tokens (two-factor login) are not access tokens
+    if (decoded.purpose) {
+      return next();
+    }
+    
     // Check if user still exists
     const user = await User.findById(decoded.id);
     if (!user) {
       return next();
     }
     
+    // Ignore tokens whose session has been revoked
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid);
+      if (!session || !session.isActive()) {
+        return next();
+      }
+      req.authSession = session;
+    }
+    
     // Set user on request object
     req.user = user;
     next();
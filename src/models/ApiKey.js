@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a name for the API key'],
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    // First characters of the key, shown in listings so keys can be told apart
+    prefix: {
+      type: String,
+      required: true
+    },
+    // SHA-256 hash of the key (the raw key is only shown once, when created)
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    scopes: {
+      type: [{
+        type: String,
+        enum: API_KEY_SCOPES
+      }],
+      validate: {
+        validator: scopes => scopes.length > 0,
+        message: 'At least one scope is required'
+      }
+    },
+    // Admin who created the key; requests made with the key act on their behalf
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    expiresAt: {
+      type: Date
+    },
+    revokedAt: {
+      type: Date
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Usage
+    lastUsedAt: {
+      type: Date
+    },
+    lastUsedIp: {
+      type: String,
+      trim: true
+    },
+    requestCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+ApiKeySchema.index({ createdBy: 1 });
+
+// Check whether the key can still be used
+ApiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > Date.now());
+};
+
+const ApiKey = mongoose.model('ApiKey', ApiKeySchema);
+
+module.exports = ApiKey;
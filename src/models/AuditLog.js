@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const ENTITY_TYPES = [
+  'Order', 'DamageClaim', 'SalesInquiry', 'SupplyEstimate', 'Task',
+  'Distributor', 'Shop', 'Product', 'User', 'Territory', 'Role', 'BeatPlan', 'TravelClaim',
+  'LeaveType', 'LeaveBalance', 'LeaveRequest', 'Holiday', 'PriceList'
+];
+
+// Field level change
+const FieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, { _id: false });
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorName: {
+      type: String,
+      trim: true
+    },
+    actorRole: {
+      type: String,
+      trim: true,
+      default: 'System'
+    },
+    // Set when the change was made by an integration using an API key
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
+    ipAddress: {
+      type: String,
+      trim: true
+    },
+    userAgent: {
+      type: String,
+      trim: true
+    },
+    method: {
+      type: String,
+      trim: true
+    },
+    path: {
+      type: String,
+      trim: true
+    },
+    entityType: {
+      type: String,
+      enum: ENTITY_TYPES,
+      required: [true, 'Entity type is required']
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Entity ID is required']
+    },
+    action: {
+      type: String,
+      enum: ['create', 'update', 'delete'],
+      required: [true, 'Action is required']
+    },
+    changes: [FieldChangeSchema]
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Indexes for faster queries
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+// Audit entries are append-only
+const rejectMutation = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectMutation
+);
+AuditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, rejectMutation);
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+AuditLog.ENTITY_TYPES = ENTITY_TYPES;
+
+module.exports = AuditLog;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// Shops a field staff member should visit, in order, on a date or every week on a weekday.
+// A dated plan replaces the weekly plan for that day.
+const BeatPlanSchema = new mongoose.Schema(
+  {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Staff member is required']
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    type: {
+      type: String,
+      enum: ['Dated', 'Weekly'],
+      required: [true, 'Plan type is required']
+    },
+    // Day of a dated plan (stored at midnight server time)
+    date: {
+      type: Date,
+      required: [function() { return this.type === 'Dated'; }, 'Date is required for a dated plan']
+    },
+    // Weekday of a weekly plan (0 = Sunday ... 6 = Saturday)
+    dayOfWeek: {
+      type: Number,
+      min: [0, 'Day of week must be between 0 and 6'],
+      max: [6, 'Day of week must be between 0 and 6'],
+      required: [function() { return this.type === 'Weekly'; }, 'Day of week is required for a weekly plan']
+    },
+    // Period a weekly plan applies to (no end means until further notice)
+    effectiveFrom: {
+      type: Date
+    },
+    effectiveTo: {
+      type: Date
+    },
+    // Shops in visiting order
+    shops: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shop'
+      }],
+      validate: {
+        validator: shops => shops.length > 0,
+        message: 'A beat plan needs at least one shop'
+      }
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot be more than 500 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+BeatPlanSchema.index({ staff: 1, date: 1 }, { unique: true, partialFilterExpression: { type: 'Dated' } });
+BeatPlanSchema.index({ staff: 1, dayOfWeek: 1 });
+
+// Record changes in the audit log
+BeatPlanSchema.plugin(auditTrailPlugin, { entityType: 'BeatPlan' });
+
+const BeatPlan = mongoose.model('BeatPlan', BeatPlanSchema);
+
+module.exports = BeatPlan;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
 
 const ReplacementDetailsSchema = new mongoose.Schema({
   dispatchDate: {
@@ -155,6 +156,9 @@ DamageClaimSchema.index({ distributorId: 1 });
 // Removed trackingId index to prevent duplicate key errors
 DamageClaimSchema.index({ manufacturingDate: 1 });
 
+// Record changes in the audit log
+DamageClaimSchema.plugin(auditTrailPlugin, { entityType: 'DamageClaim' });
+
 const DamageClaim = mongoose.model('DamageClaim', DamageClaimSchema);
 
 module.exports = DamageClaim;
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+const { PointSchema } = require('../utils/geofence');
 
 // Retail shop schema
 const RetailShopSchema = new mongoose.Schema({
@@ -47,6 +49,10 @@ const DistributorSchema = new mongoose.Schema(
       required: [true, 'Please provide an address'],
       trim: true
     },
+    // Used to check that punches at the distributor were made there
+    location: {
+      type: PointSchema
+    },
     retailShops: [RetailShopSchema],
     wholesaleShops: [RetailShopSchema],
     // For statistics
@@ -70,6 +76,10 @@ const DistributorSchema = new mongoose.Schema(
 
 // Index for faster queries
 DistributorSchema.index({ name: 1 });
+DistributorSchema.index({ location: '2dsphere' });
+
+// Record changes in the audit log
+DistributorSchema.plugin(auditTrailPlugin, { entityType: 'Distributor' });
 
 const Distributor = mongoose.model('Distributor', DistributorSchema);
 
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// Company holiday. Nobody is expected to work, so the day is not counted as absent or as leave.
+const HolidaySchema = new mongoose.Schema(
+  {
+    // Stored at midnight server time
+    date: {
+      type: Date,
+      required: [true, 'Date is required']
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a name'],
+      trim: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+HolidaySchema.index({ date: 1 }, { unique: true });
+
+// Record changes in the audit log
+HolidaySchema.plugin(auditTrailPlugin, { entityType: 'Holiday' });
+
+const Holiday = mongoose.model('Holiday', HolidaySchema);
+
+module.exports = Holiday;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// Days of a leave type allocated to a staff member for a year, replacing the type's annual quota.
+// Days used and pending are worked out from the leave requests.
+const LeaveBalanceSchema = new mongoose.Schema(
+  {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Staff member is required']
+    },
+    leaveType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LeaveType',
+      required: [true, 'Leave type is required']
+    },
+    year: {
+      type: Number,
+      required: [true, 'Year is required']
+    },
+    allocated: {
+      type: Number,
+      required: [true, 'Allocated days are required'],
+      min: [0, 'Allocated days cannot be negative']
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+LeaveBalanceSchema.index({ staff: 1, leaveType: 1, year: 1 }, { unique: true });
+
+// Record changes in the audit log
+LeaveBalanceSchema.plugin(auditTrailPlugin, { entityType: 'LeaveBalance' });
+
+const LeaveBalance = mongoose.model('LeaveBalance', LeaveBalanceSchema);
+
+module.exports = LeaveBalance;
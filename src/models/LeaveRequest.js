@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// Leave applied for by a staff member and approved by someone they report to
+const LeaveRequestSchema = new mongoose.Schema(
+  {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Staff member is required']
+    },
+    leaveType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LeaveType',
+      required: [true, 'Leave type is required']
+    },
+    // First and last day of leave (stored at midnight server time)
+    fromDate: {
+      type: Date,
+      required: [true, 'From date is required']
+    },
+    toDate: {
+      type: Date,
+      required: [true, 'To date is required']
+    },
+    // Only for single-day leave
+    halfDay: {
+      type: Boolean,
+      default: false
+    },
+    // Days taken from the balance: holidays in the range are not counted
+    days: {
+      type: Number,
+      required: true,
+      min: [0.5, 'Leave must cover at least half a day']
+    },
+    reason: {
+      type: String,
+      required: [true, 'Please provide a reason'],
+      trim: true,
+      maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Approved', 'Rejected', 'Cancelled'],
+      default: 'Pending'
+    },
+    // Manager the staff member reported to when applying
+    approver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    reviewComment: {
+      type: String,
+      trim: true
+    },
+    cancelledAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+LeaveRequestSchema.index({ staff: 1, fromDate: -1 });
+LeaveRequestSchema.index({ status: 1, fromDate: 1, toDate: 1 });
+LeaveRequestSchema.index({ approver: 1, status: 1 });
+
+// Record changes in the audit log
+LeaveRequestSchema.plugin(auditTrailPlugin, { entityType: 'LeaveRequest' });
+
+const LeaveRequest = mongoose.model('LeaveRequest', LeaveRequestSchema);
+
+module.exports = LeaveRequest;
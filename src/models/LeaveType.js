@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// Kind of leave staff can apply for (e.g. Casual, Sick, Earned, Unpaid)
+const LeaveTypeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a name'],
+      unique: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    // Days each staff member gets per calendar year; null means no limit (e.g. unpaid leave).
+    // Can be changed for a single staff member with a LeaveBalance.
+    annualQuota: {
+      type: Number,
+      min: [0, 'Annual quota cannot be negative'],
+      default: null
+    },
+    isPaid: {
+      type: Boolean,
+      default: true
+    },
+    allowHalfDay: {
+      type: Boolean,
+      default: true
+    },
+    // Inactive types cannot be applied for but stay on existing requests
+    isActive: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Record changes in the audit log
+LeaveTypeSchema.plugin(auditTrailPlugin, { entityType: 'LeaveType' });
+
+const LeaveType = mongoose.model('LeaveType', LeaveTypeSchema);
+
+module.exports = LeaveType;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// Position reported periodically by the mobile app while the staff member is punched in
+const LocationPingSchema = new mongoose.Schema(
+  {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Staff member is required']
+    },
+    // Punch-in (MarketingStaffActivity) open when the position was captured
+    activity: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MarketingStaffActivity'
+    },
+    latitude: {
+      type: Number,
+      required: true,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      required: true,
+      min: -180,
+      max: 180
+    },
+    // Reported GPS accuracy in metres
+    accuracy: {
+      type: Number
+    },
+    // Metres per second
+    speed: {
+      type: Number
+    },
+    // Percent
+    batteryLevel: {
+      type: Number
+    },
+    capturedAt: {
+      type: Date,
+      required: [true, 'Capture time is required']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+// Also makes a ping sent twice (e.g. retried after a timeout) a no-op
+LocationPingSchema.index({ staff: 1, capturedAt: -1 }, { unique: true });
+// Let MongoDB purge old pings
+LocationPingSchema.index({ capturedAt: 1 }, { expireAfterSeconds: config.tracking.retentionDays * 24 * 60 * 60 });
+
+const LocationPing = mongoose.model('LocationPing', LocationPingSchema);
+
+module.exports = LocationPing;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const LOGIN_FLAGS = ['many-ips', 'role-mismatch'];
+
+const LoginEventSchema = new mongoose.Schema(
+  {
+    // Empty when the email does not belong to any user
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      required: [true, 'Email is required']
+    },
+    outcome: {
+      type: String,
+      enum: ['success', 'failure'],
+      required: [true, 'Outcome is required']
+    },
+    reason: {
+      type: String,
+      enum: ['unknown-user', 'role-mismatch', 'admin-panel-denied', 'account-locked', 'invalid-credentials', 'invalid-two-factor-code']
+    },
+    method: {
+      type: String,
+      enum: ['password', 'two-factor', 'recovery-code'],
+      default: 'password'
+    },
+    // Where the login came from: the admin panel, the mobile app (/api/mobile) or any other client
+    client: {
+      type: String,
+      enum: ['admin-panel', 'mobile-app', 'web'],
+      default: 'web'
+    },
+    roleRequested: {
+      type: String,
+      trim: true
+    },
+    ipAddress: {
+      type: String,
+      trim: true
+    },
+    userAgent: {
+      type: String,
+      trim: true
+    },
+    suspicious: {
+      type: Boolean,
+      default: false
+    },
+    flags: [{
+      type: String,
+      enum: LOGIN_FLAGS
+    }]
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Indexes for faster queries
+LoginEventSchema.index({ email: 1, createdAt: -1 });
+LoginEventSchema.index({ user: 1, createdAt: -1 });
+LoginEventSchema.index({ suspicious: 1, createdAt: -1 });
+// Let MongoDB purge old events
+LoginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.loginMonitoring.retentionDays * 24 * 60 * 60 });
+
+const LoginEvent = mongoose.model('LoginEvent', LoginEventSchema);
+
+LoginEvent.LOGIN_FLAGS = LOGIN_FLAGS;
+
+module.exports = LoginEvent;
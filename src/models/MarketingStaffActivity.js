@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CapturedLocationSchema, GeofenceReviewSchema } = require('../utils/geofence');
 
 // Size Supply Estimate Schema 
 const SizeSupplyEstimateSchema = new mongoose.Schema({
@@ -133,6 +134,10 @@ const MarketingStaffActivitySchema = new mongoose.Schema(
     meetingEndTime: {
       type: Date
     },
+    // Set on punch-out
+    durationMinutes: {
+      type: Number
+    },
     initialSupplyEstimate: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'SupplyEstimate'
@@ -147,6 +152,27 @@ const MarketingStaffActivitySchema = new mongoose.Schema(
       type: String,
       required: [true, 'Selfie image is required']
     },
+    // Perceptual hash of the selfie, compared with the staff member's recent selfies
+    selfieHash: {
+      type: String
+    },
+    // Set when the selfie is a near-duplicate of an earlier one; managers review it through selfieReview
+    selfieFlagged: {
+      type: Boolean,
+      default: false
+    },
+    selfieMatch: {
+      activity: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MarketingStaffActivity'
+      },
+      distance: {
+        type: Number
+      }
+    },
+    selfieReview: {
+      type: GeofenceReviewSchema
+    },
     shopTypes: {
       type: [{
         type: String,
@@ -166,6 +192,33 @@ const MarketingStaffActivitySchema = new mongoose.Schema(
         required: [true, 'Shop type is required']
       }
     }],
+    punchInLocation: {
+      type: CapturedLocationSchema
+    },
+    punchOutLocation: {
+      type: CapturedLocationSchema
+    },
+    // Set when the auto-close job ended a punch-in nobody punched out of; the end time is an estimate
+    closedBySystem: {
+      type: Boolean,
+      default: false
+    },
+    autoClosedAt: {
+      type: Date
+    },
+    // Set when a punch was made outside the geofence; managers review it through geofenceReview
+    geofenceFlagged: {
+      type: Boolean,
+      default: false
+    },
+    // Set with geofenceFlagged when a punch could not be checked: no position was sent or the location has no coordinates
+    geofenceUnverified: {
+      type: Boolean,
+      default: false
+    },
+    geofenceReview: {
+      type: GeofenceReviewSchema
+    },
     status: {
       type: String,
       enum: ['Punched In', 'Punched Out', 'Completed'],
@@ -179,6 +232,10 @@ const MarketingStaffActivitySchema = new mongoose.Schema(
 
 // Indexes for faster queries
 MarketingStaffActivitySchema.index({ marketingStaffId: 1, createdAt: -1 });
+MarketingStaffActivitySchema.index({ marketingStaffId: 1, meetingStartTime: 1 });
+MarketingStaffActivitySchema.index({ geofenceFlagged: 1, 'geofenceReview.status': 1 });
+MarketingStaffActivitySchema.index({ selfieFlagged: 1, 'selfieReview.status': 1 });
+MarketingStaffActivitySchema.index({ status: 1, meetingStartTime: 1 });
 
 const MarketingStaffActivity = mongoose.model('MarketingStaffActivity', MarketingStaffActivitySchema);
 
@@ -1,4 +1,23 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// Retailer sales order line rolled up into an order item
+const OrderItemSourceSchema = new mongoose.Schema(
+  {
+    activity: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RetailerShopActivity'
+    },
+    shop: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Shop'
+    },
+    quantity: {
+      type: Number
+    }
+  },
+  { _id: false }
+);
 
 const OrderItemSchema = new mongoose.Schema(
   {
@@ -16,6 +35,32 @@ const OrderItemSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Please provide a unit'],
       trim: true
+    },
+    // Variant and size of the product (brand) named, used to look up its price
+    variant: {
+      type: String,
+      trim: true
+    },
+    size: {
+      type: String,
+      trim: true
+    },
+    // Price list price when the order was created; null if the product has no price
+    unitPrice: {
+      type: Number,
+      default: null
+    },
+    lineTotal: {
+      type: Number,
+      default: null
+    },
+    // Consolidated orders: quantity the retailers ordered (before the manager's adjustment) and their lines
+    retailerQuantity: {
+      type: Number
+    },
+    sources: {
+      type: [OrderItemSourceSchema],
+      default: undefined
     }
   },
   { _id: false }
@@ -38,6 +83,31 @@ const OrderSchema = new mongoose.Schema(
         message: 'Please provide at least one item'
       }
     },
+    // Sum of the priced lines
+    totalAmount: {
+      type: Number,
+      default: 0
+    },
+    // Lines left out of the total because they have no price
+    unpricedItems: {
+      type: Number,
+      default: 0
+    },
+    // Entered by hand, or rolled up from retailer sales orders
+    source: {
+      type: String,
+      enum: ['Manual', 'Consolidation'],
+      default: 'Manual'
+    },
+    // Consolidated orders: period and shop visits whose sales orders were rolled up
+    period: {
+      from: Date,
+      to: Date
+    },
+    sourceActivities: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RetailerShopActivity'
+    }],
     status: {
       type: String,
       enum: ['Requested', 'Approved', 'Rejected', 'Dispatched'],
@@ -71,6 +141,9 @@ OrderSchema.index({ distributorId: 1 });
 OrderSchema.index({ status: 1 });
 OrderSchema.index({ createdBy: 1 });
 
+// Record changes in the audit log
+OrderSchema.plugin(auditTrailPlugin, { entityType: 'Order' });
+
 const Order = mongoose.model('Order', OrderSchema);
 
 module.exports = Order; 
\ No newline at end of file
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// A price of one size of a product variant. Entries without a distributor or channel
+// are the base price; the most specific entry in effect on a day wins (see utils/pricing).
+const PriceListSchema = new mongoose.Schema(
+  {
+    brandName: {
+      type: String,
+      required: [true, 'Brand name is required'],
+      trim: true
+    },
+    variant: {
+      type: String,
+      required: [true, 'Variant is required'],
+      trim: true
+    },
+    size: {
+      type: String,
+      required: [true, 'Size is required'],
+      trim: true
+    },
+    price: {
+      type: Number,
+      required: [true, 'Price is required'],
+      min: [0, 'Price cannot be negative']
+    },
+    // Price for the shops of one distributor
+    distributor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Distributor',
+      default: null
+    },
+    // Price for one type of shop
+    channel: {
+      type: String,
+      enum: {
+        values: ['Retailer', 'Whole Seller'],
+        message: 'Channel must be Retailer or Whole Seller'
+      },
+      default: null
+    },
+    // First day the price applies (midnight)
+    effectiveFrom: {
+      type: Date,
+      required: [true, 'Effective from date is required']
+    },
+    // Last day the price applies (end of day); open-ended if not set
+    effectiveTo: {
+      type: Date,
+      default: null
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+PriceListSchema.index({ brandName: 1, variant: 1, size: 1, effectiveFrom: -1 });
+PriceListSchema.index({ distributor: 1 });
+
+// Record changes in the audit log
+PriceListSchema.plugin(auditTrailPlugin, { entityType: 'PriceList' });
+
+const PriceList = mongoose.model('PriceList', PriceListSchema);
+
+module.exports = PriceList;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
 
 // Size schema
 const SizeSchema = new mongoose.Schema({
@@ -57,6 +58,9 @@ const ProductSchema = new mongoose.Schema(
 // Indexes for faster queries
 ProductSchema.index({ brandName: 1 });
 
+// Record changes in the audit log
+ProductSchema.plugin(auditTrailPlugin, { entityType: 'Product' });
+
 const Product = mongoose.model('Product', ProductSchema);
 
 module.exports = Product; 
\ No newline at end of file
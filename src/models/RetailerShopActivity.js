@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CapturedLocationSchema, GeofenceReviewSchema } = require('../utils/geofence');
 
 // Schema for sales order items
 const SalesOrderItemSchema = new mongoose.Schema({
@@ -25,6 +26,15 @@ const SalesOrderItemSchema = new mongoose.Schema({
   isDisplayedInCounter: {
     type: Boolean,
     default: false
+  },
+  // Price list price when the order was taken; null if the product has no price
+  unitPrice: {
+    type: Number,
+    default: null
+  },
+  lineTotal: {
+    type: Number,
+    default: null
   }
 }, { _id: true });
 
@@ -73,6 +83,33 @@ const AlternateProviderSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+// Schema for the stored recording of a voice note
+const VoiceNoteFileSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['m4a', '3gp', 'aac', 'amr', 'mp3', 'ogg', 'webm', 'wav']
+  },
+  mimeType: {
+    type: String
+  },
+  sizeBytes: {
+    type: Number
+  },
+  // null when the recording does not state its length
+  durationSeconds: {
+    type: Number,
+    default: null
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const RetailerShopActivitySchema = new mongoose.Schema(
   {
     marketingStaffId: {
@@ -102,6 +139,22 @@ const RetailerShopActivitySchema = new mongoose.Schema(
       default: true
     },
     salesOrders: [SalesOrderItemSchema],
+    // Sum of the priced sales order lines
+    orderTotal: {
+      type: Number,
+      default: 0
+    },
+    // Sales order lines left out of the total because they have no price
+    unpricedItems: {
+      type: Number,
+      default: 0
+    },
+    // Replenishment order the sales orders were rolled up into
+    consolidatedOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null
+    },
     alternateProviders: [AlternateProviderSchema],
     complaint: {
       type: String,
@@ -111,14 +164,49 @@ const RetailerShopActivitySchema = new mongoose.Schema(
       type: String,
       trim: true
     },
+    // Path the voice note is played from (GET /api/retailer-shop-activity/:id/voice-note)
     voiceNote: {
       type: String,
       trim: true
     },
+    voiceNoteFile: {
+      type: VoiceNoteFileSchema
+    },
+    // Set when the voice note was deleted after the retention period
+    voiceNoteDeletedAt: {
+      type: Date
+    },
     mobileNumber: {
       type: String,
       trim: true
     },
+    punchInLocation: {
+      type: CapturedLocationSchema
+    },
+    punchOutLocation: {
+      type: CapturedLocationSchema
+    },
+    // Set when the auto-close job ended a punch-in nobody punched out of; the end time is an estimate
+    closedBySystem: {
+      type: Boolean,
+      default: false
+    },
+    autoClosedAt: {
+      type: Date
+    },
+    // Set when a punch was made outside the geofence; managers review it through geofenceReview
+    geofenceFlagged: {
+      type: Boolean,
+      default: false
+    },
+    // Set with geofenceFlagged when a punch could not be checked: no position was sent or the location has no coordinates
+    geofenceUnverified: {
+      type: Boolean,
+      default: false
+    },
+    geofenceReview: {
+      type: GeofenceReviewSchema
+    },
     status: {
       type: String,
       enum: ['In Progress', 'Completed'],
@@ -132,8 +220,11 @@ const RetailerShopActivitySchema = new mongoose.Schema(
 
 // Indexes for faster queries
 RetailerShopActivitySchema.index({ marketingStaffId: 1, createdAt: -1 });
-RetailerShopActivitySchema.index({ distributorId: 1 });
+RetailerShopActivitySchema.index({ distributorId: 1, consolidatedOrder: 1, punchInTime: 1 });
 RetailerShopActivitySchema.index({ shopId: 1 });
+RetailerShopActivitySchema.index({ geofenceFlagged: 1, 'geofenceReview.status': 1 });
+RetailerShopActivitySchema.index({ isPunchedIn: 1, punchInTime: 1 });
+RetailerShopActivitySchema.index({ 'voiceNoteFile.uploadedAt': 1 }, { sparse: true });
 
 const RetailerShopActivity = mongoose.model('RetailerShopActivity', RetailerShopActivitySchema);
 
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { CAPABILITY_KEYS } = require('../config/capabilities');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+const RoleSchema = new mongoose.Schema(
+  {
+    // Stored on User.role, so renaming a role also renames it on its users
+    name: {
+      type: String,
+      required: [true, 'Please provide a role name'],
+      unique: true,
+      trim: true,
+      maxlength: [50, 'Role name cannot be more than 50 characters']
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    capabilities: [{
+      type: String,
+      enum: CAPABILITY_KEYS
+    }],
+    // Default roles the code relies on; they cannot be renamed or deleted
+    isSystem: {
+      type: Boolean,
+      default: false
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Record changes in the audit log
+RoleSchema.plugin(auditTrailPlugin, { entityType: 'Role' });
+
+const Role = mongoose.model('Role', RoleSchema);
+
+module.exports = Role;
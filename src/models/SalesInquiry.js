@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
 
 const SalesInquirySchema = new mongoose.Schema(
   {
@@ -37,9 +38,28 @@ const SalesInquirySchema = new mongoose.Schema(
           type: Number,
           required: [true, 'Quantity is required'],
           min: [1, 'Quantity must be at least 1']
+        },
+        // Price list price when the inquiry was created; null if the product has no price
+        unitPrice: {
+          type: Number,
+          default: null
+        },
+        lineTotal: {
+          type: Number,
+          default: null
         }
       }
     ],
+    // Sum of the priced products
+    totalAmount: {
+      type: Number,
+      default: 0
+    },
+    // Products left out of the total because they have no price
+    unpricedItems: {
+      type: Number,
+      default: 0
+    },
     status: {
       type: String,
       enum: ['Pending', 'Processing', 'Completed', 'Rejected', 'Commented', 'Dispatched'],
@@ -94,4 +114,7 @@ const SalesInquirySchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Record changes in the audit log
+SalesInquirySchema.plugin(auditTrailPlugin, { entityType: 'SalesInquiry' });
+
 module.exports = mongoose.model('SalesInquiry', SalesInquirySchema); 
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Session user is required']
+    },
+    // SHA-256 hash of the current refresh token (the raw token is never stored)
+    refreshTokenHash: {
+      type: String,
+      required: [true, 'Refresh token hash is required'],
+      select: false
+    },
+    // Hash of the token that was rotated out, used to detect refresh token reuse
+    previousTokenHash: {
+      type: String,
+      select: false
+    },
+    deviceId: {
+      type: String,
+      trim: true
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      default: 'Unknown device'
+    },
+    platform: {
+      type: String,
+      enum: ['web', 'android', 'ios', 'other'],
+      default: 'other'
+    },
+    userAgent: {
+      type: String,
+      trim: true
+    },
+    ipAddress: {
+      type: String,
+      trim: true
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, 'Session expiry is required']
+    },
+    revokedAt: {
+      type: Date
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'user', 'admin', 'replaced', 'reuse-detected', 'password-changed']
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+SessionSchema.index({ user: 1, revokedAt: 1 });
+SessionSchema.index({ refreshTokenHash: 1 });
+SessionSchema.index({ previousTokenHash: 1 });
+// Let MongoDB purge sessions once they have expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check whether the session can still be used
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
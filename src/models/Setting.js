@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Application settings that admins can change at runtime
+const SettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, 'Setting key is required'],
+      unique: true,
+      trim: true
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Get a setting value
+ * @param {String} key - Setting key
+ * @param {*} defaultValue - Value returned when the setting has never been saved
+ * @returns {Promise<*>}
+ */
+SettingSchema.statics.getValue = async function(key, defaultValue) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Save a setting value
+ * @param {String} key - Setting key
+ * @param {*} value - New value
+ * @param {String} userId - ID of the user changing the setting
+ * @returns {Promise<Object>} - Setting document
+ */
+SettingSchema.statics.setValue = async function(key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+const Setting = mongoose.model('Setting', SettingSchema);
+
+module.exports = Setting;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+const { PointSchema } = require('../utils/geofence');
 
 const ShopSchema = new mongoose.Schema(
   {
@@ -27,6 +29,10 @@ const ShopSchema = new mongoose.Schema(
       ref: 'Distributor',
       required: [true, 'Distributor ID is required']
     },
+    // Used to check that punches at the shop were made there
+    location: {
+      type: PointSchema
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -45,6 +51,10 @@ const ShopSchema = new mongoose.Schema(
 ShopSchema.index({ distributorId: 1 });
 ShopSchema.index({ type: 1 });
 ShopSchema.index({ name: 'text', ownerName: 'text', address: 'text' });
+ShopSchema.index({ location: '2dsphere' });
+
+// Record changes in the audit log
+ShopSchema.plugin(auditTrailPlugin, { entityType: 'Shop' });
 
 const Shop = mongoose.model('Shop', ShopSchema);
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
 
 // Individual product item with size and quantity
 const ProductSizeSchema = new mongoose.Schema({
@@ -95,6 +96,9 @@ SupplyEstimateSchema.index({ submittedBy: 1 });
 SupplyEstimateSchema.index({ status: 1 });
 SupplyEstimateSchema.index({ createdAt: -1 });
 
+// Record changes in the audit log
+SupplyEstimateSchema.plugin(auditTrailPlugin, { entityType: 'SupplyEstimate' });
+
 const SupplyEstimate = mongoose.model('SupplyEstimate', SupplyEstimateSchema);
 
 module.exports = SupplyEstimate; 
\ No newline at end of file
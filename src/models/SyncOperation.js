@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// Operation queued by the mobile app while offline and replayed through POST /api/mobile/sync.
+// Remembering applied operations by their client-generated id makes replays harmless.
+const SyncOperationSchema = new mongoose.Schema(
+  {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Staff member is required']
+    },
+    // Id generated by the app for the operation
+    clientId: {
+      type: String,
+      required: [true, 'Client ID is required'],
+      trim: true
+    },
+    type: {
+      type: String,
+      required: [true, 'Operation type is required']
+    },
+    // When the operation was made on the device
+    clientTimestamp: {
+      type: Date
+    },
+    // 'Processing' while being applied; operations that fail are removed so they can be retried
+    status: {
+      type: String,
+      enum: ['Processing', 'Applied'],
+      default: 'Processing'
+    },
+    statusCode: {
+      type: Number
+    },
+    // ID of the record the operation created or changed
+    serverId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    // Response returned when the operation was applied, returned again for replays
+    response: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+SyncOperationSchema.index({ staff: 1, clientId: 1 }, { unique: true });
+// Let MongoDB purge old operations
+SyncOperationSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.sync.retentionDays * 24 * 60 * 60 });
+
+const SyncOperation = mongoose.model('SyncOperation', SyncOperationSchema);
+
+module.exports = SyncOperation;
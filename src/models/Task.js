@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
 
 const TaskItemSchema = new mongoose.Schema({
   brand: {
@@ -65,9 +66,9 @@ const TaskSchema = new mongoose.Schema(
       ref: 'User',
       required: [true, 'Please provide a user ID']
     },
+    // Name of a document in the Role collection
     staffRole: {
       type: String,
-      enum: ['Marketing Staff', 'Godown Incharge', 'Mid-Level Manager'],
       required: [true, 'Please provide the staff role']
     },
     distributorId: {
@@ -116,6 +117,9 @@ TaskSchema.index({ staffRole: 1 });
 TaskSchema.index({ distributorId: 1 });
 TaskSchema.index({ taskType: 1, createdBy: 1 }); // Compound index for internal tasks queries
 
+// Record changes in the audit log
+TaskSchema.plugin(auditTrailPlugin, { entityType: 'Task' });
+
 const Task = mongoose.model('Task', TaskSchema);
 
 module.exports = Task;
\ No newline at end of file
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// Sales territories: regions are split into areas, and areas hold distributors
+const TerritorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a territory name'],
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    code: {
+      type: String,
+      required: [true, 'Please provide a territory code'],
+      unique: true,
+      trim: true,
+      uppercase: true,
+      maxlength: [20, 'Code cannot be more than 20 characters']
+    },
+    type: {
+      type: String,
+      enum: ['Region', 'Area'],
+      required: [true, 'Territory type is required']
+    },
+    // Region the area belongs to (areas only)
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Territory',
+      default: null
+    },
+    // Distributors covered by the area (areas only)
+    distributors: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Distributor'
+    }],
+    description: {
+      type: String,
+      trim: true
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+TerritorySchema.index({ parent: 1 });
+TerritorySchema.index({ distributors: 1 });
+
+// Record changes in the audit log
+TerritorySchema.plugin(auditTrailPlugin, { entityType: 'Territory' });
+
+const Territory = mongoose.model('Territory', TerritorySchema);
+
+module.exports = Territory;
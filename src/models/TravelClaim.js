@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+
+// Position on the day's route, taken from a punch-in or shop visit
+const RoutePointSchema = new mongoose.Schema({
+  activityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  time: {
+    type: Date
+  }
+}, { _id: false });
+
+// Daily travel allowance (TA) and daily allowance (DA) claim of a field staff member.
+// Distance and amounts are calculated by the server when the claim is submitted.
+const TravelClaimSchema = new mongoose.Schema(
+  {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Staff member is required']
+    },
+    // Day claimed (stored at midnight server time)
+    date: {
+      type: Date,
+      required: [true, 'Date is required']
+    },
+    // Mode the claim is priced with: the one recorded on most punch-ins of the day
+    modeOfTransport: {
+      type: String,
+      required: [true, 'Mode of transport is required'],
+      trim: true
+    },
+    // Mode the staff member claimed when it differs from the recorded one (or none was recorded);
+    // such claims are flagged for the reviewer
+    claimedModeOfTransport: {
+      type: String,
+      trim: true
+    },
+    modeOfTransportMismatch: {
+      type: Boolean,
+      default: false
+    },
+    route: [RoutePointSchema],
+    distanceKm: {
+      type: Number,
+      default: 0,
+      min: [0, 'Distance cannot be negative']
+    },
+    ratePerKm: {
+      type: Number,
+      default: 0
+    },
+    travelAllowance: {
+      type: Number,
+      default: 0
+    },
+    dailyAllowance: {
+      type: Number,
+      default: 0
+    },
+    otherExpenses: {
+      type: Number,
+      default: 0,
+      min: [0, 'Other expenses cannot be negative']
+    },
+    totalAmount: {
+      type: Number,
+      default: 0
+    },
+    companions: [{
+      _id: false,
+      category: String,
+      name: String
+    }],
+    // Paths of the uploaded bills (fuel, tickets, food)
+    bills: [{
+      type: String,
+      trim: true
+    }],
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Remarks cannot be more than 500 characters']
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Approved', 'Rejected'],
+      default: 'Pending'
+    },
+    // Amount approved by the manager; may be lower than the claimed total
+    approvedAmount: {
+      type: Number,
+      min: [0, 'Approved amount cannot be negative']
+    },
+    reviewComment: {
+      type: String,
+      trim: true
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Indexes for faster queries
+TravelClaimSchema.index({ staff: 1, date: 1 }, { unique: true });
+TravelClaimSchema.index({ status: 1, date: 1 });
+
+// Record changes in the audit log
+TravelClaimSchema.plugin(auditTrailPlugin, { entityType: 'TravelClaim' });
+
+const TravelClaim = mongoose.model('TravelClaim', TravelClaimSchema);
+
+module.exports = TravelClaim;
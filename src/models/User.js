@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { auditTrailPlugin } = require('../utils/auditTrail');
+const totp = require('../utils/totp');
+const { roleExists, hasCapability } = require('../utils/roleRegistry');
 
 const UserSchema = new mongoose.Schema(
   {
@@ -21,16 +24,25 @@ const UserSchema = new mongoose.Schema(
         'Please provide a valid email'
       ]
     },
+    phone: {
+      type: String,
+      trim: true,
+      match: [/^\+?[0-9\s-]{7,20}$/, 'Please provide a valid phone number']
+    },
     password: {
       type: String,
       required: [true, 'Please provide a password'],
       minlength: [6, 'Password must be at least 6 characters'],
       select: false
     },
+    // Name of a document in the Role collection
     role: {
       type: String,
-      enum: ['Admin', 'Sub Admin', 'Marketing Staff', 'Mid-Level Manager', 'Godown Incharge', 'App Developer'],
-      default: 'Marketing Staff'
+      default: 'Marketing Staff',
+      validate: {
+        validator: roleExists,
+        message: 'Role {VALUE} does not exist'
+      }
     },
     isSubAdmin: {
       type: Boolean,
@@ -39,8 +51,19 @@ const UserSchema = new mongoose.Schema(
     permissions: {
       type: [String],
       default: [],
-      // Possible values: 'dashboard', 'staff', 'marketing', 'orders', 'damage', 'tasks', 'distributors', 'godown', 'sales', 'reports'
+      // Possible values: see PERMISSION_KEYS in config/permissions.js
     },
+    // Manager the user reports to (e.g. Marketing Staff -> Mid-Level Manager)
+    reportsTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Territories (regions or areas) whose distributors the user works with
+    territories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Territory'
+    }],
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -78,6 +101,33 @@ const UserSchema = new mongoose.Schema(
     lockUntil: {
       type: Date,
       select: false
+    },
+    // TOTP two-factor authentication (Admin and Sub Admin panel logins)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false
+    },
+    twoFactorEnabledAt: {
+      type: Date
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during enrolment, promoted to twoFactorSecret once a code is verified
+    twoFactorPendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false
     }
   },
   {
@@ -107,6 +157,9 @@ UserSchema.pre('save', async function(next) {
 
 // Filter out inactive users
 UserSchema.pre(/^find/, function(next) {
+  // Internal lookups (e.g. the audit trail) can opt out with the includeInactive option
+  if (this.getOptions().includeInactive) return next();
+  
   // 'this' points to the current query
   this.find({ active: { $ne: false } });
   next();
@@ -135,6 +188,52 @@ UserSchema.methods.createPasswordResetToken = function() {
   return resetToken;
 };
 
+// Check whether the user's role is covered by two-factor authentication
+UserSchema.methods.isTwoFactorRole = function() {
+  return hasCapability(this, 'admin', 'sub-admin') || this.isSubAdmin === true;
+};
+
+// Method to verify a TOTP code (requires +twoFactorSecret +twoFactorLastUsedStep)
+UserSchema.methods.verifyTwoFactorCode = function(code, secret = this.twoFactorSecret) {
+  if (!secret) return false;
+  
+  const step = totp.verifyCode(secret, code);
+  if (step === null || (this.twoFactorLastUsedStep && step <= this.twoFactorLastUsedStep)) {
+    return false;
+  }
+  
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Method to generate new recovery codes (returns the unhashed codes to show once)
+UserSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  
+  this.twoFactorRecoveryCodes = codes.map(code =>
+    crypto.createHash('sha256').update(code).digest('hex')
+  );
+  
+  return codes;
+};
+
+// Method to consume a recovery code (requires +twoFactorRecoveryCodes)
+UserSchema.methods.useRecoveryCode = function(code) {
+  const hashed = crypto
+    .createHash('sha256')
+    .update(String(code || '').trim().toLowerCase())
+    .digest('hex');
+  
+  const codes = this.twoFactorRecoveryCodes || [];
+  if (!codes.includes(hashed)) return false;
+  
+  this.twoFactorRecoveryCodes = codes.filter(c => c !== hashed);
+  return true;
+};
+
 // Method to handle failed login attempts
 UserSchema.methods.handleFailedLogin = async function() {
   // Increment login attempts
@@ -159,6 +258,17 @@ UserSchema.methods.resetLoginAttempts = async function() {
   await this.save();
 };
 
+// Indexes for faster queries
+UserSchema.index({ reportsTo: 1 });
+UserSchema.index({ territories: 1 });
+
+// Record changes in the audit log (login bookkeeping fields are not worth recording)
+UserSchema.plugin(auditTrailPlugin, {
+  entityType: 'User',
+  ignore: ['lastLogin', 'loginAttempts', 'accountLocked', 'lockUntil', 'passwordResetToken', 'passwordResetExpires', 'twoFactorLastUsedStep'],
+  redact: ['password', 'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorRecoveryCodes']
+});
+
 const User = mongoose.model('User', UserSchema);
 
 module.exports = User; 
\ No newline at end of file
@@ -1,34 +1,152 @@
 const express = require('express');
+const { query } = require('express-validator');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const competitorController = require('../controllers/competitorController');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+
+const competitorValidators = [
+  query('fromDate', 'From date must be a valid date').optional().isISO8601(),
+  query('toDate', 'To date must be a valid date').optional().isISO8601(),
+  query('distributorId', 'Distributor ID must be a valid MongoDB ID').optional().isMongoId(),
+  query('territoryId', 'Territory ID must be a valid MongoDB ID').optional().isMongoId(),
+  query('interval', 'Interval must be week or month').optional().isIn(['week', 'month'])
+];
+
+// Apply protect middleware to all routes
+router.use(protect);
 
 /**
  * @route GET /api/analytics/overview
  * @desc Get overview analytics for the dashboard
  * @access Private
  */
-router.get('/overview', protect, analyticsController.getOverviewAnalytics);
+router.get('/overview', requirePermission('dashboard'), analyticsController.getOverviewAnalytics);
 
 /**
  * @route GET /api/analytics/damage-claims
  * @desc Get damage claims analytics
  * @access Private
  */
-router.get('/damage-claims', protect, analyticsController.getDamageClaimsAnalytics);
+router.get('/damage-claims', requirePermission('reports'), analyticsController.getDamageClaimsAnalytics);
 
 /**
  * @route GET /api/analytics/orders
  * @desc Get order analytics
  * @access Private
  */
-router.get('/orders', protect, analyticsController.getOrderAnalytics);
+router.get('/orders', requirePermission('reports'), analyticsController.getOrderAnalytics);
 
 /**
  * @route GET /api/analytics/staff-activity
  * @desc Get staff activity analytics
  * @access Private
  */
-router.get('/staff-activity', protect, analyticsController.getStaffActivityAnalytics);
+router.get('/staff-activity', requirePermission('reports'), analyticsController.getStaffActivityAnalytics);
+
+/**
+ * @swagger
+ * /api/analytics/competitors:
+ *   get:
+ *     summary: Get competitor intelligence
+ *     description: |
+ *       Built from the alternate providers (competing brands with their rates) recorded on shop visits of the period
+ *       (default the last 90 days):
+ *       - `summary`, `byArea` and `byDistributor`: visits, shops, share of visits where competitors were found
+ *         (`presence`) and each competitor brand's mentions and share of all mentions
+ *       - `rates`: competitor rates per variant and size against our price list (the distributor's prices when
+ *         `distributorId` is given, else the base prices); a positive difference means the competitor is dearer
+ *       - `trend`: presence and mentions per week or month
+ *       - `gainingShops`: shops visited in both halves of the period where competitor presence rose or new competitor brands appeared
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: distributorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: territoryId
+ *         schema:
+ *           type: string
+ *         description: Region or area
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [week, month]
+ *           default: week
+ *     responses:
+ *       200:
+ *         description: Competitor intelligence report
+ */
+router.get(
+  '/competitors',
+  requirePermission('reports'),
+  authorize('team-management'),
+  competitorValidators,
+  competitorController.getCompetitorInsights
+);
+
+/**
+ * @swagger
+ * /api/analytics/competitors/export:
+ *   get:
+ *     summary: Download competitor intelligence as Excel
+ *     description: The same report as a workbook with one sheet per section (by area, by distributor, rate comparison, trend, competitors gaining)
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: distributorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: territoryId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [week, month]
+ *     responses:
+ *       200:
+ *         description: Excel workbook
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get(
+  '/competitors/export',
+  requirePermission('reports'),
+  authorize('team-management'),
+  competitorValidators,
+  competitorController.downloadCompetitorInsights
+);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,199 @@
+const express = require('express');
+const { check, param } = require('express-validator');
+const apiKeyController = require('../controllers/apiKeyController');
+const { API_KEY_SCOPES } = require('../config/apiKeyScopes');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(authorize('admin'));
+
+const idValidator = param('id', 'API key ID must be a valid MongoDB ID').isMongoId();
+const scopeValidator = check('scopes.*', `Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`).isIn(API_KEY_SCOPES);
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Scoped API keys for machine-to-machine integrations (sent in the X-API-Key header)
+ */
+
+/**
+ * @swagger
+ * /api/api-keys/scopes:
+ *   get:
+ *     summary: Get the catalogue of API key scopes
+ *     description: read scopes allow GET requests, write scopes allow all other methods on the listed routes.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Resources with their routes and scopes
+ */
+router.get('/scopes', apiKeyController.getScopes);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The key is returned once and stored only as a hash. Requests made with the key act on behalf of the admin who created it.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: ERP order sync
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [read:orders, write:orders, read:analytics]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created (the key is in the `key` field)
+ *       400:
+ *         description: Invalid input data
+ */
+router.post(
+  '/',
+  [
+    check('name', 'Name is required').not().isEmpty(),
+    check('scopes', 'At least one scope is required').isArray({ min: 1 }),
+    scopeValidator,
+    check('expiresAt', 'Expiry must be a valid date').optional().isISO8601()
+  ],
+  apiKeyController.createApiKey
+);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: Get API keys with their usage
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of API keys (last used, request count)
+ */
+router.get('/', apiKeyController.getApiKeys);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   get:
+ *     summary: Get a single API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key
+ *       404:
+ *         description: API key not found
+ */
+router.get('/:id', [idValidator], apiKeyController.getApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   patch:
+ *     summary: Update the name, scopes or expiry of an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: API key updated
+ *       400:
+ *         description: Invalid input data or key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.patch(
+  '/:id',
+  [
+    idValidator,
+    check('name', 'Name cannot be empty').optional().not().isEmpty(),
+    check('scopes', 'At least one scope is required').optional().isArray({ min: 1 }),
+    scopeValidator,
+    check('expiresAt', 'Expiry must be a valid date').optional({ nullable: true, checkFalsy: true }).isISO8601()
+  ],
+  apiKeyController.updateApiKey
+);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', [idValidator], apiKeyController.revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const { query } = require('express-validator');
+const attendanceController = require('../controllers/attendanceController');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(requirePermission('marketing'));
+router.use(authorize('team-management'));
+
+const staffValidators = [
+  query('staffId', 'Staff ID must be a valid MongoDB ID').optional().isMongoId(),
+  query('team', 'team must be true or false').optional().isBoolean()
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Attendance
+ *   description: Attendance of field staff derived from their punch-ins
+ */
+
+/**
+ * @swagger
+ * /api/attendance:
+ *   get:
+ *     summary: Get daily attendance of field staff
+ *     description: |
+ *       For each day: first punch-in, last punch-out, field minutes (sum of punch-in durations),
+ *       number of punch-ins and a status (present, half-day or absent) based on the field minutes.
+ *       Holidays and approved full-day leave are marked holiday and leave instead, unless the day was fully worked.
+ *       Days after today are left out.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (default first day of the current month)
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (default today); at most 62 days after fromDate
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *         description: Only this staff member
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *         description: Only staff reporting to the current user
+ *     responses:
+ *       200:
+ *         description: Attendance per staff member with a summary
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get(
+  '/',
+  [
+    ...staffValidators,
+    query('fromDate', 'From date must be a valid date').optional().isISO8601(),
+    query('toDate', 'To date must be a valid date').optional().isISO8601()
+  ],
+  attendanceController.getAttendance
+);
+
+/**
+ * @swagger
+ * /api/attendance/register:
+ *   get:
+ *     summary: Download the monthly attendance register as Excel
+ *     description: One row per staff member and one column per day (P = present, H = half-day, A = absent, L = leave, HO = holiday), followed by totals
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2024-05"
+ *         description: Month in YYYY-MM format (default current month)
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid month
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get(
+  '/register',
+  [
+    ...staffValidators,
+    query('month', 'Month must be in YYYY-MM format').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+  ],
+  attendanceController.downloadRegister
+);
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const auditLogController = require('../controllers/auditLogController');
+const AuditLog = require('../models/AuditLog');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(requirePermission('audit'));
+router.use(authorize('admin'));
+
+const filterValidators = [
+  query('entityType', `Entity type must be one of: ${AuditLog.ENTITY_TYPES.join(', ')}`).optional().isIn(AuditLog.ENTITY_TYPES),
+  query('entityId', 'Entity ID must be a valid MongoDB ID').optional().isMongoId(),
+  query('actor', 'Actor must be a valid MongoDB ID').optional().isMongoId(),
+  query('action', 'Action must be create, update or delete').optional().isIn(['create', 'update', 'delete']),
+  query('fromDate', 'From date must be a valid date').optional().isISO8601(),
+  query('toDate', 'To date must be a valid date').optional().isISO8601()
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit Log
+ *   description: Immutable history of changes to business records
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: Get audit log entries
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [Order, DamageClaim, SalesInquiry, SupplyEstimate, Task, Distributor, Shop, Product, User, Territory, Role, BeatPlan, TravelClaim, LeaveType, LeaveBalance, LeaveRequest, Holiday, PriceList]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who made the change
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete]
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of audit log entries with field level changes
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/', filterValidators, auditLogController.getAuditLogs);
+
+/**
+ * @swagger
+ * /api/audit-logs/export:
+ *   get:
+ *     summary: Download audit log entries as Excel (one row per changed field)
+ *     description: Accepts the same filters as GET /api/audit-logs
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get('/export', filterValidators, auditLogController.exportAuditLogs);
+
+/**
+ * @swagger
+ * /api/audit-logs/{id}:
+ *   get:
+ *     summary: Get a single audit log entry
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit log entry
+ *       404:
+ *         description: Audit log entry not found
+ */
+router.get(
+  '/:id',
+  [
+    param('id', 'Audit log ID must be a valid MongoDB ID').isMongoId()
+  ],
+  auditLogController.getAuditLog
+);
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
-const { check } = require('express-validator');
+const { check, param, query } = require('express-validator');
 const authController = require('../controllers/authController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, protectTwoFactorSetup, authorize, isLoggedIn } = require('../middleware/authMiddleware');
+const { roleExists } = require('../utils/roleRegistry');
 
 const router = express.Router();
 
@@ -36,8 +37,7 @@ const router = express.Router();
  *                 description: User's password (min 8 characters, requires uppercase, lowercase, number, and special character)
  *               role:
  *                 type: string
- *                 enum: [Admin, Sub Admin, Marketing Staff, Mid-Level Manager, Godown Incharge, App Developer]
- *                 description: User's role
+ *                 description: User's role (name of a role from GET /api/roles)
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -50,9 +50,7 @@ router.post(
     check('name', 'Name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
     check('password', 'Password must be at least 8 characters').isLength({ min: 8 }),
-    check('role', 'Role must be Admin, Sub Admin, Marketing Staff, Mid-Level Manager, Godown Incharge, or App Developer')
-      .optional()
-      .isIn(['Admin', 'Sub Admin', 'Marketing Staff', 'Mid-Level Manager', 'Godown Incharge', 'App Developer'])
+    check('role', 'Role must be an existing role').optional().custom(roleExists)
   ],
   authController.register
 );
@@ -84,7 +82,7 @@ router.post(
  *                 description: User's password
  *     responses:
  *       200:
- *         description: User logged in successfully
+ *         description: User logged in successfully, or (Admin/Sub Admin) twoFactorRequired / twoFactorSetupRequired with a preAuthToken
  *       401:
  *         description: Invalid credentials
  */
@@ -101,17 +99,31 @@ router.post(
  * @swagger
  * /api/auth/refresh-token:
  *   post:
- *     summary: Refresh JWT token
+ *     summary: Exchange a refresh token for a new JWT and refresh token
+ *     description: The refresh token is rotated on every call; the previous one stops working.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token returned by login or the previous refresh
  *     responses:
  *       200:
  *         description: Token refreshed successfully
+ *       400:
+ *         description: Refresh token missing
  *       401:
- *         description: Invalid or expired token
+ *         description: Refresh token invalid, expired or revoked
  */
-router.post('/refresh-token', protect, authController.refreshToken);
+router.post('/refresh-token', authController.refreshToken);
 
 /**
  * @swagger
@@ -165,19 +177,577 @@ router.get('/me', protect, authController.getMe);
  */
 router.patch('/update-password', protect, authController.updatePassword);
 
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Send a password reset token to the user's email
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: User's email
+ *     responses:
+ *       200:
+ *         description: Reset token sent if the account exists
+ *       400:
+ *         description: Invalid input data
+ *       500:
+ *         description: Email could not be sent
+ */
+router.post(
+  '/forgot-password',
+  [
+    check('email', 'Please include a valid email').isEmail()
+  ],
+  authController.forgotPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Reset password using the emailed token
+ *     description: The token can be used once and expires after 10 minutes. All existing sessions are signed out.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Password reset token from the email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: New password (min 8 characters, requires uppercase, lowercase, number, and special character)
+ *     responses:
+ *       200:
+ *         description: |
+ *           Password reset and user logged in. Admins and Sub Admins with two-factor get `twoFactorRequired`
+ *           (or `twoFactorSetupRequired`) and a preAuthToken instead, as from login.
+ *       400:
+ *         description: Token invalid or expired, or password too weak
+ */
+router.post('/reset-password/:token', authController.resetPassword);
+
 /**
  * @swagger
  * /api/auth/logout:
- *   get:
- *     summary: Logout user
+ *   post:
+ *     summary: Logout user and revoke the current session
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token of the session to end (used when the access token has expired)
  *     responses:
  *       200:
  *         description: User logged out successfully
  */
-router.get('/logout', authController.logout);
+router.post('/logout', isLoggedIn, authController.logout);
+router.get('/logout', isLoggedIn, authController.logout);
+
+/**
+ * Session (device) management routes
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Get active sessions (devices) of the current user
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of active sessions, with the current one flagged
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/sessions', protect, authController.getMySessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Revoke all sessions of the current user
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema:
+ *           type: boolean
+ *         description: Keep the session making this request signed in
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       401:
+ *         description: Not authenticated
+ */
+router.delete('/sessions', protect, authController.revokeAllMySessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Session not found
+ */
+router.delete(
+  '/sessions/:sessionId',
+  protect,
+  [
+    param('sessionId', 'Session ID must be a valid MongoDB ID').isMongoId()
+  ],
+  authController.revokeMySession
+);
+
+/**
+ * @swagger
+ * /api/auth/users/{userId}/sessions:
+ *   get:
+ *     summary: Get active sessions of a user
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: List of active sessions
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found
+ */
+router.get(
+  '/users/:userId/sessions',
+  protect,
+  authorize('admin'),
+  authController.getUserSessions
+);
+
+/**
+ * @swagger
+ * /api/auth/users/{userId}/sessions:
+ *   delete:
+ *     summary: Revoke all sessions of a user
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.delete(
+  '/users/:userId/sessions',
+  protect,
+  authorize('admin'),
+  authController.revokeAllUserSessions
+);
+
+/**
+ * @swagger
+ * /api/auth/users/{userId}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a single session of a user
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete(
+  '/users/:userId/sessions/:sessionId',
+  protect,
+  authorize('admin'),
+  authController.revokeUserSession
+);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Two-Factor Authentication
+ *   description: TOTP two-factor authentication for Admin and Sub Admin logins
+ */
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a code from the authenticator app or a recovery code
+ *     description: Called after POST /api/auth/login answers with twoFactorRequired. Wrong codes count towards the account lockout.
+ *     tags: [Two-Factor Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - preAuthToken
+ *             properties:
+ *               preAuthToken:
+ *                 type: string
+ *                 description: Pre-auth token returned by login (valid for 5 minutes)
+ *               code:
+ *                 type: string
+ *                 description: 6 digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One of the recovery codes (each can be used once)
+ *     responses:
+ *       200:
+ *         description: User logged in (same response as login)
+ *       400:
+ *         description: Neither code nor recovery code provided
+ *       401:
+ *         description: Invalid code, or pre-auth token invalid or expired
+ */
+router.post(
+  '/2fa/verify',
+  [
+    check('preAuthToken', 'Pre-auth token is required').not().isEmpty(),
+    check('code').custom((code, { req }) => {
+      if (!code && !req.body.recoveryCode) {
+        throw new Error('Verification code or recovery code is required');
+      }
+      return true;
+    })
+  ],
+  authController.verifyTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/status:
+ *   get:
+ *     summary: Get two-factor status of the current user
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether two-factor is enabled or required, and how many recovery codes are left
+ */
+router.get('/2fa/status', protect, authController.getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Returns a new secret and an otpauth URI to show as a QR code. Accepts a normal token, or the preAuthToken from a login that answered twoFactorSetupRequired.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               preAuthToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI
+ *       400:
+ *         description: Two-factor already enabled
+ *       403:
+ *         description: Not an Admin or Sub Admin account
+ */
+router.post('/2fa/setup', protectTwoFactorSetup, authController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrolment with a code from the authenticator app
+ *     description: Returns 10 single-use recovery codes, shown only once. When called with a setup preAuthToken the login is completed and a JWT is returned as well.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               preAuthToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor enabled, recovery codes returned
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+router.post(
+  '/2fa/enable',
+  protectTwoFactorSetup,
+  [
+    check('code', 'Verification code is required').not().isEmpty()
+  ],
+  authController.enableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed while two-factor is mandatory for the user's role.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor disabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor is mandatory
+ */
+router.post(
+  '/2fa/disable',
+  protect,
+  [
+    check('password', 'Password is required').not().isEmpty(),
+    check('code', 'Verification code is required').not().isEmpty()
+  ],
+  authController.disableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes (previous ones stop working)
+ *       401:
+ *         description: Invalid code
+ */
+router.post(
+  '/2fa/recovery-codes',
+  protect,
+  [
+    check('code', 'Verification code is required').not().isEmpty()
+  ],
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/settings:
+ *   get:
+ *     summary: Get two-factor settings
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether two-factor is mandatory for Admin and Sub Admin logins
+ *   put:
+ *     summary: Make two-factor mandatory (or optional) for Admin and Sub Admin logins
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requiredForAdmins
+ *             properties:
+ *               requiredForAdmins:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ */
+router.get('/2fa/settings', protect, authorize('admin'), authController.getTwoFactorSettings);
+router.put(
+  '/2fa/settings',
+  protect,
+  authorize('admin'),
+  [
+    check('requiredForAdmins', 'requiredForAdmins must be a boolean').isBoolean()
+  ],
+  authController.updateTwoFactorSettings
+);
+
+/**
+ * @swagger
+ * /api/auth/users/{userId}/2fa:
+ *   delete:
+ *     summary: Reset two-factor authentication of a user
+ *     description: For users who lost both their device and recovery codes. Signs the user out of all sessions.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor reset
+ *       404:
+ *         description: User not found
+ */
+router.delete(
+  '/users/:userId/2fa',
+  protect,
+  authorize('admin'),
+  [
+    param('userId', 'User ID must be a valid MongoDB ID').isMongoId()
+  ],
+  authController.resetUserTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/permissions:
+ *   get:
+ *     summary: Get the catalogue of permissions that can be granted to sub-admins
+ *     tags: [Sub-Admin Management]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of permissions with their key, label, description and guarded routes
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/permissions', protect, authController.getPermissions);
 
 /**
  * Sub-admin management routes - Admin only
@@ -217,7 +787,7 @@ router.get('/logout', authController.logout);
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [dashboard, staff, marketing, orders, damage, tasks, distributors, godown, sales, reports]
+ *                   enum: [dashboard, staff, marketing, orders, damage, tasks, distributors, godown, sales, products, reports, audit]
  *                 description: Array of permissions for the sub-admin
  *     responses:
  *       201:
@@ -232,7 +802,7 @@ router.get('/logout', authController.logout);
 router.post(
   '/create-sub-admin',
   protect,
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
@@ -261,7 +831,7 @@ router.post(
 router.get(
   '/sub-admins',
   protect,
-  restrictTo('Admin'),
+  authorize('admin'),
   authController.getSubAdmins
 );
 
@@ -293,7 +863,7 @@ router.get(
 router.get(
   '/sub-admins/:id',
   protect,
-  restrictTo('Admin'),
+  authorize('admin'),
   authController.getSubAdmin
 );
 
@@ -330,7 +900,7 @@ router.get(
  *                 type: array
  *                 items:
  *                   type: string
- *                   enum: [dashboard, staff, marketing, orders, damage, tasks, distributors, godown, sales, reports]
+ *                   enum: [dashboard, staff, marketing, orders, damage, tasks, distributors, godown, sales, products, reports, audit]
  *                 description: Array of permissions for the sub-admin
  *     responses:
  *       200:
@@ -347,7 +917,7 @@ router.get(
 router.put(
   '/sub-admins/:id',
   protect,
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     check('name', 'Name must be a string').optional().isString(),
     check('email', 'Please include a valid email').optional().isEmail(),
@@ -384,10 +954,95 @@ router.put(
 router.delete(
   '/sub-admins/:id',
   protect,
-  restrictTo('Admin'),
+  authorize('admin'),
   authController.deleteSubAdmin
 );
 
+/**
+ * @swagger
+ * /api/auth/login-history:
+ *   get:
+ *     summary: Get login attempts with suspicious activity flags
+ *     description: |
+ *       Every password and two-factor login attempt is recorded with its outcome, IP address, user agent,
+ *       client (admin-panel, mobile-app or web) and the role requested. Attempts are flagged as suspicious when
+ *       the same email is used from many IP addresses (`many-ips`) or repeatedly asks for a role the user does
+ *       not have (`role-mismatch`) within a short window.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Email used in the attempt (also covers emails without a user)
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: client
+ *         schema:
+ *           type: string
+ *           enum: [admin-panel, mobile-app, web]
+ *       - in: query
+ *         name: suspicious
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Login events, newest first
+ *       400:
+ *         description: Invalid filters
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get(
+  '/login-history',
+  protect,
+  authorize('admin'),
+  [
+    query('user', 'User must be a valid ID').optional().isMongoId(),
+    query('outcome', 'Outcome must be success or failure').optional().isIn(['success', 'failure']),
+    query('client', 'Invalid client').optional().isIn(['admin-panel', 'mobile-app', 'web']),
+    query('suspicious', 'Suspicious must be true or false').optional().isBoolean(),
+    query('fromDate', 'From date must be a valid date').optional().isISO8601(),
+    query('toDate', 'To date must be a valid date').optional().isISO8601(),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  authController.getLoginHistory
+);
+
 /**
  * @swagger
  * /api/auth/all-users:
@@ -0,0 +1,385 @@
+const express = require('express');
+const { check, param, query } = require('express-validator');
+const beatPlanController = require('../controllers/beatPlanController');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(requirePermission('marketing'));
+router.use(authorize('team-management'));
+
+const planValidators = [
+  check('name', 'Name cannot be more than 100 characters').optional().isLength({ max: 100 }),
+  check('notes', 'Notes cannot be more than 500 characters').optional().isLength({ max: 500 }),
+  check('shops.*', 'Shop ID must be a valid MongoDB ID').isMongoId(),
+  check('effectiveFrom', 'Effective from must be a valid date').optional().isISO8601(),
+  check('effectiveTo', 'Effective to must be a valid date').optional({ nullable: true }).isISO8601(),
+  check('effectiveTo', 'Effective to must be on or after effective from')
+    .optional({ nullable: true })
+    .custom((value, { req }) => !req.body.effectiveFrom || new Date(value) >= new Date(req.body.effectiveFrom))
+];
+
+/**
+ * @swagger
+ * tags:
+ *   name: Beat Plans
+ *   description: Planned shop visits of field staff and how closely they were followed
+ */
+
+/**
+ * @swagger
+ * /api/beat-plans/adherence:
+ *   get:
+ *     summary: Compare planned shops with actual shop visits
+ *     description: |
+ *       For each day with a beat plan or shop visits: planned shops that were visited, planned shops
+ *       that were missed, shops visited without being planned, and the share of planned shops visited.
+ *       Planned shops not yet visited today are listed as pending. Days after today are left out.
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day (default 6 days before toDate)
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day (default today); at most 62 days after fromDate
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *         description: Only this staff member
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *         description: Only staff reporting to the current user
+ *     responses:
+ *       200:
+ *         description: Adherence per staff member and day with a summary
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get(
+  '/adherence',
+  [
+    query('fromDate', 'From date must be a valid date').optional().isISO8601(),
+    query('toDate', 'To date must be a valid date').optional().isISO8601(),
+    query('staffId', 'Staff ID must be a valid MongoDB ID').optional().isMongoId(),
+    query('team', 'team must be true or false').optional().isBoolean()
+  ],
+  beatPlanController.getAdherence
+);
+
+/**
+ * @swagger
+ * /api/beat-plans:
+ *   post:
+ *     summary: Create a beat plan
+ *     description: |
+ *       A dated plan applies to one day. A weekly plan applies every week on dayOfWeek between
+ *       effectiveFrom (default today) and effectiveTo (default no end). A dated plan replaces the
+ *       weekly plan for its day. Managers can only plan for staff in their team.
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - staff
+ *               - type
+ *               - shops
+ *             properties:
+ *               staff:
+ *                 type: string
+ *                 description: ID of the field staff member
+ *               name:
+ *                 type: string
+ *                 example: "North market round"
+ *               type:
+ *                 type: string
+ *                 enum: [Dated, Weekly]
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Day of a dated plan
+ *               dayOfWeek:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 6
+ *                 description: Weekday of a weekly plan (0 = Sunday)
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date
+ *               shops:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Shop IDs in visiting order
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Beat plan created
+ *       400:
+ *         description: Validation error, unknown shop or a plan already exists for that day
+ *       403:
+ *         description: Staff member is not in your team
+ *       404:
+ *         description: Staff member not found
+ */
+router.post(
+  '/',
+  [
+    check('staff', 'Staff ID must be a valid MongoDB ID').isMongoId(),
+    check('type', 'Type must be Dated or Weekly').isIn(['Dated', 'Weekly']),
+    check('date', 'Date is required for a dated plan')
+      .if(check('type').equals('Dated'))
+      .isISO8601(),
+    check('dayOfWeek', 'Day of week must be between 0 and 6 for a weekly plan')
+      .if(check('type').equals('Weekly'))
+      .isInt({ min: 0, max: 6 })
+      .toInt(),
+    check('shops', 'At least one shop is required').isArray({ min: 1 }),
+    ...planValidators
+  ],
+  beatPlanController.createBeatPlan
+);
+
+/**
+ * @swagger
+ * /api/beat-plans:
+ *   get:
+ *     summary: Get beat plans
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [Dated, Weekly]
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Dated plans for this day
+ *       - in: query
+ *         name: dayOfWeek
+ *         schema:
+ *           type: integer
+ *         description: Weekly plans for this weekday (0 = Sunday)
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *         description: Only plans of staff reporting to the current user
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of beat plans
+ */
+router.get(
+  '/',
+  [
+    query('staffId', 'Staff ID must be a valid MongoDB ID').optional().isMongoId(),
+    query('type', 'Type must be Dated or Weekly').optional().isIn(['Dated', 'Weekly']),
+    query('date', 'Date must be a valid date').optional().isISO8601(),
+    query('dayOfWeek', 'Day of week must be between 0 and 6').optional().isInt({ min: 0, max: 6 }),
+    query('team', 'team must be true or false').optional().isBoolean(),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  beatPlanController.getBeatPlans
+);
+
+/**
+ * @swagger
+ * /api/beat-plans/{id}:
+ *   get:
+ *     summary: Get a beat plan
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Beat plan with its shops
+ *       404:
+ *         description: Beat plan not found
+ */
+router.get(
+  '/:id',
+  [
+    param('id', 'Beat plan ID must be a valid MongoDB ID').isMongoId()
+  ],
+  beatPlanController.getBeatPlan
+);
+
+/**
+ * @swagger
+ * /api/beat-plans/{id}:
+ *   put:
+ *     summary: Update a beat plan
+ *     description: The staff member and type of a plan cannot change. Send effectiveTo as null to remove the end of a weekly plan.
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               dayOfWeek:
+ *                 type: integer
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *               shops:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Beat plan updated
+ *       400:
+ *         description: Validation error, unknown shop or a plan already exists for that day
+ *       403:
+ *         description: Staff member is not in your team
+ *       404:
+ *         description: Beat plan not found
+ */
+router.put(
+  '/:id',
+  [
+    param('id', 'Beat plan ID must be a valid MongoDB ID').isMongoId(),
+    check('date', 'Date must be a valid date').optional().isISO8601(),
+    check('dayOfWeek', 'Day of week must be between 0 and 6').optional().isInt({ min: 0, max: 6 }).toInt(),
+    check('shops', 'At least one shop is required').optional().isArray({ min: 1 }),
+    ...planValidators
+  ],
+  beatPlanController.updateBeatPlan
+);
+
+/**
+ * @swagger
+ * /api/beat-plans/{id}:
+ *   delete:
+ *     summary: Delete a beat plan
+ *     tags: [Beat Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Beat plan deleted
+ *       403:
+ *         description: Staff member is not in your team
+ *       404:
+ *         description: Beat plan not found
+ */
+router.delete(
+  '/:id',
+  [
+    param('id', 'Beat plan ID must be a valid MongoDB ID').isMongoId()
+  ],
+  beatPlanController.deleteBeatPlan
+);
+
+// Mobile app routes
+const mobileRouter = express.Router();
+
+// Apply protect middleware to all mobile routes
+mobileRouter.use(protect);
+
+/**
+ * @swagger
+ * /api/mobile/beat-plans/today:
+ *   get:
+ *     summary: Get today's beat plan of the logged in staff member
+ *     description: Shops in visiting order, each marked visited once a shop visit has been recorded today. data is null when there is no plan for today, including holidays and days of approved leave.
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Today's beat plan with progress
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+mobileRouter.get(
+  '/today',
+  authorize('field-sales'),
+  beatPlanController.getMyTodayPlan
+);
+
+module.exports = {
+  apiRouter: router,
+  mobileRouter: mobileRouter
+};
@@ -1,12 +1,13 @@
 const express = require('express');
 const { check, param } = require('express-validator');
 const brandController = require('../controllers/brandController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('products'));
 
 /**
  * @swagger
@@ -84,7 +85,7 @@ router.get('/:id', brandController.getBrand);
  */
 router.post(
   '/',
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     check('name', 'Name is required').not().isEmpty(),
   ],
@@ -136,7 +137,7 @@ router.post(
  */
 router.put(
   '/:id',
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     param('id', 'Brand ID must be a valid MongoDB ID').isMongoId(),
     check('name', 'Name is required').optional().not().isEmpty(),
@@ -171,7 +172,7 @@ router.put(
  */
 router.delete(
   '/:id',
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     param('id', 'Brand ID must be a valid MongoDB ID').isMongoId()
   ],
@@ -1,7 +1,7 @@
 const express = require('express');
 const { check, param } = require('express-validator');
 const damageClaimController = require('../controllers/damageClaimController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 const multer = require('multer');
 
 const router = express.Router();
@@ -15,6 +15,7 @@ const upload = multer({
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('damage'));
 
 /**
  * @swagger
@@ -275,7 +276,7 @@ router.get('/:id', damageClaimController.getDamageClaim);
  */
 router.patch(
   '/:id',
-  restrictTo('Administrator', 'Admin', 'Mid-Level Manager'),
+  authorize('team-management'),
   [
     param('id', 'Invalid damage claim ID').isMongoId(),
     check('status', 'Status is required').notEmpty(),
@@ -318,7 +319,7 @@ router.patch(
  */
 router.delete(
   '/:id',
-  restrictTo('Administrator', 'Admin'),
+  authorize('admin'),
   param('id', 'Invalid damage claim ID').isMongoId(),
   damageClaimController.deleteDamageClaim
 );
@@ -351,7 +352,7 @@ router.delete(
  */
 router.get(
   '/tracking/:trackingId',
-  restrictTo('Administrator', 'Admin', 'Godown Incharge'),
+  authorize('dispatch'),
   damageClaimController.getDamageClaimByTracking
 );
 
@@ -408,7 +409,7 @@ router.get(
 router.post(
   '/replacement',
   protect,
-  restrictTo('Godown Incharge', 'Administrator', 'Admin'),
+  authorize('dispatch'),
   [
     check('trackingId', 'Tracking ID is required').notEmpty(),
     check('dispatchDate', 'Dispatch date is required').isISO8601(),
@@ -1,12 +1,13 @@
 const express = require('express');
 const { check } = require('express-validator');
 const distributorController = require('../controllers/distributorController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protection middleware to all routes
 router.use(protect);
+router.use(requirePermission('distributors'));
 
 // Routes accessible by all authenticated users
 router.get('/', distributorController.getDistributors);
@@ -35,7 +36,7 @@ router.post(
 );
 
 // Routes accessible only by Admin and Mid-Level Manager
-router.use(restrictTo('Admin', 'Mid-Level Manager'));
+router.use(authorize('team-management'));
 
 /**
  * @swagger
@@ -65,6 +66,12 @@ router.use(restrictTo('Admin', 'Mid-Level Manager'));
  *               address:
  *                 type: string
  *                 description: Address
+ *               latitude:
+ *                 type: number
+ *                 description: Latitude of the distributor (send with longitude)
+ *               longitude:
+ *                 type: number
+ *                 description: Longitude of the distributor
  *     responses:
  *       201:
  *         description: Distributor created successfully
@@ -80,7 +87,9 @@ router.post(
   [
     check('name', 'Name is required').not().isEmpty(),
     check('contact', 'Contact is required').not().isEmpty(),
-    check('address', 'Address is required').not().isEmpty()
+    check('address', 'Address is required').not().isEmpty(),
+    check('latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 })
   ],
   distributorController.createDistributor
 );
@@ -116,6 +125,12 @@ router.post(
  *               address:
  *                 type: string
  *                 description: Address
+ *               latitude:
+ *                 type: number
+ *                 description: Latitude of the distributor (send with longitude)
+ *               longitude:
+ *                 type: number
+ *                 description: Longitude of the distributor
  *     responses:
  *       200:
  *         description: Distributor updated successfully
@@ -133,13 +148,15 @@ router.put(
   [
     check('name', 'Name is required').not().isEmpty(),
     check('contact', 'Contact is required').not().isEmpty(),
-    check('address', 'Address is required').not().isEmpty()
+    check('address', 'Address is required').not().isEmpty(),
+    check('latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 })
   ],
   distributorController.updateDistributor
 );
 
 // Routes accessible only by Admin
-router.use(restrictTo('Admin'));
+router.use(authorize('admin'));
 
 /**
  * @swagger
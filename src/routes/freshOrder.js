@@ -10,6 +10,10 @@ const { protect } = require('../middleware/authMiddleware');
  * /api/mobile/fresh-orders:
  *   post:
  *     summary: Create fresh sales orders for a shop by marketing staff
+ *     description: |
+ *       Each order line is priced from the price list in effect when the order was taken (distributor price,
+ *       then the price for the shop's type, then the base price) and the total is returned as `orderTotal`.
+ *       Lines without a price get a null unit price and are counted in `unpricedItems`.
  *     tags:
  *       - Orders
  *     security:
@@ -0,0 +1,655 @@
+const express = require('express');
+const { check, param, query } = require('express-validator');
+const leaveController = require('../controllers/leaveController');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+const yearValidator = query('year', 'Year must be a valid year').optional().isInt({ min: 2000, max: 2100 });
+const statusValidator = query('status', 'Status must be Pending, Approved, Rejected or Cancelled')
+  .optional()
+  .isIn(['Pending', 'Approved', 'Rejected', 'Cancelled']);
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(requirePermission('leave'));
+router.use(authorize('team-management'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Leave
+ *   description: Leave types, balances, leave requests and the holiday calendar
+ */
+
+/**
+ * @swagger
+ * /api/leaves/types:
+ *   get:
+ *     summary: Get leave types
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of leave types
+ */
+router.get('/types', leaveController.getLeaveTypes);
+
+/**
+ * @swagger
+ * /api/leaves/types:
+ *   post:
+ *     summary: Create a leave type
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Casual Leave
+ *               description:
+ *                 type: string
+ *               annualQuota:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Days per calendar year (omit or null for no limit)
+ *                 example: 12
+ *               isPaid:
+ *                 type: boolean
+ *                 default: true
+ *               allowHalfDay:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Leave type created
+ *       400:
+ *         description: Invalid input or name already used
+ *       403:
+ *         description: Not authorized
+ */
+router.post(
+  '/types',
+  authorize('admin'),
+  [
+    check('name', 'Name is required').trim().notEmpty(),
+    check('annualQuota', 'Annual quota must be a number of 0 or more').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    check('isPaid', 'isPaid must be true or false').optional().isBoolean().toBoolean(),
+    check('allowHalfDay', 'allowHalfDay must be true or false').optional().isBoolean().toBoolean()
+  ],
+  leaveController.createLeaveType
+);
+
+/**
+ * @swagger
+ * /api/leaves/types/{id}:
+ *   put:
+ *     summary: Update a leave type
+ *     description: A new annual quota applies to every staff member without their own allocation, including for requests already made
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               annualQuota:
+ *                 type: number
+ *                 nullable: true
+ *               isPaid:
+ *                 type: boolean
+ *               allowHalfDay:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Leave type updated
+ *       404:
+ *         description: Leave type not found
+ */
+router.put(
+  '/types/:id',
+  authorize('admin'),
+  [
+    param('id', 'Leave type ID must be a valid MongoDB ID').isMongoId(),
+    check('name', 'Name cannot be empty').optional().trim().notEmpty(),
+    check('annualQuota', 'Annual quota must be a number of 0 or more').optional({ nullable: true }).isFloat({ min: 0 }).toFloat(),
+    check('isPaid', 'isPaid must be true or false').optional().isBoolean().toBoolean(),
+    check('allowHalfDay', 'allowHalfDay must be true or false').optional().isBoolean().toBoolean(),
+    check('isActive', 'isActive must be true or false').optional().isBoolean().toBoolean()
+  ],
+  leaveController.updateLeaveType
+);
+
+/**
+ * @swagger
+ * /api/leaves/holidays:
+ *   get:
+ *     summary: Get the holiday calendar of a year
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Year (default current year)
+ *     responses:
+ *       200:
+ *         description: Holidays in date order
+ */
+router.get('/holidays', [yearValidator], leaveController.getHolidayList);
+
+/**
+ * @swagger
+ * /api/leaves/holidays:
+ *   post:
+ *     summary: Add a holiday
+ *     description: Holidays are not counted as leave days and are shown as holidays rather than absences in attendance
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - name
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               name:
+ *                 type: string
+ *                 example: Diwali
+ *     responses:
+ *       201:
+ *         description: Holiday added
+ *       400:
+ *         description: Invalid input or already a holiday on that date
+ */
+router.post(
+  '/holidays',
+  authorize('admin'),
+  [
+    check('date', 'Date is required and must be a valid date').isISO8601(),
+    check('name', 'Name is required').trim().notEmpty(),
+    check('name', 'Name cannot be more than 100 characters').isLength({ max: 100 })
+  ],
+  leaveController.createHoliday
+);
+
+/**
+ * @swagger
+ * /api/leaves/holidays/{id}:
+ *   delete:
+ *     summary: Remove a holiday
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Holiday removed
+ *       404:
+ *         description: Holiday not found
+ */
+router.delete(
+  '/holidays/:id',
+  authorize('admin'),
+  [
+    param('id', 'Holiday ID must be a valid MongoDB ID').isMongoId()
+  ],
+  leaveController.deleteHoliday
+);
+
+/**
+ * @swagger
+ * /api/leaves/balances/{staffId}:
+ *   get:
+ *     summary: Get a staff member's leave balances
+ *     description: Allocated, used (approved), pending and available days per leave type. Managers can only see staff reporting to them.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Leave balances
+ *       403:
+ *         description: Staff member not in your team
+ *       404:
+ *         description: Staff member not found
+ */
+router.get(
+  '/balances/:staffId',
+  [
+    param('staffId', 'Staff ID must be a valid MongoDB ID').isMongoId(),
+    yearValidator
+  ],
+  leaveController.getStaffBalances
+);
+
+/**
+ * @swagger
+ * /api/leaves/balances/{staffId}:
+ *   put:
+ *     summary: Set the days of a leave type allocated to a staff member
+ *     description: Replaces the leave type's annual quota for this staff member and year
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - leaveType
+ *               - allocated
+ *             properties:
+ *               leaveType:
+ *                 type: string
+ *               allocated:
+ *                 type: number
+ *                 example: 15
+ *               year:
+ *                 type: integer
+ *                 description: Year (default current year)
+ *     responses:
+ *       200:
+ *         description: Updated leave balances
+ *       404:
+ *         description: Staff member or leave type not found
+ */
+router.put(
+  '/balances/:staffId',
+  authorize('admin'),
+  [
+    param('staffId', 'Staff ID must be a valid MongoDB ID').isMongoId(),
+    check('leaveType', 'Leave type must be a valid MongoDB ID').isMongoId(),
+    check('allocated', 'Allocated days must be a number of 0 or more').isFloat({ min: 0 }).toFloat(),
+    check('year', 'Year must be a valid year').optional().isInt({ min: 2000, max: 2100 }).toInt()
+  ],
+  leaveController.setLeaveAllocation
+);
+
+/**
+ * @swagger
+ * /api/leaves:
+ *   get:
+ *     summary: Get leave requests
+ *     description: Managers only see requests of staff reporting to them; admins see all requests.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Approved, Rejected, Cancelled]
+ *       - in: query
+ *         name: leaveType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Requests with leave on or after this day
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Requests with leave on or before this day
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *         description: Only requests of staff reporting to the current user (always applied for managers)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of leave requests
+ */
+router.get(
+  '/',
+  [
+    query('staffId', 'Staff ID must be a valid MongoDB ID').optional().isMongoId(),
+    statusValidator,
+    query('leaveType', 'Leave type must be a valid MongoDB ID').optional().isMongoId(),
+    query('fromDate', 'From date must be a valid date').optional().isISO8601(),
+    query('toDate', 'To date must be a valid date').optional().isISO8601(),
+    query('team', 'team must be true or false').optional().isBoolean(),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  leaveController.getLeaveRequests
+);
+
+/**
+ * @swagger
+ * /api/leaves/{id}:
+ *   get:
+ *     summary: Get a leave request
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Leave request
+ *       403:
+ *         description: The staff member does not report to you
+ *       404:
+ *         description: Leave request not found
+ */
+router.get(
+  '/:id',
+  [
+    param('id', 'Leave request ID must be a valid MongoDB ID').isMongoId()
+  ],
+  leaveController.getLeaveRequest
+);
+
+/**
+ * @swagger
+ * /api/leaves/{id}/review:
+ *   patch:
+ *     summary: Approve or reject a leave request
+ *     description: |
+ *       Managers can review pending requests of staff reporting to them, directly or further down the
+ *       reporting chain; admins can review any request. Nobody can review their own request.
+ *       Approving returns the staff member's open tasks due during the leave as `tasksDueDuringLeave`.
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Approved, Rejected]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Leave request reviewed
+ *       400:
+ *         description: Already reviewed or not enough leave left (code INSUFFICIENT_BALANCE)
+ *       403:
+ *         description: Not in your reporting chain, or your own request
+ *       404:
+ *         description: Leave request not found
+ */
+router.patch(
+  '/:id/review',
+  [
+    param('id', 'Leave request ID must be a valid MongoDB ID').isMongoId(),
+    check('status', 'Status must be Approved or Rejected').isIn(['Approved', 'Rejected']),
+    check('comment', 'A comment is required when rejecting leave')
+      .if(check('status').equals('Rejected'))
+      .notEmpty(),
+    check('comment', 'Comment cannot be more than 500 characters').optional().isLength({ max: 500 })
+  ],
+  leaveController.reviewLeave
+);
+
+// Mobile app routes
+const mobileRouter = express.Router();
+
+// Any staff member can apply for leave
+mobileRouter.use(protect);
+
+/**
+ * @swagger
+ * /api/mobile/leaves/types:
+ *   get:
+ *     summary: Get the leave types that can be applied for
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active leave types
+ */
+mobileRouter.get('/types', leaveController.getLeaveTypes);
+
+/**
+ * @swagger
+ * /api/mobile/leaves/holidays:
+ *   get:
+ *     summary: Get the holiday calendar of a year
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Holidays in date order
+ */
+mobileRouter.get('/holidays', [yearValidator], leaveController.getHolidayList);
+
+/**
+ * @swagger
+ * /api/mobile/leaves/balances:
+ *   get:
+ *     summary: Get the logged in user's leave balances
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Allocated, used, pending and available days per leave type (null when unlimited)
+ */
+mobileRouter.get('/balances', [yearValidator], leaveController.getMyBalances);
+
+/**
+ * @swagger
+ * /api/mobile/leaves:
+ *   post:
+ *     summary: Apply for leave
+ *     description: |
+ *       Holidays in the range are not counted. Pending and approved days are taken from the balance,
+ *       and the request goes to the manager the user reports to.
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - leaveType
+ *               - fromDate
+ *               - reason
+ *             properties:
+ *               leaveType:
+ *                 type: string
+ *               fromDate:
+ *                 type: string
+ *                 format: date
+ *               toDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of leave (default fromDate)
+ *               halfDay:
+ *                 type: boolean
+ *                 description: Half a day of single-day leave
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Leave applied for
+ *       400:
+ *         description: Invalid input, overlapping leave or not enough leave left (code INSUFFICIENT_BALANCE)
+ */
+mobileRouter.post(
+  '/',
+  [
+    check('leaveType', 'Leave type must be a valid MongoDB ID').isMongoId(),
+    check('fromDate', 'From date is required and must be a valid date').isISO8601(),
+    check('toDate', 'To date must be a valid date').optional().isISO8601(),
+    check('halfDay', 'halfDay must be true or false').optional().isBoolean().toBoolean(),
+    check('reason', 'Reason is required').trim().notEmpty(),
+    check('reason', 'Reason cannot be more than 500 characters').isLength({ max: 500 })
+  ],
+  leaveController.applyLeave
+);
+
+/**
+ * @swagger
+ * /api/mobile/leaves:
+ *   get:
+ *     summary: Get the logged in user's leave requests
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Approved, Rejected, Cancelled]
+ *     responses:
+ *       200:
+ *         description: Leave requests, latest first
+ */
+mobileRouter.get('/', [yearValidator, statusValidator], leaveController.getMyLeaves);
+
+/**
+ * @swagger
+ * /api/mobile/leaves/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a leave request
+ *     description: Pending requests can always be cancelled; approved leave only before it starts
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Leave request cancelled
+ *       400:
+ *         description: Already reviewed, cancelled or started
+ *       404:
+ *         description: Leave request not found
+ */
+mobileRouter.patch(
+  '/:id/cancel',
+  [
+    param('id', 'Leave request ID must be a valid MongoDB ID').isMongoId()
+  ],
+  leaveController.cancelLeave
+);
+
+module.exports = {
+  apiRouter: router,
+  mobileRouter: mobileRouter
+};
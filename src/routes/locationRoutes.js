@@ -0,0 +1,193 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const config = require('../config/config');
+const locationController = require('../controllers/locationController');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(requirePermission('marketing'));
+router.use(authorize('team-management'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Locations
+ *   description: Live positions and daily paths of field staff from location pings
+ */
+
+/**
+ * @swagger
+ * /api/locations/latest:
+ *   get:
+ *     summary: Get the latest position of each field staff member
+ *     description: |
+ *       For the map feed: the last ping of each staff member (null if none is kept), how many minutes ago it was
+ *       captured and whether that is longer than LOCATION_STALE_MINUTES, and the punch-in currently open (if any).
+ *       Managers only see staff reporting to them; admins see all field staff.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *         description: Only staff reporting to the current user (always applied for managers)
+ *     responses:
+ *       200:
+ *         description: Latest positions
+ */
+router.get(
+  '/latest',
+  [
+    query('staffId', 'Staff ID must be a valid MongoDB ID').optional().isMongoId(),
+    query('team', 'team must be true or false').optional().isBoolean()
+  ],
+  locationController.getLatestPositions
+);
+
+/**
+ * @swagger
+ * /api/locations/{staffId}/path:
+ *   get:
+ *     summary: Get a staff member's path on a day
+ *     description: |
+ *       Pings of the day in time order, split into one segment per punch-in, with punch-ins and punch-outs as waypoints
+ *       and the distance covered. Pings less accurate than LOCATION_MAX_ACCURACY_METERS are left out.
+ *       `format=geojson` downloads a GeoJSON FeatureCollection and `format=gpx` a GPX track.
+ *       Managers can only view staff in their team.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: staffId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day (default today)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson, gpx]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Path of the day
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *           application/gpx+xml:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Staff member not in your team
+ *       404:
+ *         description: Staff member not found
+ */
+router.get(
+  '/:staffId/path',
+  [
+    param('staffId', 'Staff ID must be a valid MongoDB ID').isMongoId(),
+    query('date', 'Date must be a valid date').optional().isISO8601(),
+    query('format', 'Format must be json, geojson or gpx').optional().isIn(['json', 'geojson', 'gpx'])
+  ],
+  locationController.getDayPath
+);
+
+// Mobile app routes
+const mobileRouter = express.Router();
+
+// Apply protect middleware to all mobile routes
+mobileRouter.use(protect);
+mobileRouter.use(authorize('field-sales'));
+
+/**
+ * @swagger
+ * /api/mobile/locations:
+ *   post:
+ *     summary: Record location pings
+ *     description: |
+ *       The app sends the positions it captured periodically while punched in, in batches (pings captured offline can be sent later).
+ *       Pings outside a punch-in, in the future or older than LOCATION_RETENTION_DAYS are rejected individually;
+ *       a ping with the same capture time as one already stored is ignored. Pings are deleted after LOCATION_RETENTION_DAYS.
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pings
+ *             properties:
+ *               pings:
+ *                 type: array
+ *                 maxItems: 200
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - latitude
+ *                     - longitude
+ *                     - capturedAt
+ *                   properties:
+ *                     latitude:
+ *                       type: number
+ *                     longitude:
+ *                       type: number
+ *                     accuracy:
+ *                       type: number
+ *                       description: GPS accuracy in metres
+ *                     speed:
+ *                       type: number
+ *                       description: Metres per second
+ *                     batteryLevel:
+ *                       type: number
+ *                       description: Percent
+ *                     capturedAt:
+ *                       type: string
+ *                       format: date-time
+ *     responses:
+ *       200:
+ *         description: Counts of pings received, stored and already stored, and the rejected pings by index
+ *       400:
+ *         description: Invalid input
+ */
+mobileRouter.post(
+  '/',
+  [
+    body('pings', `Pings must be an array of 1 to ${config.tracking.maxBatchSize} items`)
+      .isArray({ min: 1, max: config.tracking.maxBatchSize }),
+    body('pings.*.latitude', 'Latitude must be between -90 and 90').isFloat({ min: -90, max: 90 }).toFloat(),
+    body('pings.*.longitude', 'Longitude must be between -180 and 180').isFloat({ min: -180, max: 180 }).toFloat(),
+    body('pings.*.accuracy', 'Accuracy must be a number of 0 or more').optional().isFloat({ min: 0 }).toFloat(),
+    body('pings.*.speed', 'Speed must be a number of 0 or more').optional().isFloat({ min: 0 }).toFloat(),
+    body('pings.*.batteryLevel', 'Battery level must be between 0 and 100').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+    body('pings.*.capturedAt', 'Capture time must be a valid date').isISO8601()
+  ],
+  locationController.recordPings
+);
+
+module.exports = {
+  apiRouter: router,
+  mobileRouter: mobileRouter
+};
@@ -1,12 +1,13 @@
 const express = require('express');
-const { check, query } = require('express-validator');
+const { check, param, query } = require('express-validator');
 const marketingStaffActivityController = require('../controllers/marketingStaffActivityController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('marketing'));
 
 /**
  * @swagger
@@ -58,6 +59,31 @@ router.use(protect);
  *         required: false
  *         description: Distributor name (partial match)
  *       - in: query
+ *         name: geofenceFlagged
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Only punches made outside (true) or inside (false) the geofence
+ *       - in: query
+ *         name: reviewStatus
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Approved, Rejected]
+ *         required: false
+ *         description: Geofence review status
+ *       - in: query
+ *         name: closedBySystem
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Only punch-ins the system closed because nobody punched out (true)
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Only punch-ins of staff reporting to the current user
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -78,10 +104,187 @@ router.use(protect);
  *         description: Not authorized
  */
 router.get('/', 
-  restrictTo('Admin', 'Mid-Level Manager'),
+  authorize('team-management'),
+  [
+    query('geofenceFlagged', 'geofenceFlagged must be true or false').optional().isBoolean(),
+    query('reviewStatus', 'Review status must be Pending, Approved or Rejected')
+      .optional()
+      .isIn(['Pending', 'Approved', 'Rejected']),
+    query('closedBySystem', 'closedBySystem must be true or false').optional().isBoolean()
+  ],
   marketingStaffActivityController.getMarketingActivities
 );
 
+/**
+ * @swagger
+ * /api/marketing-activity/selfie-review:
+ *   get:
+ *     summary: Get punch-ins whose selfie is a near-duplicate of an earlier one
+ *     description: |
+ *       Each punch-in selfie is compared with the staff member's selfies of the last SELFIE_LOOKBACK_DAYS days
+ *       using a perceptual hash. Near-duplicates are flagged for review; the earlier punch-in (selfieMatch.activity)
+ *       is included with its selfie so both photos can be compared.
+ *     tags: [Marketing Staff Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Approved, Rejected]
+ *           default: Pending
+ *         required: false
+ *         description: Review status
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Marketing staff member ID
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Only punch-ins of staff reporting to the current user
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Page number (default 1)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Number of items per page (default 10)
+ *     responses:
+ *       200:
+ *         description: Flagged punch-ins with the matching earlier punch-in
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get(
+  '/selfie-review',
+  authorize('team-management'),
+  [
+    query('status', 'Status must be Pending, Approved or Rejected').optional().isIn(['Pending', 'Approved', 'Rejected']),
+    query('staffId', 'Staff ID must be a valid MongoDB ID').optional().isMongoId(),
+    query('team', 'team must be true or false').optional().isBoolean(),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  marketingStaffActivityController.getSelfieReviewQueue
+);
+
+/**
+ * @swagger
+ * /api/marketing-activity/{id}/selfie-review:
+ *   patch:
+ *     summary: Approve or reject a punch-in flagged for a reused selfie
+ *     tags: [Marketing Staff Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Activity ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Approved, Rejected]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review saved
+ *       400:
+ *         description: Invalid input data or activity not flagged
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Activity not found
+ */
+router.patch(
+  '/:id/selfie-review',
+  authorize('team-management'),
+  [
+    param('id', 'Activity ID must be a valid MongoDB ID').isMongoId(),
+    check('status', 'Status must be Approved or Rejected').isIn(['Approved', 'Rejected']),
+    check('comment', 'Comment cannot be more than 500 characters').optional().isLength({ max: 500 })
+  ],
+  marketingStaffActivityController.reviewSelfie
+);
+
+/**
+ * @swagger
+ * /api/marketing-activity/{id}/geofence-review:
+ *   patch:
+ *     summary: Approve or reject a punch made outside the geofence
+ *     tags: [Marketing Staff Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Activity ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Approved, Rejected]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review saved
+ *       400:
+ *         description: Invalid input data or activity not flagged
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Activity not found
+ */
+router.patch(
+  '/:id/geofence-review',
+  authorize('team-management'),
+  [
+    param('id', 'Activity ID must be a valid MongoDB ID').isMongoId(),
+    check('status', 'Status must be Approved or Rejected').isIn(['Approved', 'Rejected']),
+    check('comment', 'Comment cannot be more than 500 characters').optional().isLength({ max: 500 })
+  ],
+  marketingStaffActivityController.reviewGeofence
+);
+
 /**
  * @swagger
  * /api/marketing-activity/{id}:
@@ -256,6 +459,35 @@ const mobileRouter = express.Router();
 // Apply protect middleware to all mobile routes
 mobileRouter.use(protect);
 
+// Also applied to punch-ins replayed by POST /api/mobile/sync
+const punchInValidators = [
+  check('retailShop', 'Retail shop name is required').not().isEmpty(),
+  check('distributor', 'Distributor name is required').not().isEmpty(),
+  check('areaName', 'Area name is required').not().isEmpty(),
+  check('tripCompanion', 'Trip companion is required').isObject(),
+  check('tripCompanion.category', 'Trip companion category is required')
+    .isIn(['Distributor Staff', 'Marketing Staff', 'Other']),
+  check('tripCompanion.name', 'Trip companion name is required').not().isEmpty(),
+  check('modeOfTransport', 'Mode of transport is required').not().isEmpty(),
+  check('selfieImage', 'Selfie image is required').not().isEmpty(),
+  check('shopTypes', 'Shop types is required').isArray({ min: 1 }),
+  check('shopTypes.*', 'Shop type must be either Retailer or Whole Seller')
+    .isIn(['Retailer', 'Whole Seller']),
+  // More flexible validation for brands
+  check('brandSupplyEstimates')
+    .optional()
+    .isArray()
+    .withMessage('Brand supply estimates must be an array'),
+  check('brandSupplyEstimates.*.name')
+    .optional()
+    .isString()
+    .withMessage('Brand name must be a string'),
+  check('distributorId', 'Distributor ID must be valid').optional().isMongoId(),
+  check('latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+  check('longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 }),
+  check('accuracy', 'Accuracy must be a positive number of metres').optional().isFloat({ min: 0 })
+];
+
 /**
  * @swagger
  * /api/mobile/marketing-activity/punch-in:
@@ -285,6 +517,20 @@ mobileRouter.use(protect);
  *               distributor:
  *                 type: string
  *                 description: Distributor name
+ *               distributorId:
+ *                 type: string
+ *                 description: |
+ *                   Distributor ID; its coordinates are the geofence for the punch-in. Without it the distributor is
+ *                   looked up by name. A punch-in that cannot be checked is flagged for review (geofenceUnverified).
+ *               latitude:
+ *                 type: number
+ *                 description: Latitude of the device
+ *               longitude:
+ *                 type: number
+ *                 description: Longitude of the device
+ *               accuracy:
+ *                 type: number
+ *                 description: GPS accuracy in metres
  *               areaName:
  *                 type: string
  *                 description: Area name
@@ -307,7 +553,7 @@ mobileRouter.use(protect);
  *               selfieImage:
  *                 type: string
  *                 format: base64
- *                 description: Base64 encoded selfie image
+ *                 description: Base64 encoded JPEG or PNG selfie. A near-duplicate of a recent selfie is saved with selfieFlagged for manager review.
  *               shopTypes:
  *                 type: array
  *                 items:
@@ -482,41 +728,29 @@ mobileRouter.use(protect);
  *                       type: string
  *                       format: date-time
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data, selfie that is not a JPEG or PNG image (code INVALID_SELFIE), missing location or outside the geofence (code OUTSIDE_GEOFENCE)
  *       401:
  *         description: Not authenticated
  *       403:
  *         description: Not authorized
+ *       404:
+ *         description: Distributor not found
  */
 mobileRouter.post(
   '/punch-in',
-  restrictTo('Marketing Staff'),
-  [
-    check('retailShop', 'Retail shop name is required').not().isEmpty(),
-    check('distributor', 'Distributor name is required').not().isEmpty(),
-    check('areaName', 'Area name is required').not().isEmpty(),
-    check('tripCompanion', 'Trip companion is required').isObject(),
-    check('tripCompanion.category', 'Trip companion category is required')
-      .isIn(['Distributor Staff', 'Marketing Staff', 'Other']),
-    check('tripCompanion.name', 'Trip companion name is required').not().isEmpty(),
-    check('modeOfTransport', 'Mode of transport is required').not().isEmpty(),
-    check('selfieImage', 'Selfie image is required').not().isEmpty(),
-    check('shopTypes', 'Shop types is required').isArray({ min: 1 }),
-    check('shopTypes.*', 'Shop type must be either Retailer or Whole Seller')
-      .isIn(['Retailer', 'Whole Seller']),
-    // More flexible validation for brands
-    check('brandSupplyEstimates')
-      .optional()
-      .isArray()
-      .withMessage('Brand supply estimates must be an array'),
-    check('brandSupplyEstimates.*.name')
-      .optional()
-      .isString()
-      .withMessage('Brand name must be a string')
-  ],
+  authorize('field-sales'),
+  punchInValidators,
   marketingStaffActivityController.punchIn
 );
 
+// Also applied to punch-outs replayed by POST /api/mobile/sync
+const punchOutValidators = [
+  check('distributorId', 'Distributor ID is required for punch out').isMongoId(),
+  check('latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+  check('longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 }),
+  check('accuracy', 'Accuracy must be a positive number of metres').optional().isFloat({ min: 0 })
+];
+
 /**
  * @swagger
  * /api/mobile/marketing-activity/{id}/punch-out:
@@ -544,17 +778,27 @@ mobileRouter.post(
  *               distributorId:
  *                 type: string
  *                 description: ID of the distributor where marketing staff is punching out from
+ *               latitude:
+ *                 type: number
+ *                 description: Latitude of the device
+ *               longitude:
+ *                 type: number
+ *                 description: Longitude of the device
+ *               accuracy:
+ *                 type: number
+ *                 description: GPS accuracy in metres
  *     responses:
  *       200:
  *         description: Successfully punched out
  *       400:
- *         description: Validation error or already punched out
+ *         description: Validation error, already punched out or outside the geofence
  *       404:
  *         description: Activity not found
  */
 mobileRouter.patch(
   '/:id/punch-out',
-  restrictTo('Marketing Staff'),
+  authorize('field-sales'),
+  punchOutValidators,
   marketingStaffActivityController.punchOut
 );
 
@@ -721,12 +965,14 @@ mobileRouter.patch(
  */
 mobileRouter.get(
   '/my-activities',
-  restrictTo('Marketing Staff'),
+  authorize('field-sales'),
   marketingStaffActivityController.getMyActivities
 );
 
 // Export both routers
 module.exports = {
   apiRouter: router,
-  mobileRouter: mobileRouter
+  mobileRouter: mobileRouter,
+  punchInValidators,
+  punchOutValidators
 };
\ No newline at end of file
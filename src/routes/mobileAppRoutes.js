@@ -1,5 +1,5 @@
 const express = require('express');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, isLoggedIn } = require('../middleware/authMiddleware');
 const authController = require('../controllers/authController');
 const taskController = require('../controllers/taskController');
 const distributorController = require('../controllers/distributorController');
@@ -10,7 +10,8 @@ const { check, param } = require('express-validator');
 const path = require('path');
 const fs = require('fs');
 const DamageClaim = require('../models/DamageClaim');
-const { restrictTo } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authMiddleware');
+const { hasCapability } = require('../utils/roleRegistry');
 const Task = require('../models/Task');
 const Distributor = require('../models/Distributor');
 const damageClaimController = require('../controllers/damageClaimController');
@@ -228,17 +229,135 @@ router.get('/validate-token', protect, (req, res) => {
  * @swagger
  * /api/mobile/refresh-token:
  *   post:
- *     summary: Refresh JWT token for mobile app
+ *     summary: Exchange a refresh token for a new JWT and refresh token
  *     tags: [Mobile App]
- *     security:
- *       - bearerAuth: []
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token returned by login or the previous refresh
  *     responses:
  *       200:
  *         description: Token refreshed successfully
  *       401:
- *         description: Invalid or expired token
+ *         description: Refresh token invalid, expired or revoked
+ */
+router.post('/refresh-token', authController.refreshToken);
+
+/**
+ * @swagger
+ * /api/mobile/forgot-password:
+ *   post:
+ *     summary: Send a password reset code to the staff member's email
+ *     tags: [Mobile App]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Staff email
+ *     responses:
+ *       200:
+ *         description: Reset code sent if the account exists
+ */
+router.post(
+  '/forgot-password',
+  [
+    check('email', 'Please include a valid email').isEmail()
+  ],
+  authController.forgotPassword
+);
+
+/**
+ * @swagger
+ * /api/mobile/reset-password/{token}:
+ *   post:
+ *     summary: Reset password using the emailed code
+ *     tags: [Mobile App]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reset code from the email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: New password
+ *     responses:
+ *       200:
+ *         description: |
+ *           Password reset and staff member logged in. Admins and Sub Admins with two-factor get `twoFactorRequired`
+ *           (or `twoFactorSetupRequired`) and a preAuthToken instead, as from login.
+ *       400:
+ *         description: Code invalid or expired, or password too weak
+ */
+router.post('/reset-password/:token', authController.resetPassword);
+
+/**
+ * @swagger
+ * /api/mobile/logout:
+ *   post:
+ *     summary: Logout and revoke the session of this device
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token of the session to end (used when the access token has expired)
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+router.post('/logout', isLoggedIn, authController.logout);
+
+/**
+ * @swagger
+ * /api/mobile/sessions:
+ *   get:
+ *     summary: Get devices the current staff member is signed in on
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of active sessions
  */
-router.post('/refresh-token', protect, authController.refreshToken);
+router.get('/sessions', protect, authController.getMySessions);
 
 /**
  * @swagger
@@ -304,7 +423,7 @@ router.get('/tasks/assigned', protect, async (req, res, next) => {
  *       401:
  *         description: Not authenticated
  */
-router.get('/tasks/my-tasks', protect, restrictTo('Marketing Staff', 'Mid-Level Manager'), async (req, res) => {
+router.get('/tasks/my-tasks', protect, authorize('field-sales', 'team-management'), async (req, res) => {
   try {
     const { status } = req.query;
     
@@ -435,8 +554,7 @@ router.patch('/tasks/:taskId/complete', protect, async (req, res, next) => {
  *                 description: User ID to assign the task to (defaults to self)
  *               staffRole:
  *                 type: string
- *                 enum: [Marketing Staff, Godown Incharge, Mid-Level Manager]
- *                 description: Role of the staff member the task is assigned to
+ *                 description: Role of the staff member the task is assigned to (name of a role from GET /api/roles)
  *               distributorId:
  *                 type: string
  *                 description: Distributor ID (for Marketing Staff tasks)
@@ -889,7 +1007,7 @@ router.use('/marketing-activity', marketingActivityMobileRouter);
 router.post(
   '/damage-claims',
   protect,
-  restrictTo('Marketing Staff'),
+  authorize('field-sales'),
   [
     check('distributorId', 'Distributor ID is required').not().isEmpty().isMongoId(),
     check('distributorName', 'Distributor name is required').not().isEmpty(),
@@ -985,7 +1103,7 @@ router.post(
 router.get(
   '/damage-claims/my-claims',
   protect,
-  restrictTo('Marketing Staff'),
+  authorize('field-sales'),
   async (req, res, next) => {
     try {
       const { status } = req.query;
@@ -1042,7 +1160,7 @@ router.get(
 router.get(
   '/damage-claims/:claimId',
   protect,
-  restrictTo('Marketing Staff'),
+  authorize('field-sales'),
   [
     param('claimId', 'Claim ID must be a valid MongoDB ID').isMongoId()
   ],
@@ -1062,7 +1180,7 @@ router.get(
       }
       
       // Ensure the claim belongs to the current user
-      if (damageClaim.createdBy._id.toString() !== req.user.id && req.user.role !== 'Admin' && req.user.role !== 'Administrator') {
+      if (damageClaim.createdBy._id.toString() !== req.user.id && !hasCapability(req.user, 'admin')) {
         return res.status(403).json({
           success: false,
           error: 'Not authorized to access this damage claim'
@@ -1110,7 +1228,7 @@ router.get(
 router.get(
   '/damage-claims/godown/tracking/:trackingId',
   protect,
-  restrictTo('Godown Incharge', 'Administrator', 'Admin'),
+  authorize('dispatch'),
   [
     param('trackingId', 'Tracking ID is required').not().isEmpty()
   ],
@@ -1149,7 +1267,7 @@ router.get(
 router.get(
   '/damage-claims/mlm/all',
   protect,
-  restrictTo('Mid-Level Manager', 'Administrator', 'Admin', 'Godown Incharge'),
+  authorize('team-management', 'dispatch'),
   async (req, res, next) => {
     try {
       const { status, trackingId } = req.query;
@@ -1203,7 +1321,7 @@ router.get(
 router.get(
   '/damage-claims/mlm/pending',
   protect,
-  restrictTo('Mid-Level Manager', 'Administrator', 'Admin', 'Godown Incharge'),
+  authorize('team-management', 'dispatch'),
   async (req, res, next) => {
     try {
       // Get pending damage claims
@@ -1243,7 +1361,7 @@ router.get(
 router.get(
   '/damage-claims/godown/approved',
   protect,
-  restrictTo('Godown Incharge', 'Administrator', 'Admin'),
+  authorize('dispatch'),
   damageClaimController.getGodownApprovedClaims
 );
 
@@ -1290,7 +1408,7 @@ router.get(
 router.patch(
   '/damage-claims/mlm/:claimId/comment',
   protect,
-  restrictTo('Mid-Level Manager', 'Administrator', 'Admin', 'Godown Incharge'),
+  authorize('team-management', 'dispatch'),
   [
     param('claimId', 'Claim ID must be a valid MongoDB ID').isMongoId(),
     check('comment', 'Comment is required').not().isEmpty()
@@ -1310,7 +1428,7 @@ router.patch(
       }
       
       // Check if claim is in the correct state
-      if (damageClaim.status !== 'Pending' && damageClaim.status !== 'Commented' && req.user.role !== 'Admin' && req.user.role !== 'Administrator') {
+      if (damageClaim.status !== 'Pending' && damageClaim.status !== 'Commented' && !hasCapability(req.user, 'admin')) {
         return res.status(400).json({
           success: false,
           error: `Cannot add comment to a claim with status ${damageClaim.status}`
@@ -1436,7 +1554,7 @@ router.delete('/tasks/:taskId/delete', protect, async (req, res, next) => {
 router.post(
   '/sales-inquiries',
   protect,
-  restrictTo('Marketing Staff'),
+  authorize('field-sales'),
   [
     check('distributorId', 'Distributor ID is required').not().isEmpty().isMongoId(),
     check('distributorName', 'Distributor name is required').not().isEmpty(),
@@ -1525,7 +1643,7 @@ router.post(
 router.get(
   '/sales-inquiries/my-inquiries',
   protect,
-  restrictTo('Marketing Staff', 'Mid-Level Manager', 'Administrator', 'Admin', 'Godown Incharge'),
+  authorize('field-sales', 'team-management', 'dispatch'),
   async (req, res, next) => {
     try {
       const { status } = req.query;
@@ -1535,18 +1653,18 @@ router.get(
       
       // For Marketing Staff, only show their own inquiries
       // For Mid-Level Manager, Admin, Administrator, and Godown Incharge show all inquiries
-      if (req.user.role === 'Marketing Staff') {
+      if (hasCapability(req.user, 'field-sales')) {
         query.createdBy = req.user.id;
       }
       
       // Mid-Level Managers should not see dispatched orders
-      if (req.user.role === 'Mid-Level Manager') {
+      if (hasCapability(req.user, 'team-management')) {
         query.status = { $ne: 'Dispatched' };
       }
       
       // Apply status filter if provided, but ensure Mid-Level Managers still can't see dispatched orders
       if (status) {
-        if (req.user.role === 'Mid-Level Manager' && status === 'Dispatched') {
+        if (hasCapability(req.user, 'team-management') && status === 'Dispatched') {
           // Don't allow MLM to explicitly request Dispatched status
           return res.status(403).json({
             success: false,
@@ -1678,7 +1796,7 @@ router.get(
 router.patch(
   '/sales-inquiries/:inquiryId/comment',
   protect,
-  restrictTo('Mid-Level Manager', 'Administrator', 'Admin'),
+  authorize('team-management'),
   [
     param('inquiryId', 'Inquiry ID must be a valid MongoDB ID').isMongoId(),
     check('comment', 'Comment is required').not().isEmpty()
@@ -1843,7 +1961,7 @@ router.get('/auth/profile', protect, authController.getMe);
 router.get(
   '/retailer-shop-activity/alternate-providers',
   protect,
-  restrictTo('Mid-Level Manager', 'Admin', 'Administrator'),
+  authorize('team-management'),
   (req, res, next) => {
     // Import controller on demand
     const retailerShopActivityController = require('../controllers/retailerShopActivityController');
@@ -1900,7 +2018,7 @@ router.get(
 router.patch(
   '/retailer-shop-activity/:activityId/alternate-provider/:providerId/comment',
   protect,
-  restrictTo('Mid-Level Manager', 'Admin', 'Administrator'),
+  authorize('team-management'),
   (req, res, next) => {
     // Import controller on demand
     const retailerShopActivityController = require('../controllers/retailerShopActivityController');
@@ -1959,7 +2077,7 @@ router.patch(
 router.patch(
   '/sales-inquiries/:inquiryId/dispatch',
   protect,
-  restrictTo('Godown Incharge', 'Administrator', 'Admin'),
+  authorize('dispatch'),
   [
     param('inquiryId', 'Inquiry ID must be a valid MongoDB ID').isMongoId(),
     check('dispatchDate', 'Dispatch date is required').not().isEmpty(),
@@ -2065,7 +2183,7 @@ router.patch(
 router.get(
   '/damage-claims/godown/all',
   protect,
-  restrictTo('Godown Incharge', 'Administrator', 'Admin'),
+  authorize('dispatch'),
   damageClaimController.getGodownAllDamageClaims
 );
 
@@ -2098,7 +2216,7 @@ router.get(
 router.get(
   '/damage-claims/godown/:id',
   protect,
-  restrictTo('Godown Incharge', 'Administrator', 'Admin'),
+  authorize('dispatch'),
   damageClaimController.getGodownDamageClaimById
 );
 
@@ -1,19 +1,23 @@
 const express = require('express');
-const { check, param } = require('express-validator');
+const { check, param, query } = require('express-validator');
 const orderController = require('../controllers/orderController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('orders'));
 
 /**
  * @swagger
  * /orders:
  *   post:
  *     summary: Create a new order request
- *     description: Marketing Staff submits an order request for a distributor
+ *     description: |
+ *       Marketing Staff submits an order request for a distributor. Each item is priced from the price list
+ *       (the product name is the brand, with the variant and size) and the order total is stamped on the order;
+ *       items without a price get a null unit price and are counted in `unpricedItems`.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -49,6 +53,12 @@ router.use(protect);
  *                     unit:
  *                       type: string
  *                       description: Unit of measurement
+ *                     variant:
+ *                       type: string
+ *                       description: Variant of the product, used with the size to look up its price
+ *                     size:
+ *                       type: string
+ *                       description: Size of the product, used with the variant to look up its price
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -63,13 +73,15 @@ router.use(protect);
  */
 router.post(
   '/',
-  restrictTo('Marketing Staff'),
+  authorize('field-sales'),
   [
     check('distributorId', 'Distributor ID is required').not().isEmpty().isMongoId(),
     check('items', 'Items must be an array with at least one item').isArray({ min: 1 }),
     check('items.*.productName', 'Product name is required for each item').not().isEmpty(),
     check('items.*.quantity', 'Quantity is required and must be a positive number for each item').isInt({ min: 1 }),
-    check('items.*.unit', 'Unit is required for each item').not().isEmpty()
+    check('items.*.unit', 'Unit is required for each item').not().isEmpty(),
+    check('items.*.variant', 'Variant must be a string').optional().isString(),
+    check('items.*.size', 'Size must be a string').optional().isString()
   ],
   orderController.createOrder
 );
@@ -103,7 +115,141 @@ router.post(
  *       403:
  *         description: Not authorized
  */
-router.get('/', restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incharge'), orderController.getOrders);
+router.get('/', authorize('team-management', 'field-sales', 'dispatch'), orderController.getOrders);
+
+/**
+ * @swagger
+ * /orders/consolidation:
+ *   get:
+ *     summary: Preview the consolidation of retailer sales orders
+ *     description: |
+ *       A distributor's retailer sales orders (fresh orders and shop visit sales orders) of a period that are not yet
+ *       in an order, rolled up by brand, variant and size, with the quantity, number of shops, the retailer lines
+ *       behind each item and prices from the distributor's price list.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: distributorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: fromDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Rolled-up sales orders
+ *       403:
+ *         description: Distributor outside your territories
+ *       404:
+ *         description: Distributor not found
+ */
+router.get(
+  '/consolidation',
+  authorize('team-management'),
+  [
+    query('distributorId', 'Distributor ID must be a valid MongoDB ID').isMongoId(),
+    query('fromDate', 'From date must be a valid date').isISO8601(),
+    query('toDate', 'To date must be a valid date').isISO8601()
+  ],
+  orderController.getConsolidationPreview
+);
+
+/**
+ * @swagger
+ * /orders/consolidation:
+ *   post:
+ *     summary: Create an order from retailer sales orders
+ *     description: |
+ *       Rolls up the distributor's retailer sales orders of the period that are not yet in an order into a new order
+ *       in Requested state. Each item keeps the retailer quantity and the shop visit lines it came from, and the shop
+ *       visits are linked to the order so they are not rolled up again (unless the order is rejected).
+ *       Send `items` to adjust the order after reviewing the preview: the items sent make up the order, lines left out
+ *       or with quantity 0 are dropped and lines no retailer ordered are added.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - distributorId
+ *               - fromDate
+ *               - toDate
+ *             properties:
+ *               distributorId:
+ *                 type: string
+ *               fromDate:
+ *                 type: string
+ *                 format: date
+ *               toDate:
+ *                 type: string
+ *                 format: date
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - brandName
+ *                     - variant
+ *                     - size
+ *                     - quantity
+ *                   properties:
+ *                     brandName:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     size:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 0
+ *                     unit:
+ *                       type: string
+ *                       default: Units
+ *               comments:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order created
+ *       400:
+ *         description: Invalid input, nothing to consolidate (code NOTHING_TO_CONSOLIDATE) or sales orders consolidated meanwhile (code ALREADY_CONSOLIDATED)
+ *       403:
+ *         description: Distributor outside your territories
+ *       404:
+ *         description: Distributor not found
+ */
+router.post(
+  '/consolidation',
+  authorize('team-management'),
+  [
+    check('distributorId', 'Distributor ID must be a valid MongoDB ID').isMongoId(),
+    check('fromDate', 'From date must be a valid date').isISO8601(),
+    check('toDate', 'To date must be a valid date').isISO8601(),
+    check('items', 'Items must be an array').optional().isArray(),
+    check('items.*.brandName', 'Brand name is required for each item').trim().notEmpty(),
+    check('items.*.variant', 'Variant is required for each item').trim().notEmpty(),
+    check('items.*.size', 'Size is required for each item').trim().notEmpty(),
+    check('items.*.quantity', 'Quantity must be a number of 0 or more for each item').isInt({ min: 0 }).toInt(),
+    check('items.*.unit', 'Unit must be a string').optional().isString(),
+    check('comments', 'Comments must be a string').optional().isString()
+  ],
+  orderController.createConsolidatedOrder
+);
 
 /**
  * @swagger
@@ -132,7 +278,7 @@ router.get('/', restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incha
  */
 router.get(
   '/:orderId',
-  restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incharge'),
+  authorize('team-management', 'field-sales', 'dispatch'),
   [
     param('orderId', 'Order ID must be a valid MongoDB ID').isMongoId()
   ],
@@ -167,7 +313,7 @@ router.get(
  */
 router.get(
   '/track/:orderId',
-  restrictTo('Mid-Level Manager', 'Marketing Staff', 'Godown Incharge'),
+  authorize('team-management', 'field-sales', 'dispatch'),
   [
     param('orderId', 'Order ID must be a valid MongoDB ID').isMongoId()
   ],
@@ -220,7 +366,7 @@ router.get(
  */
 router.patch(
   '/:orderId/approve',
-  restrictTo('Mid-Level Manager'),
+  authorize('team-management'),
   [
     param('orderId', 'Order ID must be a valid MongoDB ID').isMongoId(),
     check('status', 'Status is required and must be Approved or Rejected')
@@ -261,7 +407,7 @@ router.patch(
  */
 router.patch(
   '/:orderId/dispatch',
-  restrictTo('Godown Incharge'),
+  authorize('dispatch'),
   [
     param('orderId', 'Order ID must be a valid MongoDB ID').isMongoId()
   ],
@@ -0,0 +1,323 @@
+const express = require('express');
+const { check, param, query } = require('express-validator');
+const priceListController = require('../controllers/priceListController');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+const CHANNELS = ['Retailer', 'Whole Seller'];
+const channelMessage = 'Channel must be Retailer or Whole Seller';
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(requirePermission('products'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Price Lists
+ *   description: |
+ *     Prices of product sizes. A base price applies everywhere; a channel price applies to one type of shop
+ *     and a distributor price to the shops of one distributor. Orders, fresh orders, shop visit sales orders
+ *     and sales inquiries are priced when they are created with the most specific price in effect that day.
+ */
+
+/**
+ * @swagger
+ * /api/price-lists:
+ *   get:
+ *     summary: Get price list entries
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: brandName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: distributorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [Retailer, Whole Seller]
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [base, channel, distributor]
+ *       - in: query
+ *         name: activeOn
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only entries in effect on this day
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: List of price list entries
+ */
+router.get(
+  '/',
+  [
+    query('distributorId', 'Distributor ID must be a valid MongoDB ID').optional().isMongoId(),
+    query('channel', channelMessage).optional().isIn(CHANNELS),
+    query('scope', 'Scope must be base, channel or distributor').optional().isIn(['base', 'channel', 'distributor']),
+    query('activeOn', 'Active on must be a valid date').optional().isISO8601(),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 200').optional().isInt({ min: 1, max: 200 })
+  ],
+  priceListController.getPriceLists
+);
+
+/**
+ * @swagger
+ * /api/price-lists/effective:
+ *   get:
+ *     summary: Get the prices in effect
+ *     description: |
+ *       The price of each product size that would be stamped on an order for a distributor, shop or channel on a day:
+ *       the distributor price, else the channel price, else the base price. `shopId` gives both the distributor and the channel.
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: distributorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [Retailer, Whole Seller]
+ *       - in: query
+ *         name: shopId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Moment to price at (default now)
+ *     responses:
+ *       200:
+ *         description: Prices in effect, each with its scope
+ *       404:
+ *         description: Shop not found
+ */
+router.get(
+  '/effective',
+  [
+    query('distributorId', 'Distributor ID must be a valid MongoDB ID').optional().isMongoId(),
+    query('channel', channelMessage).optional().isIn(CHANNELS),
+    query('shopId', 'Shop ID must be a valid MongoDB ID').optional().isMongoId(),
+    query('date', 'Date must be a valid date').optional().isISO8601()
+  ],
+  priceListController.getEffectivePriceList
+);
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   get:
+ *     summary: Get a price list entry
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price list entry
+ *       404:
+ *         description: Price list entry not found
+ */
+router.get(
+  '/:id',
+  [param('id', 'Invalid price list entry ID').isMongoId()],
+  priceListController.getPriceList
+);
+
+/**
+ * @swagger
+ * /api/price-lists:
+ *   post:
+ *     summary: Add a price
+ *     description: |
+ *       Leave out `distributorId` and `channel` for the base price. The product size must be in the catalogue.
+ *       Two prices of the same product size and scope cannot apply on the same day.
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - brandName
+ *               - variant
+ *               - size
+ *               - price
+ *             properties:
+ *               brandName:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *                 description: Unit price in rupees
+ *               distributorId:
+ *                 type: string
+ *               channel:
+ *                 type: string
+ *                 enum: [Retailer, Whole Seller]
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *                 description: First day (default today)
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day (open-ended if not set)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Price added
+ *       400:
+ *         description: Invalid input, or another price of this scope applies during these dates (code PRICE_OVERLAP)
+ *       404:
+ *         description: Product size or distributor not found
+ */
+router.post(
+  '/',
+  authorize('admin'),
+  [
+    check('brandName', 'Brand name is required').trim().notEmpty(),
+    check('variant', 'Variant is required').trim().notEmpty(),
+    check('size', 'Size is required').trim().notEmpty(),
+    check('price', 'Price must be a number of 0 or more').isFloat({ min: 0 }).toFloat(),
+    check('distributorId', 'Distributor ID must be a valid MongoDB ID').optional({ nullable: true }).isMongoId(),
+    check('channel', channelMessage).optional({ nullable: true }).isIn(CHANNELS),
+    check('effectiveFrom', 'Effective from must be a valid date').optional().isISO8601(),
+    check('effectiveTo', 'Effective to must be a valid date').optional({ nullable: true }).isISO8601(),
+    check('notes', 'Notes must be a string').optional().isString()
+  ],
+  priceListController.createPriceList
+);
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   put:
+ *     summary: Update a price list entry
+ *     description: |
+ *       Change the price, dates or notes. Orders already created keep the price they were stamped with;
+ *       to change a price from a given day, end the current entry the day before and add a new one.
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               price:
+ *                 type: number
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *               effectiveTo:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 description: null makes the price open-ended
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Price list entry updated
+ *       400:
+ *         description: Invalid input, or another price of this scope applies during these dates (code PRICE_OVERLAP)
+ *       404:
+ *         description: Price list entry not found
+ */
+router.put(
+  '/:id',
+  authorize('admin'),
+  [
+    param('id', 'Invalid price list entry ID').isMongoId(),
+    check('price', 'Price must be a number of 0 or more').optional().isFloat({ min: 0 }).toFloat(),
+    check('effectiveFrom', 'Effective from must be a valid date').optional().isISO8601(),
+    check('effectiveTo', 'Effective to must be a valid date').optional({ nullable: true }).isISO8601(),
+    check('notes', 'Notes must be a string').optional().isString()
+  ],
+  priceListController.updatePriceList
+);
+
+/**
+ * @swagger
+ * /api/price-lists/{id}:
+ *   delete:
+ *     summary: Delete a price list entry
+ *     tags: [Price Lists]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Price list entry deleted
+ *       404:
+ *         description: Price list entry not found
+ */
+router.delete(
+  '/:id',
+  authorize('admin'),
+  [param('id', 'Invalid price list entry ID').isMongoId()],
+  priceListController.deletePriceList
+);
+
+module.exports = router;
@@ -1,12 +1,13 @@
 const express = require('express');
 const { check } = require('express-validator');
 const productController = require('../controllers/productController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('products'));
 
 /**
  * @swagger
@@ -64,7 +65,7 @@ router.use(protect);
  */
 router.post(
   '/',
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     check('brandName', 'Brand name is required').not().isEmpty()
   ],
@@ -154,7 +155,7 @@ router.get('/:id', productController.getProduct);
  */
 router.put(
   '/:id',
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     check('brandName', 'Brand name is required if provided').optional().not().isEmpty()
   ],
@@ -186,7 +187,7 @@ router.put(
  *       404:
  *         description: Product not found
  */
-router.delete('/:id', restrictTo('Admin'), productController.deleteProduct);
+router.delete('/:id', authorize('admin'), productController.deleteProduct);
 
 /**
  * @swagger
@@ -237,7 +238,7 @@ router.delete('/:id', restrictTo('Admin'), productController.deleteProduct);
  */
 router.post(
   '/:id/variants',
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     check('name', 'Variant name is required').not().isEmpty()
   ],
@@ -292,7 +293,7 @@ router.post(
  */
 router.put(
   '/:id/variants/:variantId',
-  restrictTo('Admin'),
+  authorize('admin'),
   productController.updateVariant
 );
 
@@ -343,7 +344,7 @@ router.put(
  */
 router.post(
   '/:id/variants/:variantId/sizes',
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     check('name', 'Size name is required').not().isEmpty()
   ],
@@ -404,7 +405,7 @@ router.post(
  */
 router.put(
   '/:id/variants/:variantId/sizes/:sizeId',
-  restrictTo('Admin'),
+  authorize('admin'),
   productController.updateSize
 );
 
@@ -1,12 +1,50 @@
 const express = require('express');
-const { check, query } = require('express-validator');
+const { check, param, query } = require('express-validator');
+const multer = require('multer');
 const retailerShopActivityController = require('../controllers/retailerShopActivityController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+const config = require('../config/config');
 
 const router = express.Router();
 
+// Configure multer for voice notes; the declared type is only a first check, the contents are inspected too
+const voiceNoteUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.voiceNotes.maxSizeMb * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('audio/') ||
+        ['video/3gpp', 'video/mp4', 'video/webm', 'application/octet-stream'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only audio files are allowed!'), false);
+    }
+  }
+}).single('voiceNote');
+
+// Report upload problems as bad requests instead of server errors
+const uploadVoiceNote = (req, res, next) => {
+  voiceNoteUpload(req, res, (error) => {
+    if (!error) return next();
+
+    const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+    res.status(400).json({
+      success: false,
+      error: tooLarge ? `Voice notes cannot be larger than ${config.voiceNotes.maxSizeMb} MB` : error.message,
+      code: tooLarge ? 'VOICE_NOTE_TOO_LARGE' : 'INVALID_VOICE_NOTE'
+    });
+  });
+};
+
+const coverageValidators = [
+  query('distributorId', 'Distributor ID must be a valid MongoDB ID').optional().isMongoId(),
+  query('type', 'Type must be Retailer or Whole Seller').optional().isIn(['Retailer', 'Whole Seller']),
+  query('thresholdDays', 'thresholdDays must be between 1 and 365').optional().isInt({ min: 1, max: 365 }),
+  query('notVisitedOnly', 'notVisitedOnly must be true or false').optional().isBoolean()
+];
+
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('marketing'));
 
 /**
  * @swagger
@@ -51,6 +89,27 @@ router.use(protect);
  *           type: string
  *           enum: [In Progress, Completed]
  *         description: Filter by status
+ *       - in: query
+ *         name: geofenceFlagged
+ *         schema:
+ *           type: boolean
+ *         description: Only visits punched outside (true) or inside (false) the geofence
+ *       - in: query
+ *         name: reviewStatus
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Approved, Rejected]
+ *         description: Geofence review status
+ *       - in: query
+ *         name: closedBySystem
+ *         schema:
+ *           type: boolean
+ *         description: Only visits the system closed because nobody punched out (true)
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *         description: Only visits of staff reporting to the current user
  *     responses:
  *       200:
  *         description: List of retailer shop activities
@@ -61,10 +120,238 @@ router.use(protect);
  */
 router.get(
   '/',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  authorize('team-management'),
+  [
+    query('geofenceFlagged', 'geofenceFlagged must be true or false').optional().isBoolean(),
+    query('reviewStatus', 'Review status must be Pending, Approved or Rejected')
+      .optional()
+      .isIn(['Pending', 'Approved', 'Rejected']),
+    query('closedBySystem', 'closedBySystem must be true or false').optional().isBoolean()
+  ],
   retailerShopActivityController.getAllActivities
 );
 
+/**
+ * @swagger
+ * /api/retailer-shop-activity/{id}/geofence-review:
+ *   patch:
+ *     summary: Approve or reject a shop visit punched outside the geofence
+ *     tags: [Retailer Shop Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Activity ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Approved, Rejected]
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Review saved
+ *       400:
+ *         description: Invalid input data or activity not flagged
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Activity not found
+ */
+router.patch(
+  '/:id/geofence-review',
+  authorize('team-management'),
+  [
+    param('id', 'Activity ID must be a valid MongoDB ID').isMongoId(),
+    check('status', 'Status must be Approved or Rejected').isIn(['Approved', 'Rejected']),
+    check('comment', 'Comment cannot be more than 500 characters').optional().isLength({ max: 500 })
+  ],
+  retailerShopActivityController.reviewGeofence
+);
+
+/**
+ * @swagger
+ * /api/retailer-shop-activity/{id}/voice-note:
+ *   get:
+ *     summary: Play the voice note of a shop visit
+ *     description: |
+ *       Streams the recording with its audio type. Send a `Range` header to fetch part of it (206 Partial Content),
+ *       as audio players do to seek. Managers can only play visits to distributors in their territories.
+ *     tags: [Retailer Shop Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *           example: bytes=0-
+ *     responses:
+ *       200:
+ *         description: The recording
+ *       206:
+ *         description: The requested part of the recording
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Activity not found, has no voice note or it was deleted after the retention period
+ *       416:
+ *         description: Range not satisfiable
+ */
+router.get(
+  '/:id/voice-note',
+  authorize('team-management'),
+  [param('id', 'Activity ID must be a valid MongoDB ID').isMongoId()],
+  retailerShopActivityController.streamVoiceNote
+);
+
+/**
+ * @swagger
+ * /api/retailer-shop-activity/{id}/voice-note/link:
+ *   get:
+ *     summary: Get a short-lived link to play the voice note of a shop visit
+ *     description: |
+ *       Returns a signed URL (valid for VOICE_NOTE_LINK_EXPIRATION seconds) that plays the voice note without
+ *       an Authorization header, for use as the `src` of an audio element. It supports `Range` requests.
+ *     tags: [Retailer Shop Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: url, expiresAt and the voice note's format, size and duration
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Activity not found, has no voice note or it was deleted after the retention period
+ */
+router.get(
+  '/:id/voice-note/link',
+  authorize('team-management'),
+  [param('id', 'Activity ID must be a valid MongoDB ID').isMongoId()],
+  retailerShopActivityController.getVoiceNoteLink
+);
+
+/**
+ * @swagger
+ * /api/retailer-shop-activity/coverage:
+ *   get:
+ *     summary: Get the visit coverage of each distributor's active shops
+ *     description: |
+ *       For each active shop, grouped by distributor: last visit, who made it, days since, visits in the last 30, 60 and 90 days,
+ *       and whether it was not visited within thresholdDays (never-visited shops count as not visited).
+ *       Managers only see distributors in their territories.
+ *     tags: [Retailer Shop Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: distributorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [Retailer, Whole Seller]
+ *       - in: query
+ *         name: thresholdDays
+ *         schema:
+ *           type: integer
+ *         description: Days without a visit before a shop is reported as not visited (default SHOP_NOT_VISITED_DAYS)
+ *       - in: query
+ *         name: notVisitedOnly
+ *         schema:
+ *           type: boolean
+ *         description: Only list shops not visited within thresholdDays
+ *     responses:
+ *       200:
+ *         description: Coverage per distributor with totals
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get(
+  '/coverage',
+  authorize('team-management'),
+  coverageValidators,
+  retailerShopActivityController.getCoverageReport
+);
+
+/**
+ * @swagger
+ * /api/retailer-shop-activity/coverage/export:
+ *   get:
+ *     summary: Download the shop coverage report as Excel
+ *     description: One row per shop with the same columns as GET /api/retailer-shop-activity/coverage
+ *     tags: [Retailer Shop Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: distributorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [Retailer, Whole Seller]
+ *       - in: query
+ *         name: thresholdDays
+ *         schema:
+ *           type: integer
+ *         description: Days without a visit before a shop is reported as not visited (default SHOP_NOT_VISITED_DAYS)
+ *       - in: query
+ *         name: notVisitedOnly
+ *         schema:
+ *           type: boolean
+ *         description: Only list shops not visited within thresholdDays
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get(
+  '/coverage/export',
+  authorize('team-management'),
+  coverageValidators,
+  retailerShopActivityController.downloadCoverageReport
+);
+
 /**
  * @swagger
  * /api/retailer-shop-activity/{id}:
@@ -142,6 +429,66 @@ router.get('/distributor/:distributorId', retailerShopActivityController.getActi
  */
 router.get('/shop/:shopId', retailerShopActivityController.getActivitiesByShop);
 
+/**
+ * @swagger
+ * /api/retailer-shop-activity/shop/{shopId}/timeline:
+ *   get:
+ *     summary: Get the visit timeline of a shop
+ *     description: |
+ *       Visits, latest first, with their staff member, duration, sales orders, complaint, market insight and alternate providers,
+ *       plus totals for the period: visits, first and last visit, visits with orders, quantity ordered, complaints,
+ *       alternate providers and visits per staff member.
+ *     tags: [Retailer Shop Activity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: shopId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Shop ID
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Shop, totals and visits
+ *       403:
+ *         description: Shop outside your territories
+ *       404:
+ *         description: Shop not found
+ */
+router.get(
+  '/shop/:shopId/timeline',
+  authorize('team-management'),
+  [
+    param('shopId', 'Shop ID must be a valid MongoDB ID').isMongoId(),
+    query('fromDate', 'From date must be a valid date').optional().isISO8601(),
+    query('toDate', 'To date must be a valid date').optional().isISO8601(),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  retailerShopActivityController.getShopTimeline
+);
+
 /**
  * @swagger
  * /api/retailer-shop-activity/alternate-providers:
@@ -182,7 +529,7 @@ router.get('/shop/:shopId', retailerShopActivityController.getActivitiesByShop);
  *         description: Not authorized
  */
 router.get('/alternate-providers', 
-  restrictTo('Admin', 'Mid-Level Manager'),
+  authorize('team-management'),
   retailerShopActivityController.getAlternateProviders);
 
 /**
@@ -231,7 +578,7 @@ router.get('/alternate-providers',
  *         description: Activity or provider not found
  */
 router.patch('/:activityId/alternate-provider/:providerId/comment',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  authorize('team-management'),
   retailerShopActivityController.addAlternateProviderComment);
 
 // Mobile app routes
@@ -240,6 +587,15 @@ const mobileRouter = express.Router();
 // Apply protect middleware to all mobile routes
 mobileRouter.use(protect);
 
+// Also applied to shop visits replayed by POST /api/mobile/sync
+const shopActivityValidators = [
+  check('shopId', 'Shop ID is required').isMongoId(),
+  check('distributorId', 'Distributor ID is required').isMongoId(),
+  check('latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+  check('longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 }),
+  check('accuracy', 'Accuracy must be a positive number of metres').optional().isFloat({ min: 0 })
+];
+
 /**
  * @swagger
  * /api/mobile/retailer-shop-activity:
@@ -267,6 +623,15 @@ mobileRouter.use(protect);
  *               isPunchedIn:
  *                 type: boolean
  *                 description: Whether the staff is punched in
+ *               latitude:
+ *                 type: number
+ *                 description: Latitude of the device, checked against the shop on punch-in and punch-out
+ *               longitude:
+ *                 type: number
+ *                 description: Longitude of the device
+ *               accuracy:
+ *                 type: number
+ *                 description: GPS accuracy in metres
  *               salesOrders:
  *                 type: array
  *                 items:
@@ -303,11 +668,12 @@ mobileRouter.use(protect);
  *                 type: string
  *               marketInsight:
  *                 type: string
- *               voiceNote:
- *                 type: string
  *               voiceNoteBase64:
  *                 type: string
  *                 format: base64
+ *                 description: |
+ *                   Recording sent inline by older app versions; checked like an upload to
+ *                   POST /api/mobile/retailer-shop-activity/{id}/voice-note, which new versions should use
  *               mobileNumber:
  *                 type: string
  *               status:
@@ -319,7 +685,7 @@ mobileRouter.use(protect);
  *       200:
  *         description: Activity updated successfully
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data, missing location, outside the geofence (code OUTSIDE_GEOFENCE) or an invalid voice note
  *       401:
  *         description: Not authenticated
  *       403:
@@ -329,14 +695,91 @@ mobileRouter.use(protect);
  */
 mobileRouter.post(
   '/',
-  restrictTo('Marketing Staff'),
-  [
-    check('shopId', 'Shop ID is required').isMongoId(),
-    check('distributorId', 'Distributor ID is required').isMongoId()
-  ],
+  authorize('field-sales'),
+  shopActivityValidators,
   retailerShopActivityController.createOrUpdateActivity
 );
 
+/**
+ * @swagger
+ * /api/mobile/retailer-shop-activity/{id}/voice-note:
+ *   post:
+ *     summary: Upload the voice note of a shop visit
+ *     description: |
+ *       Replaces any earlier voice note of the visit. The format is recognised from the file's contents:
+ *       AAC (m4a), 3GP, AMR, MP3, Ogg/Opus, WebM or WAV. Recordings larger than VOICE_NOTE_MAX_SIZE_MB or longer
+ *       than VOICE_NOTE_MAX_DURATION_SECONDS are refused. The format, size and duration are kept on the visit.
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - voiceNote
+ *             properties:
+ *               voiceNote:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Voice note saved, with its format, size and duration
+ *       400:
+ *         description: |
+ *           No file, or the file is not a supported recording (codes UNSUPPORTED_VOICE_NOTE_FORMAT, INVALID_VOICE_NOTE,
+ *           VOICE_NOTE_TOO_LARGE, VOICE_NOTE_TOO_LONG)
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not the staff member's own visit
+ *       404:
+ *         description: Activity not found
+ *   get:
+ *     summary: Play the voice note of one of your shop visits
+ *     description: Supports `Range` requests like GET /api/retailer-shop-activity/{id}/voice-note.
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The recording
+ *       206:
+ *         description: The requested part of the recording
+ *       403:
+ *         description: Not the staff member's own visit
+ *       404:
+ *         description: Activity not found or has no voice note
+ */
+mobileRouter.post(
+  '/:id/voice-note',
+  authorize('field-sales'),
+  uploadVoiceNote,
+  [param('id', 'Activity ID must be a valid MongoDB ID').isMongoId()],
+  retailerShopActivityController.uploadVoiceNote
+);
+
+mobileRouter.get(
+  '/:id/voice-note',
+  authorize('field-sales'),
+  [param('id', 'Activity ID must be a valid MongoDB ID').isMongoId()],
+  retailerShopActivityController.streamVoiceNote
+);
+
 /**
  * @swagger
  * /api/mobile/retailer-shop-activity/my-activities:
@@ -372,7 +815,7 @@ mobileRouter.post(
  */
 mobileRouter.get(
   '/my-activities',
-  restrictTo('Marketing Staff'),
+  authorize('field-sales'),
   retailerShopActivityController.getMyActivities
 );
 
@@ -630,5 +1073,6 @@ mobileRouter.get('/distributor-sales-orders', distributorSalesOrderController.ge
 
 module.exports = {
   apiRouter: router,
-  mobileRouter: mobileRouter
+  mobileRouter: mobileRouter,
+  shopActivityValidators
 };
\ No newline at end of file
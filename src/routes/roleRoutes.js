@@ -0,0 +1,192 @@
+const express = require('express');
+const { check, param } = require('express-validator');
+const roleController = require('../controllers/roleController');
+const { CAPABILITY_KEYS } = require('../config/capabilities');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(authorize('admin'));
+
+const idValidator = param('id', 'Role ID must be a valid MongoDB ID').isMongoId();
+const capabilityValidator = check('capabilities.*', `Capabilities must be one of: ${CAPABILITY_KEYS.join(', ')}`).isIn(CAPABILITY_KEYS);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Roles and the capabilities that authorize their users
+ */
+
+/**
+ * @swagger
+ * /api/roles/capabilities:
+ *   get:
+ *     summary: Get the catalogue of capabilities
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Capabilities with their descriptions
+ */
+router.get('/capabilities', roleController.getCapabilities);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get all roles with their user counts
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of roles
+ */
+router.get('/', roleController.getRoles);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Area Sales Manager
+ *               description:
+ *                 type: string
+ *               capabilities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [team-management, field-sales, territory-scoped]
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Invalid input data
+ */
+router.post(
+  '/',
+  [
+    check('name', 'Name is required').trim().not().isEmpty(),
+    check('name', 'Name cannot be more than 50 characters').isLength({ max: 50 }),
+    check('capabilities', 'Capabilities must be an array').optional().isArray(),
+    capabilityValidator
+  ],
+  roleController.createRole
+);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Get a single role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role
+ *       404:
+ *         description: Role not found
+ */
+router.get('/:id', [idValidator], roleController.getRole);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   put:
+ *     summary: Update a role
+ *     description: Default roles cannot be renamed, and the Admin role must keep the admin capability. Renaming a role renames it on its users.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               capabilities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Role not found
+ */
+router.put(
+  '/:id',
+  [
+    idValidator,
+    check('name', 'Name cannot be empty').optional().trim().not().isEmpty(),
+    check('name', 'Name cannot be more than 50 characters').optional().isLength({ max: 50 }),
+    check('capabilities', 'Capabilities must be an array').optional().isArray(),
+    capabilityValidator
+  ],
+  roleController.updateRole
+);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   delete:
+ *     summary: Delete a role
+ *     description: Only custom roles that no user holds can be deleted.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: Default role or role still in use
+ *       404:
+ *         description: Role not found
+ */
+router.delete('/:id', [idValidator], roleController.deleteRole);
+
+module.exports = router;
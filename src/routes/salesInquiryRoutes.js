@@ -1,19 +1,23 @@
 const express = require('express');
 const { check, param } = require('express-validator');
 const salesInquiryController = require('../controllers/salesInquiryController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('sales'));
 
 /**
  * @swagger
  * /api/sales-inquiries:
  *   post:
  *     summary: Create a new sales inquiry
- *     description: Submit a new sales inquiry for a distributor with multiple products
+ *     description: |
+ *       Submit a new sales inquiry for a distributor with multiple products. Each product is priced from the
+ *       distributor's price list and the total is stamped on the inquiry; products without a price get a
+ *       null unit price and are counted in `unpricedItems`.
  *     tags: [Sales Inquiries]
  *     security:
  *       - bearerAuth: []
@@ -206,7 +210,7 @@ router.get('/:id', salesInquiryController.getSalesInquiry);
  */
 router.patch(
   '/:id',
-  restrictTo('Administrator', 'Admin', 'Mid-Level Manager'),
+  authorize('team-management'),
   [
     param('id', 'Invalid sales inquiry ID').isMongoId(),
     check('status', 'Status is required').notEmpty(),
@@ -260,7 +264,7 @@ router.patch(
  */
 router.patch(
   '/:id/comment',
-  restrictTo('Mid-Level Manager', 'Administrator', 'Admin'),
+  authorize('team-management'),
   [
     param('id', 'Invalid sales inquiry ID').isMongoId(),
     check('comment', 'Comment is required').notEmpty()
@@ -296,7 +300,7 @@ router.patch(
  */
 router.delete(
   '/:id',
-  restrictTo('Administrator', 'Admin'),
+  authorize('admin'),
   param('id', 'Invalid sales inquiry ID').isMongoId(),
   salesInquiryController.deleteSalesInquiry
 );
@@ -1,12 +1,13 @@
 const express = require('express');
 const { check } = require('express-validator');
 const shopController = require('../controllers/shopController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('distributors'));
 
 /**
  * @swagger
@@ -52,6 +53,12 @@ router.use(protect);
  *               distributorId:
  *                 type: string
  *                 description: ID of the distributor this shop is associated with
+ *               latitude:
+ *                 type: number
+ *                 description: Latitude of the shop (send with longitude)
+ *               longitude:
+ *                 type: number
+ *                 description: Longitude of the shop
  *     responses:
  *       201:
  *         description: Shop created successfully
@@ -66,14 +73,16 @@ router.use(protect);
  */
 router.post(
   '/',
-  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff'),
+  authorize('team-management', 'field-sales'),
   [
     check('name', 'Shop name is required').not().isEmpty(),
     check('ownerName', 'Shop owner name is required').not().isEmpty(),
     check('address', 'Shop address is required').not().isEmpty(),
     check('type', 'Shop type must be either Retailer or Whole Seller')
       .isIn(['Retailer', 'Whole Seller']),
-    check('distributorId', 'Distributor ID is required').isMongoId()
+    check('distributorId', 'Distributor ID is required').isMongoId(),
+    check('latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 })
   ],
   shopController.addShop
 );
@@ -111,7 +120,7 @@ router.post(
  */
 router.get(
   '/distributor/:distributorId',
-  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff'),
+  authorize('team-management', 'field-sales'),
   shopController.getShopsByDistributor
 );
 
@@ -142,7 +151,7 @@ router.get(
  */
 router.get(
   '/:id',
-  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff'),
+  authorize('team-management', 'field-sales'),
   shopController.getShopById
 );
 
@@ -184,6 +193,12 @@ router.get(
  *               distributorId:
  *                 type: string
  *                 description: ID of the distributor this shop is associated with
+ *               latitude:
+ *                 type: number
+ *                 description: Latitude of the shop (send with longitude)
+ *               longitude:
+ *                 type: number
+ *                 description: Longitude of the shop
  *     responses:
  *       200:
  *         description: Shop updated successfully
@@ -198,7 +213,7 @@ router.get(
  */
 router.put(
   '/:id',
-  restrictTo('Admin', 'Mid-Level Manager', 'Marketing Staff'),
+  authorize('team-management', 'field-sales'),
   [
     check('name', 'Shop name is required if provided').optional().not().isEmpty(),
     check('ownerName', 'Shop owner name is required if provided').optional().not().isEmpty(),
@@ -208,7 +223,9 @@ router.put(
       .isIn(['Retailer', 'Whole Seller']),
     check('distributorId', 'Distributor ID must be valid if provided')
       .optional()
-      .isMongoId()
+      .isMongoId(),
+    check('latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 })
   ],
   shopController.updateShop
 );
@@ -240,7 +257,7 @@ router.put(
  */
 router.delete(
   '/:id',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  authorize('team-management'),
   shopController.deleteShop
 );
 
@@ -287,6 +304,12 @@ mobileRouter.use(protect);
  *               distributorId:
  *                 type: string
  *                 description: ID of the distributor this shop is associated with
+ *               latitude:
+ *                 type: number
+ *                 description: Latitude of the shop (send with longitude)
+ *               longitude:
+ *                 type: number
+ *                 description: Longitude of the shop
  *     responses:
  *       201:
  *         description: Shop created successfully
@@ -342,14 +365,16 @@ mobileRouter.use(protect);
  */
 mobileRouter.post(
   '/',
-  restrictTo('Marketing Staff'),
+  authorize('field-sales'),
   [
     check('name', 'Shop name is required').not().isEmpty(),
     check('ownerName', 'Shop owner name is required').not().isEmpty(),
     check('address', 'Shop address is required').not().isEmpty(),
     check('type', 'Shop type must be either Retailer or Whole Seller')
       .isIn(['Retailer', 'Whole Seller']),
-    check('distributorId', 'Distributor ID is required').isMongoId()
+    check('distributorId', 'Distributor ID is required').isMongoId(),
+    check('latitude', 'Latitude must be between -90 and 90').optional().isFloat({ min: -90, max: 90 }),
+    check('longitude', 'Longitude must be between -180 and 180').optional().isFloat({ min: -180, max: 180 })
   ],
   shopController.addShop
 );
@@ -424,7 +449,7 @@ mobileRouter.post(
  */
 mobileRouter.get(
   '/distributor/:distributorId',
-  restrictTo('Marketing Staff'),
+  authorize('field-sales'),
   shopController.getShopsByDistributor
 );
 
@@ -1,12 +1,13 @@
 const express = require('express');
 const { query, check } = require('express-validator');
 const staffActivityController = require('../controllers/staffActivityController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('staff'));
 
 /**
  * @swagger
@@ -57,7 +58,7 @@ router.use(protect);
  */
 router.post(
   '/',
-  restrictTo('Marketing Staff'),
+  authorize('field-sales'),
   [
     check('activityType', 'Activity type is required')
       .not().isEmpty()
@@ -142,7 +143,7 @@ router.post(
  */
 router.get(
   '/',
-  restrictTo('Mid-Level Manager'),
+  authorize('team-management'),
   staffActivityController.getStaffActivities
 );
 
@@ -188,7 +189,7 @@ router.get(
  */
 router.get(
   '/download',
-  restrictTo('Mid-Level Manager'),
+  authorize('team-management'),
   [
     query('staffId', 'Staff ID is required').not().isEmpty().isMongoId(),
     query('date', 'Date is required in YYYY-MM-DD format').isDate()
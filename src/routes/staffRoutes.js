@@ -1,10 +1,29 @@
 const express = require('express');
-const { check } = require('express-validator');
+const { check, param } = require('express-validator');
 const staffController = require('../controllers/staffController');
-const { protect } = require('../middleware/authMiddleware');
+const multer = require('multer');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+const { roleExists } = require('../utils/roleRegistry');
 
 const router = express.Router();
 
+// Configure multer for staff import sheets
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  fileFilter: (req, file, cb) => {
+    if (/\.(xlsx|csv)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .xlsx and .csv files are allowed!'), false);
+    }
+  }
+});
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(requirePermission('staff'));
+
 /**
  * @swagger
  * tags:
@@ -33,13 +52,23 @@ const router = express.Router();
  *           type: string
  *           format: email
  *           description: Staff member's email address
+ *         phone:
+ *           type: string
+ *           description: Staff member's phone number
  *         role:
  *           type: string
- *           enum: [Admin, Marketing Staff, Mid-Level Manager, Godown Incharge]
- *           description: Staff member's role
+ *           description: Staff member's role (name of a role from GET /api/roles)
  *         active:
  *           type: boolean
  *           description: Whether the staff member is active
+ *         territories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IDs of the regions or areas the staff member works in
+ *         reportsTo:
+ *           type: string
+ *           description: ID of the manager the staff member reports to
  *         lastLogin:
  *           type: string
  *           format: date-time
@@ -74,6 +103,16 @@ const router = express.Router();
  *           type: boolean
  *         description: Filter by active status
  *       - in: query
+ *         name: territory
+ *         schema:
+ *           type: string
+ *         description: Filter by assigned territory ID
+ *       - in: query
+ *         name: reportsTo
+ *         schema:
+ *           type: string
+ *         description: Filter by manager ID (direct reports)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -111,7 +150,37 @@ const router = express.Router();
  *       403:
  *         description: Forbidden
  */
-router.get('/', protect, staffController.getAllStaff);
+router.get('/', staffController.getAllStaff);
+
+/**
+ * @swagger
+ * /api/staff/my-team:
+ *   get:
+ *     summary: Get the staff reporting to the current user
+ *     tags: [Staff Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: recursive
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Include reports of reports
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role
+ *     responses:
+ *       200:
+ *         description: Team members
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/my-team', authorize('team-management'), staffController.getMyTeam);
 
 /**
  * @swagger
@@ -147,7 +216,7 @@ router.get('/', protect, staffController.getAllStaff);
  *       404:
  *         description: Staff member not found
  */
-router.get('/:id', protect, staffController.getStaffById);
+router.get('/:id', staffController.getStaffById);
 
 /**
  * @swagger
@@ -182,8 +251,18 @@ router.get('/:id', protect, staffController.getStaffById);
  *                 description: Staff member's password
  *               role:
  *                 type: string
- *                 enum: [Admin, Marketing Staff, Mid-Level Manager, Godown Incharge]
- *                 description: Staff member's role
+ *                 description: Staff member's role (name of a role from GET /api/roles)
+ *               territories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the regions or areas the staff member works in (Admin only)
+ *               phone:
+ *                 type: string
+ *                 description: Staff member's phone number
+ *               reportsTo:
+ *                 type: string
+ *                 description: ID of the Mid-Level Manager or Admin the staff member reports to (Admin only)
  *     responses:
  *       201:
  *         description: Staff member created successfully
@@ -201,21 +280,73 @@ router.get('/:id', protect, staffController.getStaffById);
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, e.g. a non-admin setting territories or reportsTo
  */
 router.post(
   '/',
   [
-    protect,
     check('name', 'Name is required').not().isEmpty(),
     check('email', 'Please include a valid email').isEmail(),
+    check('phone', 'Please include a valid phone number').optional({ checkFalsy: true }).matches(/^\+?[0-9\s-]{7,20}$/),
     check('password', 'Password must be at least 8 characters').isLength({ min: 8 }),
-    check('role', 'Valid role is required')
-      .isIn(['Admin', 'Marketing Staff', 'Mid-Level Manager', 'Godown Incharge'])
+    check('role', 'Role must be an existing role').custom(roleExists),
+    check('territories', 'Territories must be an array of territory IDs').optional().isArray(),
+    check('territories.*', 'Territory ID must be a valid MongoDB ID').isMongoId(),
+    check('reportsTo', 'Manager must be a valid staff ID').optional({ nullable: true, checkFalsy: true }).isMongoId()
   ],
   staffController.createStaff
 );
 
+/**
+ * @swagger
+ * /api/staff/import:
+ *   post:
+ *     summary: Bulk import staff from an Excel or CSV file
+ *     description: |
+ *       The first row must hold the column headers `name`, `email` and `role`, plus optional `manager`
+ *       (email of an existing manager or of a manager row in the same file) and `phone`.
+ *       Without `confirm` the file is only validated and a per-row report is returned. With `confirm=true`
+ *       and no errors, every row is created with a generated temporary password and an Excel sheet of the
+ *       passwords is downloaded.
+ *     tags: [Staff Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .xlsx or .csv file (max 500 rows)
+ *               confirm:
+ *                 type: boolean
+ *                 description: Create the staff members instead of only validating the file
+ *     responses:
+ *       200:
+ *         description: Dry-run report with the errors of each row, or with confirm the Excel sheet of temporary passwords
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid file, or the file has errors and confirm was set
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/import', authorize('admin'), importUpload.single('file'), staffController.importStaff);
+
 /**
  * @swagger
  * /api/staff/{id}:
@@ -247,11 +378,21 @@ router.post(
  *                 description: Staff member's email address
  *               role:
  *                 type: string
- *                 enum: [Admin, Marketing Staff, Mid-Level Manager, Godown Incharge]
- *                 description: Staff member's role
+ *                 description: Staff member's role (name of a role from GET /api/roles)
+ *               phone:
+ *                 type: string
+ *                 description: Staff member's phone number
  *               active:
  *                 type: boolean
  *                 description: Whether the staff member is active
+ *               territories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the regions or areas the staff member works in (Admin only)
+ *               reportsTo:
+ *                 type: string
+ *                 description: ID of the Mid-Level Manager or Admin the staff member reports to (Admin only)
  *     responses:
  *       200:
  *         description: Staff member updated successfully
@@ -269,24 +410,102 @@ router.post(
  *       401:
  *         description: Not authorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, e.g. a non-admin changing territories or reportsTo
  *       404:
  *         description: Staff member not found
  */
 router.put(
   '/:id',
   [
-    protect,
     check('name', 'Name is required if provided').optional().not().isEmpty(),
     check('email', 'Please include a valid email if provided').optional().isEmail(),
-    check('role', 'Valid role is required if provided')
-      .optional()
-      .isIn(['Admin', 'Marketing Staff', 'Mid-Level Manager', 'Godown Incharge']),
-    check('active', 'Active status must be a boolean if provided').optional().isBoolean()
+    check('phone', 'Please include a valid phone number').optional({ checkFalsy: true }).matches(/^\+?[0-9\s-]{7,20}$/),
+    check('role', 'Role must be an existing role').optional().custom(roleExists),
+    check('active', 'Active status must be a boolean if provided').optional().isBoolean(),
+    check('territories', 'Territories must be an array of territory IDs').optional().isArray(),
+    check('territories.*', 'Territory ID must be a valid MongoDB ID').isMongoId(),
+    check('reportsTo', 'Manager must be a valid staff ID').optional({ nullable: true, checkFalsy: true }).isMongoId()
   ],
   staffController.updateStaff
 );
 
+/**
+ * @swagger
+ * /api/staff/{id}/reports-to:
+ *   put:
+ *     summary: Set the manager a staff member reports to
+ *     tags: [Staff Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Staff ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reportsTo:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of a Mid-Level Manager or Admin, or null to remove the manager
+ *     responses:
+ *       200:
+ *         description: Manager updated
+ *       400:
+ *         description: Invalid manager or reporting loop
+ *       403:
+ *         description: Only admins can change who a staff member reports to
+ *       404:
+ *         description: Staff member not found
+ */
+router.put(
+  '/:id/reports-to',
+  authorize('admin'),
+  [
+    param('id', 'Staff ID must be a valid MongoDB ID').isMongoId(),
+    check('reportsTo', 'Manager must be a valid staff ID').optional({ nullable: true, checkFalsy: true }).isMongoId()
+  ],
+  staffController.setReportsTo
+);
+
+/**
+ * @swagger
+ * /api/staff/{id}/reports:
+ *   get:
+ *     summary: Get the staff reporting to a staff member
+ *     tags: [Staff Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Staff ID
+ *       - in: query
+ *         name: recursive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include reports of reports
+ *     responses:
+ *       200:
+ *         description: Reports of the staff member
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Staff member not found
+ */
+router.get('/:id/reports', authorize('admin'), staffController.getStaffReports);
+
 /**
  * @swagger
  * /api/staff/{id}/reset-password:
@@ -330,7 +549,6 @@ router.put(
 router.post(
   '/:id/reset-password',
   [
-    protect,
     check('newPassword', 'Password must be at least 8 characters').isLength({ min: 8 })
   ],
   staffController.resetStaffPassword
@@ -372,7 +590,7 @@ router.post(
  *       404:
  *         description: Staff member not found
  */
-router.patch('/:id/toggle-status', protect, staffController.toggleStaffStatus);
+router.patch('/:id/toggle-status', staffController.toggleStaffStatus);
 
 /**
  * @swagger
@@ -399,7 +617,7 @@ router.patch('/:id/toggle-status', protect, staffController.toggleStaffStatus);
  *       404:
  *         description: Staff member not found
  */
-router.delete('/:id', protect, staffController.deleteStaff);
+router.delete('/:id', staffController.deleteStaff);
 
 /**
  * @swagger
@@ -433,7 +651,7 @@ router.delete('/:id', protect, staffController.deleteStaff);
  *       403:
  *         description: Forbidden
  */
-router.get('/dashboard/stats', protect, staffController.getStaffStats);
+router.get('/dashboard/stats', staffController.getStaffStats);
 
 /**
  * @swagger
@@ -449,8 +667,7 @@ router.get('/dashboard/stats', protect, staffController.getStaffStats);
  *         required: true
  *         schema:
  *           type: string
- *           enum: [Admin, Marketing Staff, Mid-Level Manager, Godown Incharge]
- *         description: Role to filter staff by
+ *         description: Role to filter staff by (name of a role from GET /api/roles)
  *     responses:
  *       200:
  *         description: List of staff members with the specified role
@@ -479,6 +696,6 @@ router.get('/dashboard/stats', protect, staffController.getStaffStats);
  *       401:
  *         description: Not authorized
  */
-router.get('/by-role/:role', protect, staffController.getStaffByRole);
+router.get('/by-role/:role', staffController.getStaffByRole);
 
 module.exports = router; 
\ No newline at end of file
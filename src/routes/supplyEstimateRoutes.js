@@ -1,12 +1,13 @@
 const express = require('express');
 const { check } = require('express-validator');
 const supplyEstimateController = require('../controllers/supplyEstimateController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('godown'));
 
 /**
  * @swagger
@@ -228,7 +229,7 @@ router.get('/:id', supplyEstimateController.getSupplyEstimateById);
  */
 router.patch(
   '/:id/approve',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  authorize('team-management'),
   supplyEstimateController.approveSupplyEstimate
 );
 
@@ -271,7 +272,7 @@ router.patch(
  */
 router.patch(
   '/:id/reject',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  authorize('team-management'),
   [check('reason', 'Reason for rejection is required').not().isEmpty()],
   supplyEstimateController.rejectSupplyEstimate
 );
@@ -340,7 +341,7 @@ router.get('/distributor/:distributorId', supplyEstimateController.getEstimatesB
  */
 router.get(
   '/staff/:staffId',
-  restrictTo('Admin', 'Mid-Level Manager'),
+  authorize('team-management'),
   supplyEstimateController.getEstimatesByStaffId
 );
 
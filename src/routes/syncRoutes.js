@@ -0,0 +1,92 @@
+const express = require('express');
+const { body } = require('express-validator');
+const config = require('../config/config');
+const syncController = require('../controllers/syncController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(authorize('field-sales'));
+
+/**
+ * @swagger
+ * /api/mobile/sync:
+ *   post:
+ *     summary: Apply operations queued by the mobile app while offline
+ *     description: |
+ *       Operations are applied in order with the same validation as the live endpoints:
+ *       `punch-in` (POST /api/mobile/marketing-activity/punch-in), `punch-out` (PATCH /api/mobile/marketing-activity/{id}/punch-out),
+ *       `shop-activity` (POST /api/mobile/retailer-shop-activity) and `fresh-order` (POST /api/mobile/fresh-orders).
+ *       `data` is the body of the live request. The operation's `timestamp` is used as the punch-in, punch-out, visit or order time.
+ *       A punch-out names its punch-in with `data.activityId`, or with `data.punchInOperationId` (the clientId of a punch-in synced earlier).
+ *       A punch-in or punch-out that overlaps a punch-in already recorded for the staff member fails with code `OVERLAPPING_PUNCH`
+ *       (statusCode 409) and the activityId it overlaps.
+ *
+ *       Each clientId is applied once: sending it again returns the first result with status `duplicate`.
+ *       Failed operations are not remembered and can be sent again. One failed operation does not stop the others.
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               operations:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - clientId
+ *                     - type
+ *                     - timestamp
+ *                   properties:
+ *                     clientId:
+ *                       type: string
+ *                       example: "3f6c2a0e-4b1d-4c55-9a57-0d9c1c1e2b7a"
+ *                     type:
+ *                       type: string
+ *                       enum: [punch-in, punch-out, shop-activity, fresh-order]
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                       description: When the operation was made on the device
+ *                     data:
+ *                       type: object
+ *     responses:
+ *       200:
+ *         description: |
+ *           One result per operation, in order: clientId, type, status (applied, duplicate or failed), statusCode,
+ *           serverId and data of the created or changed record, or error/errors/code when it failed
+ *       400:
+ *         description: Invalid batch
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.post(
+  '/',
+  [
+    body('operations', `Operations must be an array of 1 to ${config.sync.maxBatchSize} items`)
+      .isArray({ min: 1, max: config.sync.maxBatchSize }),
+    body('operations.*.clientId', 'Each operation needs a clientId of at most 100 characters')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 }),
+    body('operations.*.type', `Operation type must be one of: ${syncController.OPERATION_TYPES.join(', ')}`)
+      .isIn(syncController.OPERATION_TYPES),
+    body('operations.*.timestamp', 'Operation timestamp must be a valid date').isISO8601(),
+    body('operations.*.data', 'Operation data must be an object').optional().isObject()
+  ],
+  syncController.syncOperations
+);
+
+module.exports = router;
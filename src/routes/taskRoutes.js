@@ -1,12 +1,14 @@
 const express = require('express');
 const { check, param, body } = require('express-validator');
 const taskController = require('../controllers/taskController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+const { roleExists } = require('../utils/roleRegistry');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('tasks'));
 
 // Define exact path routes first with explicit paths
 const internalTaskPath = '/internal-task'; // Define the exact path
@@ -48,8 +50,7 @@ const mobilePath = '/mobile'; // Define the exact path
  *                 description: Name of the external assignee when isExternalUser is true
  *               staffRole:
  *                 type: string
- *                 enum: [Marketing Staff, Godown Incharge, Mid-Level Manager]
- *                 description: Role of the staff the task is assigned to
+ *                 description: Role of the staff the task is assigned to (name of a role from GET /api/roles)
  *               distributorId:
  *                 type: string
  *                 description: Distributor ID (for Marketing Staff tasks)
@@ -82,7 +83,7 @@ const mobilePath = '/mobile'; // Define the exact path
  *               deadline:
  *                 type: string
  *                 format: date-time
- *                 description: Deadline for the task
+ *                 description: Deadline for the task. Cannot fall on a holiday or on approved leave of the assignee (400 with code ASSIGNEE_UNAVAILABLE)
  *               assignedDate:
  *                 type: string
  *                 format: date-time
@@ -101,8 +102,7 @@ router.post(
   '/',
   [
     check('title', 'Title is required').not().isEmpty(),
-    check('staffRole', 'Staff role must be Marketing Staff, Godown Incharge, or Mid-Level Manager')
-      .isIn(['Marketing Staff', 'Godown Incharge', 'Mid-Level Manager']),
+    check('staffRole', 'Staff role must be an existing role').custom(roleExists),
     
     // External user validation
     check('isExternalUser', 'isExternalUser must be a boolean').optional().isBoolean(),
@@ -149,14 +149,18 @@ router.post(
  *         name: staffRole
  *         schema:
  *           type: string
- *           enum: [Marketing Staff, Godown Incharge, Mid-Level Manager]
- *         description: Filter by staff role
+ *         description: Filter by staff role (name of a role from GET /api/roles)
  *       - in: query
  *         name: type
  *         schema:
  *           type: string
  *           enum: [internal, external]
  *         description: Filter tasks by type (internal or external)
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *         description: Only tasks assigned to staff reporting to the current user
  *     responses:
  *       200:
  *         description: List of tasks
@@ -247,8 +251,7 @@ router.get('/', taskController.getTasks);
  *                 description: Name of the new external assignee (required when isNewUser is true)
  *               staffRole:
  *                 type: string
- *                 enum: [Marketing Staff, Godown Incharge, Mid-Level Manager]
- *                 description: Role of the staff the task is assigned to
+ *                 description: Role of the staff the task is assigned to (name of a role from GET /api/roles)
  *               distributorId:
  *                 type: string
  *                 description: Distributor ID (for Marketing Staff tasks)
@@ -281,7 +284,7 @@ router.get('/', taskController.getTasks);
  *               deadline:
  *                 type: string
  *                 format: date-time
- *                 description: Deadline for the task
+ *                 description: Deadline for the task. Cannot fall on a holiday or on approved leave of the assignee (400 with code ASSIGNEE_UNAVAILABLE)
  *               assignedDate:
  *                 type: string
  *                 format: date-time
@@ -336,8 +339,7 @@ router.post(
   mobilePath, // Use constant instead of string
   [
     check('title', 'Title is required').not().isEmpty(),
-    check('staffRole', 'Staff role must be Marketing Staff, Godown Incharge, or Mid-Level Manager')
-      .isIn(['Marketing Staff', 'Godown Incharge', 'Mid-Level Manager']),
+    check('staffRole', 'Staff role must be an existing role').custom(roleExists),
     
     // External/New user validation
     check('isNewUser', 'isNewUser must be a boolean').optional().isBoolean(),
@@ -391,6 +393,10 @@ router.post(
  *               otherUserName:
  *                 type: string
  *                 description: Name of user not in the system (required when isOtherUser is true)
+ *               deadline:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Deadline for the task. Cannot fall on a holiday or on approved leave of the assignee (400 with code ASSIGNEE_UNAVAILABLE)
  *     responses:
  *       201:
  *         description: Task created successfully
@@ -448,7 +454,8 @@ router.post(
     check('assignTo').if(body('isOtherUser').equals('false')).notEmpty()
       .withMessage('assignTo is required when isOtherUser is false'),
     check('assignTo').if(body('isOtherUser').equals('false')).isMongoId()
-      .withMessage('assignTo must be a valid MongoDB ID')
+      .withMessage('assignTo must be a valid MongoDB ID'),
+    check('deadline', 'Deadline must be a valid date').optional().isISO8601()
   ],
   taskController.createInternalTask
 );
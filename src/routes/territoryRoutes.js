@@ -0,0 +1,271 @@
+const express = require('express');
+const { check, param } = require('express-validator');
+const territoryController = require('../controllers/territoryController');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(requirePermission('territories'));
+router.use(authorize('admin'));
+
+const idValidator = param('id', 'Territory ID must be a valid MongoDB ID').isMongoId();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Territories
+ *   description: Regions, areas and the distributors they cover
+ */
+
+/**
+ * @swagger
+ * /api/territories:
+ *   post:
+ *     summary: Create a region or area
+ *     tags: [Territories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - code
+ *               - type
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Unique short code (stored uppercase)
+ *               type:
+ *                 type: string
+ *                 enum: [Region, Area]
+ *               parent:
+ *                 type: string
+ *                 description: Region ID (required for areas)
+ *               distributors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Distributor IDs (areas only, each distributor belongs to one area)
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Territory created
+ *       400:
+ *         description: Invalid input data
+ */
+router.post(
+  '/',
+  [
+    check('name', 'Name is required').not().isEmpty(),
+    check('code', 'Code is required').not().isEmpty(),
+    check('type', 'Type must be Region or Area').isIn(['Region', 'Area']),
+    check('parent', 'Parent must be a valid territory ID').optional({ nullable: true }).isMongoId(),
+    check('distributors', 'Distributors must be an array').optional().isArray(),
+    check('distributors.*', 'Distributor ID must be a valid MongoDB ID').isMongoId()
+  ],
+  territoryController.createTerritory
+);
+
+/**
+ * @swagger
+ * /api/territories:
+ *   get:
+ *     summary: Get territories
+ *     tags: [Territories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [Region, Area]
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         description: Region ID to list its areas
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of territories
+ */
+router.get('/', territoryController.getTerritories);
+
+/**
+ * @swagger
+ * /api/territories/tree:
+ *   get:
+ *     summary: Get regions with their areas nested
+ *     tags: [Territories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Territory hierarchy
+ */
+router.get('/tree', territoryController.getTerritoryTree);
+
+/**
+ * @swagger
+ * /api/territories/{id}:
+ *   get:
+ *     summary: Get a territory with its areas and assigned users
+ *     tags: [Territories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Territory details
+ *       404:
+ *         description: Territory not found
+ */
+router.get('/:id', [idValidator], territoryController.getTerritory);
+
+/**
+ * @swagger
+ * /api/territories/{id}:
+ *   put:
+ *     summary: Update a territory
+ *     description: The type of a territory cannot be changed.
+ *     tags: [Territories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *               distributors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Territory updated
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Territory not found
+ */
+router.put(
+  '/:id',
+  [
+    idValidator,
+    check('name', 'Name cannot be empty').optional().not().isEmpty(),
+    check('code', 'Code cannot be empty').optional().not().isEmpty(),
+    check('parent', 'Parent must be a valid territory ID').optional().isMongoId(),
+    check('distributors', 'Distributors must be an array').optional().isArray(),
+    check('distributors.*', 'Distributor ID must be a valid MongoDB ID').isMongoId(),
+    check('active', 'Active must be a boolean').optional().isBoolean()
+  ],
+  territoryController.updateTerritory
+);
+
+/**
+ * @swagger
+ * /api/territories/{id}:
+ *   delete:
+ *     summary: Delete a territory
+ *     description: Regions can only be deleted once they have no areas. Assigned users are unassigned.
+ *     tags: [Territories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Territory deleted
+ *       400:
+ *         description: Region still has areas
+ *       404:
+ *         description: Territory not found
+ */
+router.delete('/:id', [idValidator], territoryController.deleteTerritory);
+
+/**
+ * @swagger
+ * /api/territories/{id}/users:
+ *   put:
+ *     summary: Replace the users assigned to a territory
+ *     tags: [Territories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Users now assigned to the territory
+ *       400:
+ *         description: Invalid input data
+ *       404:
+ *         description: Territory not found
+ */
+router.put(
+  '/:id/users',
+  [
+    idValidator,
+    check('userIds', 'User IDs must be an array').isArray(),
+    check('userIds.*', 'User ID must be a valid MongoDB ID').isMongoId()
+  ],
+  territoryController.setTerritoryUsers
+);
+
+module.exports = router;
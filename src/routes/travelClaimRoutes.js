@@ -0,0 +1,426 @@
+const express = require('express');
+const { check, param, query } = require('express-validator');
+const multer = require('multer');
+const travelClaimController = require('../controllers/travelClaimController');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Configure multer for bill photos and scans
+const billUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image and PDF files are allowed!'), false);
+    }
+  }
+});
+
+const monthValidator = query('month', 'Month must be in YYYY-MM format').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/);
+const statusValidator = query('status', 'Status must be Pending, Approved or Rejected').optional().isIn(['Pending', 'Approved', 'Rejected']);
+
+// Apply protect middleware to all routes
+router.use(protect);
+router.use(requirePermission('marketing'));
+router.use(authorize('team-management'));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Travel Claims
+ *   description: Daily travel allowance (TA) and daily allowance (DA) claims of field staff
+ */
+
+/**
+ * @swagger
+ * /api/travel-claims/rates:
+ *   get:
+ *     summary: Get travel allowance rates
+ *     description: Rates per km by mode of transport, the rate for other modes and the daily allowance
+ *     tags: [Travel Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Travel allowance rates
+ */
+router.get('/rates', travelClaimController.getTravelRates);
+
+/**
+ * @swagger
+ * /api/travel-claims/rates:
+ *   put:
+ *     summary: Update travel allowance rates
+ *     description: New rates apply to claims submitted afterwards. Mode names are matched case-insensitively.
+ *     tags: [Travel Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ratesPerKm:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: number
+ *                 example: { "Bike": 3.5, "Car": 9 }
+ *               dailyAllowance:
+ *                 type: number
+ *                 example: 150
+ *     responses:
+ *       200:
+ *         description: Rates updated
+ *       400:
+ *         description: Invalid rate
+ *       403:
+ *         description: Not authorized
+ */
+router.put(
+  '/rates',
+  authorize('admin'),
+  [
+    check('ratesPerKm', 'ratesPerKm must be an object of rates by mode of transport').optional().isObject(),
+    check('dailyAllowance', 'Daily allowance must be a number of 0 or more').optional().isFloat({ min: 0 }).toFloat()
+  ],
+  travelClaimController.updateTravelRates
+);
+
+/**
+ * @swagger
+ * /api/travel-claims/statement:
+ *   get:
+ *     summary: Download the monthly travel expense statement as Excel
+ *     description: One row per claim with distance, rate, allowances, other expenses, status and approved amount
+ *     tags: [Travel Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2024-05"
+ *         description: Month in YYYY-MM format (default current month)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Approved, Rejected]
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Excel file
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.get(
+  '/statement',
+  [
+    monthValidator,
+    statusValidator,
+    query('staffId', 'Staff ID must be a valid MongoDB ID').optional().isMongoId(),
+    query('team', 'team must be true or false').optional().isBoolean()
+  ],
+  travelClaimController.downloadStatement
+);
+
+/**
+ * @swagger
+ * /api/travel-claims:
+ *   get:
+ *     summary: Get travel claims
+ *     tags: [Travel Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: staffId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Approved, Rejected]
+ *       - in: query
+ *         name: fromDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: toDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: team
+ *         schema:
+ *           type: boolean
+ *         description: Only claims of staff reporting to the current user
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of travel claims
+ */
+router.get(
+  '/',
+  [
+    query('staffId', 'Staff ID must be a valid MongoDB ID').optional().isMongoId(),
+    statusValidator,
+    query('fromDate', 'From date must be a valid date').optional().isISO8601(),
+    query('toDate', 'To date must be a valid date').optional().isISO8601(),
+    query('team', 'team must be true or false').optional().isBoolean(),
+    query('page', 'Page must be a positive number').optional().isInt({ min: 1 }),
+    query('limit', 'Limit must be between 1 and 100').optional().isInt({ min: 1, max: 100 })
+  ],
+  travelClaimController.getTravelClaims
+);
+
+/**
+ * @swagger
+ * /api/travel-claims/{id}:
+ *   get:
+ *     summary: Get a travel claim with its route
+ *     tags: [Travel Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Travel claim
+ *       404:
+ *         description: Travel claim not found
+ */
+router.get(
+  '/:id',
+  [
+    param('id', 'Travel claim ID must be a valid MongoDB ID').isMongoId()
+  ],
+  travelClaimController.getTravelClaim
+);
+
+/**
+ * @swagger
+ * /api/travel-claims/{id}/review:
+ *   patch:
+ *     summary: Approve or reject a travel claim
+ *     description: Managers can review pending claims of staff in their team; admins can review any claim. Nobody can review their own claim.
+ *     tags: [Travel Claims]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Approved, Rejected]
+ *               approvedAmount:
+ *                 type: number
+ *                 description: Amount approved (default the claimed amount)
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Claim reviewed
+ *       400:
+ *         description: |
+ *           Claim already reviewed, approved amount above the claimed amount, or a claim with a mode of
+ *           transport mismatch approved without a comment (MODE_OF_TRANSPORT_MISMATCH)
+ *       403:
+ *         description: Not your team's claim, or your own claim
+ *       404:
+ *         description: Travel claim not found
+ */
+router.patch(
+  '/:id/review',
+  [
+    param('id', 'Travel claim ID must be a valid MongoDB ID').isMongoId(),
+    check('status', 'Status must be Approved or Rejected').isIn(['Approved', 'Rejected']),
+    check('approvedAmount', 'Approved amount must be a number of 0 or more').optional().isFloat({ min: 0 }),
+    check('comment', 'A comment is required when rejecting a claim')
+      .if(check('status').equals('Rejected'))
+      .notEmpty(),
+    check('comment', 'Comment cannot be more than 500 characters').optional().isLength({ max: 500 })
+  ],
+  travelClaimController.reviewTravelClaim
+);
+
+// Mobile app routes
+const mobileRouter = express.Router();
+
+// Apply protect middleware to all mobile routes
+mobileRouter.use(protect);
+mobileRouter.use(authorize('field-sales'));
+
+/**
+ * @swagger
+ * /api/mobile/travel-claims/preview:
+ *   get:
+ *     summary: Preview the distance and amounts of a day's travel claim
+ *     description: |
+ *       Builds the day's route from the positions captured on punch-ins and shop visits and sums the
+ *       straight-line distances between them. The mode of transport defaults to the one used on most punch-ins.
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Day (default today)
+ *       - in: query
+ *         name: modeOfTransport
+ *         schema:
+ *           type: string
+ *         description: Mode the staff member wants to claim; shown as a mismatch if it differs from the recorded mode
+ *     responses:
+ *       200:
+ *         description: Route, distance, rate and amounts, with the claim already submitted for the day (if any)
+ */
+mobileRouter.get(
+  '/preview',
+  [
+    query('date', 'Date must be a valid date').optional().isISO8601(),
+    query('modeOfTransport', 'Mode of transport cannot be empty').optional().notEmpty()
+  ],
+  travelClaimController.previewTravelClaim
+);
+
+/**
+ * @swagger
+ * /api/mobile/travel-claims:
+ *   post:
+ *     summary: Submit a day's travel claim
+ *     description: |
+ *       Distance and amounts are calculated by the server. A rejected claim can be submitted again;
+ *       other claims for the same day cannot be replaced.
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               modeOfTransport:
+ *                 type: string
+ *                 description: |
+ *                   The claim is priced with the mode used on most punch-ins of the day. A different mode is
+ *                   kept as claimedModeOfTransport and flagged with modeOfTransportMismatch for the reviewer;
+ *                   it is only used for pricing when no mode was recorded.
+ *               otherExpenses:
+ *                 type: number
+ *                 description: Food, tolls, tickets and other expenses backed by bills
+ *               remarks:
+ *                 type: string
+ *               bills:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Up to 5 bill photos or PDFs
+ *     responses:
+ *       201:
+ *         description: Claim submitted
+ *       400:
+ *         description: Invalid input, no punch-ins on that day or a claim already submitted
+ */
+mobileRouter.post(
+  '/',
+  billUpload.array('bills', 5),
+  [
+    check('date', 'Date is required and must be a valid date').isISO8601(),
+    check('modeOfTransport', 'Mode of transport cannot be empty').optional().notEmpty(),
+    check('otherExpenses', 'Other expenses must be a number of 0 or more').optional().isFloat({ min: 0 }),
+    check('remarks', 'Remarks cannot be more than 500 characters').optional().isLength({ max: 500 })
+  ],
+  travelClaimController.submitTravelClaim
+);
+
+/**
+ * @swagger
+ * /api/mobile/travel-claims:
+ *   get:
+ *     summary: Get the logged in staff member's travel claims
+ *     tags: [Mobile App]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *           example: "2024-05"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Pending, Approved, Rejected]
+ *     responses:
+ *       200:
+ *         description: List of travel claims
+ */
+mobileRouter.get(
+  '/',
+  [
+    monthValidator,
+    statusValidator
+  ],
+  travelClaimController.getMyTravelClaims
+);
+
+module.exports = {
+  apiRouter: router,
+  mobileRouter: mobileRouter
+};
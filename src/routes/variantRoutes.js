@@ -1,12 +1,13 @@
 const express = require('express');
 const { check, param } = require('express-validator');
 const variantController = require('../controllers/variantController');
-const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
 // Apply protect middleware to all routes
 router.use(protect);
+router.use(requirePermission('products'));
 
 /**
  * @swagger
@@ -101,7 +102,7 @@ router.get('/:id', variantController.getVariant);
  */
 router.post(
   '/',
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     check('name', 'Name is required').not().isEmpty(),
     check('brand', 'Brand ID is required').isMongoId()
@@ -162,7 +163,7 @@ router.post(
  */
 router.put(
   '/:id',
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     param('id', 'Variant ID must be a valid MongoDB ID').isMongoId(),
     check('name', 'Name is required').optional().not().isEmpty(),
@@ -198,7 +199,7 @@ router.put(
  */
 router.delete(
   '/:id',
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     param('id', 'Variant ID must be a valid MongoDB ID').isMongoId()
   ],
@@ -246,7 +247,7 @@ router.delete(
  */
 router.post(
   '/:id/sizes',
-  restrictTo('Admin'),
+  authorize('admin'),
   [
     param('id', 'Variant ID must be a valid MongoDB ID').isMongoId(),
     check('name', 'Name is required').not().isEmpty()
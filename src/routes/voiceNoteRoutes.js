@@ -0,0 +1,36 @@
+const express = require('express');
+const retailerShopActivityController = require('../controllers/retailerShopActivityController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/voice-notes/{token}:
+ *   get:
+ *     summary: Play a voice note from a signed link
+ *     description: |
+ *       The link comes from GET /api/retailer-shop-activity/{id}/voice-note/link and needs no Authorization header,
+ *       so it can be the `src` of an audio element. It expires after VOICE_NOTE_LINK_EXPIRATION seconds.
+ *       Supports `Range` requests.
+ *     tags: [Retailer Shop Activity]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The recording
+ *       206:
+ *         description: The requested part of the recording
+ *       401:
+ *         description: Link invalid or expired
+ *       404:
+ *         description: Activity not found, has no voice note or it was deleted after the retention period
+ *       416:
+ *         description: Range not satisfiable
+ */
+router.get('/:token', retailerShopActivityController.playVoiceNote);
+
+module.exports = router;
@@ -7,6 +7,11 @@ const config = require('./config/config');
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
+const { identifyApiKey, apiKeyLimiter } = require('./middleware/authMiddleware');
+const requestContext = require('./utils/requestContext');
+const roleRegistry = require('./utils/roleRegistry');
+const punchAutoClose = require('./utils/punchAutoClose');
+const voiceNoteCleanup = require('./utils/voiceNoteCleanup');
 const logger = require('./utils/logger');
 const { swaggerDocs } = require('./utils/swagger');
 
@@ -33,15 +38,32 @@ const mobileAppRoutes = require('./routes/mobileAppRoutes');
 const brandRoutes = require('./routes/brandRoutes');
 const variantRoutes = require('./routes/variantRoutes');
 const productRoutes = require('./routes/productRoutes');
+const priceListRoutes = require('./routes/priceListRoutes');
 const { apiRouter: shopRoutes, mobileRouter: mobileShopRoutes } = require('./routes/shopRoutes');
 const { apiRouter: marketingActivityRoutes, mobileRouter: mobileMarketingActivityRoutes } = require('./routes/marketingStaffActivityRoutes');
 const { apiRouter: retailerShopActivityRoutes, mobileRouter: mobileRetailerShopActivityRoutes } = require('./routes/retailerShopActivityRoutes');
 const salesInquiryRoutes = require('./routes/salesInquiryRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
+const auditLogRoutes = require('./routes/auditLogRoutes');
+const territoryRoutes = require('./routes/territoryRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const attendanceRoutes = require('./routes/attendanceRoutes');
+const { apiRouter: beatPlanRoutes, mobileRouter: mobileBeatPlanRoutes } = require('./routes/beatPlanRoutes');
+const { apiRouter: travelClaimRoutes, mobileRouter: mobileTravelClaimRoutes } = require('./routes/travelClaimRoutes');
+const { apiRouter: leaveRoutes, mobileRouter: mobileLeaveRoutes } = require('./routes/leaveRoutes');
+const { apiRouter: locationRoutes, mobileRouter: mobileLocationRoutes } = require('./routes/locationRoutes');
+const syncRoutes = require('./routes/syncRoutes');
+const voiceNoteRoutes = require('./routes/voiceNoteRoutes');
 
 // Create Express app
 const app = express();
 
+// Voice notes are only played through the API, which checks who is listening
+app.use('/uploads/voice-notes', (req, res) => {
+  res.status(404).json({ success: false, error: 'Not found' });
+});
+
 // Serve uploads directory as static to allow image access via URL
 app.use('/uploads', express.static(path.join(__dirname, '../../uploads'))); // <-- Added for image access
 
@@ -49,7 +71,11 @@ app.use('/uploads', express.static(path.join(__dirname, '../../uploads'))); // <
 app.set('trust proxy', 1);
 
 // Connect to MongoDB
-connectDB();
+connectDB().then(() => {
+  roleRegistry.initialize();
+  punchAutoClose.start();
+  voiceNoteCleanup.start();
+});
 
 // Security middleware
 // Add Helmet for security headers
@@ -61,6 +87,8 @@ const apiLimiter = rateLimit({
   max: 300, // increased from 100 to 300 requests per windowMs
   standardHeaders: true,
   legacyHeaders: false,
+  // Requests made with a valid API key are limited per key instead
+  skip: (req) => Boolean(req.apiKey),
   message: {
     success: false,
     error: 'Too many requests from this IP, please try again after 15 minutes'
@@ -68,6 +96,8 @@ const apiLimiter = rateLimit({
 });
 
 // Apply rate limiting to all routes
+app.use(identifyApiKey);
+app.use(apiKeyLimiter);
 app.use(apiLimiter);
 
 // Stricter rate limits for auth routes
@@ -81,6 +111,9 @@ const authLimiter = rateLimit({
 });
 
 // Standard middleware
+// Batches queued offline are bigger than other requests
+app.use('/api/mobile/sync', express.json({ limit: config.sync.bodyLimit }));
+app.use('/api/mobile/locations', express.json({ limit: config.tracking.bodyLimit }));
 app.use(express.json({ limit: '10kb' })); // Body limit of 10kb
 app.use(express.urlencoded({ extended: false }));
 app.use(cors({
@@ -98,8 +131,13 @@ app.options('*', cors());
 // Add request logger middleware
 app.use(requestLogger);
 
+// Make the current request (and its user) available to the audit trail
+app.use(requestContext.middleware);
+
 // Reorganize route mounting to ensure mobile routes are properly accessible
 app.use('/api/auth/login', authLimiter); // Apply stricter rate limiting to login route
+app.use(['/api/auth/forgot-password', '/api/mobile/forgot-password'], authLimiter);
+app.use('/api/auth/2fa/verify', authLimiter); // Two-factor codes are only 6 digits
 app.use('/api/auth', authRoutes);
 
 // Mount mobile routes first to ensure they take precedence
@@ -110,6 +148,11 @@ app.use('/api/mobile', freshOrderRoutes);
 app.use('/api/mobile/marketing-activity', mobileMarketingActivityRoutes);
 app.use('/api/mobile/shops', mobileShopRoutes);
 app.use('/api/mobile/retailer-shop-activity', mobileRetailerShopActivityRoutes);
+app.use('/api/mobile/beat-plans', mobileBeatPlanRoutes);
+app.use('/api/mobile/travel-claims', mobileTravelClaimRoutes);
+app.use('/api/mobile/leaves', mobileLeaveRoutes);
+app.use('/api/mobile/locations', mobileLocationRoutes);
+app.use('/api/mobile/sync', syncRoutes);
 
 // Mount other API routes
 app.use('/api/distributors', distributorRoutes);
@@ -122,11 +165,22 @@ app.use('/api/supply-estimates', supplyEstimateRoutes);
 app.use('/api/brands', brandRoutes);
 app.use('/api/variants', variantRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/price-lists', priceListRoutes);
 app.use('/api/shops', shopRoutes);
 app.use('/api/marketing-activity', marketingActivityRoutes);
 app.use('/api/retailer-shop-activity', retailerShopActivityRoutes);
 app.use('/api/sales-inquiries', salesInquiryRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/territories', territoryRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/beat-plans', beatPlanRoutes);
+app.use('/api/travel-claims', travelClaimRoutes);
+app.use('/api/leaves', leaveRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/voice-notes', voiceNoteRoutes);
 
 // Setup Swagger documentation
 swaggerDocs(app);
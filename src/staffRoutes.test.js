@@ -0,0 +1,75 @@
+const assert = require('assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('./config/config');
+const User = require('./models/User');
+const staffRoutes = require('./routes/staffRoutes');
+
+const MANAGER_ID = '64b000000000000000000001';
+const STAFF_ID = '64b000000000000000000002';
+
+// Logged in users are looked up by protect; no database is needed for requests refused before the controller
+const users = {
+  [MANAGER_ID]: { _id: MANAGER_ID, id: MANAGER_ID, name: 'Area Manager', role: 'Mid-Level Manager' }
+};
+User.findById = (id) => ({
+  select: async () => users[id] || null
+});
+
+// Send a request as a user to the staff routes
+async function request(baseUrl, userId, method, path, body) {
+  const token = jwt.sign({ id: userId }, config.jwtSecret, { expiresIn: '1d', algorithm: 'HS256' });
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// A manager cannot attach staff to themselves
+async function testManagerCannotSetReportsTo(baseUrl) {
+  const { status } = await request(baseUrl, MANAGER_ID, 'PUT', `/api/staff/${STAFF_ID}/reports-to`, { reportsTo: MANAGER_ID });
+  assert.strictEqual(status, 403);
+  console.log('PUT /api/staff/:id/reports-to as a manager: 403');
+}
+
+// A manager cannot list the reports of any staff member
+async function testManagerCannotGetReports(baseUrl) {
+  const { status } = await request(baseUrl, MANAGER_ID, 'GET', `/api/staff/${STAFF_ID}/reports`);
+  assert.strictEqual(status, 403);
+  console.log('GET /api/staff/:id/reports as a manager: 403');
+}
+
+// A manager cannot clear or widen their own territories, nor change the reporting line
+async function testManagerCannotChangeScoping(baseUrl) {
+  const territories = await request(baseUrl, MANAGER_ID, 'PUT', `/api/staff/${MANAGER_ID}`, { territories: [] });
+  assert.strictEqual(territories.status, 403);
+  const reportsTo = await request(baseUrl, MANAGER_ID, 'PUT', `/api/staff/${STAFF_ID}`, { reportsTo: MANAGER_ID });
+  assert.strictEqual(reportsTo.status, 403);
+  console.log('PUT /api/staff/:id with territories or reportsTo as a manager: 403');
+}
+
+(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/staff', staffRoutes);
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    await testManagerCannotSetReportsTo(baseUrl);
+    await testManagerCannotGetReports(baseUrl);
+    await testManagerCannotChangeScoping(baseUrl);
+    console.log('All staff route tests passed');
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('Staff route test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+})();
@@ -0,0 +1,11 @@
+/**
+ * Get the time a mobile action happened: the time the app recorded it while offline
+ * (set on the request by POST /api/mobile/sync), or now for live requests
+ * @param {Object} req - Request object
+ * @returns {Date}
+ */
+const getActionTime = (req) => (req.clientTime ? new Date(req.clientTime) : new Date());
+
+module.exports = {
+  getActionTime
+};
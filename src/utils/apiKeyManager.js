@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const logger = require('./logger');
+
+// Keys look like kk_<40 hex characters>
+const KEY_PREFIX = 'kk_';
+
+/**
+ * Hash an API key for storage/lookup
+ * @param {String} key - Raw API key
+ * @returns {String} - SHA-256 hex digest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Create a new API key
+ * @param {Object} data - { name, scopes, expiresAt }
+ * @param {Object} user - Admin creating the key
+ * @returns {Promise<Object>} - { apiKey, key } where key is the raw key to show once
+ */
+exports.createApiKey = async ({ name, scopes, expiresAt }, user) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(20).toString('hex')}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key),
+    createdBy: user._id
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Find an active API key
+ * @param {String} key - Raw API key from the X-API-Key header
+ * @returns {Promise<Object|null>} - API key document, or null if unknown, expired or revoked
+ */
+exports.findActiveKey = async (key) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+  if (!apiKey || !apiKey.isActive()) return null;
+
+  return apiKey;
+};
+
+/**
+ * Record a request made with an API key
+ * @param {Object} apiKey - API key document
+ * @param {Object} req - Request object
+ */
+exports.recordUsage = async (apiKey, req) => {
+  try {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      {
+        $inc: { requestCount: 1 },
+        $set: { lastUsedAt: Date.now(), lastUsedIp: req.ip }
+      }
+    );
+  } catch (error) {
+    // Never fail the request because usage could not be recorded
+    logger.error(`Error recording API key usage for ${apiKey._id}: ${error.message}`);
+  }
+};
+
+exports.hashKey = hashKey;
@@ -0,0 +1,164 @@
+const config = require('../config/config');
+const MarketingStaffActivity = require('../models/MarketingStaffActivity');
+
+/**
+ * Format a date as YYYY-MM-DD in server time, the same day boundaries used by the activity filters
+ * @param {Date} date - Date
+ * @returns {String}
+ */
+const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * List the days between two dates (inclusive)
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Array} - Date keys
+ */
+const listDays = (from, to) => {
+  const days = [];
+  const current = new Date(from);
+  current.setHours(0, 0, 0, 0);
+
+  while (current <= to) {
+    days.push(toDateKey(current));
+    current.setDate(current.getDate() + 1);
+  }
+
+  return days;
+};
+
+/**
+ * Work out the attendance status of a day from its field minutes
+ * @param {Number} minutes - Total field minutes
+ * @returns {String} - 'present', 'half-day' or 'absent'
+ */
+const getDayStatus = (minutes) => {
+  const { fullDayMinutes, halfDayMinutes } = config.attendance;
+  if (minutes >= fullDayMinutes) return 'present';
+  if (minutes >= halfDayMinutes) return 'half-day';
+  return 'absent';
+};
+
+/**
+ * Minutes spent on a punch-in. Punch-ins that are still open count as zero.
+ * @param {Object} activity - Marketing staff activity
+ * @returns {Number}
+ */
+const getActivityMinutes = (activity) => {
+  if (typeof activity.durationMinutes === 'number') return activity.durationMinutes;
+  if (!activity.meetingEndTime) return 0;
+  return Math.max(0, Math.floor((new Date(activity.meetingEndTime) - new Date(activity.meetingStartTime)) / 60000));
+};
+
+/**
+ * Build the attendance of staff members from their punch-ins.
+ * A punch-in belongs to the day it started on. Days after today are left out.
+ * Holidays and days of approved full-day leave without enough field time are marked
+ * 'holiday' and 'leave' instead of absent.
+ * @param {Array} staff - Users ({ _id, name, email, role })
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Promise<Array>} - [{ staff, days: [{ date, firstPunchIn, lastPunchOut, fieldMinutes, visits, autoClosed, holiday, leave, status }], summary }]
+ */
+const buildAttendance = async (staff, from, to) => {
+  const start = new Date(from);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(Math.min(new Date(to).setHours(23, 59, 59, 999), new Date().setHours(23, 59, 59, 999)));
+
+  const activities = await MarketingStaffActivity.find({
+    marketingStaffId: { $in: staff.map(member => member._id) },
+    meetingStartTime: { $gte: start, $lte: end }
+  })
+    .select('marketingStaffId meetingStartTime meetingEndTime durationMinutes closedBySystem')
+    .lean();
+
+  // Required here: utils/leave uses the date helpers of this module
+  const { getTimeOff } = require('./leave');
+  const timeOff = await getTimeOff(staff.map(member => member._id), start, end);
+
+  // staffId -> dateKey -> day
+  const byStaff = new Map();
+  activities.forEach(activity => {
+    const staffId = activity.marketingStaffId.toString();
+    const dateKey = toDateKey(activity.meetingStartTime);
+
+    if (!byStaff.has(staffId)) byStaff.set(staffId, new Map());
+    const days = byStaff.get(staffId);
+
+    const day = days.get(dateKey) || { firstPunchIn: null, lastPunchOut: null, fieldMinutes: 0, visits: 0, autoClosed: 0 };
+
+    if (!day.firstPunchIn || activity.meetingStartTime < day.firstPunchIn) {
+      day.firstPunchIn = activity.meetingStartTime;
+    }
+    if (activity.meetingEndTime && (!day.lastPunchOut || activity.meetingEndTime > day.lastPunchOut)) {
+      day.lastPunchOut = activity.meetingEndTime;
+    }
+    day.fieldMinutes += getActivityMinutes(activity);
+    day.visits += 1;
+    // Punch-ins closed by the system have estimated durations
+    if (activity.closedBySystem) day.autoClosed += 1;
+
+    days.set(dateKey, day);
+  });
+
+  const dateKeys = start <= end ? listDays(start, end) : [];
+
+  return staff.map(member => {
+    const recorded = byStaff.get(member._id.toString()) || new Map();
+    const leave = timeOff.leave.get(member._id.toString()) || new Map();
+    const summary = { present: 0, halfDay: 0, absent: 0, leave: 0, holiday: 0, fieldMinutes: 0, visits: 0, autoClosed: 0 };
+
+    const days = dateKeys.map(date => {
+      const day = recorded.get(date) || { firstPunchIn: null, lastPunchOut: null, fieldMinutes: 0, visits: 0, autoClosed: 0 };
+      const holiday = timeOff.holidays.get(date);
+      const leaveDay = leave.get(date);
+      let status = getDayStatus(day.fieldMinutes);
+
+      // A full day of field work counts as present even on a holiday or leave
+      if (status !== 'present') {
+        if (holiday) status = 'holiday';
+        else if (leaveDay && !leaveDay.halfDay) status = 'leave';
+      }
+
+      if (status === 'present') summary.present += 1;
+      else if (status === 'half-day') summary.halfDay += 1;
+      else if (status === 'holiday') summary.holiday += 1;
+      else if (status === 'leave') summary.leave += 1;
+      else summary.absent += 1;
+      summary.fieldMinutes += day.fieldMinutes;
+      summary.visits += day.visits;
+      summary.autoClosed += day.autoClosed;
+
+      return {
+        date,
+        ...day,
+        holiday: holiday ? holiday.name : null,
+        leave: leaveDay ? { leaveType: leaveDay.leaveType, halfDay: leaveDay.halfDay } : null,
+        status
+      };
+    });
+
+    return {
+      staff: {
+        _id: member._id,
+        name: member.name,
+        email: member.email,
+        role: member.role
+      },
+      days,
+      summary
+    };
+  });
+};
+
+module.exports = {
+  toDateKey,
+  listDays,
+  getDayStatus,
+  buildAttendance
+};
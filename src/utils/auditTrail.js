@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const requestContext = require('./requestContext');
+const logger = require('./logger');
+
+// Fields never worth recording
+const DEFAULT_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Convert a value into a plain JSON-friendly value
+ * @param {*} value - Any value read from a document
+ * @returns {*} - Normalised value
+ */
+const normalize = (value) => {
+  if (value === null || value === undefined) return value;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'object') {
+    if (typeof value.toObject === 'function') return normalize(value.toObject());
+    return Object.keys(value).reduce((result, key) => {
+      result[key] = normalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Flatten a document into dot-notation paths. Arrays are kept whole.
+ * @param {Object} obj - Plain object
+ * @param {String} prefix - Path prefix
+ * @param {Object} result - Accumulator
+ * @returns {Object} - Map of path to value
+ */
+const flatten = (obj, prefix = '', result = {}) => {
+  Object.keys(obj || {}).forEach(key => {
+    const value = obj[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+};
+
+/**
+ * Check whether a flattened field lies on one of the given paths (the path itself, inside it or around it)
+ * @param {String} field - Dot-notation field
+ * @param {Array} paths - Dot-notation paths
+ * @returns {Boolean}
+ */
+const isOnPaths = (field, paths) => paths.some(path =>
+  field === path || field.startsWith(`${path}.`) || path.startsWith(`${field}.`)
+);
+
+/**
+ * Compute the field level differences between two versions of a document
+ * @param {Object} before - Previous version (null for creates)
+ * @param {Object} after - New version (null for deletes)
+ * @param {Object} options - { ignore, redact, paths }. When paths is given, only those paths are compared
+ *   (a saved document holds fields the stored version was loaded without, e.g. select: false fields).
+ * @returns {Array} - [{ field, before, after }]
+ */
+const diff = (before, after, options = {}) => {
+  const ignore = DEFAULT_IGNORED_FIELDS.concat(options.ignore || []);
+  const redact = options.redact || [];
+  const { paths } = options;
+
+  const flatBefore = flatten(normalize(before) || {});
+  const flatAfter = flatten(normalize(after) || {});
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  const changes = [];
+  fields.forEach(field => {
+    const rootField = field.split('.')[0];
+    if (ignore.includes(field) || ignore.includes(rootField)) return;
+    if (paths && !isOnPaths(field, paths)) return;
+
+    const oldValue = flatBefore[field];
+    const newValue = flatAfter[field];
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+    const isRedacted = redact.includes(field) || redact.includes(rootField);
+    changes.push({
+      field,
+      before: isRedacted && oldValue !== undefined ? REDACTED : oldValue,
+      after: isRedacted && newValue !== undefined ? REDACTED : newValue
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Write an audit log entry for the current request (if any)
+ * @param {String} entityType - Model name
+ * @param {String} action - create | update | delete
+ * @param {Object} before - Previous version
+ * @param {Object} after - New version
+ * @param {Object} options - Plugin options
+ */
+const record = async (entityType, action, before, after, options) => {
+  try {
+    const changes = diff(before, after, options);
+
+    // Nothing that we track changed (e.g. only lastLogin was touched)
+    if (action === 'update' && changes.length === 0) return;
+
+    const entityId = (after && after._id) || (before && before._id);
+    if (!entityId) return;
+
+    const req = requestContext.getRequest();
+    const actor = req && req.user;
+
+    // Required lazily to avoid loading the model before mongoose is configured
+    const AuditLog = require('../models/AuditLog');
+    await AuditLog.create({
+      actor: actor ? actor._id : undefined,
+      actorName: actor ? actor.name : undefined,
+      actorRole: actor ? actor.role : 'System',
+      apiKey: req && req.apiKey ? req.apiKey._id : undefined,
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? req.headers['user-agent'] : undefined,
+      method: req ? req.method : undefined,
+      path: req ? req.originalUrl : undefined,
+      entityType,
+      entityId,
+      action,
+      changes
+    });
+  } catch (error) {
+    // Never fail the original write because the audit entry could not be stored
+    logger.error(`Error writing audit log for ${entityType}: ${error.message}`);
+  }
+};
+
+/**
+ * Mongoose plugin recording every create, update and delete of a model in the audit log
+ * @param {mongoose.Schema} schema - Schema to audit
+ * @param {Object} options - Plugin options
+ * @param {String} options.entityType - Entity type stored on the log entries
+ * @param {Array} options.ignore - Fields whose changes are not recorded
+ * @param {Array} options.redact - Fields whose values are replaced with [REDACTED]
+ */
+const auditTrailPlugin = (schema, options) => {
+  const { entityType } = options;
+
+  // Load stored versions, including documents hidden by find middleware (e.g. inactive users)
+  const findStored = (model, filter, single) => {
+    const query = model.find(filter).setOptions({ includeInactive: true }).lean();
+    return single ? query.limit(1) : query;
+  };
+
+  // Document saves (Model.create, doc.save). Updates only compare the paths the save changes,
+  // since the document may hold fields the stored version is read without (e.g. +password)
+  schema.pre('save', async function() {
+    this.$locals.auditAction = this.isNew ? 'create' : 'update';
+    if (!this.isNew) {
+      const [stored] = await findStored(this.constructor, { _id: this._id }, true);
+      this.$locals.auditBefore = stored;
+      this.$locals.auditPaths = this.modifiedPaths();
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    const { auditAction, auditBefore, auditPaths } = doc.$locals;
+    await record(entityType, auditAction, auditBefore, doc.toObject({ depopulate: true }), { ...options, paths: auditPaths });
+  });
+
+  schema.post('insertMany', async function(docs) {
+    for (const doc of docs) {
+      await record(entityType, 'create', null, doc.toObject({ depopulate: true }), options);
+    }
+  });
+
+  // Query updates (findByIdAndUpdate, updateOne, updateMany, doc.updateOne)
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function() {
+    this._auditBefore = await findStored(this.model, this.getFilter(), this.op !== 'updateMany');
+  });
+
+  schema.post(['findOneAndUpdate', 'updateOne', 'updateMany'], { document: false, query: true }, async function() {
+    const before = this._auditBefore || [];
+    if (before.length === 0) return;
+
+    const after = await findStored(this.model, { _id: { $in: before.map(doc => doc._id) } });
+    for (const oldDoc of before) {
+      const newDoc = after.find(doc => doc._id.toString() === oldDoc._id.toString());
+      await record(entityType, 'update', oldDoc, newDoc, options);
+    }
+  });
+
+  // Query deletes (findByIdAndDelete, deleteOne, deleteMany)
+  schema.pre(['findOneAndDelete', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    this._auditBefore = await findStored(this.model, this.getFilter(), this.op !== 'deleteMany');
+  });
+
+  schema.post(['findOneAndDelete', 'deleteOne', 'deleteMany'], { document: false, query: true }, async function() {
+    for (const oldDoc of this._auditBefore || []) {
+      await record(entityType, 'delete', oldDoc, null, options);
+    }
+  });
+
+  // Document deletes (doc.deleteOne)
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await record(entityType, 'delete', doc.toObject({ depopulate: true }), null, options);
+  });
+};
+
+module.exports = {
+  auditTrailPlugin,
+  diff
+};
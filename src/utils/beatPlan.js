@@ -0,0 +1,172 @@
+const BeatPlan = require('../models/BeatPlan');
+const RetailerShopActivity = require('../models/RetailerShopActivity');
+const Shop = require('../models/Shop');
+const { toDateKey, listDays } = require('./attendance');
+const { getTimeOff } = require('./leave');
+
+/**
+ * Find the plan that applies to each staff member on each day.
+ * A dated plan wins over the weekly plan for that weekday; among weekly plans
+ * the one that took effect last wins. Nothing is planned on holidays or days of
+ * approved full-day leave.
+ * @param {Array} staffIds - User IDs
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Promise<Map>} - staffId -> dateKey -> plan (shops populated)
+ */
+const resolvePlans = async (staffIds, from, to) => {
+  const start = new Date(from);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(to);
+  end.setHours(23, 59, 59, 999);
+
+  const plans = await BeatPlan.find({
+    staff: { $in: staffIds },
+    $or: [
+      { type: 'Dated', date: { $gte: start, $lte: end } },
+      {
+        type: 'Weekly',
+        $and: [
+          { $or: [{ effectiveFrom: null }, { effectiveFrom: { $lte: end } }] },
+          { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: start } }] }
+        ]
+      }
+    ]
+  })
+    .populate('shops', 'name ownerName address type distributorId location')
+    .sort({ effectiveFrom: -1 })
+    .lean();
+
+  const { holidays, leave } = await getTimeOff(staffIds, start, end);
+
+  const resolved = new Map();
+  staffIds.forEach(staffId => resolved.set(staffId.toString(), new Map()));
+
+  listDays(start, end).forEach(dateKey => {
+    const day = new Date(`${dateKey}T00:00:00`);
+    const dayEnd = new Date(`${dateKey}T23:59:59.999`);
+
+    resolved.forEach((days, staffId) => {
+      const leaveDay = leave.get(staffId).get(dateKey);
+      if (holidays.has(dateKey) || (leaveDay && !leaveDay.halfDay)) return;
+
+      const staffPlans = plans.filter(plan => plan.staff.toString() === staffId);
+
+      const dated = staffPlans.find(plan => plan.type === 'Dated' && toDateKey(plan.date) === dateKey);
+      const weekly = staffPlans.find(plan => plan.type === 'Weekly' &&
+        plan.dayOfWeek === day.getDay() &&
+        (!plan.effectiveFrom || plan.effectiveFrom <= dayEnd) &&
+        (!plan.effectiveTo || plan.effectiveTo >= day));
+
+      if (dated || weekly) {
+        days.set(dateKey, dated || weekly);
+      }
+    });
+  });
+
+  return resolved;
+};
+
+/**
+ * Compare planned shops with the shop visits (RetailerShopActivity) of each day.
+ * Planned shops not visited today are 'pending' rather than missed. Days after today are left out.
+ * @param {Array} staff - Users ({ _id, name, email })
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Promise<Array>} - [{ staff, days: [{ date, plan, planned, visited, missed, pending, unplanned, adherence }], summary }]
+ */
+const buildAdherence = async (staff, from, to) => {
+  const start = new Date(from);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(Math.min(new Date(to).setHours(23, 59, 59, 999), new Date().setHours(23, 59, 59, 999)));
+  const todayKey = toDateKey(new Date());
+
+  if (start > end) {
+    return staff.map(member => ({ staff: member, days: [], summary: { planned: 0, visited: 0, missed: 0, unplanned: 0, adherence: null } }));
+  }
+
+  const staffIds = staff.map(member => member._id);
+  const plans = await resolvePlans(staffIds, start, end);
+
+  const visits = await RetailerShopActivity.find({
+    marketingStaffId: { $in: staffIds },
+    punchInTime: { $gte: start, $lte: end }
+  })
+    .select('marketingStaffId shopId punchInTime')
+    .lean();
+
+  // Names of shops visited without being planned
+  const shopNames = new Map();
+  plans.forEach(days => days.forEach(plan => plan.shops.forEach(shop => shopNames.set(shop._id.toString(), shop.name))));
+  const unknownIds = [...new Set(visits.map(visit => visit.shopId.toString()))].filter(id => !shopNames.has(id));
+  if (unknownIds.length > 0) {
+    const shops = await Shop.find({ _id: { $in: unknownIds } }).select('name').lean();
+    shops.forEach(shop => shopNames.set(shop._id.toString(), shop.name));
+  }
+  const describe = id => ({ _id: id, name: shopNames.get(id) || 'Unknown shop' });
+
+  // staffId -> dateKey -> Set of visited shop IDs
+  const visitedByStaff = new Map();
+  visits.forEach(visit => {
+    const staffId = visit.marketingStaffId.toString();
+    const dateKey = toDateKey(visit.punchInTime);
+    if (!visitedByStaff.has(staffId)) visitedByStaff.set(staffId, new Map());
+    const days = visitedByStaff.get(staffId);
+    if (!days.has(dateKey)) days.set(dateKey, new Set());
+    days.get(dateKey).add(visit.shopId.toString());
+  });
+
+  return staff.map(member => {
+    const staffId = member._id.toString();
+    const staffPlans = plans.get(staffId) || new Map();
+    const staffVisits = visitedByStaff.get(staffId) || new Map();
+    const summary = { planned: 0, visited: 0, missed: 0, unplanned: 0 };
+
+    // Days with a plan or with visits
+    const dateKeys = [...new Set([...staffPlans.keys(), ...staffVisits.keys()])].sort();
+
+    const days = dateKeys.map(date => {
+      const plan = staffPlans.get(date);
+      const plannedIds = plan ? plan.shops.map(shop => shop._id.toString()) : [];
+      const visitedIds = staffVisits.get(date) || new Set();
+
+      const visited = plannedIds.filter(id => visitedIds.has(id));
+      const notVisited = plannedIds.filter(id => !visitedIds.has(id));
+      const unplanned = [...visitedIds].filter(id => !plannedIds.includes(id));
+      const isToday = date === todayKey;
+
+      summary.planned += plannedIds.length;
+      summary.visited += visited.length;
+      summary.missed += isToday ? 0 : notVisited.length;
+      summary.unplanned += unplanned.length;
+
+      return {
+        date,
+        plan: plan ? { _id: plan._id, name: plan.name, type: plan.type } : null,
+        planned: plannedIds.length,
+        visited: visited.map(describe),
+        missed: isToday ? [] : notVisited.map(describe),
+        pending: isToday ? notVisited.map(describe) : [],
+        unplanned: unplanned.map(describe),
+        adherence: plannedIds.length > 0 ? Math.round((visited.length / plannedIds.length) * 100) : null
+      };
+    });
+
+    summary.adherence = summary.planned > 0 ? Math.round((summary.visited / summary.planned) * 100) : null;
+
+    return {
+      staff: {
+        _id: member._id,
+        name: member.name,
+        email: member.email
+      },
+      days,
+      summary
+    };
+  });
+};
+
+module.exports = {
+  resolvePlans,
+  buildAdherence
+};
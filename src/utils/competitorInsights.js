@@ -0,0 +1,309 @@
+const RetailerShopActivity = require('../models/RetailerShopActivity');
+const Distributor = require('../models/Distributor');
+const Shop = require('../models/Shop');
+const Territory = require('../models/Territory');
+const { getEffectivePrices, getPriceScope, roundAmount } = require('./pricing');
+const { toDateKey } = require('./attendance');
+
+/**
+ * Key of a name compared ignoring case and surrounding spaces
+ * @param {String} value - Name
+ * @returns {String}
+ */
+const nameKey = value => String(value || '').trim().toLowerCase();
+
+/**
+ * Percentage with one decimal
+ * @param {Number} part - Part
+ * @param {Number} total - Total
+ * @returns {Number}
+ */
+const percent = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 10 : 0);
+
+/**
+ * Start of the week (Monday) or month a day falls in
+ * @param {Date} date - Day
+ * @param {String} interval - 'week' or 'month'
+ * @returns {Date}
+ */
+const startOfInterval = (date, interval) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  if (interval === 'month') {
+    start.setDate(1);
+  } else {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  }
+  return start;
+};
+
+/**
+ * Empty tally of shop visits and the competitor brands found during them
+ * @returns {Object}
+ */
+const newTally = () => ({
+  visits: 0,
+  shops: new Set(),
+  visitsWithCompetitors: 0,
+  shopsWithCompetitors: new Set(),
+  mentions: 0,
+  brands: new Map()
+});
+
+/**
+ * Count a shop visit in a tally
+ * @param {Object} tally - See newTally
+ * @param {Object} visit - { shopId, competitors }
+ */
+const addVisit = (tally, visit) => {
+  const shopId = String(visit.shopId);
+  tally.visits += 1;
+  tally.shops.add(shopId);
+
+  if (visit.competitors.length === 0) return;
+
+  tally.visitsWithCompetitors += 1;
+  tally.shopsWithCompetitors.add(shopId);
+  visit.competitors.forEach(competitor => {
+    const key = nameKey(competitor.brandName);
+    let brand = tally.brands.get(key);
+    if (!brand) {
+      brand = { brandName: competitor.brandName.trim(), mentions: 0, shops: new Set() };
+      tally.brands.set(key, brand);
+    }
+    brand.mentions += 1;
+    brand.shops.add(shopId);
+    tally.mentions += 1;
+  });
+};
+
+/**
+ * Turn a tally into plain figures: presence is the share of visits where competitors were found,
+ * a brand's share is its share of all competitor mentions
+ * @param {Object} tally - See newTally
+ * @returns {Object}
+ */
+const summarizeTally = tally => ({
+  visits: tally.visits,
+  shops: tally.shops.size,
+  visitsWithCompetitors: tally.visitsWithCompetitors,
+  shopsWithCompetitors: tally.shopsWithCompetitors.size,
+  presence: percent(tally.visitsWithCompetitors, tally.visits),
+  mentions: tally.mentions,
+  brands: [...tally.brands.values()]
+    .map(brand => ({
+      brandName: brand.brandName,
+      mentions: brand.mentions,
+      shops: brand.shops.size,
+      share: percent(brand.mentions, tally.mentions)
+    }))
+    .sort((a, b) => b.mentions - a.mentions || a.brandName.localeCompare(b.brandName))
+});
+
+/**
+ * Compare competitor rates with our prices of the same variant and size
+ * @param {Array} visits - Visits with competitors
+ * @param {Map} prices - priceKey -> our price list entry (see getEffectivePrices)
+ * @returns {Array}
+ */
+const compareRates = (visits, prices) => {
+  const ourPrices = new Map();
+  prices.forEach(entry => {
+    const key = `${nameKey(entry.variant)}|${nameKey(entry.size)}`;
+    if (!ourPrices.has(key)) ourPrices.set(key, []);
+    ourPrices.get(key).push({ brandName: entry.brandName, price: entry.price, scope: getPriceScope(entry) });
+  });
+
+  const products = new Map();
+  visits.forEach(visit => {
+    visit.competitors.forEach(competitor => {
+      if (typeof competitor.rate !== 'number') return;
+
+      const key = `${nameKey(competitor.variant)}|${nameKey(competitor.size)}`;
+      let product = products.get(key);
+      if (!product) {
+        product = { variant: competitor.variant.trim(), size: competitor.size.trim(), brands: new Map() };
+        products.set(key, product);
+      }
+
+      const brandKey = nameKey(competitor.brandName);
+      let brand = product.brands.get(brandKey);
+      if (!brand) {
+        brand = { brandName: competitor.brandName.trim(), entries: 0, total: 0, minRate: competitor.rate, maxRate: competitor.rate };
+        product.brands.set(brandKey, brand);
+      }
+      brand.entries += 1;
+      brand.total += competitor.rate;
+      brand.minRate = Math.min(brand.minRate, competitor.rate);
+      brand.maxRate = Math.max(brand.maxRate, competitor.rate);
+    });
+  });
+
+  return [...products.entries()]
+    .map(([key, product]) => {
+      const ours = ourPrices.get(key) || [];
+      const ourAveragePrice = ours.length > 0
+        ? roundAmount(ours.reduce((sum, entry) => sum + entry.price, 0) / ours.length)
+        : null;
+
+      return {
+        variant: product.variant,
+        size: product.size,
+        ourPrices: ours,
+        ourAveragePrice,
+        competitors: [...product.brands.values()]
+          .map(brand => {
+            const avgRate = roundAmount(brand.total / brand.entries);
+            return {
+              brandName: brand.brandName,
+              entries: brand.entries,
+              minRate: brand.minRate,
+              avgRate,
+              maxRate: brand.maxRate,
+              // Positive when the competitor is dearer than us
+              difference: ourAveragePrice === null ? null : roundAmount(avgRate - ourAveragePrice),
+              differencePercent: ourAveragePrice ? percent(avgRate - ourAveragePrice, ourAveragePrice) : null
+            };
+          })
+          .sort((a, b) => b.entries - a.entries || a.brandName.localeCompare(b.brandName))
+      };
+    })
+    .sort((a, b) => a.variant.localeCompare(b.variant) || a.size.localeCompare(b.size));
+};
+
+/**
+ * Build the competitor intelligence report from the alternate providers recorded on shop visits
+ * @param {Object} query - RetailerShopActivity conditions (distributor and territory filters, already scoped)
+ * @param {Object} options
+ * @param {Date} options.from - First day
+ * @param {Date} options.to - Last day
+ * @param {String} [options.interval] - Trend buckets: 'week' (default) or 'month'
+ * @param {String} [options.distributorId] - Distributor whose prices the rates are compared with
+ * @returns {Promise<Object>} - { summary, byArea, byDistributor, rates, trend, gainingShops }
+ */
+const buildCompetitorInsights = async (query, { from, to, interval = 'week', distributorId } = {}) => {
+  const activities = await RetailerShopActivity.find({
+    ...query,
+    punchInTime: { $gte: from, $lte: to }
+  })
+    .select('distributorId shopId punchInTime alternateProviders')
+    .sort({ punchInTime: 1 })
+    .lean();
+
+  const visits = activities.map(activity => ({
+    distributorId: String(activity.distributorId),
+    shopId: activity.shopId,
+    date: activity.punchInTime,
+    competitors: (activity.alternateProviders || []).filter(provider => provider.brandName)
+  }));
+
+  const distributorIds = [...new Set(visits.map(visit => visit.distributorId))];
+  const shopIds = [...new Set(visits.map(visit => String(visit.shopId)))];
+
+  const [distributors, shops, areas, prices] = await Promise.all([
+    Distributor.find({ _id: { $in: distributorIds } }).select('name').lean(),
+    Shop.find({ _id: { $in: shopIds } }).select('name type').lean(),
+    Territory.find({ type: 'Area', active: true, distributors: { $in: distributorIds } })
+      .select('name code distributors')
+      .lean(),
+    getEffectivePrices({ distributorId, date: to })
+  ]);
+
+  const distributorById = new Map(distributors.map(distributor => [distributor._id.toString(), distributor]));
+  const shopById = new Map(shops.map(shop => [shop._id.toString(), shop]));
+  const areaByDistributor = new Map();
+  areas.forEach(area => {
+    area.distributors.forEach(id => {
+      if (!areaByDistributor.has(id.toString())) areaByDistributor.set(id.toString(), area);
+    });
+  });
+
+  const summary = newTally();
+  const byArea = new Map();
+  const byDistributor = new Map();
+  const trend = new Map();
+
+  // One bucket per week or month of the period, including those without visits
+  for (let bucket = startOfInterval(from, interval); bucket <= to;) {
+    trend.set(toDateKey(bucket), newTally());
+    if (interval === 'month') bucket.setMonth(bucket.getMonth() + 1);
+    else bucket.setDate(bucket.getDate() + 7);
+  }
+
+  // Shops compared between the first and second half of the period
+  const midpoint = new Date(from.getTime() + (to.getTime() - from.getTime()) / 2);
+  const byShop = new Map();
+
+  visits.forEach(visit => {
+    addVisit(summary, visit);
+
+    const area = areaByDistributor.get(visit.distributorId);
+    const areaKey = area ? area._id.toString() : 'unassigned';
+    if (!byArea.has(areaKey)) byArea.set(areaKey, { area: area ? { _id: area._id, name: area.name, code: area.code } : null, tally: newTally() });
+    addVisit(byArea.get(areaKey).tally, visit);
+
+    if (!byDistributor.has(visit.distributorId)) byDistributor.set(visit.distributorId, newTally());
+    addVisit(byDistributor.get(visit.distributorId), visit);
+
+    const bucket = trend.get(toDateKey(startOfInterval(visit.date, interval)));
+    if (bucket) addVisit(bucket, visit);
+
+    const shopKey = String(visit.shopId);
+    if (!byShop.has(shopKey)) byShop.set(shopKey, { distributorId: visit.distributorId, earlier: newTally(), recent: newTally() });
+    addVisit(visit.date < midpoint ? byShop.get(shopKey).earlier : byShop.get(shopKey).recent, visit);
+  });
+
+  const gainingShops = [];
+  byShop.forEach((shopTally, shopKey) => {
+    if (shopTally.earlier.visits === 0 || shopTally.recent.visits === 0) return;
+
+    const earlier = summarizeTally(shopTally.earlier);
+    const recent = summarizeTally(shopTally.recent);
+    const earlierBrands = new Set(earlier.brands.map(brand => nameKey(brand.brandName)));
+    const newBrands = recent.brands
+      .filter(brand => !earlierBrands.has(nameKey(brand.brandName)))
+      .map(brand => brand.brandName);
+    const change = Math.round((recent.presence - earlier.presence) * 10) / 10;
+
+    if (change <= 0 && newBrands.length === 0) return;
+
+    const shop = shopById.get(shopKey);
+    const distributor = distributorById.get(shopTally.distributorId);
+    gainingShops.push({
+      shop: shop || { _id: shopKey },
+      distributor: distributor || { _id: shopTally.distributorId },
+      earlier: { visits: earlier.visits, presence: earlier.presence, brands: earlier.brands.map(brand => brand.brandName) },
+      recent: { visits: recent.visits, presence: recent.presence, brands: recent.brands.map(brand => brand.brandName) },
+      presenceChange: change,
+      newBrands
+    });
+  });
+  gainingShops.sort((a, b) => b.presenceChange - a.presenceChange || b.newBrands.length - a.newBrands.length);
+
+  return {
+    summary: summarizeTally(summary),
+    byArea: [...byArea.values()]
+      .map(({ area, tally }) => ({ area, ...summarizeTally(tally) }))
+      .sort((a, b) => b.presence - a.presence),
+    byDistributor: [...byDistributor.entries()]
+      .map(([id, tally]) => ({ distributor: distributorById.get(id) || { _id: id }, ...summarizeTally(tally) }))
+      .sort((a, b) => b.presence - a.presence),
+    rates: compareRates(visits.filter(visit => visit.competitors.length > 0), prices),
+    trend: [...trend.entries()].map(([period, tally]) => {
+      const figures = summarizeTally(tally);
+      return {
+        period,
+        visits: figures.visits,
+        visitsWithCompetitors: figures.visitsWithCompetitors,
+        presence: figures.presence,
+        mentions: figures.mentions,
+        brands: figures.brands.map(brand => ({ brandName: brand.brandName, mentions: brand.mentions }))
+      };
+    }),
+    gainingShops
+  };
+};
+
+module.exports = {
+  buildCompetitorInsights
+};
@@ -0,0 +1,103 @@
+const RetailerShopActivity = require('../models/RetailerShopActivity');
+const { priceKey } = require('./pricing');
+
+/**
+ * Get the period covered by a consolidation: from midnight of the first day to the end of the last
+ * @param {Date|String} fromDate - First day
+ * @param {Date|String} toDate - Last day
+ * @returns {Object} - { from, to }
+ */
+const getPeriod = (fromDate, toDate) => {
+  const from = new Date(fromDate);
+  from.setHours(0, 0, 0, 0);
+  const to = new Date(toDate);
+  to.setHours(23, 59, 59, 999);
+  return { from, to };
+};
+
+/**
+ * Roll up a distributor's retailer sales orders of a period that are not yet in an order,
+ * one line per brand, variant and size (names compared ignoring case)
+ * @param {String} distributorId - Distributor ID
+ * @param {Object} period - { from, to }
+ * @returns {Promise<Object>} - { activityIds, items: [{ brandName, variant, size, quantity, shops, sources }] }
+ */
+const buildConsolidation = async (distributorId, { from, to }) => {
+  const activities = await RetailerShopActivity.find({
+    distributorId,
+    consolidatedOrder: null,
+    punchInTime: { $gte: from, $lte: to },
+    'salesOrders.0': { $exists: true }
+  })
+    .populate('shopId', 'name type')
+    .populate('marketingStaffId', 'name')
+    .sort({ punchInTime: 1 })
+    .lean();
+
+  const lines = new Map();
+
+  activities.forEach(activity => {
+    activity.salesOrders.forEach(order => {
+      const key = priceKey(order.brandName, order.variant, order.size);
+      let line = lines.get(key);
+
+      if (!line) {
+        line = {
+          brandName: order.brandName,
+          variant: order.variant,
+          size: order.size,
+          quantity: 0,
+          shops: new Set(),
+          sources: []
+        };
+        lines.set(key, line);
+      }
+
+      const shopId = activity.shopId && activity.shopId._id ? activity.shopId._id : activity.shopId;
+      line.quantity += order.quantity;
+      line.shops.add(String(shopId));
+      line.sources.push({
+        activity: activity._id,
+        shop: activity.shopId,
+        staff: activity.marketingStaffId,
+        date: activity.punchInTime,
+        quantity: order.quantity
+      });
+    });
+  });
+
+  const items = [...lines.values()]
+    .map(line => ({ ...line, shops: line.shops.size }))
+    .sort((a, b) => a.brandName.localeCompare(b.brandName) ||
+      a.variant.localeCompare(b.variant) ||
+      a.size.localeCompare(b.size));
+
+  return {
+    activityIds: activities.map(activity => activity._id),
+    items
+  };
+};
+
+/**
+ * Check whether two lists of sales order lines order the same quantities of the same products
+ * @param {Array} current - Lines kept on the shop visit
+ * @param {Array} incoming - Lines sent by the app
+ * @returns {Boolean}
+ */
+const sameSalesOrders = (current, incoming) => {
+  const totals = lines => lines.reduce((map, line) => {
+    const key = priceKey(line.brandName, line.variant, line.size);
+    map.set(key, (map.get(key) || 0) + Number(line.quantity));
+    return map;
+  }, new Map());
+
+  const a = totals(current || []);
+  const b = totals(incoming || []);
+  return a.size === b.size && [...a].every(([key, quantity]) => b.get(key) === quantity);
+};
+
+module.exports = {
+  getPeriod,
+  buildConsolidation,
+  sameSalesOrders
+};
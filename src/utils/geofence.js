@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// GeoJSON point for shop and distributor coordinates (coordinates are [longitude, latitude])
+const PointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point'
+  },
+  coordinates: {
+    type: [Number],
+    required: [true, 'Coordinates are required'],
+    validate: {
+      validator: coordinates => coordinates.length === 2 &&
+        coordinates[0] >= -180 && coordinates[0] <= 180 &&
+        coordinates[1] >= -90 && coordinates[1] <= 90,
+      message: 'Coordinates must be [longitude, latitude]'
+    }
+  }
+}, { _id: false });
+
+// Position reported by the app when punching in or out
+const CapturedLocationSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  // Reported GPS accuracy in metres
+  accuracy: {
+    type: Number
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Distance from the shop or distributor, when its coordinates are known
+  distanceMeters: {
+    type: Number
+  },
+  withinGeofence: {
+    type: Boolean
+  }
+}, { _id: false });
+
+// Manager review of a flagged punch (made outside the geofence, or with a reused selfie)
+const GeofenceReviewSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Rejected'],
+    default: 'Pending'
+  },
+  comment: {
+    type: String,
+    trim: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+/**
+ * Build a GeoJSON point
+ * @param {Number} latitude - Latitude
+ * @param {Number} longitude - Longitude
+ * @returns {Object} - { type: 'Point', coordinates: [longitude, latitude] }
+ */
+const toPoint = (latitude, longitude) => ({
+  type: 'Point',
+  coordinates: [Number(longitude), Number(latitude)]
+});
+
+/**
+ * Read latitude, longitude and accuracy from a request body
+ * @param {Object} body - Request body
+ * @returns {Object|null} - { latitude, longitude, accuracy }, or null when no position was sent
+ */
+const readCoordinates = (body = {}) => {
+  if (body.latitude === undefined || body.latitude === null || body.latitude === '' ||
+      body.longitude === undefined || body.longitude === null || body.longitude === '') {
+    return null;
+  }
+
+  return {
+    latitude: Number(body.latitude),
+    longitude: Number(body.longitude),
+    accuracy: body.accuracy !== undefined && body.accuracy !== null && body.accuracy !== ''
+      ? Number(body.accuracy)
+      : undefined
+  };
+};
+
+/**
+ * Great-circle distance between two positions
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {Number} - Distance in metres
+ */
+const distanceInMeters = (from, to) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Compare a captured position with the location of a shop or distributor.
+ * The reported accuracy is given the benefit of the doubt, up to the radius itself,
+ * so a poor fix cannot stretch the fence indefinitely.
+ * @param {Object} coordinates - { latitude, longitude, accuracy } from readCoordinates
+ * @param {Object} target - GeoJSON point of the shop or distributor (may be empty)
+ * @param {Date} capturedAt - When the position was taken (default now)
+ * @returns {Object} - Captured location to store, with distanceMeters and withinGeofence when the target has coordinates
+ */
+const checkGeofence = (coordinates, target, capturedAt = new Date()) => {
+  const location = { ...coordinates, capturedAt };
+
+  if (!target || !target.coordinates || target.coordinates.length !== 2) {
+    return location;
+  }
+
+  const { radiusMeters } = config.geofence;
+  const distance = distanceInMeters(coordinates, {
+    latitude: target.coordinates[1],
+    longitude: target.coordinates[0]
+  });
+  const tolerance = Math.min(coordinates.accuracy || 0, radiusMeters);
+
+  location.distanceMeters = Math.round(distance);
+  location.withinGeofence = distance - tolerance <= radiusMeters;
+
+  return location;
+};
+
+/**
+ * Check the position sent with a punch against config.geofence.
+ * A punch that cannot be checked, because no position was sent or the location has no coordinates,
+ * is flagged for review as unverified rather than let through unchecked.
+ * @param {Object} body - Request body with latitude, longitude and accuracy
+ * @param {Object} target - GeoJSON point of the shop or distributor (may be empty)
+ * @param {Date} capturedAt - When the punch was made (default now)
+ * @returns {Object} - { location, flagged, unverified } or { error, code, location } when the punch must be refused
+ */
+const evaluatePunchLocation = (body, target, capturedAt) => {
+  const coordinates = readCoordinates(body);
+
+  if (!coordinates) {
+    if (config.geofence.requireLocation) {
+      return {
+        error: 'Latitude and longitude are required',
+        code: 'LOCATION_REQUIRED'
+      };
+    }
+    return { flagged: true, unverified: true };
+  }
+
+  const location = checkGeofence(coordinates, target, capturedAt);
+  if (location.withinGeofence === undefined) {
+    return { location, flagged: true, unverified: true };
+  }
+
+  const outside = !location.withinGeofence;
+
+  if (outside && config.geofence.mode === 'reject') {
+    return {
+      location,
+      error: `You are ${location.distanceMeters} m away; punches must be within ${config.geofence.radiusMeters} m of the location`,
+      code: 'OUTSIDE_GEOFENCE'
+    };
+  }
+
+  return { location, flagged: outside, unverified: false };
+};
+
+/**
+ * Describe why a punch was flagged, for the logs
+ * @param {Object} punchLocation - Result of evaluatePunchLocation
+ * @returns {String}
+ */
+const describeFlag = (punchLocation) => {
+  if (!punchLocation.unverified) return `${punchLocation.location.distanceMeters} m from`;
+  return punchLocation.location ? 'not checked (no coordinates stored) at' : 'not checked (no position sent) at';
+};
+
+module.exports = {
+  PointSchema,
+  CapturedLocationSchema,
+  GeofenceReviewSchema,
+  toPoint,
+  readCoordinates,
+  distanceInMeters,
+  checkGeofence,
+  evaluatePunchLocation,
+  describeFlag
+};
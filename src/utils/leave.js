@@ -0,0 +1,190 @@
+const Holiday = require('../models/Holiday');
+const LeaveBalance = require('../models/LeaveBalance');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveType = require('../models/LeaveType');
+const { toDateKey, listDays } = require('./attendance');
+
+/**
+ * Get the first and last moment of a calendar year
+ * @param {Number} year - Year
+ * @returns {Object} - { from, to }
+ */
+const getYearRange = (year) => ({
+  from: new Date(year, 0, 1),
+  to: new Date(year, 11, 31, 23, 59, 59, 999)
+});
+
+/**
+ * Get the holidays between two dates
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Promise<Map>} - dateKey -> holiday
+ */
+const getHolidays = async (from, to) => {
+  const start = new Date(from);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(to);
+  end.setHours(23, 59, 59, 999);
+
+  const holidays = await Holiday.find({ date: { $gte: start, $lte: end } })
+    .select('date name')
+    .lean();
+
+  return new Map(holidays.map(holiday => [toDateKey(holiday.date), holiday]));
+};
+
+/**
+ * Count the days of leave taken by a request. Holidays are not counted.
+ * @param {Date} from - First day of leave
+ * @param {Date} to - Last day of leave
+ * @param {Boolean} halfDay - Half a day of single-day leave
+ * @param {Map} holidays - dateKey -> holiday
+ * @returns {Number}
+ */
+const countLeaveDays = (from, to, halfDay, holidays) => {
+  const days = listDays(from, to).filter(dateKey => !holidays.has(dateKey)).length;
+  return halfDay ? days / 2 : days;
+};
+
+/**
+ * Get the days staff members are on approved leave
+ * @param {Array} staffIds - User IDs
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Promise<Map>} - staffId -> dateKey -> { _id, leaveType, halfDay }
+ */
+const getApprovedLeave = async (staffIds, from, to) => {
+  const start = new Date(from);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(to);
+  end.setHours(23, 59, 59, 999);
+
+  const requests = await LeaveRequest.find({
+    staff: { $in: staffIds },
+    status: 'Approved',
+    fromDate: { $lte: end },
+    toDate: { $gte: start }
+  })
+    .select('staff leaveType fromDate toDate halfDay')
+    .populate('leaveType', 'name isPaid')
+    .lean();
+
+  const leave = new Map();
+  staffIds.forEach(staffId => leave.set(staffId.toString(), new Map()));
+
+  requests.forEach(request => {
+    const days = leave.get(request.staff.toString());
+    const first = request.fromDate > start ? request.fromDate : start;
+    const last = request.toDate < end ? request.toDate : end;
+
+    listDays(first, last).forEach(dateKey => {
+      days.set(dateKey, {
+        _id: request._id,
+        leaveType: request.leaveType ? request.leaveType.name : null,
+        isPaid: request.leaveType ? request.leaveType.isPaid : null,
+        halfDay: request.halfDay
+      });
+    });
+  });
+
+  return leave;
+};
+
+/**
+ * Get the holidays and approved leave of staff members between two dates
+ * @param {Array} staffIds - User IDs
+ * @param {Date} from - First day
+ * @param {Date} to - Last day
+ * @returns {Promise<Object>} - { holidays: dateKey -> holiday, leave: staffId -> dateKey -> leave }
+ */
+const getTimeOff = async (staffIds, from, to) => {
+  const [holidays, leave] = await Promise.all([
+    getHolidays(from, to),
+    getApprovedLeave(staffIds, from, to)
+  ]);
+
+  return { holidays, leave };
+};
+
+/**
+ * Tell why a staff member is not working on a day: a holiday or a full day of approved leave.
+ * Half-day leave does not count.
+ * @param {String} staffId - User ID
+ * @param {Date} date - Day
+ * @returns {Promise<Object|null>} - { reason: 'holiday', holiday } or { reason: 'leave', leave }, or null
+ */
+const getDayOff = async (staffId, date) => {
+  const { holidays, leave } = await getTimeOff([staffId], date, date);
+  const dateKey = toDateKey(date);
+
+  if (holidays.has(dateKey)) {
+    return { reason: 'holiday', holiday: holidays.get(dateKey) };
+  }
+
+  const day = leave.get(staffId.toString()).get(dateKey);
+  if (day && !day.halfDay) {
+    return { reason: 'leave', leave: day };
+  }
+
+  return null;
+};
+
+/**
+ * Get the leave balances of a staff member for a year.
+ * Pending requests are held back from the available days until they are reviewed.
+ * @param {String} staffId - User ID
+ * @param {Number} year - Year
+ * @returns {Promise<Array>} - [{ leaveType, allocated, used, pending, available }] (allocated and available are null when unlimited)
+ */
+const getBalances = async (staffId, year) => {
+  const { from, to } = getYearRange(year);
+
+  const [leaveTypes, allocations, requests] = await Promise.all([
+    LeaveType.find().sort({ name: 1 }).lean(),
+    LeaveBalance.find({ staff: staffId, year }).lean(),
+    LeaveRequest.find({
+      staff: staffId,
+      status: { $in: ['Pending', 'Approved'] },
+      fromDate: { $gte: from, $lte: to }
+    })
+      .select('leaveType status days')
+      .lean()
+  ]);
+
+  const allocationByType = new Map(allocations.map(allocation => [allocation.leaveType.toString(), allocation.allocated]));
+
+  return leaveTypes
+    .map(leaveType => {
+      const typeId = leaveType._id.toString();
+      const typeRequests = requests.filter(request => request.leaveType.toString() === typeId);
+      const used = typeRequests.filter(request => request.status === 'Approved').reduce((sum, request) => sum + request.days, 0);
+      const pending = typeRequests.filter(request => request.status === 'Pending').reduce((sum, request) => sum + request.days, 0);
+      const allocated = allocationByType.has(typeId) ? allocationByType.get(typeId) : leaveType.annualQuota;
+
+      return {
+        leaveType: {
+          _id: leaveType._id,
+          name: leaveType.name,
+          isPaid: leaveType.isPaid,
+          allowHalfDay: leaveType.allowHalfDay,
+          isActive: leaveType.isActive
+        },
+        allocated,
+        used,
+        pending,
+        available: allocated === null ? null : allocated - used - pending
+      };
+    })
+    // Inactive types only matter while they still have requests
+    .filter(balance => balance.leaveType.isActive || balance.used > 0 || balance.pending > 0);
+};
+
+module.exports = {
+  getYearRange,
+  getHolidays,
+  countLeaveDays,
+  getApprovedLeave,
+  getTimeOff,
+  getDayOff,
+  getBalances
+};
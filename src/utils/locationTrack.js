@@ -0,0 +1,186 @@
+const config = require('../config/config');
+const LocationPing = require('../models/LocationPing');
+const MarketingStaffActivity = require('../models/MarketingStaffActivity');
+const { distanceInMeters } = require('./geofence');
+const { toDateKey } = require('./attendance');
+
+/**
+ * Build a staff member's path on a day from their location pings.
+ * The path is split into one segment per punch-in; pings less accurate than
+ * LOCATION_MAX_ACCURACY_METERS are left out. Punch-ins and punch-outs are returned as waypoints.
+ * @param {String} staffId - User ID
+ * @param {Date} date - Day
+ * @returns {Promise<Object>} - { date, segments: [{ activityId, points }], waypoints, pings, distanceKm }
+ */
+const buildDayPath = async (staffId, date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+
+  const [pings, punchIns] = await Promise.all([
+    LocationPing.find({
+      staff: staffId,
+      capturedAt: { $gte: start, $lte: end }
+    })
+      .select('activity latitude longitude accuracy speed batteryLevel capturedAt')
+      .sort({ capturedAt: 1 })
+      .lean(),
+    MarketingStaffActivity.find({
+      marketingStaffId: staffId,
+      meetingStartTime: { $gte: start, $lte: end }
+    })
+      .select('retailShop distributor meetingStartTime meetingEndTime punchInLocation punchOutLocation')
+      .sort({ meetingStartTime: 1 })
+      .lean()
+  ]);
+
+  const segments = [];
+  let meters = 0;
+
+  pings
+    .filter(ping => typeof ping.accuracy !== 'number' || ping.accuracy <= config.tracking.maxAccuracyMeters)
+    .forEach(ping => {
+      const activityId = ping.activity ? ping.activity.toString() : null;
+      let segment = segments[segments.length - 1];
+
+      if (!segment || segment.activityId !== activityId) {
+        segment = { activityId, points: [] };
+        segments.push(segment);
+      } else {
+        meters += distanceInMeters(segment.points[segment.points.length - 1], ping);
+      }
+
+      segment.points.push({
+        latitude: ping.latitude,
+        longitude: ping.longitude,
+        accuracy: ping.accuracy,
+        speed: ping.speed,
+        batteryLevel: ping.batteryLevel,
+        time: ping.capturedAt
+      });
+    });
+
+  const waypoints = [];
+  const addWaypoint = (location, fallbackTime, label) => {
+    if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') return;
+    waypoints.push({
+      label,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      time: location.capturedAt || fallbackTime
+    });
+  };
+
+  punchIns.forEach(activity => {
+    const label = activity.distributor || activity.retailShop;
+    addWaypoint(activity.punchInLocation, activity.meetingStartTime, `Punch-in: ${label}`);
+    addWaypoint(activity.punchOutLocation, activity.meetingEndTime, `Punch-out: ${label}`);
+  });
+
+  return {
+    date: toDateKey(start),
+    segments,
+    waypoints,
+    pings: pings.length,
+    distanceKm: Math.round(meters / 10) / 100
+  };
+};
+
+/**
+ * Convert a day's path to a GeoJSON FeatureCollection: a LineString per segment
+ * (a Point when it has a single position) and a Point per waypoint
+ * @param {Object} path - Result of buildDayPath
+ * @param {Object} staff - User ({ _id, name })
+ * @returns {Object}
+ */
+const toGeoJSON = (path, staff) => {
+  const features = path.segments.map(segment => ({
+    type: 'Feature',
+    geometry: segment.points.length > 1
+      ? { type: 'LineString', coordinates: segment.points.map(point => [point.longitude, point.latitude]) }
+      : { type: 'Point', coordinates: [segment.points[0].longitude, segment.points[0].latitude] },
+    properties: {
+      kind: 'track',
+      staffId: staff._id,
+      staffName: staff.name,
+      activityId: segment.activityId,
+      times: segment.points.map(point => point.time)
+    }
+  }));
+
+  path.waypoints.forEach(waypoint => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [waypoint.longitude, waypoint.latitude] },
+      properties: {
+        kind: 'waypoint',
+        label: waypoint.label,
+        time: waypoint.time
+      }
+    });
+  });
+
+  return {
+    type: 'FeatureCollection',
+    properties: {
+      staffId: staff._id,
+      staffName: staff.name,
+      date: path.date,
+      distanceKm: path.distanceKm
+    },
+    features
+  };
+};
+
+/**
+ * Escape text for use in XML
+ * @param {String} value - Text
+ * @returns {String}
+ */
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Convert a day's path to a GPX 1.1 document: waypoints for punch-ins and punch-outs
+ * and one track with a segment per punch-in
+ * @param {Object} path - Result of buildDayPath
+ * @param {Object} staff - User ({ _id, name })
+ * @returns {String}
+ */
+const toGPX = (path, staff) => {
+  const name = escapeXml(`${staff.name} ${path.date}`);
+  const time = value => `<time>${new Date(value).toISOString()}</time>`;
+
+  const waypoints = path.waypoints.map(waypoint =>
+    `  <wpt lat="${waypoint.latitude}" lon="${waypoint.longitude}">${waypoint.time ? time(waypoint.time) : ''}<name>${escapeXml(waypoint.label)}</name></wpt>`);
+
+  const segments = path.segments.map(segment => [
+    '    <trkseg>',
+    ...segment.points.map(point => `      <trkpt lat="${point.latitude}" lon="${point.longitude}">${time(point.time)}</trkpt>`),
+    '    </trkseg>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Kallakuri" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${name}</name></metadata>`,
+    ...waypoints,
+    '  <trk>',
+    `    <name>${name}</name>`,
+    ...segments,
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  buildDayPath,
+  toGeoJSON,
+  toGPX
+};
@@ -0,0 +1,80 @@
+const config = require('../config/config');
+const LoginEvent = require('../models/LoginEvent');
+const logger = require('./logger');
+
+/**
+ * Work out which client a login came from
+ * @param {Object} req - Request object
+ * @returns {String} - 'admin-panel', 'mobile-app' or 'web'
+ */
+const getClient = (req) => {
+  if (req.headers['x-admin-panel'] === 'true') return 'admin-panel';
+  if ((req.originalUrl || '').startsWith('/api/mobile')) return 'mobile-app';
+  return 'web';
+};
+
+/**
+ * Check recent attempts for the same email for suspicious patterns
+ * @param {Object} event - Event about to be recorded
+ * @returns {Promise<Array>} - Flags
+ */
+const detectFlags = async (event) => {
+  const { windowMinutes, distinctIpThreshold, roleMismatchThreshold } = config.loginMonitoring;
+  const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+
+  const recent = await LoginEvent.find({ email: event.email, createdAt: { $gte: since } })
+    .select('ipAddress reason')
+    .lean();
+
+  const flags = [];
+
+  const ips = new Set(recent.map(e => e.ipAddress).filter(Boolean));
+  if (event.ipAddress) ips.add(event.ipAddress);
+  if (ips.size >= distinctIpThreshold) {
+    flags.push('many-ips');
+  }
+
+  if (event.reason === 'role-mismatch') {
+    const mismatches = recent.filter(e => e.reason === 'role-mismatch').length + 1;
+    if (mismatches >= roleMismatchThreshold) {
+      flags.push('role-mismatch');
+    }
+  }
+
+  return flags;
+};
+
+/**
+ * Record a login attempt. Failures are logged rather than thrown so they never block a login.
+ * @param {Object} req - Request object
+ * @param {Object} details - { user, email, outcome, reason, method }
+ * @returns {Promise<Object|undefined>} - Login event
+ */
+exports.recordLoginEvent = async (req, { user, email, outcome, reason, method }) => {
+  try {
+    const event = {
+      user: user ? user._id : undefined,
+      email: String(email || (user && user.email) || '').toLowerCase(),
+      outcome,
+      reason,
+      method,
+      client: getClient(req),
+      roleRequested: (req.body && req.body.role) || undefined,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    };
+
+    event.flags = await detectFlags(event);
+    event.suspicious = event.flags.length > 0;
+
+    const loginEvent = await LoginEvent.create(event);
+
+    if (loginEvent.suspicious) {
+      logger.warn(`Suspicious login activity for ${event.email} from ${event.ipAddress}: ${event.flags.join(', ')}`);
+    }
+
+    return loginEvent;
+  } catch (error) {
+    logger.error(`Error recording login event: ${error.message}`);
+  }
+};
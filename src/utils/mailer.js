@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('./logger');
+
+/**
+ * Mail transports. Each factory returns an object with a `send(message)`
+ * method; register new ones with registerTransport().
+ */
+const transports = {
+  // Development: write the message to the log
+  console: () => ({
+    send: async (message) => {
+      logger.info(`MAIL to ${message.to}: ${message.subject}\n${message.text}`);
+      return { transport: 'console' };
+    }
+  }),
+
+  // Development: write each message to a JSON file
+  file: () => ({
+    send: async (message) => {
+      const dir = path.resolve(config.mail.fileDir);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const filePath = path.join(dir, `${Date.now()}_${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+      fs.writeFileSync(filePath, JSON.stringify({ ...message, date: new Date() }, null, 2));
+
+      return { transport: 'file', path: filePath };
+    }
+  }),
+
+  // Production: deliver through an SMTP server
+  smtp: () => {
+    const nodemailer = require('nodemailer');
+    const { host, port, secure, user, pass } = config.mail.smtp;
+    const transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { transport: 'smtp', messageId: info.messageId };
+      }
+    };
+  }
+};
+
+let activeTransport;
+
+/**
+ * Register a custom mail transport
+ * @param {String} name - Transport name (selected with MAIL_TRANSPORT)
+ * @param {Function} factory - Function returning an object with a send(message) method
+ */
+exports.registerTransport = (name, factory) => {
+  transports[name] = factory;
+  activeTransport = undefined;
+};
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} - Transport instance
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = transports[config.mail.transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - Message options
+ * @param {String} options.to - Recipient address
+ * @param {String} options.cc - Copy recipient address (optional)
+ * @param {String} options.subject - Subject line
+ * @param {String} options.text - Plain text body
+ * @param {String} options.html - HTML body (optional)
+ * @returns {Promise<Object>} - Transport result
+ */
+exports.sendMail = async (options) => {
+  const message = {
+    from: config.mail.from,
+    to: options.to,
+    cc: options.cc,
+    subject: options.subject,
+    text: options.text,
+    html: options.html
+  };
+
+  try {
+    return await getTransport().send(message);
+  } catch (error) {
+    logger.error(`Error sending mail to ${options.to}: ${error.message}`);
+    throw error;
+  }
+};
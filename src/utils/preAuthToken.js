@@ -0,0 +1,52 @@
+const jwt = require('jsonwebtoken');
+const { promisify } = require('util');
+const config = require('../config/config');
+
+// Short-lived tokens issued after the password check when a second factor is still needed.
+// They carry a `purpose` claim so they can never be used as an access token.
+const PURPOSES = {
+  VERIFY: '2fa',
+  SETUP: '2fa-setup'
+};
+
+/**
+ * Sign a pre-auth token
+ * @param {Object} user - User object
+ * @param {String} purpose - One of PURPOSES
+ * @returns {String} - JWT
+ */
+const signPreAuthToken = (user, purpose) => {
+  return jwt.sign(
+    { id: user._id, purpose },
+    config.jwtSecret,
+    {
+      expiresIn: config.twoFactor.preAuthExpiration,
+      algorithm: 'HS256'
+    }
+  );
+};
+
+/**
+ * Verify a pre-auth token
+ * @param {String} token - JWT
+ * @param {String} purpose - Expected purpose
+ * @returns {Object|null} - Decoded payload, or null if invalid, expired or issued for another purpose
+ */
+const verifyPreAuthToken = async (token, purpose) => {
+  if (!token) return null;
+
+  try {
+    const decoded = await promisify(jwt.verify)(token, config.jwtSecret, {
+      algorithms: ['HS256']
+    });
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  PURPOSES,
+  signPreAuthToken,
+  verifyPreAuthToken
+};
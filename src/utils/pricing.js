@@ -0,0 +1,124 @@
+const PriceList = require('../models/PriceList');
+
+/**
+ * Key of a product size in a price list. Names are compared ignoring case and surrounding spaces.
+ * @param {String} brandName - Brand
+ * @param {String} variant - Variant
+ * @param {String} size - Size
+ * @returns {String}
+ */
+const priceKey = (brandName, variant, size) =>
+  [brandName, variant, size].map(value => String(value || '').trim().toLowerCase()).join('|');
+
+/**
+ * Scope of a price list entry
+ * @param {Object} entry - PriceList entry
+ * @returns {String} - 'distributor', 'channel' or 'base'
+ */
+const getPriceScope = (entry) => {
+  if (entry.distributor) return 'distributor';
+  if (entry.channel) return 'channel';
+  return 'base';
+};
+
+/**
+ * How specific an entry is: a distributor price beats a channel price, which beats the base price
+ * @param {Object} entry - PriceList entry
+ * @returns {Number}
+ */
+const specificity = entry => (entry.distributor ? 2 : 0) + (entry.channel ? 1 : 0);
+
+/**
+ * Get the prices in effect on a day for a distributor and channel. For each product size the
+ * most specific entry wins; between entries of the same scope, the one that started last.
+ * @param {Object} options
+ * @param {String} [options.distributorId] - Distributor the goods are sold through
+ * @param {String} [options.channel] - Shop type ('Retailer' or 'Whole Seller')
+ * @param {Date} [options.date] - Day (default now)
+ * @param {Array} [options.brandNames] - Only look up these brands
+ * @returns {Promise<Map>} - priceKey -> entry
+ */
+const getEffectivePrices = async ({ distributorId, channel, date, brandNames } = {}) => {
+  const at = date ? new Date(date) : new Date();
+
+  const query = {
+    effectiveFrom: { $lte: at },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: at } }],
+    distributor: { $in: distributorId ? [null, distributorId] : [null] },
+    channel: { $in: channel ? [null, channel] : [null] }
+  };
+
+  if (brandNames) {
+    query.brandName = { $in: brandNames };
+  }
+
+  const entries = await PriceList.find(query)
+    .collation({ locale: 'en', strength: 2 })
+    .lean();
+
+  const prices = new Map();
+  entries.forEach(entry => {
+    const key = priceKey(entry.brandName, entry.variant, entry.size);
+    const current = prices.get(key);
+
+    if (!current ||
+      specificity(entry) > specificity(current) ||
+      (specificity(entry) === specificity(current) && entry.effectiveFrom > current.effectiveFrom)) {
+      prices.set(key, entry);
+    }
+  });
+
+  return prices;
+};
+
+/**
+ * Round an amount to paise
+ * @param {Number} amount - Rupees
+ * @returns {Number}
+ */
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Stamp the unit price and line total on order lines from the prices in effect.
+ * Lines without a price are kept with a null unit price and left out of the total.
+ * @param {Array} items - Order lines with a brand, variant, size and quantity
+ * @param {Object} options - See getEffectivePrices
+ * @param {String} [options.brandField] - Field of the line holding the brand (default 'brandName')
+ * @returns {Promise<Object>} - { items, totalAmount, unpricedItems }
+ */
+const priceItems = async (items, { brandField = 'brandName', ...options } = {}) => {
+  const brandNames = [...new Set(items.map(item => item[brandField]).filter(Boolean))];
+  const prices = brandNames.length > 0
+    ? await getEffectivePrices({ ...options, brandNames })
+    : new Map();
+
+  let totalAmount = 0;
+  let unpricedItems = 0;
+
+  const pricedItems = items.map(item => {
+    const entry = prices.get(priceKey(item[brandField], item.variant, item.size));
+
+    if (!entry) {
+      unpricedItems += 1;
+      return { ...item, unitPrice: null, lineTotal: null };
+    }
+
+    const lineTotal = roundAmount(entry.price * item.quantity);
+    totalAmount += lineTotal;
+    return { ...item, unitPrice: entry.price, lineTotal };
+  });
+
+  return {
+    items: pricedItems,
+    totalAmount: roundAmount(totalAmount),
+    unpricedItems
+  };
+};
+
+module.exports = {
+  priceKey,
+  getPriceScope,
+  getEffectivePrices,
+  roundAmount,
+  priceItems
+};
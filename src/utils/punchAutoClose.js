@@ -0,0 +1,243 @@
+const config = require('../config/config');
+const MarketingStaffActivity = require('../models/MarketingStaffActivity');
+const RetailerShopActivity = require('../models/RetailerShopActivity');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const logger = require('./logger');
+
+// Punch-outs from this many days back are averaged to estimate the duration of a closed punch-in
+const ESTIMATE_LOOKBACK_DAYS = 30;
+
+let timer = null;
+let running = false;
+
+/**
+ * Punch-ins that started before this time are closed: anything from a previous day,
+ * or open for longer than config.autoClose.maxOpenHours
+ * @returns {Date}
+ */
+const getCutoff = () => {
+  const startOfToday = new Date();
+  startOfToday.setHours(0, 0, 0, 0);
+  const maxOpen = new Date(Date.now() - config.autoClose.maxOpenHours * 60 * 60 * 1000);
+  return maxOpen > startOfToday ? maxOpen : startOfToday;
+};
+
+/**
+ * Average minutes of a staff member's recent punch-ins that were punched out normally
+ * @param {Object} model - MarketingStaffActivity or RetailerShopActivity
+ * @param {Object} match - Conditions selecting the staff member's closed punch-ins
+ * @param {Object} duration - Aggregation expression for the duration in minutes
+ * @returns {Promise<Number>}
+ */
+const getAverageMinutes = async (model, match, duration) => {
+  const [result] = await model.aggregate([
+    { $match: match },
+    { $group: { _id: null, minutes: { $avg: duration } } }
+  ]);
+
+  return result && result.minutes > 0 ? Math.round(result.minutes) : config.autoClose.defaultMinutes;
+};
+
+/**
+ * Estimate how long an abandoned marketing punch-in lasted
+ * @param {Object} activity - Marketing staff activity
+ * @returns {Promise<Number>} - Minutes
+ */
+const estimateMarketingMinutes = (activity) => getAverageMinutes(
+  MarketingStaffActivity,
+  {
+    marketingStaffId: activity.marketingStaffId,
+    status: 'Punched Out',
+    closedBySystem: { $ne: true },
+    durationMinutes: { $gt: 0 },
+    meetingStartTime: { $gte: new Date(Date.now() - ESTIMATE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) }
+  },
+  '$durationMinutes'
+);
+
+/**
+ * Estimate how long an abandoned shop visit lasted
+ * @param {Object} activity - Retailer shop activity
+ * @returns {Promise<Number>} - Minutes
+ */
+const estimateShopVisitMinutes = (activity) => getAverageMinutes(
+  RetailerShopActivity,
+  {
+    marketingStaffId: activity.marketingStaffId,
+    isPunchedIn: false,
+    closedBySystem: { $ne: true },
+    punchOutTime: { $ne: null },
+    punchInTime: { $gte: new Date(Date.now() - ESTIMATE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) }
+  },
+  { $divide: [{ $subtract: ['$punchOutTime', '$punchInTime'] }, 60000] }
+);
+
+/**
+ * End time for a closed punch-in: start plus the estimate, but never in the future
+ * @param {Date} start - Punch-in time
+ * @param {Number} minutes - Estimated minutes
+ * @returns {Date}
+ */
+const getEstimatedEnd = (start, minutes) => new Date(Math.min(new Date(start).getTime() + minutes * 60000, Date.now()));
+
+/**
+ * Tell staff members (and their managers) which punch-ins were closed for them
+ * @param {Map} closedByStaff - staffId -> [{ kind, startedAt, durationMinutes }]
+ * @returns {Promise<void>}
+ */
+const notifyStaff = async (closedByStaff) => {
+  if (closedByStaff.size === 0) return;
+
+  const staff = await User.find({ _id: { $in: [...closedByStaff.keys()] } })
+    .setOptions({ includeInactive: true })
+    .select('name email reportsTo')
+    .populate('reportsTo', 'email');
+
+  for (const member of staff) {
+    const sessions = closedByStaff.get(member._id.toString());
+    const lines = sessions.map(session =>
+      `- ${session.kind} punched in at ${new Date(session.startedAt).toLocaleString()}, closed with an estimated ${session.durationMinutes} minutes`
+    );
+
+    try {
+      await sendMail({
+        to: member.email,
+        cc: member.reportsTo ? member.reportsTo.email : undefined,
+        subject: 'Punch-in closed automatically',
+        text: `Hello ${member.name},\n\n` +
+          'You did not punch out of the following, so the system closed them for you:\n' +
+          `${lines.join('\n')}\n\n` +
+          'The durations are estimates. Please remember to punch out when you leave. ' +
+          'Your manager can review these sessions.'
+      });
+    } catch (error) {
+      // The punch-ins stay closed; the mailer has logged the cause
+      logger.warn(`Could not notify ${member.email} about auto-closed punch-ins`);
+    }
+  }
+};
+
+/**
+ * Close punch-ins that were never punched out of.
+ * Each activity is closed with a conditional update, so several servers can run the job at once.
+ * @param {Object} options - { staffId: only close this staff member's punch-ins }
+ * @returns {Promise<Object>} - { marketingActivities, shopActivities } closed
+ */
+const closeAbandonedPunches = async (options = {}) => {
+  const cutoff = getCutoff();
+  const closedByStaff = new Map();
+  const addClosed = (staffId, session) => {
+    const key = staffId.toString();
+    closedByStaff.set(key, (closedByStaff.get(key) || []).concat(session));
+  };
+
+  const staffFilter = options.staffId ? { marketingStaffId: options.staffId } : {};
+  let marketingActivities = 0;
+  let shopActivities = 0;
+
+  const openActivities = await MarketingStaffActivity.find({
+    ...staffFilter,
+    status: 'Punched In',
+    meetingEndTime: null,
+    meetingStartTime: { $lt: cutoff }
+  }).select('marketingStaffId meetingStartTime distributor');
+
+  for (const activity of openActivities) {
+    const minutes = await estimateMarketingMinutes(activity);
+    const end = getEstimatedEnd(activity.meetingStartTime, minutes);
+
+    const closed = await MarketingStaffActivity.findOneAndUpdate(
+      { _id: activity._id, status: 'Punched In', meetingEndTime: null },
+      {
+        status: 'Punched Out',
+        meetingEndTime: end,
+        durationMinutes: Math.floor((end - activity.meetingStartTime) / 60000),
+        closedBySystem: true,
+        autoClosedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (closed) {
+      marketingActivities += 1;
+      addClosed(closed.marketingStaffId, {
+        kind: `Distributor visit (${closed.distributor})`,
+        startedAt: closed.meetingStartTime,
+        durationMinutes: closed.durationMinutes
+      });
+    }
+  }
+
+  const openShopVisits = await RetailerShopActivity.find({
+    ...staffFilter,
+    isPunchedIn: true,
+    punchInTime: { $lt: cutoff }
+  })
+    .select('marketingStaffId punchInTime shopId')
+    .populate('shopId', 'name');
+
+  for (const activity of openShopVisits) {
+    const minutes = await estimateShopVisitMinutes(activity);
+    const end = getEstimatedEnd(activity.punchInTime, minutes);
+
+    const closed = await RetailerShopActivity.findOneAndUpdate(
+      { _id: activity._id, isPunchedIn: true },
+      {
+        isPunchedIn: false,
+        punchOutTime: end,
+        status: 'Completed',
+        closedBySystem: true,
+        autoClosedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (closed) {
+      shopActivities += 1;
+      addClosed(closed.marketingStaffId, {
+        kind: `Shop visit (${activity.shopId ? activity.shopId.name : 'shop'})`,
+        startedAt: closed.punchInTime,
+        durationMinutes: Math.floor((end - closed.punchInTime) / 60000)
+      });
+    }
+  }
+
+  if (marketingActivities > 0 || shopActivities > 0) {
+    logger.info(`Auto-closed ${marketingActivities} punch-in(s) and ${shopActivities} shop visit(s) started before ${cutoff.toISOString()}`);
+  }
+
+  await notifyStaff(closedByStaff);
+
+  return { marketingActivities, shopActivities };
+};
+
+/**
+ * Run closeAbandonedPunches every config.autoClose.intervalMinutes
+ */
+const start = () => {
+  if (!config.autoClose.enabled || timer) return;
+
+  const run = async () => {
+    // Skip a run while the previous one is still going
+    if (running) return;
+    running = true;
+    try {
+      await closeAbandonedPunches();
+    } catch (error) {
+      logger.error(`Error auto-closing punch-ins: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  timer = setInterval(run, config.autoClose.intervalMinutes * 60 * 1000);
+  timer.unref();
+};
+
+module.exports = {
+  getCutoff,
+  closeAbandonedPunches,
+  start
+};
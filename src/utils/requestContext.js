@@ -0,0 +1,21 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Holds the current request for code that has no access to `req`
+// (e.g. mongoose middleware recording who made a change)
+const storage = new AsyncLocalStorage();
+
+/**
+ * Middleware that makes the request available for the rest of its lifecycle
+ */
+exports.middleware = (req, res, next) => {
+  storage.run({ req }, next);
+};
+
+/**
+ * Get the request currently being handled
+ * @returns {Object|undefined} - Express request object, if inside a request
+ */
+exports.getRequest = () => {
+  const store = storage.getStore();
+  return store ? store.req : undefined;
+};
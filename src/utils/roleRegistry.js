@@ -0,0 +1,117 @@
+const config = require('../config/config');
+const { DEFAULT_ROLES } = require('../config/capabilities');
+const Role = require('../models/Role');
+const logger = require('./logger');
+
+// In-memory copy of the Role collection (name -> capabilities) so authorization
+// checks stay synchronous. Until the collection is loaded the default roles apply.
+let roles = new Map(DEFAULT_ROLES.map(role => [role.name, role.capabilities]));
+let refreshTimer = null;
+
+/**
+ * Reload the roles from the database
+ * @returns {Promise<void>}
+ */
+const refresh = async () => {
+  const documents = await Role.find().select('name capabilities').lean();
+  roles = new Map(documents.map(role => [role.name, role.capabilities]));
+};
+
+/**
+ * Create any missing default roles, load all roles and keep them fresh.
+ * Other server instances pick up role changes within config.roles.refreshSeconds.
+ * @returns {Promise<void>}
+ */
+const initialize = async () => {
+  try {
+    for (const role of DEFAULT_ROLES) {
+      await Role.updateOne(
+        { name: role.name },
+        { $setOnInsert: { ...role, isSystem: true } },
+        { upsert: true }
+      );
+    }
+
+    await refresh();
+    logger.info(`Loaded ${roles.size} role(s)`);
+  } catch (error) {
+    logger.error(`Error loading roles: ${error.message}`);
+  }
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      refresh().catch(error => logger.error(`Error refreshing roles: ${error.message}`));
+    }, config.roles.refreshSeconds * 1000);
+    refreshTimer.unref();
+  }
+};
+
+/**
+ * Get the capabilities of a role
+ * @param {String} roleName - Role name
+ * @returns {Array} - Capability keys (empty for unknown roles)
+ */
+const getCapabilities = (roleName) => roles.get(roleName) || [];
+
+/**
+ * Check whether a user's role holds any of the capabilities
+ * @param {Object} user - User (or populated user) with a role
+ * @param {...String} capabilities - Capability keys
+ * @returns {Boolean}
+ */
+const hasCapability = (user, ...capabilities) => {
+  if (!user || !user.role) return false;
+  const held = getCapabilities(user.role);
+  return capabilities.some(capability => held.includes(capability));
+};
+
+/**
+ * Check whether a role exists
+ * @param {String} roleName - Role name
+ * @returns {Boolean}
+ */
+const roleExists = (roleName) => roles.has(roleName);
+
+/**
+ * Check whether an actor may give a role to a staff member
+ * @param {String} roleName - Role to assign
+ * @param {Object} actor - User assigning the role
+ * @returns {String|null} - Error message, or null when allowed
+ */
+const getRoleAssignmentError = (roleName, actor) => {
+  if (!roleExists(roleName)) {
+    return `Role '${roleName}' does not exist`;
+  }
+
+  const capabilities = getCapabilities(roleName);
+
+  // Sub admins need permissions, which only the sub-admin endpoints set
+  if (capabilities.includes('sub-admin')) {
+    return 'Sub admins must be created through /api/auth/sub-admins';
+  }
+
+  if (capabilities.includes('admin') && !hasCapability(actor, 'admin')) {
+    return 'Only admins can assign an admin role';
+  }
+
+  return null;
+};
+
+/**
+ * Get the names of the roles holding any of the capabilities
+ * @param {...String} capabilities - Capability keys
+ * @returns {Array} - Role names
+ */
+const getRoleNamesWith = (...capabilities) => [...roles.entries()]
+  .filter(([, held]) => capabilities.some(capability => held.includes(capability)))
+  .map(([name]) => name);
+
+module.exports = {
+  initialize,
+  refresh,
+  getCapabilities,
+  hasCapability,
+  roleExists,
+  getRoleAssignmentError,
+  getRoleNamesWith
+};
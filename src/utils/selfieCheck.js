@@ -0,0 +1,128 @@
+const sharp = require('sharp');
+const config = require('../config/config');
+const MarketingStaffActivity = require('../models/MarketingStaffActivity');
+
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Tell the image type from the file's first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {String|null} - 'jpeg', 'png' or null
+ */
+const detectImageType = (buffer) => {
+  if (buffer.length >= JPEG_SIGNATURE.length && buffer.subarray(0, JPEG_SIGNATURE.length).equals(JPEG_SIGNATURE)) {
+    return 'jpeg';
+  }
+  if (buffer.length >= PNG_SIGNATURE.length && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  return null;
+};
+
+/**
+ * Decode a base64 selfie (with or without a data URL prefix) and make sure it is a real JPEG or PNG image
+ * @param {String} selfieImage - Base64 image
+ * @returns {Promise<Object>} - { buffer, type } or { error }
+ */
+const decodeSelfie = async (selfieImage) => {
+  if (typeof selfieImage !== 'string') {
+    return { error: 'Selfie image must be a base64 encoded JPEG or PNG image' };
+  }
+
+  const buffer = Buffer.from(selfieImage.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+  const type = detectImageType(buffer);
+
+  if (!type) {
+    return { error: 'Selfie image must be a base64 encoded JPEG or PNG image' };
+  }
+
+  // The signature alone is easy to fake; the image must also decode
+  try {
+    const metadata = await sharp(buffer).metadata();
+    if (metadata.format !== type || !metadata.width || !metadata.height) {
+      return { error: 'Selfie image could not be read' };
+    }
+  } catch (error) {
+    return { error: 'Selfie image could not be read' };
+  }
+
+  return { buffer, type };
+};
+
+/**
+ * Compute the perceptual (difference) hash of an image: the image is shrunk to 9x8 grey pixels and
+ * each bit tells whether a pixel is brighter than its right neighbour. Re-saved, resized or slightly
+ * recompressed copies of a photo get the same or a very close hash.
+ * @param {Buffer} buffer - Image
+ * @returns {Promise<String>} - 64-bit hash as 16 hex characters
+ */
+const computeHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash = (hash << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Count the bits that differ between two hashes
+ * @param {String} a - Hash
+ * @param {String} b - Hash
+ * @returns {Number}
+ */
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+/**
+ * Find the staff member's most similar recent selfie, if it is a near-duplicate
+ * @param {String} staffId - User ID
+ * @param {String} hash - Hash of the new selfie
+ * @returns {Promise<Object|null>} - { activity, distance }
+ */
+const findSimilarSelfie = async (staffId, hash) => {
+  const { lookbackDays, hashThreshold } = config.selfie;
+
+  const recent = await MarketingStaffActivity.find({
+    marketingStaffId: staffId,
+    meetingStartTime: { $gte: new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000) },
+    selfieHash: { $exists: true }
+  })
+    .select('selfieHash')
+    .lean();
+
+  let closest = null;
+  recent.forEach(activity => {
+    const distance = hammingDistance(hash, activity.selfieHash);
+    if (distance <= hashThreshold && (!closest || distance < closest.distance)) {
+      closest = { activity: activity._id, distance };
+    }
+  });
+
+  return closest;
+};
+
+module.exports = {
+  detectImageType,
+  decodeSelfie,
+  computeHash,
+  hammingDistance,
+  findSimilarSelfie
+};
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const Session = require('../models/Session');
+const logger = require('./logger');
+
+const PLATFORMS = ['web', 'android', 'ios'];
+
+/**
+ * Hash a refresh token for storage/lookup
+ * @param {String} token - Raw refresh token
+ * @returns {String} - SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a new random refresh token
+ * @returns {String} - Raw refresh token
+ */
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+/**
+ * Read device details sent by the client (body fields take precedence over headers)
+ * @param {Object} req - Request object
+ * @returns {Object} - Device information
+ */
+const getDeviceInfo = (req) => {
+  const body = req.body || {};
+  const deviceId = body.deviceId || req.headers['x-device-id'];
+  const deviceName = body.deviceName || req.headers['x-device-name'];
+  let platform = (body.platform || req.headers['x-device-platform'] || '').toLowerCase();
+
+  if (!PLATFORMS.includes(platform)) {
+    platform = req.headers['x-admin-panel'] === 'true' ? 'web' : 'other';
+  }
+
+  return {
+    deviceId: deviceId ? String(deviceId) : undefined,
+    deviceName: deviceName ? String(deviceName) : undefined,
+    platform,
+    userAgent: req.headers['user-agent'],
+    ipAddress: req.ip
+  };
+};
+
+/**
+ * Create a new session for a user. An existing active session for the same
+ * device is revoked so each device holds at most one session.
+ * @param {Object} user - User document
+ * @param {Object} req - Request object
+ * @returns {Promise<Object>} - { session, refreshToken }
+ */
+exports.createSession = async (user, req) => {
+  const device = getDeviceInfo(req);
+  const refreshToken = generateRefreshToken();
+
+  if (device.deviceId) {
+    await Session.updateMany(
+      { user: user._id, deviceId: device.deviceId, revokedAt: null },
+      { revokedAt: Date.now(), revokedReason: 'replaced' }
+    );
+  }
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...device,
+    expiresAt: new Date(Date.now() + config.refreshTokenExpiration * 1000)
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation). Presenting a token that
+ * has already been rotated out revokes the session, since it means the token
+ * was copied.
+ * @param {String} refreshToken - Raw refresh token sent by the client
+ * @param {Object} req - Request object
+ * @returns {Promise<Object|null>} - { session, refreshToken } or null if the token is not usable
+ */
+exports.rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateRefreshToken();
+
+  // Swap the token in one step, matching the current hash, so two refreshes with the
+  // same token cannot both succeed; the second one is treated as reuse below
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      previousTokenHash: tokenHash,
+      refreshTokenHash: hashToken(newRefreshToken),
+      lastUsedAt: Date.now(),
+      ipAddress: req.ip,
+      ...(req.headers['user-agent'] ? { userAgent: req.headers['user-agent'] } : {}),
+      expiresAt: new Date(Date.now() + config.refreshTokenExpiration * 1000)
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: newRefreshToken };
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { previousTokenHash: tokenHash, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: 'reuse-detected' },
+    { new: true }
+  );
+  if (reused) {
+    logger.warn(`Refresh token reuse detected for session ${reused._id} of user ${reused.user}`);
+  }
+
+  // Revoked, expired or unknown token
+  return null;
+};
+
+/**
+ * Find the session a refresh token belongs to without rotating it
+ * @param {String} refreshToken - Raw refresh token
+ * @returns {Promise<Object|null>} - Session document
+ */
+exports.findSessionByToken = async (refreshToken) => {
+  return Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+};
+
+/**
+ * Revoke a single session
+ * @param {Object} session - Session document
+ * @param {String} reason - Revocation reason
+ * @param {String} revokedBy - ID of the user revoking the session
+ * @returns {Promise<Object>} - Updated session
+ */
+exports.revokeSession = async (session, reason, revokedBy) => {
+  if (session.revokedAt) {
+    return session;
+  }
+
+  session.revokedAt = Date.now();
+  session.revokedReason = reason;
+  if (revokedBy) session.revokedBy = revokedBy;
+
+  return session.save();
+};
+
+/**
+ * Revoke all active sessions of a user
+ * @param {String} userId - User ID
+ * @param {Object} options - { reason, revokedBy, exceptSessionId }
+ * @returns {Promise<Number>} - Number of revoked sessions
+ */
+exports.revokeUserSessions = async (userId, options = {}) => {
+  const { reason = 'user', revokedBy, exceptSessionId } = options;
+
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const update = { revokedAt: Date.now(), revokedReason: reason };
+  if (revokedBy) update.revokedBy = revokedBy;
+
+  const result = await Session.updateMany(query, update);
+  return result.modifiedCount;
+};
+
+/**
+ * List active sessions of a user, most recently used first
+ * @param {String} userId - User ID
+ * @returns {Promise<Array>} - Session documents
+ */
+exports.getActiveSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+exports.hashToken = hashToken;
@@ -0,0 +1,120 @@
+const RetailerShopActivity = require('../models/RetailerShopActivity');
+const Shop = require('../models/Shop');
+const User = require('../models/User');
+
+// Periods (in days) over which visits are counted
+const COVERAGE_WINDOWS = [30, 60, 90];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight (server time) of a date
+ * @param {Date|String} date - Date
+ * @returns {Date}
+ */
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Build the visit coverage of active shops, grouped by distributor.
+ * A shop is 'not visited' when it was never visited or its last visit is more than thresholdDays days ago.
+ * @param {Object} shopQuery - Conditions on Shop (e.g. distributorId); only active shops are included
+ * @param {Number} thresholdDays - Days without a visit before a shop is reported
+ * @returns {Promise<Object>} - { distributors: [{ distributor, shops, summary }], summary }
+ */
+const buildCoverage = async (shopQuery, thresholdDays) => {
+  const shops = await Shop.find({ ...shopQuery, isActive: true })
+    .select('name ownerName address type distributorId')
+    .populate('distributorId', 'name shopName')
+    .sort({ name: 1 })
+    .lean();
+
+  const today = startOfDay(new Date());
+  const windowStarts = COVERAGE_WINDOWS.map(days => new Date(today.getTime() - (days - 1) * DAY_MS));
+
+  const visits = await RetailerShopActivity.aggregate([
+    { $match: { shopId: { $in: shops.map(shop => shop._id) } } },
+    { $sort: { punchInTime: -1 } },
+    {
+      $group: {
+        _id: '$shopId',
+        lastVisit: { $first: '$punchInTime' },
+        lastVisitedBy: { $first: '$marketingStaffId' },
+        ...Object.fromEntries(COVERAGE_WINDOWS.map((days, index) => [
+          `last${days}`,
+          { $sum: { $cond: [{ $gte: ['$punchInTime', windowStarts[index]] }, 1, 0] } }
+        ]))
+      }
+    }
+  ]);
+
+  const visitsByShop = new Map(visits.map(visit => [visit._id.toString(), visit]));
+
+  const staffIds = [...new Set(visits.map(visit => visit.lastVisitedBy.toString()))];
+  const staff = await User.find({ _id: { $in: staffIds } })
+    .setOptions({ includeInactive: true })
+    .select('name')
+    .lean();
+  const staffNames = new Map(staff.map(member => [member._id.toString(), member.name]));
+
+  const summary = { shops: 0, notVisited: 0, neverVisited: 0 };
+  const byDistributor = new Map();
+
+  shops.forEach(shop => {
+    const visit = visitsByShop.get(shop._id.toString());
+    const daysSinceLastVisit = visit
+      ? Math.round((today - startOfDay(visit.lastVisit)) / DAY_MS)
+      : null;
+    const notVisited = !visit || daysSinceLastVisit > thresholdDays;
+
+    const row = {
+      shop: {
+        _id: shop._id,
+        name: shop.name,
+        ownerName: shop.ownerName,
+        address: shop.address,
+        type: shop.type
+      },
+      lastVisit: visit ? visit.lastVisit : null,
+      lastVisitedBy: visit
+        ? { _id: visit.lastVisitedBy, name: staffNames.get(visit.lastVisitedBy.toString()) || null }
+        : null,
+      daysSinceLastVisit,
+      visits: Object.fromEntries(COVERAGE_WINDOWS.map(days => [`last${days}Days`, visit ? visit[`last${days}`] : 0])),
+      notVisited
+    };
+
+    const distributorId = shop.distributorId ? shop.distributorId._id.toString() : 'none';
+    if (!byDistributor.has(distributorId)) {
+      byDistributor.set(distributorId, {
+        distributor: shop.distributorId || null,
+        shops: [],
+        summary: { shops: 0, notVisited: 0, neverVisited: 0 }
+      });
+    }
+    const group = byDistributor.get(distributorId);
+
+    group.shops.push(row);
+    [group.summary, summary].forEach(counts => {
+      counts.shops += 1;
+      if (notVisited) counts.notVisited += 1;
+      if (!visit) counts.neverVisited += 1;
+    });
+  });
+
+  const distributors = [...byDistributor.values()].sort((a, b) => {
+    const nameA = a.distributor ? a.distributor.name : '';
+    const nameB = b.distributor ? b.distributor.name : '';
+    return nameA.localeCompare(nameB);
+  });
+
+  return { distributors, summary };
+};
+
+module.exports = {
+  COVERAGE_WINDOWS,
+  buildCoverage
+};
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const User = require('../models/User');
+const { hasCapability, getRoleAssignmentError } = require('./roleRegistry');
+
+const MAX_ROWS = 500;
+
+// Accepted header spellings for each column
+const COLUMN_ALIASES = {
+  name: ['name', 'full name', 'staff name'],
+  email: ['email', 'email address', 'e-mail'],
+  role: ['role', 'designation'],
+  manager: ['manager', 'manager email', 'reports to'],
+  phone: ['phone', 'phone number', 'mobile', 'mobile number']
+};
+
+/**
+ * Get the plain text of an ExcelJS cell value (hyperlinks, rich text and formulas included)
+ * @param {*} value - Cell value
+ * @returns {String}
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+};
+
+/**
+ * Read the rows of an uploaded staff sheet
+ * @param {Buffer} buffer - File contents
+ * @param {String} filename - Original file name (.xlsx or .csv)
+ * @returns {Promise<Array>} - [{ row, name, email, role, manager, phone }]
+ */
+const parseStaffFile = async (buffer, filename) => {
+  const workbook = new ExcelJS.Workbook();
+  const extension = path.extname(filename || '').toLowerCase();
+
+  if (extension === '.csv') {
+    await workbook.csv.read(Readable.from(buffer.toString('utf8').replace(/^﻿/, '')));
+  } else if (extension === '.xlsx') {
+    await workbook.xlsx.load(buffer);
+  } else {
+    throw new Error('Only .xlsx and .csv files are supported');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount < 2) {
+    throw new Error('The file has no staff rows');
+  }
+
+  // Map each known column to its position in the header row
+  const columns = {};
+  sheet.getRow(1).eachCell((cell, columnNumber) => {
+    const header = cellText(cell.value).toLowerCase();
+    Object.keys(COLUMN_ALIASES).forEach(field => {
+      if (COLUMN_ALIASES[field].includes(header)) {
+        columns[field] = columnNumber;
+      }
+    });
+  });
+
+  const missing = ['name', 'email', 'role'].filter(field => !columns[field]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required column(s): ${missing.join(', ')}`);
+  }
+
+  const rows = [];
+  sheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    Object.keys(columns).forEach(field => {
+      values[field] = cellText(sheetRow.getCell(columns[field]).value);
+    });
+
+    // Skip blank lines
+    if (!Object.values(values).some(Boolean)) return;
+
+    rows.push({
+      row: rowNumber,
+      name: values.name || '',
+      email: (values.email || '').toLowerCase(),
+      role: values.role || '',
+      manager: (values.manager || '').toLowerCase(),
+      phone: values.phone || ''
+    });
+  });
+
+  if (rows.length === 0) {
+    throw new Error('The file has no staff rows');
+  }
+
+  if (rows.length > MAX_ROWS) {
+    throw new Error(`A file can contain at most ${MAX_ROWS} staff rows`);
+  }
+
+  return rows;
+};
+
+/**
+ * Validate staff rows against the User schema, each other and existing users.
+ * The manager column holds the email of an existing manager or of a manager row in the same file.
+ * @param {Array} rows - Parsed rows
+ * @param {Object} actor - User performing the import
+ * @returns {Promise<Array>} - Rows with `errors` (array of messages) and `managerId` for existing managers
+ */
+const validateStaffRows = async (rows, actor) => {
+  const emails = rows.map(row => row.email).filter(Boolean);
+  const managerEmails = rows.map(row => row.manager).filter(Boolean);
+
+  const existingUsers = await User.find({ email: { $in: [...new Set([...emails, ...managerEmails])] } })
+    .setOptions({ includeInactive: true })
+    .select('email role');
+  const existingByEmail = new Map(existingUsers.map(user => [user.email, user]));
+
+  const rowsByEmail = new Map();
+  rows.forEach(row => {
+    if (!row.email) return;
+    rowsByEmail.set(row.email, (rowsByEmail.get(row.email) || []).concat(row));
+  });
+
+  return rows.map(row => {
+    const errors = [];
+
+    // Same role rules as POST /api/staff
+    const roleError = getRoleAssignmentError(row.role, actor);
+    if (roleError) {
+      errors.push(roleError);
+    }
+
+    // Schema rules (required fields, lengths, email and phone formats)
+    const validationError = new User({
+      name: row.name,
+      email: row.email,
+      phone: row.phone || undefined,
+      password: 'placeholder',
+      role: roleError ? undefined : row.role
+    }).validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach(error => errors.push(error.message));
+    }
+
+    if (row.email && existingByEmail.has(row.email)) {
+      errors.push('A staff member with this email already exists');
+    }
+
+    if (row.email && rowsByEmail.get(row.email).length > 1) {
+      errors.push(`Email is repeated on rows ${rowsByEmail.get(row.email).map(r => r.row).join(', ')}`);
+    }
+
+    let managerId;
+    if (row.manager) {
+      const existingManager = existingByEmail.get(row.manager);
+      const managerRows = rowsByEmail.get(row.manager) || [];
+
+      if (row.manager === row.email) {
+        errors.push('A staff member cannot report to themselves');
+      } else if (existingManager) {
+        if (hasCapability(existingManager, 'admin', 'team-management')) {
+          managerId = existingManager._id;
+        } else {
+          errors.push('Manager must have an admin or team management role');
+        }
+      } else if (managerRows.length === 1) {
+        if (!hasCapability(managerRows[0], 'admin', 'team-management')) {
+          errors.push('Manager must have an admin or team management role');
+        } else {
+          // Reject loops between managers listed in the same file
+          const visited = new Set([row.email]);
+          let current = managerRows[0];
+          while (current && current.manager && !existingByEmail.has(current.manager)) {
+            if (visited.has(current.manager)) {
+              errors.push('Reporting lines in the file form a loop');
+              break;
+            }
+            visited.add(current.email);
+            current = (rowsByEmail.get(current.manager) || [])[0];
+          }
+        }
+      } else if (managerRows.length === 0) {
+        errors.push('Manager was not found');
+      }
+    }
+
+    return { ...row, managerId, errors };
+  });
+};
+
+/**
+ * Generate a temporary password that passes the staff password rules
+ * @returns {String}
+ */
+const generateTemporaryPassword = () => {
+  const sets = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789', '@$!%*?&'];
+  const all = sets.join('');
+
+  // One character from each set, then fill up to 12 characters
+  const chars = sets.map(set => set[crypto.randomInt(set.length)]);
+  while (chars.length < 12) {
+    chars.push(all[crypto.randomInt(all.length)]);
+  }
+
+  // Shuffle so the required characters are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+
+  return chars.join('');
+};
+
+module.exports = {
+  MAX_ROWS,
+  parseStaffFile,
+  validateStaffRows,
+  generateTemporaryPassword
+};
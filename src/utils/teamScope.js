@@ -0,0 +1,71 @@
+const User = require('../models/User');
+
+/**
+ * Get the staff reporting to a manager
+ * @param {String} managerId - Manager's user ID
+ * @param {Object} options - { recursive: include reports of reports (default true) }
+ * @returns {Promise<Array>} - User ObjectIds (inactive staff included so their history stays visible)
+ */
+const getTeamMemberIds = async (managerId, options = {}) => {
+  const { recursive = true } = options;
+  const visited = new Set([managerId.toString()]);
+  const members = [];
+  let frontier = [managerId];
+
+  while (frontier.length > 0) {
+    const reports = await User.find({ reportsTo: { $in: frontier } })
+      .setOptions({ includeInactive: true })
+      .select('_id');
+
+    // Guard against cycles in badly edited data
+    frontier = reports
+      .map(report => report._id)
+      .filter(id => !visited.has(id.toString()));
+    frontier.forEach(id => visited.add(id.toString()));
+    members.push(...frontier);
+
+    if (!recursive) break;
+  }
+
+  return members;
+};
+
+/**
+ * Check whether a user reports (directly or indirectly) to a manager
+ * @param {String} managerId - Manager's user ID
+ * @param {String} userId - User ID to check
+ * @returns {Promise<Boolean>}
+ */
+const isInTeam = async (managerId, userId) => {
+  const members = await getTeamMemberIds(managerId);
+  return members.some(id => id.toString() === userId.toString());
+};
+
+/**
+ * Restrict a listing to the caller's team when `?team=true` is passed
+ * @param {Object} req - Request object (after protect)
+ * @param {Object} query - Query conditions (modified in place)
+ * @param {String} field - Path holding the staff member's ID
+ * @param {Object} [options] - { always: restrict even without `?team=true` }
+ * @returns {Promise<Object>} - The same query
+ */
+const scopeQueryToTeam = async (req, query, field, { always = false } = {}) => {
+  if (!always && String(req.query.team) !== 'true') return query;
+
+  const members = await getTeamMemberIds(req.user._id);
+
+  // Keep any staff filter the caller already applied
+  if (query[field] !== undefined) {
+    query.$and = (query.$and || []).concat({ [field]: { $in: members } });
+  } else {
+    query[field] = { $in: members };
+  }
+
+  return query;
+};
+
+module.exports = {
+  getTeamMemberIds,
+  isInTeam,
+  scopeQueryToTeam
+};
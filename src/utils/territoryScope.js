@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Territory = require('../models/Territory');
+const { hasCapability } = require('./roleRegistry');
+
+/**
+ * Get the distributors covered by a set of territories. Regions include all of their areas.
+ * @param {Array} territoryIds - Territory IDs (regions or areas)
+ * @returns {Promise<Array>} - Distributor ObjectIds
+ */
+const getTerritoryDistributorIds = async (territoryIds) => {
+  if (!territoryIds || territoryIds.length === 0) return [];
+
+  const territories = await Territory.find({
+    active: true,
+    $or: [
+      { _id: { $in: territoryIds } },
+      { parent: { $in: territoryIds } }
+    ]
+  }).select('distributors');
+
+  const ids = new Set();
+  territories.forEach(territory => {
+    territory.distributors.forEach(id => ids.add(id.toString()));
+  });
+
+  return [...ids].map(id => new mongoose.Types.ObjectId(id));
+};
+
+/**
+ * Get the distributors the current user may see. Cached on the request.
+ * @param {Object} req - Request object (after protect)
+ * @returns {Promise<Array|null>} - Distributor ObjectIds, or null when the user is not restricted
+ */
+const getDistributorScope = async (req) => {
+  if (req.distributorScope !== undefined) return req.distributorScope;
+
+  let scope = null;
+  // Only roles with the 'territory-scoped' capability are limited to their territories
+  if (hasCapability(req.user, 'territory-scoped')) {
+    const territories = req.user.territories || [];
+    if (territories.length > 0) {
+      scope = await getTerritoryDistributorIds(territories);
+    } else if (config.territory.strict) {
+      scope = [];
+    }
+  }
+
+  req.distributorScope = scope;
+  return scope;
+};
+
+/**
+ * Restrict a find query or aggregation $match to the user's distributors
+ * @param {Object} req - Request object
+ * @param {Object} query - Query conditions (modified in place)
+ * @param {String} field - Path holding the distributor ID
+ * @returns {Promise<Object>} - The same query
+ */
+const scopeQuery = async (req, query, field = 'distributorId') => {
+  const scope = await getDistributorScope(req);
+  if (scope === null) return query;
+
+  // Keep any distributor filter the caller already applied
+  if (query[field] !== undefined) {
+    query.$and = (query.$and || []).concat({ [field]: { $in: scope } });
+  } else {
+    query[field] = { $in: scope };
+  }
+
+  return query;
+};
+
+/**
+ * Check whether the user may see records of a distributor
+ * @param {Object} req - Request object
+ * @param {String|Object} distributorId - Distributor ID or populated distributor
+ * @returns {Promise<Boolean>}
+ */
+const canAccessDistributor = async (req, distributorId) => {
+  const scope = await getDistributorScope(req);
+  if (scope === null) return true;
+  if (!distributorId) return false;
+
+  const id = (distributorId._id || distributorId).toString();
+  return scope.some(scopedId => scopedId.toString() === id);
+};
+
+module.exports = {
+  getTerritoryDistributorIds,
+  getDistributorScope,
+  scopeQuery,
+  canAccessDistributor
+};
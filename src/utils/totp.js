@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (compatible with Google Authenticator, Authy, etc.)
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string
+ * @param {String} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret
+ * @returns {String} - Base32 encoded 160-bit secret
+ */
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Get the time step for a point in time
+ * @param {Number} time - Milliseconds since epoch
+ * @returns {Number} - Time step counter
+ */
+const getStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code for a time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step counter
+ * @returns {String} - Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Generate the current code for a secret
+ * @param {String} secret - Base32 secret
+ * @param {Number} time - Milliseconds since epoch (defaults to now)
+ * @returns {String} - Code
+ */
+exports.generateCode = (secret, time) => generateCode(secret, getStep(time));
+
+/**
+ * Verify a code, allowing for clock drift of `window` steps either side
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Object} options - { window, time }
+ * @returns {Number|null} - Matched time step, or null if the code is invalid
+ */
+exports.verifyCode = (secret, code, options = {}) => {
+  const { window = 1, time } = options;
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+    return null;
+  }
+
+  const currentStep = getStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually via QR code)
+ * @param {String} secret - Base32 secret
+ * @param {String} accountName - Account label (e.g. the user's email)
+ * @param {String} issuer - Service name shown in the app
+ * @returns {String} - otpauth URI
+ */
+exports.buildOtpAuthUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = `secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+  return `otpauth://totp/${label}?${params}`;
+};
@@ -0,0 +1,150 @@
+const config = require('../config/config');
+const MarketingStaffActivity = require('../models/MarketingStaffActivity');
+const RetailerShopActivity = require('../models/RetailerShopActivity');
+const Setting = require('../models/Setting');
+const { distanceInMeters } = require('./geofence');
+
+// Setting key holding { ratesPerKm: { <mode>: <amount> }, dailyAllowance }
+const TRAVEL_RATES_SETTING = 'travelRates';
+
+/**
+ * Get the travel allowance rates, falling back to the configured defaults
+ * @returns {Promise<Object>} - { ratesPerKm, defaultRatePerKm, dailyAllowance }
+ */
+const getRates = async () => {
+  const saved = await Setting.getValue(TRAVEL_RATES_SETTING, {});
+
+  return {
+    ratesPerKm: saved.ratesPerKm || {},
+    defaultRatePerKm: config.travel.defaultRatePerKm,
+    dailyAllowance: typeof saved.dailyAllowance === 'number' ? saved.dailyAllowance : config.travel.dailyAllowance
+  };
+};
+
+/**
+ * Find the rate per km of a mode of transport (mode names are matched case-insensitively)
+ * @param {Object} rates - Result of getRates
+ * @param {String} mode - Mode of transport
+ * @returns {Number}
+ */
+const getRateForMode = (rates, mode) => {
+  const key = Object.keys(rates.ratesPerKm).find(name => name.toLowerCase() === String(mode || '').trim().toLowerCase());
+  return key ? rates.ratesPerKm[key] : rates.defaultRatePerKm;
+};
+
+/**
+ * Build a staff member's route for a day from the positions captured on punch-ins and shop visits.
+ * Distances are straight lines between consecutive positions.
+ * @param {String} staffId - User ID
+ * @param {Date} date - Day
+ * @returns {Promise<Object>} - { points, distanceKm, modeOfTransport, modes, companions, punchIns, shopVisits }
+ */
+const buildDayRoute = async (staffId, date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(date);
+  end.setHours(23, 59, 59, 999);
+
+  const [punchIns, shopVisits] = await Promise.all([
+    MarketingStaffActivity.find({
+      marketingStaffId: staffId,
+      meetingStartTime: { $gte: start, $lte: end }
+    })
+      .select('retailShop distributor modeOfTransport tripCompanion meetingStartTime meetingEndTime punchInLocation punchOutLocation')
+      .lean(),
+    RetailerShopActivity.find({
+      marketingStaffId: staffId,
+      punchInTime: { $gte: start, $lte: end }
+    })
+      .select('shopId punchInTime punchOutTime punchInLocation punchOutLocation')
+      .populate('shopId', 'name')
+      .lean()
+  ]);
+
+  const points = [];
+  const addPoint = (location, fallbackTime, label, activityId) => {
+    if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') return;
+    if (typeof location.accuracy === 'number' && location.accuracy > config.travel.maxAccuracyMeters) return;
+
+    points.push({
+      activityId,
+      label,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      time: location.capturedAt || fallbackTime
+    });
+  };
+
+  punchIns.forEach(activity => {
+    const label = activity.distributor || activity.retailShop;
+    addPoint(activity.punchInLocation, activity.meetingStartTime, `Punch-in: ${label}`, activity._id);
+    addPoint(activity.punchOutLocation, activity.meetingEndTime, `Punch-out: ${label}`, activity._id);
+  });
+  shopVisits.forEach(visit => {
+    const label = visit.shopId ? visit.shopId.name : 'Shop';
+    addPoint(visit.punchInLocation, visit.punchInTime, `Visit: ${label}`, visit._id);
+    addPoint(visit.punchOutLocation, visit.punchOutTime, `Visit end: ${label}`, visit._id);
+  });
+
+  points.sort((a, b) => new Date(a.time) - new Date(b.time));
+
+  let meters = 0;
+  for (let i = 1; i < points.length; i++) {
+    meters += distanceInMeters(points[i - 1], points[i]);
+  }
+
+  // The mode of transport used on most punch-ins of the day
+  const modeCounts = new Map();
+  punchIns.forEach(activity => {
+    const mode = (activity.modeOfTransport || '').trim();
+    if (mode) modeCounts.set(mode, (modeCounts.get(mode) || 0) + 1);
+  });
+  const modes = [...modeCounts.keys()];
+  const modeOfTransport = modes.sort((a, b) => modeCounts.get(b) - modeCounts.get(a))[0] || null;
+
+  const companions = punchIns
+    .filter(activity => activity.tripCompanion && activity.tripCompanion.name)
+    .map(activity => ({
+      category: activity.tripCompanion.category,
+      name: activity.tripCompanion.name
+    }))
+    .filter((companion, index, all) => all.findIndex(other => other.name === companion.name && other.category === companion.category) === index);
+
+  return {
+    points,
+    distanceKm: Math.round(meters / 10) / 100,
+    modeOfTransport,
+    modes,
+    companions,
+    punchIns: punchIns.length,
+    shopVisits: shopVisits.length
+  };
+};
+
+/**
+ * Work out the amounts of a day's claim
+ * @param {Object} rates - Result of getRates
+ * @param {Object} claim - { distanceKm, modeOfTransport, otherExpenses }
+ * @returns {Object} - { ratePerKm, travelAllowance, dailyAllowance, otherExpenses, totalAmount }
+ */
+const calculateClaimAmounts = (rates, { distanceKm, modeOfTransport, otherExpenses = 0 }) => {
+  const round = amount => Math.round(amount * 100) / 100;
+  const ratePerKm = getRateForMode(rates, modeOfTransport);
+  const travelAllowance = round(distanceKm * ratePerKm);
+
+  return {
+    ratePerKm,
+    travelAllowance,
+    dailyAllowance: rates.dailyAllowance,
+    otherExpenses: round(otherExpenses),
+    totalAmount: round(travelAllowance + rates.dailyAllowance + otherExpenses)
+  };
+};
+
+module.exports = {
+  TRAVEL_RATES_SETTING,
+  getRates,
+  getRateForMode,
+  buildDayRoute,
+  calculateClaimAmounts
+};
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { promisify } = require('util');
+const { parseBuffer } = require('music-metadata');
+const config = require('../config/config');
+
+// Voice notes are kept outside /uploads, which is served publicly, and only played through the API
+const VOICE_NOTE_DIR = path.join(__dirname, '../../storage/voice-notes');
+
+// Voice notes saved before then are referenced as /uploads/voice-notes/<file>
+const LEGACY_PREFIX = '/uploads/voice-notes/';
+const LEGACY_DIR = path.join(__dirname, '../../uploads/voice-notes');
+
+// Playback links carry a `purpose` claim so they can never be used as an access token
+const PLAYBACK_PURPOSE = 'voice-note';
+
+const FORMATS = {
+  m4a: { mimeType: 'audio/mp4', extension: '.m4a' },
+  '3gp': { mimeType: 'audio/3gpp', extension: '.3gp' },
+  aac: { mimeType: 'audio/aac', extension: '.aac' },
+  amr: { mimeType: 'audio/amr', extension: '.amr' },
+  mp3: { mimeType: 'audio/mpeg', extension: '.mp3' },
+  ogg: { mimeType: 'audio/ogg', extension: '.ogg' },
+  webm: { mimeType: 'audio/webm', extension: '.webm' },
+  wav: { mimeType: 'audio/wav', extension: '.wav' }
+};
+
+// Bytes of each AMR-NB frame type, header included; every frame holds 20 ms
+const AMR_FRAME_SIZES = [13, 14, 16, 18, 20, 21, 27, 32, 6, 1, 1, 1, 1, 1, 1, 1];
+
+/**
+ * Recognise the audio format of a file from its first bytes; the name and type sent by the app are not trusted
+ * @param {Buffer} buffer - File contents (the first 12 bytes are enough)
+ * @returns {String|null} - Key of FORMATS, or null if it is not a supported audio format
+ */
+const detectFormat = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  const text = (start, end) => buffer.toString('latin1', start, end);
+
+  if (text(0, 4) === 'RIFF' && text(8, 12) === 'WAVE') return 'wav';
+  if (text(0, 4) === 'OggS') return 'ogg';
+  if (text(0, 6) === '#!AMR\n') return 'amr';
+  if (buffer.readUInt32BE(0) === 0x1A45DFA3) return 'webm';
+  // ISO media files (m4a, 3gp) start with a box of type ftyp followed by the brand
+  if (text(4, 8) === 'ftyp') return text(8, 10) === '3g' ? '3gp' : 'm4a';
+  if (text(0, 3) === 'ID3') return 'mp3';
+  // Both ADTS (raw AAC) and MPEG audio frames start with a sync word; ADTS has layer bits 00
+  if (buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0) return 'aac';
+  if (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0) return 'mp3';
+
+  return null;
+};
+
+/**
+ * Duration of an AMR-NB file, counted from its frames
+ * @param {Buffer} buffer - File contents
+ * @returns {Number} - Seconds
+ */
+const getAmrDuration = (buffer) => {
+  let frames = 0;
+  for (let offset = 6; offset < buffer.length; frames += 1) {
+    offset += AMR_FRAME_SIZES[(buffer[offset] >> 3) & 0x0f];
+  }
+  return frames * 0.02;
+};
+
+/**
+ * Check that an uploaded file is a voice note we accept and read its metadata
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} - { format, mimeType, extension, sizeBytes, durationSeconds } or { error, code }.
+ *   durationSeconds is null when the recording does not state it (e.g. WebM from a browser).
+ */
+const inspectVoiceNote = async (buffer) => {
+  if (!buffer || buffer.length === 0) {
+    return { error: 'The voice note is empty', code: 'INVALID_VOICE_NOTE' };
+  }
+
+  if (buffer.length > config.voiceNotes.maxSizeMb * 1024 * 1024) {
+    return { error: `Voice notes cannot be larger than ${config.voiceNotes.maxSizeMb} MB`, code: 'VOICE_NOTE_TOO_LARGE' };
+  }
+
+  const format = detectFormat(buffer);
+  if (!format) {
+    return {
+      error: 'Unsupported audio format. Voice notes can be AAC (m4a), 3GP, AMR, MP3, Ogg/Opus, WebM or WAV',
+      code: 'UNSUPPORTED_VOICE_NOTE_FORMAT'
+    };
+  }
+
+  const { mimeType, extension } = FORMATS[format];
+  let durationSeconds = null;
+
+  if (format === 'amr') {
+    durationSeconds = getAmrDuration(buffer);
+  } else {
+    let metadata;
+    try {
+      metadata = await parseBuffer(buffer, { mimeType, size: buffer.length }, { duration: true, skipCovers: true });
+    } catch (error) {
+      metadata = null;
+    }
+
+    // A file with the right signature but no audio stream in it is as good as corrupt
+    if (!metadata || (!metadata.format.duration && !metadata.format.sampleRate)) {
+      return { error: 'The voice note could not be read as audio', code: 'INVALID_VOICE_NOTE' };
+    }
+    durationSeconds = metadata.format.duration || null;
+  }
+
+  if (durationSeconds !== null && durationSeconds > config.voiceNotes.maxDurationSeconds) {
+    return {
+      error: `Voice notes cannot be longer than ${config.voiceNotes.maxDurationSeconds} seconds`,
+      code: 'VOICE_NOTE_TOO_LONG'
+    };
+  }
+
+  return {
+    format,
+    mimeType,
+    extension,
+    sizeBytes: buffer.length,
+    durationSeconds: durationSeconds === null ? null : Math.round(durationSeconds * 10) / 10
+  };
+};
+
+/**
+ * API path the voice note of a shop visit is played from
+ * @param {Object} activity - Retailer shop activity
+ * @returns {String}
+ */
+const getVoiceNoteUrl = (activity) => `/api/retailer-shop-activity/${activity._id}/voice-note`;
+
+/**
+ * Where the voice note of a shop visit is stored. Only file names are taken from the record,
+ * so it cannot point outside the voice note folders, and a legacy path is only trusted if its
+ * file was saved for this visit (voice_<activityId>_<time>).
+ * @param {Object} activity - Retailer shop activity
+ * @returns {String|null}
+ */
+const getVoiceNotePath = (activity) => {
+  if (activity.voiceNoteFile && activity.voiceNoteFile.fileName) {
+    return path.join(VOICE_NOTE_DIR, path.basename(activity.voiceNoteFile.fileName));
+  }
+  if (activity.voiceNote && activity.voiceNote.startsWith(LEGACY_PREFIX)) {
+    const fileName = path.basename(activity.voiceNote);
+    return fileName.startsWith(`voice_${activity._id}_`) ? path.join(LEGACY_DIR, fileName) : null;
+  }
+  return null;
+};
+
+/**
+ * Store a checked voice note and record it on the shop visit (not saved).
+ * The file it replaces is returned so it can be removed once the visit is saved.
+ * @param {Object} activity - Retailer shop activity document
+ * @param {Buffer} buffer - File contents
+ * @param {Object} audio - Result of inspectVoiceNote
+ * @returns {Promise<String|null>} - Path of the replaced file, if any
+ */
+const storeVoiceNote = async (activity, buffer, audio) => {
+  const previous = getVoiceNotePath(activity);
+
+  await fs.promises.mkdir(VOICE_NOTE_DIR, { recursive: true });
+  const fileName = `voice_${activity._id}_${Date.now()}${audio.extension}`;
+  await fs.promises.writeFile(path.join(VOICE_NOTE_DIR, fileName), buffer);
+
+  activity.voiceNote = getVoiceNoteUrl(activity);
+  activity.voiceNoteFile = {
+    fileName,
+    format: audio.format,
+    mimeType: audio.mimeType,
+    sizeBytes: audio.sizeBytes,
+    durationSeconds: audio.durationSeconds,
+    uploadedAt: new Date()
+  };
+  activity.voiceNoteDeletedAt = undefined;
+
+  return previous;
+};
+
+/**
+ * Find the stored file of a shop visit's voice note and its type. Voice notes saved before
+ * formats were checked have no metadata, so their type is read from the file.
+ * @param {Object} activity - Retailer shop activity
+ * @returns {Promise<Object|null>} - { filePath, mimeType, sizeBytes }, or null if there is no file
+ */
+const getVoiceNoteFile = async (activity) => {
+  const filePath = getVoiceNotePath(activity);
+  if (!filePath) return null;
+
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+    const { size } = await handle.stat();
+    let mimeType = activity.voiceNoteFile && activity.voiceNoteFile.mimeType;
+
+    if (!mimeType) {
+      const head = Buffer.alloc(12);
+      await handle.read(head, 0, head.length, 0);
+      const format = detectFormat(head);
+      mimeType = format ? FORMATS[format].mimeType : 'application/octet-stream';
+    }
+
+    return { filePath, mimeType, sizeBytes: size };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  } finally {
+    if (handle) await handle.close();
+  }
+};
+
+/**
+ * Delete a stored voice note file; a file that is already gone is ignored
+ * @param {String} filePath - See getVoiceNotePath
+ * @returns {Promise<void>}
+ */
+const removeVoiceNoteFile = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * Sign a short-lived link to play one voice note without an Authorization header (e.g. from an <audio> element)
+ * @param {Object} activity - Retailer shop activity
+ * @param {Object} user - User the link is issued to
+ * @returns {Object} - { token, expiresAt }
+ */
+const signPlaybackToken = (activity, user) => {
+  const token = jwt.sign(
+    { id: user._id || user.id, activity: activity._id.toString(), purpose: PLAYBACK_PURPOSE },
+    config.jwtSecret,
+    {
+      expiresIn: config.voiceNotes.linkExpiration,
+      algorithm: 'HS256'
+    }
+  );
+
+  return {
+    token,
+    expiresAt: new Date(Date.now() + config.voiceNotes.linkExpiration * 1000)
+  };
+};
+
+/**
+ * Verify a playback link token
+ * @param {String} token - JWT
+ * @returns {Promise<Object|null>} - Decoded payload ({ id, activity }), or null if invalid, expired or not a playback token
+ */
+const verifyPlaybackToken = async (token) => {
+  if (!token) return null;
+
+  try {
+    const decoded = await promisify(jwt.verify)(token, config.jwtSecret, {
+      algorithms: ['HS256']
+    });
+    return decoded.purpose === PLAYBACK_PURPOSE && decoded.activity ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  VOICE_NOTE_DIR,
+  FORMATS,
+  detectFormat,
+  inspectVoiceNote,
+  getVoiceNoteUrl,
+  storeVoiceNote,
+  getVoiceNotePath,
+  getVoiceNoteFile,
+  removeVoiceNoteFile,
+  signPlaybackToken,
+  verifyPlaybackToken
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const RetailerShopActivity = require('../models/RetailerShopActivity');
+const { VOICE_NOTE_DIR, getVoiceNotePath, removeVoiceNoteFile } = require('./voiceNote');
+const logger = require('./logger');
+
+let timer = null;
+let running = false;
+
+/**
+ * Voice notes uploaded before this time are deleted
+ * @returns {Date}
+ */
+const getCutoff = () => new Date(Date.now() - config.voiceNotes.retentionDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Delete voice notes older than config.voiceNotes.retentionDays. Voice notes saved before uploads were
+ * recorded have no upload time and go by the time of the visit. The shop visit is kept and marked
+ * with voiceNoteDeletedAt; it is only cleared if it still refers to the same file, so a note
+ * replaced meanwhile is left alone.
+ * @returns {Promise<Object>} - { voiceNotes, orphanFiles } deleted
+ */
+const purgeExpiredVoiceNotes = async () => {
+  const cutoff = getCutoff();
+  let voiceNotes = 0;
+  let orphanFiles = 0;
+
+  const activities = await RetailerShopActivity.find({
+    $or: [
+      { 'voiceNoteFile.uploadedAt': { $lt: cutoff } },
+      {
+        voiceNoteFile: null,
+        voiceNote: { $regex: '^/uploads/voice-notes/' },
+        punchInTime: { $lt: cutoff }
+      }
+    ]
+  }).select('voiceNote voiceNoteFile');
+
+  for (const activity of activities) {
+    const cleared = await RetailerShopActivity.updateOne(
+      {
+        _id: activity._id,
+        voiceNote: activity.voiceNote,
+        'voiceNoteFile.fileName': activity.voiceNoteFile ? activity.voiceNoteFile.fileName : null
+      },
+      {
+        $set: { voiceNoteDeletedAt: new Date() },
+        $unset: { voiceNote: 1, voiceNoteFile: 1 }
+      }
+    );
+
+    if (cleared.modifiedCount > 0) {
+      await removeVoiceNoteFile(getVoiceNotePath(activity));
+      voiceNotes += 1;
+    }
+  }
+
+  // Files left behind by uploads whose shop visit was never saved
+  let fileNames = [];
+  try {
+    fileNames = await fs.promises.readdir(VOICE_NOTE_DIR);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  for (const fileName of fileNames) {
+    const filePath = path.join(VOICE_NOTE_DIR, fileName);
+    const { mtime } = await fs.promises.stat(filePath);
+    if (mtime < cutoff) {
+      await removeVoiceNoteFile(filePath);
+      orphanFiles += 1;
+    }
+  }
+
+  if (voiceNotes > 0 || orphanFiles > 0) {
+    logger.info(`Deleted ${voiceNotes} voice note(s) and ${orphanFiles} leftover file(s) uploaded before ${cutoff.toISOString()}`);
+  }
+
+  return { voiceNotes, orphanFiles };
+};
+
+/**
+ * Run purgeExpiredVoiceNotes every config.voiceNotes.cleanupIntervalHours
+ */
+const start = () => {
+  if (!config.voiceNotes.cleanupEnabled || timer) return;
+
+  const run = async () => {
+    // Skip a run while the previous one is still going
+    if (running) return;
+    running = true;
+    try {
+      await purgeExpiredVoiceNotes();
+    } catch (error) {
+      logger.error(`Error deleting expired voice notes: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  timer = setInterval(run, config.voiceNotes.cleanupIntervalHours * 60 * 60 * 1000);
+  timer.unref();
+};
+
+module.exports = {
+  getCutoff,
+  purgeExpiredVoiceNotes,
+  start
+};